@@ -36,6 +36,9 @@ const state = {
     customJson: "",
   },
   apiFormat: "gemini", // 'gemini' or 'openai'
+  // Cloud API config used through the server-side /api/generate proxy
+  // ({ id, name, apiFormat }); keys never reach the browser in this mode.
+  proxyConfig: JSON.parse(localStorage.getItem("gem_proxy_config") || "null"),
   vertexLocation: "global", // 'global' or 'us-central1'
   activeBuilderRowIdx: null,
   cardSize:
@@ -54,6 +57,16 @@ const runtime = {
   authMode: "login",
   fileUriToInlineCache: new Map(),
   postLoginAction: null, // { type: 'openCloudImages', tab: 'uploads'|'generated' }
+  // Cloud gallery modal: current library, loaded page(s) and, when opened
+  // from the media picker, where a picked image goes.
+  cloudImages: {
+    kind: "uploads",
+    items: [],
+    nextCursor: null,
+    loading: false,
+    manage: false,
+    pick: null, // mediaPickContext
+  },
   imagePreloadCache: new Map(),
   mediaPickContext: null, // { type: 'chat', sessionId }
 };
@@ -194,7 +207,20 @@ async function blobToWebpThumbBlob(blob, maxSize = 256, quality = 0.7) {
   }
 }
 
-// cloud image upload removed
+// Stores an image in the user's cloud gallery and returns the gallery item
+// ({ name, kind, fileUri, thumbUri, ... }).
+async function uploadImageToCloud(blob, kind = "uploads") {
+  const res = await apiFetchJson(
+    `/api/images/upload?kind=${encodeURIComponent(kind)}`,
+    {
+      method: "POST",
+      headers: { "Content-Type": blob.type || "application/octet-stream" },
+      body: blob,
+    },
+  );
+  if (res?.usage) renderCloudUsage(res.usage);
+  return res?.item || null;
+}
 
 async function fileUriToDataUrl(fileUri) {
   const res = await fetch(fileUri, { credentials: "same-origin" });
@@ -208,14 +234,24 @@ async function fileUriToDataUrl(fileUri) {
   });
 }
 
-async function apiFetchJson(apiPath, options = {}) {
+// 服务端下发的 banana_csrf Cookie，写操作需放在 X-CSRF-Token 请求头中回传
+function csrfHeaders() {
+  const m = document.cookie.match(/(?:^|;\s*)banana_csrf=([^;]+)/);
+  return m ? { "X-CSRF-Token": decodeURIComponent(m[1]) } : {};
+}
+
+async function apiFetchJson(apiPath, options = {}, csrfRetried = false) {
   if (runtime.serverAvailable === false) {
     throw new Error("Server unavailable");
   }
 
+  const method = options.method || "GET";
   const fetchOptions = {
-    method: options.method || "GET",
-    headers: { ...(options.headers || {}) },
+    method,
+    headers: {
+      ...(method === "GET" || method === "HEAD" ? {} : csrfHeaders()),
+      ...(options.headers || {}),
+    },
     credentials: "same-origin",
   };
 
@@ -241,6 +277,11 @@ async function apiFetchJson(apiPath, options = {}) {
     data = null;
   }
 
+  // Cookie 缺失（如被清除）时服务端会在拒绝的同时下发新的，重试一次即可
+  if (res.status === 403 && data?.code === "csrf" && !csrfRetried) {
+    return apiFetchJson(apiPath, options, true);
+  }
+
   if (!res.ok) {
     const msg = (data && (data.error || data.message)) || `HTTP ${res.status}`;
     const err = new Error(msg);
@@ -405,8 +446,8 @@ function renderApiConfigs() {
                 <div class="text-gray-500 font-mono text-[10px] truncate">${config.url}</div>
             </div>
             <div class="flex items-center gap-1 flex-shrink-0">
-                <button onclick="loadApiConfig(${index})" class="p-1 text-gray-400 hover:text-green-400 rounded hover:bg-green-900/20 transition-colors" title="加载"><span class="material-symbols-rounded text-sm">login</span></button>
-                <button onclick="deleteApiConfig(${index})" class="p-1 text-gray-400 hover:text-red-400 rounded hover:bg-red-900/20 transition-colors" title="删除"><span class="material-symbols-rounded text-sm">delete</span></button>
+                <button ${handlerAttrs("click", "loadApiConfig", index)} class="p-1 text-gray-400 hover:text-green-400 rounded hover:bg-green-900/20 transition-colors" title="加载"><span class="material-symbols-rounded text-sm">login</span></button>
+                <button ${handlerAttrs("click", "deleteApiConfig", index)} class="p-1 text-gray-400 hover:text-red-400 rounded hover:bg-red-900/20 transition-colors" title="删除"><span class="material-symbols-rounded text-sm">delete</span></button>
             </div>
         `;
     listEl.appendChild(item);
@@ -433,6 +474,7 @@ function renderCloudApiConfigs(list = [], limit = 2) {
     return;
   }
 
+  runtime.cloudApiConfigs = items;
   items.forEach((cfg) => {
     const id = String(cfg?.id || "");
     const name = String(cfg?.name || "未命名");
@@ -445,8 +487,9 @@ function renderCloudApiConfigs(list = [], limit = 2) {
                 <div class="text-gray-500 font-mono text-[10px] truncate">${cfg?.updatedAt ? new Date(cfg.updatedAt).toLocaleString() : ""}</div>
             </div>
             <div class="flex items-center gap-1 flex-shrink-0">
-                <button onclick="loadCloudApiConfig('${id}')" class="p-1 text-gray-400 hover:text-green-400 rounded hover:bg-green-900/20 transition-colors" title="加载"><span class="material-symbols-rounded text-sm">login</span></button>
-                <button onclick="deleteCloudApiConfig('${id}')" class="p-1 text-gray-400 hover:text-red-400 rounded hover:bg-red-900/20 transition-colors" title="删除"><span class="material-symbols-rounded text-sm">delete</span></button>
+                <button ${handlerAttrs("click", "useCloudApiConfigViaProxy", id)} class="p-1 ${state.proxyConfig?.scope !== "shared" && state.proxyConfig?.id === id ? "text-blue-400" : "text-gray-400"} hover:text-blue-400 rounded hover:bg-blue-900/20 transition-colors" title="通过服务器代理使用（密钥不下发到浏览器）"><span class="material-symbols-rounded text-sm">vpn_lock</span></button>
+                <button ${handlerAttrs("click", "loadCloudApiConfig", id)} class="p-1 text-gray-400 hover:text-green-400 rounded hover:bg-green-900/20 transition-colors" title="加载"><span class="material-symbols-rounded text-sm">login</span></button>
+                <button ${handlerAttrs("click", "deleteCloudApiConfig", id)} class="p-1 text-gray-400 hover:text-red-400 rounded hover:bg-red-900/20 transition-colors" title="删除"><span class="material-symbols-rounded text-sm">delete</span></button>
             </div>
         `;
     dom.cloudApiConfigList.appendChild(item);
@@ -466,6 +509,7 @@ async function refreshCloudApiConfigsList() {
       `/api/api-configs/list?apiFormat=${encodeURIComponent(apiFormat)}`,
     );
     renderCloudApiConfigs(data?.items || [], data?.limit || 2);
+    refreshSharedApiConfigsList().catch(() => {});
   } catch (e) {
     dom.cloudApiConfigContainer.classList.remove("hidden");
     dom.cloudApiConfigList.innerHTML = "";
@@ -477,6 +521,22 @@ async function refreshCloudApiConfigsList() {
   }
 }
 
+function collectCurrentApiConfig() {
+  return {
+    apiFormat: normalizeApiFormat(state.apiFormat || "gemini"),
+    baseUrl: String(dom.baseUrl?.value || "").trim(),
+    apiVersion: String(dom.apiVersion?.value || "").trim(),
+    apiKey: String(dom.apiKey?.value || "").trim(),
+    modelId: String(dom.modelId?.value || "").trim(),
+    vertexLocation: String(state.vertexLocation || "").trim(),
+    vertexKeysRaw: String(
+      localStorage.getItem("gem_vertex_keys") ||
+        dom.vertexKeysInput?.value ||
+        "",
+    ).trim(),
+  };
+}
+
 async function saveCloudApiConfig() {
   if (!requireLoginFor({ type: "cloudApiConfigs" })) return;
   const apiFormat = normalizeApiFormat(state.apiFormat || "gemini");
@@ -491,19 +551,7 @@ async function saveCloudApiConfig() {
   const name = prompt("为这个云端配置输入一个名称（同名会覆盖）：", suggested);
   if (!name) return;
 
-  const config = {
-    apiFormat,
-    baseUrl: url,
-    apiVersion: String(dom.apiVersion?.value || "").trim(),
-    apiKey,
-    modelId: String(dom.modelId?.value || "").trim(),
-    vertexLocation: String(state.vertexLocation || "").trim(),
-    vertexKeysRaw: String(
-      localStorage.getItem("gem_vertex_keys") ||
-        dom.vertexKeysInput?.value ||
-        "",
-    ).trim(),
-  };
+  const config = collectCurrentApiConfig();
 
   await apiFetchJson("/api/api-configs/save", {
     method: "POST",
@@ -575,9 +623,139 @@ async function deleteCloudApiConfig(id) {
     method: "POST",
     json: { apiFormat, id },
   });
+  if (state.proxyConfig?.id === id) stopGenerateProxy();
   await refreshCloudApiConfigsList();
 }
 
+function renderSharedApiConfigs(list = []) {
+  if (!dom.sharedApiConfigContainer || !dom.sharedApiConfigList) return;
+  const items = Array.isArray(list) ? list : [];
+  runtime.sharedApiConfigs = items;
+  dom.publishSharedApiConfigBtn?.classList.toggle("hidden", !isAdmin());
+  dom.sharedApiConfigContainer.classList.toggle(
+    "hidden",
+    !isAuthed() || (!items.length && !isAdmin()),
+  );
+  dom.sharedApiConfigList.innerHTML = "";
+
+  if (items.length === 0) {
+    const empty = document.createElement("div");
+    empty.className =
+      "text-[10px] text-gray-500 bg-gray-800/30 border border-gray-800/60 rounded-lg p-2";
+    empty.textContent = "暂无共享配置";
+    dom.sharedApiConfigList.appendChild(empty);
+    return;
+  }
+
+  items.forEach((cfg) => {
+    const id = String(cfg?.id || "");
+    const active =
+      state.proxyConfig?.scope === "shared" && state.proxyConfig?.id === id;
+    const item = document.createElement("div");
+    item.className =
+      "flex items-center justify-between bg-gray-800/50 p-2 rounded-lg text-xs";
+    item.innerHTML = `
+            <div class="flex-1 overflow-hidden mr-2">
+                <div class="font-bold text-gray-300 truncate">${escapeHtml(cfg?.name || "未命名")}</div>
+                <div class="text-gray-500 font-mono text-[10px] truncate">${escapeHtml(cfg?.modelId || "")}</div>
+            </div>
+            <div class="flex items-center gap-1 flex-shrink-0">
+                <button ${handlerAttrs("click", "useCloudApiConfigViaProxy", id, "shared")} class="p-1 ${active ? "text-blue-400" : "text-gray-400"} hover:text-blue-400 rounded hover:bg-blue-900/20 transition-colors" title="通过服务器代理使用"><span class="material-symbols-rounded text-sm">vpn_lock</span></button>
+                ${isAdmin() ? `<button ${handlerAttrs("click", "deleteSharedApiConfig", id)} class="p-1 text-gray-400 hover:text-red-400 rounded hover:bg-red-900/20 transition-colors" title="删除"><span class="material-symbols-rounded text-sm">delete</span></button>` : ""}
+            </div>
+        `;
+    dom.sharedApiConfigList.appendChild(item);
+  });
+}
+
+async function refreshSharedApiConfigsList() {
+  if (!dom.sharedApiConfigContainer) return;
+  if (!isAuthed()) {
+    dom.sharedApiConfigContainer.classList.add("hidden");
+    return;
+  }
+  const apiFormat = normalizeApiFormat(state.apiFormat || "gemini");
+  const data = await apiFetchJson(
+    `/api/shared-api-configs/list?apiFormat=${encodeURIComponent(apiFormat)}`,
+  );
+  renderSharedApiConfigs(data?.items || []);
+}
+
+async function publishSharedApiConfig() {
+  if (!isAdmin()) return;
+  const config = collectCurrentApiConfig();
+  if (!config.baseUrl || (config.apiFormat !== "vertex" && !config.apiKey)) {
+    alert(
+      "请先填写 Base URL" +
+        (config.apiFormat !== "vertex" ? " 和 API Key" : ""),
+    );
+    return;
+  }
+  const name = prompt(
+    "为这个共享配置输入一个名称（所有用户可见，同名会覆盖）：",
+    config.baseUrl,
+  );
+  if (!name) return;
+  await apiFetchJson("/api/admin/shared-api-configs/save", {
+    method: "POST",
+    json: { apiFormat: config.apiFormat, name: String(name).trim(), config },
+  });
+  await refreshSharedApiConfigsList();
+  alert("共享配置已发布");
+}
+
+async function deleteSharedApiConfig(id) {
+  if (!isAdmin()) return;
+  if (!confirm("确定要删除这个共享配置吗？所有用户将无法再使用它。")) return;
+  const apiFormat = normalizeApiFormat(state.apiFormat || "gemini");
+  await apiFetchJson("/api/admin/shared-api-configs/delete", {
+    method: "POST",
+    json: { apiFormat, id },
+  });
+  if (state.proxyConfig?.scope === "shared" && state.proxyConfig?.id === id)
+    stopGenerateProxy();
+  await refreshSharedApiConfigsList();
+}
+
+function getActiveProxyConfig() {
+  const cfg = state.proxyConfig;
+  if (!cfg || !isAuthed()) return null;
+  if (normalizeApiFormat(cfg.apiFormat) !== state.apiFormat) return null;
+  return cfg;
+}
+
+function renderGenerateProxyStatus() {
+  if (!dom.generateProxyStatus) return;
+  const cfg = getActiveProxyConfig();
+  dom.generateProxyStatus.classList.toggle("hidden", !cfg);
+  if (dom.generateProxyName)
+    dom.generateProxyName.textContent = cfg ? cfg.name : "";
+}
+
+function useCloudApiConfigViaProxy(id, scope = "user") {
+  if (!requireLoginFor({ type: "cloudApiConfigs" })) return;
+  const source =
+    scope === "shared" ? runtime.sharedApiConfigs : runtime.cloudApiConfigs;
+  const cfg = (source || []).find((x) => x?.id === id);
+  if (!cfg) return;
+  state.proxyConfig = {
+    id: cfg.id,
+    name: String(cfg.name || "未命名"),
+    apiFormat: normalizeApiFormat(state.apiFormat || "gemini"),
+    scope: scope === "shared" ? "shared" : "user",
+  };
+  localStorage.setItem("gem_proxy_config", JSON.stringify(state.proxyConfig));
+  renderGenerateProxyStatus();
+  refreshCloudApiConfigsList().catch(() => {});
+}
+
+function stopGenerateProxy() {
+  state.proxyConfig = null;
+  localStorage.removeItem("gem_proxy_config");
+  renderGenerateProxyStatus();
+  refreshCloudApiConfigsList().catch(() => {});
+}
+
 const dom = {
   // ... existing refs ...
   baseUrl: document.getElementById("baseUrl"),
@@ -618,6 +796,7 @@ const dom = {
   chatFileInput: document.getElementById("chatFileInput"),
   mediaSourceModal: document.getElementById("mediaSourceModal"),
   mediaPickLocalBtn: document.getElementById("mediaPickLocalBtn"),
+  mediaPickCloudBtn: document.getElementById("mediaPickCloudBtn"),
   leftSidebar: document.getElementById("leftSidebar"),
   mobileSidebarBackdrop: document.getElementById("mobileSidebarBackdrop"),
   lightbox: document.getElementById("lightbox"),
@@ -639,6 +818,20 @@ const dom = {
   tabCollectionsBtn: document.getElementById("tabCollectionsBtn"),
   importLibFile: document.getElementById("importLibFile"),
 
+  cloudImagesModal: document.getElementById("cloudImagesModal"),
+  cloudImagesTitle: document.getElementById("cloudImagesTitle"),
+  cloudImagesUsage: document.getElementById("cloudImagesUsage"),
+  cloudImagesGrid: document.getElementById("cloudImagesGrid"),
+  cloudImagesEmpty: document.getElementById("cloudImagesEmpty"),
+  cloudImagesMoreBtn: document.getElementById("cloudImagesMoreBtn"),
+  cloudImagesManageBtn: document.getElementById("cloudImagesManageBtn"),
+  cloudImagesManageBar: document.getElementById("cloudImagesManageBar"),
+  cloudImagesUploadInput: document.getElementById("cloudImagesUploadInput"),
+  cloudTabUploadsBtn: document.getElementById("cloudTabUploadsBtn"),
+  cloudTabGeneratedBtn: document.getElementById("cloudTabGeneratedBtn"),
+  cloudUsageText: document.getElementById("cloudUsageText"),
+  cloudUsageBar: document.getElementById("cloudUsageBar"),
+
   promptModal: document.getElementById("promptModal"),
   builderMessages: document.getElementById("builderMessages"),
   systemInstructionInput: document.getElementById("systemInstructionInput"),
@@ -668,19 +861,85 @@ const dom = {
   loginBtn: document.getElementById("loginBtn"),
   registerBtn: document.getElementById("registerBtn"),
   logoutBtn: document.getElementById("logoutBtn"),
+  adminBtn: document.getElementById("adminBtn"),
+  adminModal: document.getElementById("adminModal"),
+  adminUserList: document.getElementById("adminUserList"),
+  adminError: document.getElementById("adminError"),
+  adminRegistrationMode: document.getElementById("adminRegistrationMode"),
+  adminInviteList: document.getElementById("adminInviteList"),
+  adminRemoteFetchHosts: document.getElementById("adminRemoteFetchHosts"),
+  adminAuditAction: document.getElementById("adminAuditAction"),
+  adminAuditActor: document.getElementById("adminAuditActor"),
+  adminAuditTarget: document.getElementById("adminAuditTarget"),
+  adminAuditIp: document.getElementById("adminAuditIp"),
+  adminAuditList: document.getElementById("adminAuditList"),
+  adminAuditMore: document.getElementById("adminAuditMore"),
+  adminRequireTwoFactor: document.getElementById("adminRequireTwoFactor"),
+  authInviteRow: document.getElementById("authInviteRow"),
+  authInviteCode: document.getElementById("authInviteCode"),
   authModal: document.getElementById("authModal"),
   authTabLogin: document.getElementById("authTabLogin"),
   authTabRegister: document.getElementById("authTabRegister"),
   authUsername: document.getElementById("authUsername"),
   authPassword: document.getElementById("authPassword"),
   authSubmitBtn: document.getElementById("authSubmitBtn"),
+  authSsoBtn: document.getElementById("authSsoBtn"),
   authError: document.getElementById("authError"),
   authHint: document.getElementById("authHint"),
+  authFormPanel: document.getElementById("authFormPanel"),
+  authAccountPanel: document.getElementById("authAccountPanel"),
+  authSessionList: document.getElementById("authSessionList"),
+  authPasswordNotice: document.getElementById("authPasswordNotice"),
+  authTwoFactorRow: document.getElementById("authTwoFactorRow"),
+  authTwoFactorCode: document.getElementById("authTwoFactorCode"),
+  authTwoFactorNotice: document.getElementById("authTwoFactorNotice"),
+  authTwoFactorSection: document.getElementById("authTwoFactorSection"),
+  authTwoFactorStatus: document.getElementById("authTwoFactorStatus"),
+  authTwoFactorSetup: document.getElementById("authTwoFactorSetup"),
+  authTwoFactorQr: document.getElementById("authTwoFactorQr"),
+  authTwoFactorSecret: document.getElementById("authTwoFactorSecret"),
+  authTwoFactorCodes: document.getElementById("authTwoFactorCodes"),
+  authTwoFactorCodeList: document.getElementById("authTwoFactorCodeList"),
+  authTwoFactorPassword: document.getElementById("authTwoFactorPassword"),
+  authTwoFactorOtp: document.getElementById("authTwoFactorOtp"),
+  authTwoFactorSetupBtn: document.getElementById("authTwoFactorSetupBtn"),
+  authTwoFactorEnableBtn: document.getElementById("authTwoFactorEnableBtn"),
+  authTwoFactorCodesBtn: document.getElementById("authTwoFactorCodesBtn"),
+  authTwoFactorDisableBtn: document.getElementById("authTwoFactorDisableBtn"),
+  authSessionsSection: document.getElementById("authSessionsSection"),
+  authTokensSection: document.getElementById("authTokensSection"),
+  authTokenList: document.getElementById("authTokenList"),
+  authTokenCreated: document.getElementById("authTokenCreated"),
+  authTokenValue: document.getElementById("authTokenValue"),
+  authTokenName: document.getElementById("authTokenName"),
+  authTokenExpiry: document.getElementById("authTokenExpiry"),
+  authTokenScopes: document.getElementById("authTokenScopes"),
+  authPasswordLabel: document.getElementById("authPasswordLabel"),
+  authPasswordHint: document.getElementById("authPasswordHint"),
+  authChangePasswordBtn: document.getElementById("authChangePasswordBtn"),
+  authCurrentPassword: document.getElementById("authCurrentPassword"),
+  authNewPassword: document.getElementById("authNewPassword"),
+  authNewPassword2: document.getElementById("authNewPassword2"),
+  authAdminResetSection: document.getElementById("authAdminResetSection"),
+  authResetUsername: document.getElementById("authResetUsername"),
+  authImportFile: document.getElementById("authImportFile"),
+  authExportPassword: document.getElementById("authExportPassword"),
+  authSsoLinkSection: document.getElementById("authSsoLinkSection"),
+  authSsoLinkPassword: document.getElementById("authSsoLinkPassword"),
+  authSsoLinkBtn: document.getElementById("authSsoLinkBtn"),
+  authDeletePassword: document.getElementById("authDeletePassword"),
 
   // Cloud API configs
   cloudApiConfigContainer: document.getElementById("cloudApiConfigContainer"),
   cloudApiConfigList: document.getElementById("cloudApiConfigList"),
   saveCloudApiConfigBtn: document.getElementById("saveCloudApiConfigBtn"),
+  generateProxyStatus: document.getElementById("generateProxyStatus"),
+  sharedApiConfigContainer: document.getElementById("sharedApiConfigContainer"),
+  sharedApiConfigList: document.getElementById("sharedApiConfigList"),
+  publishSharedApiConfigBtn: document.getElementById(
+    "publishSharedApiConfigBtn",
+  ),
+  generateProxyName: document.getElementById("generateProxyName"),
 };
 
 function setAuthError(message) {
@@ -705,17 +964,62 @@ function updateAuthUI() {
     dom.authUserLabel.textContent = authed ? runtime.me.username : "guest";
   if (dom.authAdminBadge)
     dom.authAdminBadge.classList.toggle("hidden", !isAdmin());
+  if (dom.adminBtn) dom.adminBtn.classList.toggle("hidden", !isAdmin());
+  if (!isAdmin()) dom.adminModal?.classList.add("hidden");
 
   if (authed) {
     refreshCloudApiConfigsList().catch(() => {});
-  } else if (dom.cloudApiConfigContainer) {
-    dom.cloudApiConfigContainer.classList.add("hidden");
+    refreshCloudUsage().catch(() => {});
+  } else {
+    dom.cloudApiConfigContainer?.classList.add("hidden");
+    dom.sharedApiConfigContainer?.classList.add("hidden");
+    toggleCloudImagesModal(false);
+    runtime.cloudImages.items = [];
+    runtime.cloudImages.nextCursor = null;
+    renderCloudUsage(null);
   }
+  renderGenerateProxyStatus();
 }
 
 function switchAuthMode(mode) {
+  const account = mode === "account" && isAuthed();
   runtime.authMode = mode === "register" ? "register" : "login";
   setAuthError("");
+  dom.authFormPanel?.classList.toggle("hidden", account);
+  dom.authAccountPanel?.classList.toggle("hidden", !account);
+  if (account) {
+    const mustChange = !!runtime.me?.mustChangePassword;
+    const mustEnroll = !mustChange && !!runtime.me?.mustEnrollTwoFactor;
+    const restricted = mustChange || mustEnroll;
+    dom.authPasswordNotice?.classList.toggle("hidden", !mustChange);
+    dom.authTwoFactorNotice?.classList.toggle("hidden", !mustEnroll);
+    dom.authTwoFactorSection?.classList.toggle("hidden", mustChange);
+    dom.authSessionsSection?.classList.toggle("hidden", restricted);
+    dom.authTokensSection?.classList.toggle("hidden", restricted);
+    dom.authSsoLinkSection?.classList.toggle(
+      "hidden",
+      restricted ||
+        !runtime.sso?.linkExisting ||
+        runtime.me?.ssoLinked !== false,
+    );
+    if (dom.authSsoLinkBtn && runtime.sso)
+      dom.authSsoLinkBtn.textContent = `绑定 ${runtime.sso.name}`;
+    dom.authAdminResetSection?.classList.toggle(
+      "hidden",
+      restricted || !isAdmin(),
+    );
+    showRecoveryCodes(null);
+    showCreatedAccessToken(null);
+    renderPasswordSection();
+    renderTwoFactorSection();
+    if (!restricted)
+      Promise.all([refreshAuthSessions(), refreshAccessTokens()]).catch((e) =>
+        setAuthError(e?.message || "加载失败"),
+      );
+    return;
+  }
+  // Leaving the login form drops a half-finished two-step login.
+  resetTwoFactorLogin();
 
   if (dom.authTabLogin && dom.authTabRegister) {
     const loginActive = runtime.authMode === "login";
@@ -730,84 +1034,1132 @@ function switchAuthMode(mode) {
   if (dom.authSubmitBtn)
     dom.authSubmitBtn.textContent =
       runtime.authMode === "login" ? "登录" : "注册";
+  dom.authSsoBtn?.classList.toggle(
+    "hidden",
+    !runtime.sso || runtime.authMode !== "login",
+  );
+  dom.authInviteRow?.classList.toggle(
+    "hidden",
+    runtime.authMode !== "register",
+  );
+  if (dom.authHint) dom.authHint.textContent = "将使用 Cookie 保持登录状态";
+  if (runtime.authMode === "register") refreshRegistrationHint();
+}
+
+async function refreshRegistrationHint() {
+  try {
+    const data = await apiFetchJson("/api/auth/registration");
+    if (runtime.authMode !== "register" || !dom.authHint) return;
+    const hints = {
+      open: "开放注册；邀请码可不填",
+      invite: "当前仅限邀请码注册",
+      closed: "注册已关闭（仅管理员邀请码可用）",
+    };
+    dom.authHint.textContent = hints[data?.mode] || "";
+  } catch {
+    // ignore
+  }
+}
+
+// Single sign-on is a full-page redirect through the identity provider; it
+// comes back to the current page, or with ?sso_error=<message> on failure.
+async function refreshSsoOption() {
+  try {
+    const data = await apiFetchJson("/api/auth/oidc");
+    runtime.sso = data?.enabled
+      ? { name: data.name || "SSO", linkExisting: !!data.linkExisting }
+      : null;
+  } catch {
+    runtime.sso = null;
+  }
+  if (dom.authSsoBtn && runtime.sso)
+    dom.authSsoBtn.textContent = `使用 ${runtime.sso.name} 登录`;
+}
+
+function startSsoLogin() {
+  const back = `${location.pathname}${location.search}${location.hash}`;
+  location.href = `/api/auth/oidc/login?return=${encodeURIComponent(back)}`;
+}
+
+// Binds the signed-in local account to the identity provider: the server
+// checks the password (and 2FA), then the browser goes through the provider
+// and comes back here.
+async function linkSsoAccount() {
+  const password = dom.authSsoLinkPassword?.value || "";
+  if (!password) return setAuthError("请输入密码");
+  let code = "";
+  if (runtime.me?.twoFactorEnabled) {
+    code = prompt("请输入验证器中的 6 位验证码或恢复码")?.trim();
+    if (!code) return;
+  }
+  try {
+    setAuthError("");
+    const data = await apiFetchJson("/api/auth/oidc/link", {
+      method: "POST",
+      json: {
+        password,
+        code,
+        return: `${location.pathname}${location.search}${location.hash}`,
+      },
+    });
+    location.href = data.url;
+  } catch (e) {
+    setAuthError(e?.message || "操作失败");
+  }
+}
+
+function showSsoErrorFromUrl() {
+  const params = new URLSearchParams(location.search);
+  const message = params.get("sso_error");
+  if (!message) return;
+  params.delete("sso_error");
+  const query = params.toString();
+  history.replaceState(
+    null,
+    "",
+    `${location.pathname}${query ? `?${query}` : ""}${location.hash}`,
+  );
+  toggleAuthModal(true, isAuthed() ? "account" : "login");
+  setAuthError(message);
+}
+
+function toggleAuthModal(show, mode) {
+  if (!dom.authModal) return;
+  if (show) {
+    dom.authModal.classList.remove("hidden");
+    switchAuthMode(mode || runtime.authMode);
+    setTimeout(
+      () =>
+        (mode === "account"
+          ? runtime.me?.passwordSet === false
+            ? dom.authNewPassword
+            : dom.authCurrentPassword
+          : dom.authUsername
+        )?.focus(),
+      0,
+    );
+  } else {
+    dom.authModal.classList.add("hidden");
+    setAuthError("");
+  }
+}
+
+function requireLoginFor(action) {
+  if (isAuthed()) return true;
+  runtime.postLoginAction = action || null;
+  toggleAuthModal(true, "login");
+  return false;
+}
+
+async function refreshMe() {
+  try {
+    const data = await apiFetchJson("/api/me");
+    runtime.me = data?.user || null;
+    runtime.serverAvailable = true;
+  } catch {
+    runtime.me = null;
+    runtime.serverAvailable = false;
+  }
+  updateAuthUI();
+  if (runtime.me?.mustChangePassword || runtime.me?.mustEnrollTwoFactor)
+    toggleAuthModal(true, "account");
+  return runtime.me;
+}
+
+async function loadFavoritesFromServer() {
+  if (!isAuthed()) return;
+  const presets = await apiFetchJson("/api/favorites/presets");
+  const chats = await apiFetchJson("/api/favorites/chats");
+  const collections = await apiFetchJson("/api/favorites/collections");
+  state.presets = Array.isArray(presets.items) ? presets.items : [];
+  state.savedChats = Array.isArray(chats.items) ? chats.items : [];
+  state.collections = Array.isArray(collections.items) ? collections.items : [];
+}
+
+// 已移除“未收藏聊天记录云端同步”功能：仅收藏（预设/对话/合集）会同步到服务器。
+const LIGHTBOX_PRELOAD_NEIGHBORS = 1; // prev + next => 2 images
+
+const CLOUD_IMAGES_PAGE_SIZE = 60;
+
+function resetTwoFactorLogin() {
+  runtime.preAuthToken = null;
+  dom.authTwoFactorRow?.classList.add("hidden");
+  if (dom.authTwoFactorCode) dom.authTwoFactorCode.value = "";
+}
+
+// Second step of a login: the password was accepted and the server handed
+// out a short-lived pre-auth token to redeem with a TOTP or recovery code.
+async function submitTwoFactorLogin() {
+  const code = dom.authTwoFactorCode?.value?.trim() || "";
+  if (!code) return setAuthError("请输入验证码");
+  try {
+    return await apiFetchJson("/api/auth/login/2fa", {
+      method: "POST",
+      json: { preAuthToken: runtime.preAuthToken, code },
+    });
+  } catch (e) {
+    // An expired token cannot be retried; start over from the password.
+    if (e.status === 401 && e.message !== "验证码错误") resetTwoFactorLogin();
+    throw e;
+  }
+}
+
+async function submitAuth() {
+  try {
+    setAuthError("");
+    const username = dom.authUsername?.value?.trim();
+    const password = dom.authPassword?.value || "";
+    if (!username || !password) return setAuthError("请输入用户名和密码");
+
+    if (runtime.authMode === "login" && runtime.preAuthToken) {
+      const login = await submitTwoFactorLogin();
+      if (login) await finishLogin(login);
+      return;
+    }
+
+    if (runtime.authMode === "register") {
+      const inviteCode = dom.authInviteCode?.value?.trim() || "";
+      await apiFetchJson("/api/auth/register", {
+        method: "POST",
+        json: { username, password, inviteCode },
+      });
+      if (dom.authInviteCode) dom.authInviteCode.value = "";
+    }
+    const login = await apiFetchJson("/api/auth/login", {
+      method: "POST",
+      json: { username, password },
+    });
+    if (login?.twoFactor) {
+      runtime.preAuthToken = login.preAuthToken;
+      dom.authTwoFactorRow?.classList.remove("hidden");
+      dom.authTwoFactorCode?.focus();
+      return;
+    }
+    await finishLogin(login);
+  } catch (e) {
+    setAuthError(e?.message || "操作失败");
+  }
+}
+
+async function finishLogin(login) {
+  resetTwoFactorLogin();
+  if (login?.deletionCancelled) alert("已取消账户注销，账户数据将保留");
+  if (login?.recoveryCodesLeft != null)
+    alert(
+      `已使用恢复码登录，剩余 ${login.recoveryCodesLeft} 个。如验证器已丢失，请在账户设置中关闭后重新启用两步验证`,
+    );
+  await refreshMe();
+  if (runtime.me?.mustChangePassword || runtime.me?.mustEnrollTwoFactor) return;
+  if (isAuthed()) {
+    await loadFavoritesFromServer();
+    const action = runtime.postLoginAction;
+    runtime.postLoginAction = null;
+    if (action?.type === "openCloudImages") openCloudImages(action.tab);
+  }
+  toggleAuthModal(false);
+  alert(isAdmin() ? "已登录（ADMIN）" : "已登录");
+}
+
+function describeUserAgent(ua) {
+  const s = String(ua || "");
+  if (!s) return "未知设备";
+  const browser = /Edg\//.test(s)
+    ? "Edge"
+    : /Firefox\//.test(s)
+      ? "Firefox"
+      : /Chrome\//.test(s)
+        ? "Chrome"
+        : /Safari\//.test(s)
+          ? "Safari"
+          : "";
+  const os = /Windows/.test(s)
+    ? "Windows"
+    : /Android/.test(s)
+      ? "Android"
+      : /iPhone|iPad/.test(s)
+        ? "iOS"
+        : /Mac OS X/.test(s)
+          ? "macOS"
+          : /Linux/.test(s)
+            ? "Linux"
+            : "";
+  return [browser, os].filter(Boolean).join(" · ") || s.slice(0, 40);
+}
+
+function renderAuthSessions(list = []) {
+  if (!dom.authSessionList) return;
+  const items = Array.isArray(list) ? list : [];
+  dom.authSessionList.innerHTML = "";
+  if (items.length === 0) {
+    const empty = document.createElement("div");
+    empty.className =
+      "text-[10px] text-gray-500 bg-gray-800/30 border border-gray-800/60 rounded-lg p-2";
+    empty.textContent = "暂无登录设备";
+    dom.authSessionList.appendChild(empty);
+    return;
+  }
+  items.forEach((s) => {
+    const id = String(s?.id || "");
+    const item = document.createElement("div");
+    item.className =
+      "flex items-center justify-between bg-gray-800/50 p-2 rounded-lg text-xs";
+    item.innerHTML = `
+            <div class="flex-1 overflow-hidden mr-2">
+                <div class="font-bold text-gray-300 truncate" title="${escapeHtml(s?.userAgent || "")}">${escapeHtml(describeUserAgent(s?.userAgent))}${s?.current ? ' <span class="text-[10px] font-normal text-blue-300">（当前）</span>' : ""}</div>
+                <div class="text-gray-500 font-mono text-[10px] truncate">${escapeHtml(s?.ip || "")} • ${s?.lastSeenAt ? new Date(s.lastSeenAt).toLocaleString() : ""}</div>
+            </div>
+            <button ${handlerAttrs("click", "revokeAuthSession", id)} class="p-1 text-gray-400 hover:text-red-400 rounded hover:bg-red-900/20 transition-colors flex-shrink-0" title="${s?.current ? "退出登录" : "移除此设备"}"><span class="material-symbols-rounded text-sm">logout</span></button>
+        `;
+    dom.authSessionList.appendChild(item);
+  });
+}
+
+async function refreshAuthSessions() {
+  if (!isAuthed()) return;
+  const data = await apiFetchJson("/api/auth/sessions");
+  renderAuthSessions(data?.items || []);
+}
+
+async function revokeAuthSession(id) {
+  try {
+    setAuthError("");
+    const data = await apiFetchJson("/api/auth/sessions/revoke", {
+      method: "POST",
+      json: { id },
+    });
+    if (data?.current) {
+      runtime.me = null;
+      updateAuthUI();
+      toggleAuthModal(false);
+      return;
+    }
+    await refreshAuthSessions();
+  } catch (e) {
+    setAuthError(e?.message || "操作失败");
+  }
+}
+
+async function revokeOtherSessions() {
+  if (!confirm("确定退出除当前设备以外的所有登录？")) return;
+  try {
+    setAuthError("");
+    await apiFetchJson("/api/auth/sessions/revoke-others", {
+      method: "POST",
+      json: {},
+    });
+    await refreshAuthSessions();
+  } catch (e) {
+    setAuthError(e?.message || "操作失败");
+  }
+}
+
+const ACCESS_TOKEN_SCOPE_LABELS = {
+  "favorites:read": "读取收藏",
+  "favorites:write": "修改收藏",
+  "gallery:read": "读取图库",
+  "gallery:write": "上传/删除图片",
+  "api-configs:read": "读取 API 配置",
+  "api-configs:write": "修改 API 配置",
+  generate: "调用生成",
+};
+
+function renderAccessTokenScopes(scopes = []) {
+  if (!dom.authTokenScopes || dom.authTokenScopes.childElementCount) return;
+  scopes.forEach((scope) => {
+    const label = document.createElement("label");
+    label.className = "flex items-center gap-2";
+    label.innerHTML = `<input type="checkbox" value="${escapeHtml(scope)}" class="accent-blue-500" /> <span title="${escapeHtml(scope)}">${escapeHtml(ACCESS_TOKEN_SCOPE_LABELS[scope] || scope)}</span>`;
+    dom.authTokenScopes.appendChild(label);
+  });
+}
+
+function renderAccessTokens(list = []) {
+  if (!dom.authTokenList) return;
+  const items = Array.isArray(list) ? list : [];
+  dom.authTokenList.innerHTML = "";
+  if (items.length === 0) {
+    const empty = document.createElement("div");
+    empty.className =
+      "text-[10px] text-gray-500 bg-gray-800/30 border border-gray-800/60 rounded-lg p-2";
+    empty.textContent = "暂无访问令牌";
+    dom.authTokenList.appendChild(empty);
+    return;
+  }
+  items.forEach((t) => {
+    const id = String(t?.id || "");
+    const expired = t?.expiresAt && Date.parse(t.expiresAt) <= Date.now();
+    const scopes = (t?.scopes || [])
+      .map((s) => ACCESS_TOKEN_SCOPE_LABELS[s] || s)
+      .join("、");
+    const used = t?.lastUsedAt
+      ? `最近使用 ${new Date(t.lastUsedAt).toLocaleString()}${t.lastUsedIp ? ` (${t.lastUsedIp})` : ""}`
+      : "从未使用";
+    const expires = t?.expiresAt
+      ? `${new Date(t.expiresAt).toLocaleDateString()} ${expired ? "已过期" : "到期"}`
+      : "永不过期";
+    const item = document.createElement("div");
+    item.className =
+      "flex items-center justify-between bg-gray-800/50 p-2 rounded-lg text-xs";
+    item.innerHTML = `
+            <div class="flex-1 overflow-hidden mr-2">
+                <div class="font-bold text-gray-300 truncate">${escapeHtml(t?.name || "")} <span class="font-mono text-[10px] font-normal text-gray-500">…${escapeHtml(t?.hint || "")}</span></div>
+                <div class="text-gray-400 text-[10px] truncate" title="${escapeHtml((t?.scopes || []).join(" "))}">${escapeHtml(scopes)}</div>
+                <div class="text-gray-500 text-[10px] truncate">${escapeHtml(used)} • <span class="${expired ? "text-red-300" : ""}">${escapeHtml(expires)}</span></div>
+            </div>
+            <button ${handlerAttrs("click", "revokeAccessToken", id)} class="p-1 text-gray-400 hover:text-red-400 rounded hover:bg-red-900/20 transition-colors flex-shrink-0" title="撤销"><span class="material-symbols-rounded text-sm">delete</span></button>
+        `;
+    dom.authTokenList.appendChild(item);
+  });
+}
+
+function showCreatedAccessToken(token) {
+  if (dom.authTokenValue) dom.authTokenValue.textContent = token || "";
+  dom.authTokenCreated?.classList.toggle("hidden", !token);
+}
+
+async function refreshAccessTokens() {
+  if (!isAuthed()) return;
+  const data = await apiFetchJson("/api/auth/tokens");
+  renderAccessTokenScopes(data?.scopes || []);
+  renderAccessTokens(data?.items || []);
+}
+
+async function createAccessToken() {
+  const name = String(dom.authTokenName?.value || "").trim();
+  const scopes = Array.from(
+    dom.authTokenScopes?.querySelectorAll("input:checked") || [],
+  ).map((el) => el.value);
+  if (!name) return setAuthError("请填写令牌名称");
+  if (!scopes.length) return setAuthError("至少选择一个权限范围");
+  try {
+    setAuthError("");
+    const data = await apiFetchJson("/api/auth/tokens/create", {
+      method: "POST",
+      json: {
+        name,
+        scopes,
+        expiresInDays: Number(dom.authTokenExpiry?.value || 0),
+      },
+    });
+    if (dom.authTokenName) dom.authTokenName.value = "";
+    dom.authTokenScopes
+      ?.querySelectorAll("input:checked")
+      .forEach((el) => (el.checked = false));
+    showCreatedAccessToken(data?.token || null);
+    await refreshAccessTokens();
+  } catch (e) {
+    setAuthError(e?.message || "操作失败");
+  }
+}
+
+async function revokeAccessToken(id) {
+  if (!confirm("确定撤销该令牌？使用它的脚本将无法继续访问。")) return;
+  try {
+    setAuthError("");
+    await apiFetchJson("/api/auth/tokens/revoke", {
+      method: "POST",
+      json: { id },
+    });
+    await refreshAccessTokens();
+  } catch (e) {
+    setAuthError(e?.message || "操作失败");
+  }
+}
+
+// Accounts created by SSO start without a password; they set one without
+// entering a current password (the server accepts a recent SSO sign-in).
+function renderPasswordSection() {
+  const initial = runtime.me?.passwordSet === false;
+  dom.authCurrentPassword?.classList.toggle("hidden", initial);
+  dom.authPasswordHint?.classList.toggle("hidden", !initial);
+  if (dom.authPasswordLabel)
+    dom.authPasswordLabel.textContent = initial ? "设置密码" : "修改密码";
+  if (dom.authChangePasswordBtn)
+    dom.authChangePasswordBtn.textContent = initial ? "设置密码" : "修改密码";
+}
+
+async function changePassword() {
+  try {
+    setAuthError("");
+    const initial = runtime.me?.passwordSet === false;
+    const currentPassword = dom.authCurrentPassword?.value || "";
+    const newPassword = dom.authNewPassword?.value || "";
+    if (initial ? !newPassword : !currentPassword || !newPassword)
+      return setAuthError(initial ? "请输入新密码" : "请输入当前密码和新密码");
+    if (newPassword !== (dom.authNewPassword2?.value || ""))
+      return setAuthError("两次输入的新密码不一致");
+    await apiFetchJson("/api/auth/change-password", {
+      method: "POST",
+      json: { currentPassword, newPassword },
+    });
+    [
+      dom.authCurrentPassword,
+      dom.authNewPassword,
+      dom.authNewPassword2,
+    ].forEach((el) => {
+      if (el) el.value = "";
+    });
+    const wasForced = !!runtime.me?.mustChangePassword;
+    await refreshMe();
+    if (wasForced && isAuthed()) await loadFavoritesFromServer();
+    toggleAuthModal(false);
+    alert(
+      initial
+        ? "密码已设置，其他设备需要重新登录"
+        : "密码已修改，其他设备需要重新登录",
+    );
+  } catch (e) {
+    setAuthError(e?.message || "操作失败");
+  }
+}
+
+// Account panel 2FA section. runtime.twoFactorSetup holds { secret, uri }
+// between "启用两步验证" and the confirming code.
+function renderTwoFactorSection() {
+  const enabled = !!runtime.me?.twoFactorEnabled;
+  const pending = !enabled && !!runtime.twoFactorSetup;
+  if (dom.authTwoFactorStatus)
+    dom.authTwoFactorStatus.textContent = enabled
+      ? `已启用 · 剩余 ${runtime.me.recoveryCodesLeft || 0} 个恢复码`
+      : pending
+        ? "等待验证"
+        : "未启用";
+  dom.authTwoFactorSetup?.classList.toggle("hidden", !pending);
+  dom.authTwoFactorPassword?.classList.toggle("hidden", pending);
+  dom.authTwoFactorOtp?.classList.toggle("hidden", !enabled && !pending);
+  dom.authTwoFactorSetupBtn?.classList.toggle("hidden", enabled || pending);
+  dom.authTwoFactorEnableBtn?.classList.toggle("hidden", !pending);
+  dom.authTwoFactorCodesBtn?.classList.toggle("hidden", !enabled);
+  dom.authTwoFactorDisableBtn?.classList.toggle("hidden", !enabled);
+  if (!pending || !dom.authTwoFactorQr) return;
+  const { secret, uri } = runtime.twoFactorSetup;
+  if (dom.authTwoFactorSecret)
+    dom.authTwoFactorSecret.textContent = secret.replace(/(.{4})/g, "$1 ");
+  if (typeof qrcode === "function") {
+    const qr = qrcode(0, "M");
+    qr.addData(uri);
+    qr.make();
+    dom.authTwoFactorQr.innerHTML = qr.createSvgTag({ cellSize: 3, margin: 0 });
+  } else {
+    dom.authTwoFactorQr.classList.add("hidden");
+  }
+}
+
+function showRecoveryCodes(codes) {
+  if (!dom.authTwoFactorCodes || !dom.authTwoFactorCodeList) return;
+  dom.authTwoFactorCodeList.innerHTML = "";
+  (codes || []).forEach((code) => {
+    const item = document.createElement("div");
+    item.textContent = code;
+    dom.authTwoFactorCodeList.appendChild(item);
+  });
+  dom.authTwoFactorCodes.classList.toggle("hidden", !codes?.length);
+}
+
+function readTwoFactorInputs() {
+  return {
+    password: dom.authTwoFactorPassword?.value || "",
+    code: dom.authTwoFactorOtp?.value?.trim() || "",
+  };
+}
+
+function clearTwoFactorInputs() {
+  [dom.authTwoFactorPassword, dom.authTwoFactorOtp].forEach((el) => {
+    if (el) el.value = "";
+  });
+}
+
+async function startTwoFactorSetup() {
+  try {
+    setAuthError("");
+    showRecoveryCodes(null);
+    const { password } = readTwoFactorInputs();
+    if (!password) return setAuthError("请输入当前密码");
+    runtime.twoFactorSetup = await apiFetchJson("/api/auth/2fa/setup", {
+      method: "POST",
+      json: { password },
+    });
+    clearTwoFactorInputs();
+    renderTwoFactorSection();
+    dom.authTwoFactorOtp?.focus();
+  } catch (e) {
+    setAuthError(e?.message || "操作失败");
+  }
+}
+
+async function confirmTwoFactorSetup() {
+  try {
+    setAuthError("");
+    const { code } = readTwoFactorInputs();
+    if (!code) return setAuthError("请输入验证器中的 6 位验证码");
+    const data = await apiFetchJson("/api/auth/2fa/enable", {
+      method: "POST",
+      json: { code },
+    });
+    clearTwoFactorInputs();
+    runtime.twoFactorSetup = null;
+    const wasForced = !!runtime.me?.mustEnrollTwoFactor;
+    await refreshMe();
+    if (wasForced && isAuthed()) await loadFavoritesFromServer();
+    switchAuthMode("account");
+    showRecoveryCodes(data?.recoveryCodes);
+  } catch (e) {
+    setAuthError(e?.message || "操作失败");
+  }
+}
+
+async function regenerateRecoveryCodes() {
+  const { password, code } = readTwoFactorInputs();
+  if (!password || !code) return setAuthError("请输入当前密码和验证码");
+  if (!confirm("重新生成后，旧的恢复码全部失效。确定继续？")) return;
+  try {
+    setAuthError("");
+    const data = await apiFetchJson("/api/auth/2fa/recovery-codes", {
+      method: "POST",
+      json: { password, code },
+    });
+    clearTwoFactorInputs();
+    await refreshMe();
+    renderTwoFactorSection();
+    showRecoveryCodes(data?.recoveryCodes);
+  } catch (e) {
+    setAuthError(e?.message || "操作失败");
+  }
+}
+
+async function disableTwoFactor() {
+  const { password, code } = readTwoFactorInputs();
+  if (!password || !code) return setAuthError("请输入当前密码和验证码");
+  if (!confirm("确定关闭两步验证？之后仅凭密码即可登录。")) return;
+  try {
+    setAuthError("");
+    await apiFetchJson("/api/auth/2fa/disable", {
+      method: "POST",
+      json: { password, code },
+    });
+    clearTwoFactorInputs();
+    showRecoveryCodes(null);
+    await refreshMe();
+    renderTwoFactorSection();
+  } catch (e) {
+    setAuthError(e?.message || "操作失败");
+  }
+}
+
+async function resetUserPassword() {
+  if (!isAdmin()) return;
+  const username = dom.authResetUsername?.value?.trim();
+  if (!username) return setAuthError("请输入用户名");
+  if (!confirm(`确定重置用户 ${username} 的密码？`)) return;
+  try {
+    setAuthError("");
+    const data = await apiFetchJson(
+      `/api/admin/reset-password/${encodeURIComponent(username)}`,
+      { method: "POST", json: {} },
+    );
+    if (dom.authResetUsername) dom.authResetUsername.value = "";
+    prompt("临时密码（仅显示一次，请转交给用户）：", data?.tempPassword || "");
+  } catch (e) {
+    setAuthError(e?.message || "操作失败");
+  }
+}
+
+// Without a password the archive leaves out API keys and is a plain
+// download; with one it is POSTed so the server can verify it (and 2FA).
+async function exportAccountArchive() {
+  const password = dom.authExportPassword?.value || "";
+  if (!password) {
+    const a = document.createElement("a");
+    a.href = "/api/account/export";
+    a.click();
+    return;
+  }
+  let code = "";
+  if (runtime.me?.twoFactorEnabled) {
+    code = prompt(
+      "导出 API Key 需要验证：请输入验证器中的 6 位验证码或恢复码",
+    )?.trim();
+    if (!code) return;
+  }
+  try {
+    setAuthError("");
+    const res = await fetch("/api/account/export", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...csrfHeaders() },
+      credentials: "same-origin",
+      body: JSON.stringify({ password, code }),
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => null);
+      throw new Error(data?.error || `HTTP ${res.status}`);
+    }
+    const name =
+      /filename="([^"]+)"/.exec(
+        res.headers.get("content-disposition") || "",
+      )?.[1] || "banana-export.tar.gz";
+    const url = URL.createObjectURL(await res.blob());
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    if (dom.authExportPassword) dom.authExportPassword.value = "";
+  } catch (e) {
+    setAuthError(e?.message || "导出失败");
+  }
+}
+
+function importAccountArchive() {
+  dom.authImportFile?.click();
+}
+
+async function handleAccountImport(e) {
+  const file = e.target.files?.[0];
+  e.target.value = "";
+  if (!file) return;
+  if (
+    !confirm(
+      `从 ${file.name} 导入？已有的收藏、图片和 API 配置会保留，只补充缺少的项目。`,
+    )
+  )
+    return;
+  try {
+    setAuthError("");
+    const data = await apiFetchJson("/api/account/import", {
+      method: "POST",
+      headers: { "Content-Type": "application/gzip" },
+      body: file,
+    });
+    await loadFavoritesFromServer();
+    await refreshCloudApiConfigsList();
+    const n = data?.imported || {};
+    alert(
+      `导入完成：收藏 ${n.favorites || 0} 个，图片 ${n.images || 0} 张，API 配置 ${n.apiConfigs || 0} 个，跳过 ${n.skipped || 0} 项`,
+    );
+  } catch (err) {
+    setAuthError(err?.message || "导入失败");
+  }
+}
+
+async function deleteMyAccount() {
+  const username = runtime.me?.username;
+  if (!username) return;
+  const password = dom.authDeletePassword?.value || "";
+  if (!password) return setAuthError("请输入密码");
+  const typed = prompt(
+    `注销后将退出所有设备，账户 ${username} 的收藏、图库和配置会被删除，用户名随后可被他人注册。\n请输入用户名确认：`,
+  );
+  if (typed == null) return;
+  try {
+    setAuthError("");
+    const data = await apiFetchJson("/api/account/delete", {
+      method: "POST",
+      json: { password, confirm: typed.trim() },
+    });
+    if (dom.authDeletePassword) dom.authDeletePassword.value = "";
+    runtime.me = null;
+    updateAuthUI();
+    toggleAuthModal(false);
+    alert(
+      data?.purgeAt
+        ? `账户已申请注销，数据将于 ${new Date(data.purgeAt).toLocaleString()} 删除；在此之前重新登录即可取消`
+        : "账户已注销",
+    );
+  } catch (e) {
+    setAuthError(e?.message || "操作失败");
+  }
+}
+
+function formatBytes(bytes) {
+  const n = Number(bytes) || 0;
+  if (n < 1024) return `${n} B`;
+  const units = ["KiB", "MiB", "GiB", "TiB"];
+  let v = n / 1024;
+  let i = 0;
+  while (v >= 1024 && i < units.length - 1) {
+    v /= 1024;
+    i++;
+  }
+  return `${v.toFixed(v >= 100 ? 0 : 1)} ${units[i]}`;
+}
+
+function setAdminError(message) {
+  if (!dom.adminError) return;
+  dom.adminError.textContent = message ? String(message) : "";
+  dom.adminError.classList.toggle("hidden", !message);
+}
+
+function toggleAdminModal(show) {
+  if (!dom.adminModal) return;
+  if (show && isAdmin()) {
+    dom.adminModal.classList.remove("hidden");
+    setAdminError("");
+    Promise.all([
+      refreshAdminUsers(),
+      refreshAdminRegistration(),
+      refreshAdminSecurity(),
+      refreshRemoteFetchAllowlist(),
+      refreshAdminAudit(),
+    ]).catch((e) => setAdminError(e?.message || "加载失败"));
+  } else {
+    dom.adminModal.classList.add("hidden");
+  }
+}
+
+function renderAdminUsers(list = []) {
+  if (!dom.adminUserList) return;
+  dom.adminUserList.innerHTML = "";
+  const btn =
+    "p-1 text-gray-400 rounded transition-colors disabled:opacity-30 disabled:pointer-events-none";
+  list.forEach((u) => {
+    const name = String(u?.username || "");
+    const self = name === runtime.me?.username;
+    const used = formatBytes(u?.usedBytes);
+    const quota = u?.quotaBytes == null ? "不限" : formatBytes(u.quotaBytes);
+    const item = document.createElement("div");
+    item.className =
+      "flex items-center justify-between bg-gray-800/50 p-2 rounded-lg text-xs";
+    item.innerHTML = `
+            <div class="flex-1 overflow-hidden mr-2">
+                <div class="font-bold text-gray-300 truncate flex items-center gap-1.5">
+                    <span class="font-mono">${escapeHtml(name)}</span>
+                    ${u?.isAdmin ? '<span class="text-[10px] font-bold px-1.5 py-0.5 rounded border border-yellow-600/40 bg-yellow-900/20 text-yellow-200">ADMIN</span>' : ""}
+                    ${u?.disabled ? '<span class="text-[10px] font-bold px-1.5 py-0.5 rounded border border-red-800/60 bg-red-900/20 text-red-200">已停用</span>' : ""}
+                    ${u?.twoFactorEnabled ? '<span class="text-[10px] font-bold px-1.5 py-0.5 rounded border border-green-700/50 bg-green-900/20 text-green-200" title="已启用两步验证">2FA</span>' : ""}
+                    ${u?.pendingDeletion ? `<span class="text-[10px] font-bold px-1.5 py-0.5 rounded border border-red-800/60 bg-red-900/20 text-red-200" title="将于 ${escapeHtml(new Date(u.pendingDeletion.purgeAt).toLocaleString())} 删除">待注销</span>` : ""}
+                </div>
+                <div class="text-gray-500 font-mono text-[10px] truncate" title="上传 ${formatBytes(u?.uploadsBytes)} • 生成 ${formatBytes(u?.generatedBytes)} • 收藏 ${formatBytes(u?.favoritesBytes)}">${used} / ${quota}${u?.customQuotaBytes ? "（自定义）" : ""} • ${u?.sessionCount || 0} 个会话${u?.lastSeenAt ? ` • ${new Date(u.lastSeenAt).toLocaleString()}` : ""}</div>
+            </div>
+            <div class="flex items-center gap-1 flex-shrink-0">
+                <button ${handlerAttrs("click", "adminUserAction", name, u?.isAdmin ? "demote" : "promote")} ${self ? "disabled" : ""} class="${btn} hover:text-yellow-400 hover:bg-yellow-900/20" title="${u?.isAdmin ? "取消 Admin" : "设为 Admin"}"><span class="material-symbols-rounded text-sm">${u?.isAdmin ? "remove_moderator" : "add_moderator"}</span></button>
+                <button ${handlerAttrs("click", "adminUserAction", name, u?.disabled ? "enable" : "disable")} ${self ? "disabled" : ""} class="${btn} hover:text-orange-400 hover:bg-orange-900/20" title="${u?.disabled ? "启用账号" : "停用账号"}"><span class="material-symbols-rounded text-sm">${u?.disabled ? "check_circle" : "block"}</span></button>
+                <button ${handlerAttrs("click", "adminSetUserQuota", name)} ${u?.isAdmin ? "disabled" : ""} class="${btn} hover:text-blue-400 hover:bg-blue-900/20" title="设置图库配额"><span class="material-symbols-rounded text-sm">data_usage</span></button>
+                <a href="/api/admin/export/${encodeURIComponent(name)}" class="${btn} hover:text-green-400 hover:bg-green-900/20" title="导出用户数据（不含 API Key）"><span class="material-symbols-rounded text-sm">download</span></a>
+                <button ${handlerAttrs("click", "adminUserAction", name, "reset-2fa")} ${self || !u?.twoFactorEnabled ? "disabled" : ""} class="${btn} hover:text-orange-400 hover:bg-orange-900/20" title="重置两步验证"><span class="material-symbols-rounded text-sm">phonelink_erase</span></button>
+                <button ${handlerAttrs("click", "adminUserAction", name, "revoke-sessions")} class="${btn} hover:text-blue-400 hover:bg-blue-900/20" title="强制下线"><span class="material-symbols-rounded text-sm">logout</span></button>
+                <button ${handlerAttrs("click", "adminDeleteUser", name)} ${self ? "disabled" : ""} class="${btn} hover:text-red-400 hover:bg-red-900/20" title="删除用户及其数据"><span class="material-symbols-rounded text-sm">delete</span></button>
+            </div>
+        `;
+    dom.adminUserList.appendChild(item);
+  });
+}
+
+async function refreshAdminUsers(recompute = false) {
+  if (!isAdmin()) return;
+  setAdminError("");
+  const data = await apiFetchJson(
+    `/api/admin/users${recompute ? "?recompute=1" : ""}`,
+  );
+  runtime.adminDefaultQuotaBytes = data?.defaultQuotaBytes || null;
+  renderAdminUsers(Array.isArray(data?.items) ? data.items : []);
+}
+
+function renderAdminInvites(list = []) {
+  if (!dom.adminInviteList) return;
+  dom.adminInviteList.innerHTML = "";
+  if (list.length === 0) {
+    const empty = document.createElement("div");
+    empty.className =
+      "text-[10px] text-gray-500 bg-gray-800/30 border border-gray-800/60 rounded-lg p-2";
+    empty.textContent = "暂无邀请码";
+    dom.adminInviteList.appendChild(empty);
+    return;
+  }
+  const statusLabels = {
+    active: "可用",
+    used: "已用完",
+    expired: "已过期",
+    revoked: "已作废",
+  };
+  list.forEach((inv) => {
+    const code = String(inv?.code || "");
+    const active = inv?.status === "active";
+    const item = document.createElement("div");
+    item.className = `flex items-center justify-between bg-gray-800/50 p-2 rounded-lg text-xs${active ? "" : " opacity-60"}`;
+    item.innerHTML = `
+            <div class="flex-1 overflow-hidden mr-2">
+                <div class="font-bold text-gray-300 truncate"><span class="font-mono select-all">${escapeHtml(code)}</span> <span class="text-[10px] font-normal text-gray-400">${statusLabels[inv?.status] || ""}</span>${inv?.note ? ` <span class="text-[10px] font-normal text-gray-500">${escapeHtml(inv.note)}</span>` : ""}</div>
+                <div class="text-gray-500 font-mono text-[10px] truncate">已用 ${inv?.uses || 0}/${inv?.maxUses || "∞"} • ${inv?.expiresAt ? `${new Date(inv.expiresAt).toLocaleString()} 过期` : "不过期"}${inv?.usedBy?.length ? ` • ${escapeHtml(inv.usedBy.join(", "))}` : ""}</div>
+            </div>
+            ${active ? `<button ${handlerAttrs("click", "revokeInviteCode", code)} class="p-1 text-gray-400 hover:text-red-400 rounded hover:bg-red-900/20 transition-colors flex-shrink-0" title="作废"><span class="material-symbols-rounded text-sm">block</span></button>` : ""}
+        `;
+    dom.adminInviteList.appendChild(item);
+  });
+}
+
+async function refreshAdminRegistration() {
+  if (!isAdmin()) return;
+  const data = await apiFetchJson("/api/admin/registration");
+  if (dom.adminRegistrationMode && data?.mode)
+    dom.adminRegistrationMode.value = data.mode;
+  renderAdminInvites(Array.isArray(data?.invites) ? data.invites : []);
+}
+
+async function setRegistrationMode(mode) {
+  try {
+    setAdminError("");
+    await apiFetchJson("/api/admin/registration", {
+      method: "POST",
+      json: { mode },
+    });
+  } catch (e) {
+    setAdminError(e?.message || "操作失败");
+  }
+  await refreshAdminRegistration().catch(() => {});
+}
+
+async function refreshAdminSecurity() {
+  if (!isAdmin()) return;
+  const data = await apiFetchJson("/api/admin/security");
+  if (dom.adminRequireTwoFactor)
+    dom.adminRequireTwoFactor.checked = !!data?.requireAdminTwoFactor;
+}
+
+async function setAdminTwoFactorPolicy(required) {
+  try {
+    setAdminError("");
+    await apiFetchJson("/api/admin/security", {
+      method: "POST",
+      json: { requireAdminTwoFactor: !!required },
+    });
+  } catch (e) {
+    setAdminError(e?.message || "操作失败");
+  }
+  await refreshAdminSecurity().catch(() => {});
+}
+
+async function createInviteCode() {
+  const uses = prompt("可使用次数（0 表示不限）：", "1");
+  if (uses === null) return;
+  const days = prompt("有效天数（0 表示永不过期）：", "7");
+  if (days === null) return;
+  const note = prompt("备注（可选）：", "") || "";
+  try {
+    setAdminError("");
+    await apiFetchJson("/api/admin/invites/create", {
+      method: "POST",
+      json: {
+        maxUses: Number(uses) || 0,
+        expiresInDays: Number(days) || 0,
+        note,
+      },
+    });
+    await refreshAdminRegistration();
+  } catch (e) {
+    setAdminError(e?.message || "操作失败");
+  }
 }
 
-function toggleAuthModal(show, mode) {
-  if (!dom.authModal) return;
-  if (show) {
-    dom.authModal.classList.remove("hidden");
-    switchAuthMode(mode || runtime.authMode);
-    setTimeout(() => dom.authUsername?.focus(), 0);
-  } else {
-    dom.authModal.classList.add("hidden");
-    setAuthError("");
+async function revokeInviteCode(code) {
+  if (!confirm(`确定作废邀请码 ${code}？`)) return;
+  try {
+    setAdminError("");
+    await apiFetchJson("/api/admin/invites/revoke", {
+      method: "POST",
+      json: { code },
+    });
+    await refreshAdminRegistration();
+  } catch (e) {
+    setAdminError(e?.message || "操作失败");
   }
 }
 
-function requireLoginFor(action) {
-  if (isAuthed()) return true;
-  runtime.postLoginAction = action || null;
-  toggleAuthModal(true, "login");
-  return false;
+async function refreshRemoteFetchAllowlist() {
+  if (!isAdmin() || !dom.adminRemoteFetchHosts) return;
+  const data = await apiFetchJson("/api/admin/remote-fetch");
+  dom.adminRemoteFetchHosts.value = (data?.allowHosts || []).join("\n");
 }
 
-async function refreshMe() {
+async function saveRemoteFetchAllowlist() {
   try {
-    const data = await apiFetchJson("/api/me");
-    runtime.me = data?.user || null;
-    runtime.serverAvailable = true;
-  } catch {
-    runtime.me = null;
-    runtime.serverAvailable = false;
+    setAdminError("");
+    const allowHosts = String(dom.adminRemoteFetchHosts?.value || "")
+      .split(/[\s,]+/)
+      .map((h) => h.trim())
+      .filter(Boolean);
+    await apiFetchJson("/api/admin/remote-fetch", {
+      method: "POST",
+      json: { allowHosts },
+    });
+    await refreshRemoteFetchAllowlist();
+  } catch (e) {
+    setAdminError(e?.message || "保存失败");
   }
-  updateAuthUI();
-  return runtime.me;
 }
 
-async function loadFavoritesFromServer() {
-  if (!isAuthed()) return;
-  const presets = await apiFetchJson("/api/favorites/presets");
-  const chats = await apiFetchJson("/api/favorites/chats");
-  const collections = await apiFetchJson("/api/favorites/collections");
-  state.presets = Array.isArray(presets.items) ? presets.items : [];
-  state.savedChats = Array.isArray(chats.items) ? chats.items : [];
-  state.collections = Array.isArray(collections.items) ? collections.items : [];
+async function adminSweepOrphanFavorites() {
+  try {
+    setAdminError("");
+    const report = await apiFetchJson("/api/admin/favorites/orphans");
+    const items = Array.isArray(report?.items) ? report.items : [];
+    if (items.length === 0) return alert("没有发现孤立的收藏快照");
+    if (
+      !confirm(
+        `发现 ${items.length} 个孤立的收藏快照目录，共 ${formatBytes(report.totalBytes)}。确定清理？`,
+      )
+    )
+      return;
+    await apiFetchJson("/api/admin/favorites/orphans", {
+      method: "POST",
+      json: {},
+    });
+    await refreshAdminUsers();
+  } catch (e) {
+    setAdminError(e?.message || "操作失败");
+  }
 }
 
-// 已移除“未收藏聊天记录云端同步”功能：仅收藏（预设/对话/合集）会同步到服务器。
-const LIGHTBOX_PRELOAD_NEIGHBORS = 1; // prev + next => 2 images
+const AUDIT_ACTION_LABELS = {
+  "auth.login": "登录",
+  "auth.login-failed": "登录失败",
+  "auth.password-change": "修改密码",
+  "auth.2fa-enable": "启用两步验证",
+  "auth.2fa-disable": "关闭两步验证",
+  "auth.2fa-recovery-codes": "重新生成恢复码",
+  "auth.token-create": "创建访问令牌",
+  "auth.token-revoke": "撤销访问令牌",
+  "account.create": "创建账户",
+  "account.delete": "注销账户",
+  "account.delete-cancel": "取消注销",
+  "account.purge": "删除账户数据",
+  "account.export": "导出数据",
+  "account.import": "导入数据",
+  "admin.promote": "设为 Admin",
+  "admin.demote": "取消 Admin",
+  "admin.disable": "停用账号",
+  "admin.enable": "启用账号",
+  "admin.quota": "设置配额",
+  "admin.reset-password": "重置密码",
+  "admin.reset-2fa": "重置两步验证",
+  "admin.security": "修改两步验证策略",
+  "admin.revoke-sessions": "强制下线",
+  "admin.export": "导出用户数据",
+  "admin.import": "导入用户数据",
+  "admin.registration": "修改注册策略",
+  "admin.invite-create": "生成邀请码",
+  "admin.invite-revoke": "作废邀请码",
+  "admin.remote-fetch": "修改远程主机白名单",
+  "admin.favorites-reclaim": "清理孤立收藏",
+  "api-config.save": "保存 API 配置",
+  "api-config.load": "读取 API 配置",
+  "api-config.delete": "删除 API 配置",
+  "shared-api-config.save": "发布共享配置",
+  "shared-api-config.load": "读取共享配置",
+  "shared-api-config.delete": "删除共享配置",
+  "favorite.delete": "删除收藏",
+  "secret.rotate": "轮换密钥",
+  "secret.retire": "停用旧密钥",
+};
 
-// cloud images removed
-// cloud images removed
+function renderAdminAudit(list = [], append = false) {
+  if (!dom.adminAuditList) return;
+  if (!append) dom.adminAuditList.innerHTML = "";
+  if (!append && list.length === 0) {
+    const empty = document.createElement("div");
+    empty.className =
+      "text-[10px] text-gray-500 bg-gray-800/30 border border-gray-800/60 rounded-lg p-2";
+    empty.textContent = "没有匹配的记录";
+    dom.adminAuditList.appendChild(empty);
+    return;
+  }
+  list.forEach((e) => {
+    const { at, action, actor, target, ip, ...details } = e || {};
+    const extra = Object.entries(details)
+      .map(([k, v]) => `${k}=${typeof v === "string" ? v : JSON.stringify(v)}`)
+      .join(" ");
+    const item = document.createElement("div");
+    item.className = `flex items-start gap-2 bg-gray-800/40 px-2 py-1.5 rounded-lg text-[10px] font-mono${action === "auth.login-failed" ? " text-red-200" : " text-gray-400"}`;
+    item.innerHTML = `
+            <span class="text-gray-500 flex-shrink-0">${escapeHtml(new Date(at).toLocaleString())}</span>
+            <span class="text-gray-200 flex-shrink-0" title="${escapeHtml(action)}">${escapeHtml(AUDIT_ACTION_LABELS[action] || action)}</span>
+            <span class="flex-1 truncate" title="${escapeHtml(extra)}">${actor ? escapeHtml(actor) : "—"}${target && target !== actor ? ` → ${escapeHtml(target)}` : ""}${extra ? ` • ${escapeHtml(extra)}` : ""}</span>
+            <span class="text-gray-500 flex-shrink-0">${escapeHtml(ip || "")}</span>
+        `;
+    dom.adminAuditList.appendChild(item);
+  });
+}
 
-async function submitAuth() {
+async function refreshAdminAudit(append = false) {
+  if (!isAdmin() || !dom.adminAuditList) return;
+  const params = new URLSearchParams({ limit: "50" });
+  const filters = {
+    action: dom.adminAuditAction?.value,
+    actor: dom.adminAuditActor?.value,
+    target: dom.adminAuditTarget?.value,
+    ip: dom.adminAuditIp?.value,
+  };
+  Object.entries(filters).forEach(([k, v]) => {
+    if (String(v || "").trim()) params.set(k, String(v).trim());
+  });
+  if (append) params.set("offset", String(runtime.adminAuditCount || 0));
   try {
-    setAuthError("");
-    const username = dom.authUsername?.value?.trim();
-    const password = dom.authPassword?.value || "";
-    if (!username || !password) return setAuthError("请输入用户名和密码");
+    setAdminError("");
+    const data = await apiFetchJson(`/api/admin/audit?${params}`);
+    const items = Array.isArray(data?.items) ? data.items : [];
+    runtime.adminAuditCount =
+      (append ? runtime.adminAuditCount || 0 : 0) + items.length;
+    renderAdminAudit(items, append);
+    dom.adminAuditMore?.classList.toggle("hidden", !data?.hasMore);
+  } catch (e) {
+    setAdminError(e?.message || "加载失败");
+  }
+}
 
-    if (runtime.authMode === "register") {
-      await apiFetchJson("/api/auth/register", {
-        method: "POST",
-        json: { username, password },
-      });
-    }
-    await apiFetchJson("/api/auth/login", {
+async function adminUserAction(username, action) {
+  const labels = {
+    promote: "设为 Admin（需重新登录生效）",
+    demote: "取消 Admin",
+    disable: "停用账号（将立即下线）",
+    enable: "启用账号",
+    "reset-2fa": "重置两步验证（将立即下线）",
+    "revoke-sessions": "强制下线",
+  };
+  if (!confirm(`确定对用户 ${username} 执行：${labels[action] || action}？`))
+    return;
+  try {
+    await apiFetchJson(`/api/admin/${action}/${encodeURIComponent(username)}`, {
       method: "POST",
-      json: { username, password },
+      json: {},
     });
-    await refreshMe();
-    if (isAuthed()) {
-      await loadFavoritesFromServer();
-      const action = runtime.postLoginAction;
-      runtime.postLoginAction = null;
-      // cloud images removed
-    }
-    toggleAuthModal(false);
-    alert(isAdmin() ? "已登录（ADMIN）" : "已登录");
+    await refreshAdminUsers();
   } catch (e) {
-    setAuthError(e?.message || "操作失败");
+    setAdminError(e?.message || "操作失败");
+  }
+}
+
+async function adminSetUserQuota(username) {
+  const def = runtime.adminDefaultQuotaBytes;
+  const input = prompt(
+    `为 ${username} 设置图库配额（单位 MiB，留空恢复默认${def ? ` ${formatBytes(def)}` : ""}）：`,
+    "",
+  );
+  if (input === null) return;
+  const mib = input.trim() ? Number(input) : 0;
+  if (!Number.isFinite(mib) || mib < 0) return setAdminError("请输入有效数字");
+  try {
+    await apiFetchJson(`/api/admin/quota/${encodeURIComponent(username)}`, {
+      method: "POST",
+      json: { galleryBytes: mib ? Math.round(mib * 1024 * 1024) : null },
+    });
+    await refreshAdminUsers();
+  } catch (e) {
+    setAdminError(e?.message || "操作失败");
+  }
+}
+
+async function adminDeleteUser(username) {
+  const typed = prompt(
+    `将永久删除用户 ${username} 及其全部图片、收藏与配置，无法恢复。\n请输入用户名确认：`,
+  );
+  if (typed === null) return;
+  if (typed.trim() !== username) return setAdminError("用户名不匹配，已取消");
+  try {
+    await apiFetchJson(`/api/admin/users/${encodeURIComponent(username)}`, {
+      method: "DELETE",
+    });
+    await refreshAdminUsers();
+  } catch (e) {
+    setAdminError(e?.message || "操作失败");
   }
 }
 
@@ -818,6 +2170,7 @@ async function logout() {
     // ignore
   }
   runtime.me = null;
+  runtime.twoFactorSetup = null;
   updateAuthUI();
 }
 
@@ -1365,9 +2718,8 @@ document.addEventListener("DOMContentLoaded", async () => {
     localStorage.getItem("gem_collections_v1.0") || "[]",
   ); // 从 localStorage 加载合集
 
-  // cloud images removed
-
-  await refreshMe();
+  await Promise.all([refreshMe(), refreshSsoOption()]);
+  showSsoErrorFromUrl();
   if (isAuthed()) {
     try {
       await loadFavoritesFromServer();
@@ -1431,6 +2783,9 @@ document.addEventListener("DOMContentLoaded", async () => {
   vertexKeyManager.loadFromStorage();
   updateApiFormatUI();
 
+  dom.publishSharedApiConfigBtn?.addEventListener("click", () => {
+    publishSharedApiConfig().catch((e) => alert(e?.message || "发布失败"));
+  });
   dom.saveCloudApiConfigBtn?.addEventListener("click", () => {
     saveCloudApiConfig().catch((e) => alert(e?.message || "保存失败"));
   });
@@ -1481,14 +2836,22 @@ document.addEventListener("DOMContentLoaded", async () => {
       sendChatMessage();
     }
   });
-  if (dom.authPassword) {
-    dom.authPassword.addEventListener("keydown", (e) => {
+  [dom.authPassword, dom.authTwoFactorCode].forEach((el) =>
+    el?.addEventListener("keydown", (e) => {
       if (e.key === "Enter") {
         e.preventDefault();
         submitAuth();
       }
-    });
-  }
+    }),
+  );
+  [dom.adminAuditActor, dom.adminAuditTarget, dom.adminAuditIp].forEach((el) =>
+    el?.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        refreshAdminAudit();
+      }
+    }),
+  );
 
   // File Handlers
   dom.fileInput.addEventListener("change", (e) =>
@@ -1515,8 +2878,15 @@ document.addEventListener("DOMContentLoaded", async () => {
     dom.fileInput.value = "";
     dom.fileInput.click();
   });
-  // cloud images removed
+  dom.mediaPickCloudBtn?.addEventListener("click", () => {
+    toggleMediaSourceModal(false);
+    openCloudImages("uploads", runtime.mediaPickContext);
+  });
+  dom.cloudImagesUploadInput?.addEventListener("change", (e) =>
+    uploadFilesToCloudImages(e.target.files),
+  );
   dom.importLibFile.addEventListener("change", handleLibraryImport);
+  dom.authImportFile?.addEventListener("change", handleAccountImport);
 
   // Drag & Drop
   setupDragDrop();
@@ -1677,19 +3047,49 @@ function readFileAsDataURL(file) {
   });
 }
 
-// cloud image saving removed
+// Signed-in users keep a copy of attached images in their uploads library;
+// the file URIs let favorites link that file instead of storing the image a
+// second time. A failed copy (quota, unsupported format) is only skipped.
+async function saveImagesToCloud(files, kind) {
+  if (!isAuthed()) return files.map(() => null);
+  return await mapWithConcurrency(files, 2, async (file) => {
+    try {
+      return await uploadImageToCloud(file, kind);
+    } catch (e) {
+      console.warn("保存到云图片库失败:", e);
+      return null;
+    }
+  });
+}
+
+function attachImage(imgObj, target, rowIdx = null) {
+  if (target === "global") {
+    state.images.push(imgObj);
+    renderPreview();
+  } else if (target === "row") {
+    const idx = rowIdx !== null ? rowIdx : state.activeBuilderRowIdx;
+    if (idx !== null && state.promptBuilder[idx]) {
+      state.promptBuilder[idx].images.push(imgObj);
+      renderBuilder();
+    }
+  } else if (target === "chat") {
+    const sessionId = rowIdx !== null ? rowIdx : state.activeSessionId;
+    const session = ensureChatSessionAttachments(sessionId);
+    if (session) {
+      session.attachments.push(imgObj);
+      renderChatAttachments();
+    }
+  }
+}
 
 async function handleFileUpload(files, target, rowIdx = null) {
   const list = Array.from(files || []).filter(
     (f) => f && f.type && f.type.startsWith("image/"),
   );
-  const dataUrls = await mapWithConcurrency(
-    list,
-    4,
-    async (file) => await readFileAsDataURL(file),
-  );
-
-  const storedItems = new Array(dataUrls.length).fill(null);
+  const [dataUrls, storedItems] = await Promise.all([
+    mapWithConcurrency(list, 4, async (file) => await readFileAsDataURL(file)),
+    saveImagesToCloud(list, "uploads"),
+  ]);
 
   for (let i = 0; i < dataUrls.length; i++) {
     const dataUrl = dataUrls[i];
@@ -1699,27 +3099,10 @@ async function handleFileUpload(files, target, rowIdx = null) {
     const stored = storedItems[i];
     if (stored?.fileUri) imgObj.file_uri = stored.fileUri;
     if (stored?.thumbUri) imgObj.thumb_uri = stored.thumbUri;
-
-    if (target === "global") {
-      state.images.push(imgObj);
-      renderPreview();
-    } else if (target === "row") {
-      const idx = rowIdx !== null ? rowIdx : state.activeBuilderRowIdx;
-      if (idx !== null && state.promptBuilder[idx]) {
-        state.promptBuilder[idx].images.push(imgObj);
-        renderBuilder();
-      }
-    } else if (target === "chat") {
-      const sessionId = rowIdx !== null ? rowIdx : state.activeSessionId;
-      const session = ensureChatSessionAttachments(sessionId);
-      if (session) {
-        session.attachments.push(imgObj);
-        renderChatAttachments();
-      }
-    }
+    attachImage(imgObj, target, rowIdx);
   }
 
-  // cloud usage removed
+  if (storedItems.some(Boolean)) reloadCloudImagesIfShowing("uploads");
 
   // Reset inputs
   dom.fileInput.value = "";
@@ -2031,6 +3414,7 @@ function updateApiFormatUI() {
         : "global";
     applyGroupActiveStyles("vertexLocationGroup", loc);
   }
+  renderGenerateProxyStatus();
 }
 
 // Save / Load advanced config
@@ -2250,8 +3634,8 @@ function renderBuilder() {
                     <div class="relative w-12 h-12 flex-shrink-0 group/img ${imgIdx === 0 ? "ring-2 ring-yellow-400 rounded" : ""}">
                         <img src="${img.b64}" class="w-full h-full object-cover rounded border ${imgIdx === 0 ? "border-yellow-500" : "border-gray-700"}">
                         <span class="absolute -top-1 -left-1 text-[10px] font-bold bg-black/70 text-white px-1 rounded">${imgIdx + 1}</span>
-                        <button onclick="removeBuilderImage(${idx}, ${imgIdx})" class="absolute -top-1 -right-1 bg-red-500 text-white rounded-full p-0.5 opacity-100 md:opacity-0 md:group-hover/img:opacity-100 transition-opacity" title="移除"><span class="material-symbols-rounded text-[10px]">close</span></button>
-                        <button onclick="setFirstBuilderImage(${idx}, ${imgIdx})" class="absolute -bottom-1 left-0 bg-yellow-600 text-white rounded-full p-0.5 opacity-100 md:opacity-0 md:group-hover/img:opacity-100 transition-opacity" title="设为第一"><span class="material-symbols-rounded text-[12px]">looks_one</span></button>
+                        <button ${handlerAttrs("click", "removeBuilderImage", idx, imgIdx)} class="absolute -top-1 -right-1 bg-red-500 text-white rounded-full p-0.5 opacity-100 md:opacity-0 md:group-hover/img:opacity-100 transition-opacity" title="移除"><span class="material-symbols-rounded text-[10px]">close</span></button>
+                        <button ${handlerAttrs("click", "setFirstBuilderImage", idx, imgIdx)} class="absolute -bottom-1 left-0 bg-yellow-600 text-white rounded-full p-0.5 opacity-100 md:opacity-0 md:group-hover/img:opacity-100 transition-opacity" title="设为第一"><span class="material-symbols-rounded text-[12px]">looks_one</span></button>
                     </div>
                 `,
           )
@@ -2271,16 +3655,16 @@ function renderBuilder() {
                         ${isUser ? "用户 (User)" : "模型 (Model)"}
                     </span>
                     <div class="flex items-center gap-1">
-                        <button onclick="triggerBuilderUpload(${idx})" class="p-1 hover:bg-gray-700 rounded text-gray-400 hover:text-blue-400" title="Attach Image"><span class="material-symbols-rounded text-base">attachment</span></button>
+                        <button ${handlerAttrs("click", "triggerBuilderUpload", idx)} class="p-1 hover:bg-gray-700 rounded text-gray-400 hover:text-blue-400" title="Attach Image"><span class="material-symbols-rounded text-base">attachment</span></button>
                         <div class="w-px h-3 bg-gray-700 mx-1"></div>
-                        <button onclick="moveBuilderMessage(${idx}, -1)" class="p-1 hover:bg-gray-700 rounded text-gray-500 hover:text-gray-300" ${idx === 0 ? "disabled" : ""}><span class="material-symbols-rounded text-base">arrow_upward</span></button>
-                        <button onclick="moveBuilderMessage(${idx}, 1)" class="p-1 hover:bg-gray-700 rounded text-gray-500 hover:text-gray-300" ${idx === state.promptBuilder.length - 1 ? "disabled" : ""}><span class="material-symbols-rounded text-base">arrow_downward</span></button>
-                        <button onclick="removeBuilderMessage(${idx})" class="p-1 hover:bg-red-900/30 rounded text-gray-500 hover:text-red-400"><span class="material-symbols-rounded text-base">delete</span></button>
+                        <button ${handlerAttrs("click", "moveBuilderMessage", idx, -1)} class="p-1 hover:bg-gray-700 rounded text-gray-500 hover:text-gray-300" ${idx === 0 ? "disabled" : ""}><span class="material-symbols-rounded text-base">arrow_upward</span></button>
+                        <button ${handlerAttrs("click", "moveBuilderMessage", idx, 1)} class="p-1 hover:bg-gray-700 rounded text-gray-500 hover:text-gray-300" ${idx === state.promptBuilder.length - 1 ? "disabled" : ""}><span class="material-symbols-rounded text-base">arrow_downward</span></button>
+                        <button ${handlerAttrs("click", "removeBuilderMessage", idx)} class="p-1 hover:bg-red-900/30 rounded text-gray-500 hover:text-red-400"><span class="material-symbols-rounded text-base">delete</span></button>
                     </div>
                 </div>
                 <div class="p-3">
                     <textarea class="w-full bg-transparent text-sm text-gray-300 outline-none resize-none font-mono leading-relaxed min-h-[60px]" 
-                        oninput="updateBuilderMessage(${idx}, this.value)"
+                        ${handlerAttrs("input", "updateBuilderMessage", idx, "$value")}
                         placeholder="${isUser ? "输入指令..." : "输入响应..."}"
                     >${msg.text}</textarea>
                     ${imgsHtml}
@@ -2351,6 +3735,10 @@ window.setFirstGlobalImage = (idx) => {
   moveToFront(state.images, idx);
   renderPreview();
 };
+window.removeGlobalImage = (idx) => {
+  state.images.splice(idx, 1);
+  renderPreview();
+};
 window.setFirstBuilderImage = (msgIdx, imgIdx) => {
   const imgs = state.promptBuilder[msgIdx]?.images;
   if (!imgs) return;
@@ -2536,6 +3924,7 @@ async function executeSessionTurn(
   }
 
   const base = dom.baseUrl.value.replace(/\/$/, "");
+  const proxy = getActiveProxyConfig();
   let lastError = null;
   let wasAborted = false;
 
@@ -2615,7 +4004,8 @@ async function executeSessionTurn(
           .replace(/^https?:\/\//, "")
           .split("/")[0]
           .toLowerCase();
-        const isOfficialOpenAI = baseHost === "api.openai.com";
+        // 服务器代理模式下由服务端按配置的 Base URL 决定是否裁剪字段
+        const isOfficialOpenAI = !proxy && baseHost === "api.openai.com";
 
         const payload = {
           model: dom.modelId.value,
@@ -2637,7 +4027,10 @@ async function executeSessionTurn(
         // --- Vertex (AIPLATFORM) Payload & Request ---
         const ver = dom.apiVersion.value.trim() || "v1beta1";
         const model = dom.modelId.value.trim();
-        const creds = vertexKeyManager.getNext();
+        // 服务器代理模式下 Key 轮询在服务端进行
+        const creds = proxy
+          ? { key: "", projectId: "" }
+          : vertexKeyManager.getNext();
         if (!creds) {
           throw new Error("Vertex: 未配置 Keys（格式：API_KEY|PROJECT_ID）");
         }
@@ -2737,12 +4130,26 @@ async function executeSessionTurn(
       }
 
       const startTime = performance.now();
-      const res = await fetch(url, {
-        method: "POST",
-        headers,
-        body,
-        signal: controller.signal,
-      });
+      const res = proxy
+        ? await fetch("/api/generate", {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...csrfHeaders() },
+            credentials: "same-origin",
+            body: JSON.stringify({
+              apiFormat: state.apiFormat,
+              configId: proxy.id,
+              scope: proxy.scope || "user",
+              modelId: dom.modelId.value.trim(),
+              payload: session.lastRaw.req,
+            }),
+            signal: controller.signal,
+          })
+        : await fetch(url, {
+            method: "POST",
+            headers,
+            body,
+            signal: controller.signal,
+          });
       const status = res.status;
 
       // 增强的错误处理和响应解析
@@ -2951,8 +4358,23 @@ function getSessionPromptSummary(session) {
 
 // 已移除“未收藏聊天记录云端同步”功能：不再自动同步 sessions/snapshots。
 
+// Copies the images of the session's latest model turn into the generated
+// library (signed-in users only).
 async function persistGeneratedImagesInSession(sessionId) {
-  // cloud image persistence removed
+  if (!isAuthed()) return;
+  const messages = state.sessions[sessionId]?.messages || [];
+  const last = [...messages].reverse().find((m) => m.role === "model");
+  const blobs = (last?.parts || [])
+    .map((part) => {
+      const inline = part?.inline_data || part?.inlineData;
+      if (!inline?.data) return null;
+      const mime = inline.mime_type || inline.mimeType || "image/png";
+      return dataUrlToBlob(`data:${mime};base64,${inline.data}`);
+    })
+    .filter(Boolean);
+  if (!blobs.length) return;
+  const stored = await saveImagesToCloud(blobs, "generated");
+  if (stored.some(Boolean)) reloadCloudImagesIfShowing("generated");
 }
 
 async function retrySession(id) {
@@ -2988,7 +4410,7 @@ function createCard(id, index, prompt) {
   card.innerHTML = `
         <div class="session-card-header bg-gray-900/80 border-b border-gray-800 px-3 rounded-t-xl relative z-10">
             <div class="session-card-header-left flex items-center gap-3">
-                <input type="checkbox" class="custom-checkbox" onchange="toggleSelection('${id}', this.checked)">
+                <input type="checkbox" class="custom-checkbox" ${handlerAttrs("change", "toggleSelection", id, "$checked")}>
                 <div class="flex items-center gap-2 overflow-hidden">
                     <span class="text-[10px] font-bold text-gray-500 bg-gray-800 px-2 py-0.5 rounded">#${index}</span>
                     <span class="text-xs text-gray-300 truncate font-medium max-w-[80px] md:max-w-[120px]" title="${prompt}">${prompt.substring(0, 30)}...</span>
@@ -2996,11 +4418,11 @@ function createCard(id, index, prompt) {
             </div>
             <div class="session-card-header-right flex items-center gap-1">
                 <div id="status-${id}" class="mr-2 flex items-center gap-1 text-[10px] text-blue-400 font-mono"><span class="w-2 h-2 bg-blue-500 rounded-full animate-pulse"></span> 生成中</div>
-                <button onclick="openChat('${id}')" class="p-1.5 text-gray-400 hover:text-purple-400 hover:bg-purple-900/20 rounded transition-colors active:scale-95"><span class="material-symbols-rounded text-lg">chat</span></button>
-                <button onclick="viewRaw('${id}')" class="p-1.5 text-gray-400 hover:text-white hover:bg-gray-700 rounded transition-colors active:scale-95"><span class="material-symbols-rounded text-lg">data_object</span></button>
-                <button id="stop-${id}" onclick="stopSession('${id}')" ${stopBtnDisabledAttr} class="p-1.5 text-gray-400 hover:text-red-400 hover:bg-red-900/20 rounded transition-colors active:scale-95${stopBtnExtraClasses}" title="停止生成"><span class="material-symbols-rounded text-lg">stop_circle</span></button>
-                <button onclick="retrySession('${id}')" class="p-1.5 text-gray-400 hover:text-orange-400 hover:bg-orange-900/20 rounded transition-colors active:scale-95" title="重试此对话"><span class="material-symbols-rounded text-lg">refresh</span></button>
-                <button onclick="deleteSession('${id}')" class="p-1.5 text-gray-400 hover:text-red-400 hover:bg-red-900/20 rounded transition-colors active:scale-95"><span class="material-symbols-rounded text-lg">delete</span></button>
+                <button ${handlerAttrs("click", "openChat", id)} class="p-1.5 text-gray-400 hover:text-purple-400 hover:bg-purple-900/20 rounded transition-colors active:scale-95"><span class="material-symbols-rounded text-lg">chat</span></button>
+                <button ${handlerAttrs("click", "viewRaw", id)} class="p-1.5 text-gray-400 hover:text-white hover:bg-gray-700 rounded transition-colors active:scale-95"><span class="material-symbols-rounded text-lg">data_object</span></button>
+                <button id="stop-${id}" ${handlerAttrs("click", "stopSession", id)} ${stopBtnDisabledAttr} class="p-1.5 text-gray-400 hover:text-red-400 hover:bg-red-900/20 rounded transition-colors active:scale-95${stopBtnExtraClasses}" title="停止生成"><span class="material-symbols-rounded text-lg">stop_circle</span></button>
+                <button ${handlerAttrs("click", "retrySession", id)} class="p-1.5 text-gray-400 hover:text-orange-400 hover:bg-orange-900/20 rounded transition-colors active:scale-95" title="重试此对话"><span class="material-symbols-rounded text-lg">refresh</span></button>
+                <button ${handlerAttrs("click", "deleteSession", id)} class="p-1.5 text-gray-400 hover:text-red-400 hover:bg-red-900/20 rounded transition-colors active:scale-95"><span class="material-symbols-rounded text-lg">delete</span></button>
             </div>
         </div>
         <div id="body-${id}" class="flex-1 overflow-y-auto p-4 md:p-5 prose prose-invert prose-sm max-w-none text-gray-300 custom-scrollbar">
@@ -3157,8 +4579,13 @@ function renderLibrary() {
                 </div>
             </div>
             <div class="flex items-center gap-2 opacity-100 md:opacity-0 group-hover:opacity-100 transition-opacity">
-                <button onclick="loadLibraryItem(${idx})" class="px-3 py-1.5 bg-blue-600 hover:bg-blue-500 text-white text-xs rounded shadow-lg font-medium active:scale-95">加载</button>
-                <button onclick="deleteLibraryItem(${idx})" class="p-1.5 text-gray-500 hover:text-red-400 hover:bg-red-900/20 rounded transition-colors active:scale-95"><span class="material-symbols-rounded text-lg">delete</span></button>
+                <button ${handlerAttrs("click", "loadLibraryItem", idx)} class="px-3 py-1.5 bg-blue-600 hover:bg-blue-500 text-white text-xs rounded shadow-lg font-medium active:scale-95">加载</button>
+                ${activeLibraryTab !== "collections" ? `<button ${handlerAttrs("click", "updateLibraryItem", idx)} class="p-1.5 text-gray-500 hover:text-blue-400 hover:bg-blue-900/20 rounded transition-colors active:scale-95" title="${activeLibraryTab === "presets" ? "用当前编辑内容覆盖" : "用当前对话覆盖"}"><span class="material-symbols-rounded text-lg">save</span></button>` : ""}
+                <button ${handlerAttrs("click", "renameLibraryItem", idx)} class="p-1.5 text-gray-500 hover:text-blue-400 hover:bg-blue-900/20 rounded transition-colors active:scale-95" title="重命名"><span class="material-symbols-rounded text-lg">edit</span></button>
+                <button ${handlerAttrs("click", "duplicateLibraryItem", idx)} class="p-1.5 text-gray-500 hover:text-blue-400 hover:bg-blue-900/20 rounded transition-colors active:scale-95" title="复制"><span class="material-symbols-rounded text-lg">content_copy</span></button>
+                <button ${handlerAttrs("click", "moveLibraryItem", idx, -1)} ${idx === 0 ? "disabled" : ""} class="p-1.5 text-gray-500 hover:text-white hover:bg-gray-800 rounded transition-colors active:scale-95 disabled:opacity-30 disabled:pointer-events-none" title="上移"><span class="material-symbols-rounded text-lg">arrow_upward</span></button>
+                <button ${handlerAttrs("click", "moveLibraryItem", idx, 1)} ${idx === items.length - 1 ? "disabled" : ""} class="p-1.5 text-gray-500 hover:text-white hover:bg-gray-800 rounded transition-colors active:scale-95 disabled:opacity-30 disabled:pointer-events-none" title="下移"><span class="material-symbols-rounded text-lg">arrow_downward</span></button>
+                <button ${handlerAttrs("click", "deleteLibraryItem", idx)} class="p-1.5 text-gray-500 hover:text-red-400 hover:bg-red-900/20 rounded transition-colors active:scale-95"><span class="material-symbols-rounded text-lg">delete</span></button>
             </div>
         `;
 
@@ -3295,11 +4722,9 @@ async function trySaveFavorite(type, item) {
   return res?.item || null;
 }
 
-async function savePreset() {
-  const name = prompt("预设名称:");
-  if (!name) return;
+function collectPresetFromEditor(id, name) {
   const preset = {
-    id: Date.now(),
+    id,
     name,
     promptBuilder: clonePromptBuilder(state.promptBuilder),
     systemInstruction: state.systemInstruction,
@@ -3314,6 +4739,13 @@ async function savePreset() {
       },
     ];
   }
+  return preset;
+}
+
+async function savePreset() {
+  const name = prompt("预设名称:");
+  if (!name) return;
+  const preset = collectPresetFromEditor(Date.now(), name);
 
   if (isAuthed()) {
     try {
@@ -3480,6 +4912,138 @@ async function deleteLibraryItem(idx) {
   renderLibrary();
 }
 
+function getLibraryItems(tab = activeLibraryTab) {
+  return tab === "presets"
+    ? state.presets
+    : tab === "chats"
+      ? state.savedChats
+      : state.collections;
+}
+
+function saveLocalLibrary(tab = activeLibraryTab) {
+  if (isAuthed()) return;
+  const key =
+    tab === "presets"
+      ? "gem_presets_v3.7"
+      : tab === "chats"
+        ? "gem_chats_v3.7"
+        : "gem_collections_v1.0";
+  localStorage.setItem(key, JSON.stringify(getLibraryItems(tab)));
+}
+
+async function renameLibraryItem(idx) {
+  const list = getLibraryItems();
+  const item = list[idx];
+  if (!item) return;
+  const name = prompt("新名称:", item.name || "")?.trim();
+  if (!name || name === item.name) return;
+  try {
+    if (isAuthed()) {
+      await apiFetchJson("/api/favorites/rename", {
+        method: "POST",
+        json: { type: activeLibraryTab, id: item.id, name },
+      });
+    }
+    item.name = name;
+    saveLocalLibrary();
+    renderLibrary();
+  } catch (e) {
+    alert(`重命名失败：${e?.message || e}`);
+  }
+}
+
+async function moveLibraryItem(idx, delta) {
+  const list = getLibraryItems();
+  const to = idx + delta;
+  if (!list[idx] || to < 0 || to >= list.length) return;
+  const [item] = list.splice(idx, 1);
+  list.splice(to, 0, item);
+  renderLibrary();
+  saveLocalLibrary();
+  if (!isAuthed()) return;
+  try {
+    await apiFetchJson("/api/favorites/reorder", {
+      method: "POST",
+      json: { type: activeLibraryTab, ids: list.map((x) => x?.id) },
+    });
+  } catch (e) {
+    // Roll back the optimistic move.
+    list.splice(to, 1);
+    list.splice(idx, 0, item);
+    renderLibrary();
+    alert(`排序失败：${e?.message || e}`);
+  }
+}
+
+async function duplicateLibraryItem(idx) {
+  const tab = activeLibraryTab;
+  const list = getLibraryItems(tab);
+  const item = list[idx];
+  if (!item) return;
+  try {
+    let copy;
+    if (isAuthed()) {
+      const res = await apiFetchJson("/api/favorites/duplicate", {
+        method: "POST",
+        json: { type: tab, id: item.id },
+      });
+      copy = res?.item;
+    } else {
+      copy = JSON.parse(JSON.stringify(item));
+      copy.id = Date.now();
+      copy.name = `${item.name || ""} (副本)`;
+    }
+    if (!copy) return;
+    list.splice(idx + 1, 0, copy);
+    saveLocalLibrary(tab);
+    renderLibrary();
+  } catch (e) {
+    alert(`复制失败：${e?.message || e}`);
+  }
+}
+
+// Overwrites a preset with the prompt editor contents, or a saved chat with
+// the active session. Unchanged images keep their server snapshots.
+async function updateLibraryItem(idx) {
+  const tab = activeLibraryTab;
+  const list = getLibraryItems(tab);
+  const item = list[idx];
+  if (!item) return;
+  let next;
+  if (tab === "presets") {
+    next = collectPresetFromEditor(item.id, item.name);
+  } else if (tab === "chats") {
+    const session = state.sessions[state.activeSessionId];
+    if (!session) return alert("请先选中一个对话");
+    next = {
+      ...item,
+      timestamp: Date.now(),
+      messages: session.messages || [],
+      systemInstruction: session.systemInstruction,
+    };
+  } else {
+    return;
+  }
+  if (!confirm(`确定用当前内容覆盖「${item.name}」？`)) return;
+  try {
+    if (isAuthed()) {
+      const res = await apiFetchJson("/api/favorites/update", {
+        method: "POST",
+        json: { type: tab, id: item.id, item: next },
+      });
+      if (res?.item) list[idx] = res.item;
+    } else {
+      if (tab === "chats")
+        next.messages = makeMessagesStorageSafe(next.messages);
+      list[idx] = next;
+      saveLocalLibrary(tab);
+    }
+    renderLibrary();
+  } catch (e) {
+    alert(`更新失败：${e?.message || e}`);
+  }
+}
+
 function exportLibrary() {
   const data = {
     version: "4.0",
@@ -3667,6 +5231,37 @@ function escapeHtml(str = "") {
   );
 }
 
+// Event handlers in markup are data-on-<event>="functionName" plus optional
+// data-args (JSON): the page CSP forbids inline on*= attributes. "$value",
+// "$checked" and "$this" in data-args stand for the element's value, checked
+// state and the element itself. An empty data-on-click swallows the click so
+// it does not reach handlers further up.
+function handlerAttrs(event, fn, ...args) {
+  const argsAttr = args.length
+    ? ` data-args="${escapeHtml(JSON.stringify(args))}"`
+    : "";
+  return `data-on-${event}="${fn}"${argsAttr}`;
+}
+
+for (const type of ["click", "change", "input"]) {
+  document.addEventListener(type, (e) => {
+    const el = e.target.closest?.(`[data-on-${type}]`);
+    if (!el) return;
+    const handler = window[el.getAttribute(`data-on-${type}`)];
+    if (typeof handler !== "function") return;
+    const args = JSON.parse(el.dataset.args || "[]").map((arg) =>
+      arg === "$value"
+        ? el.value
+        : arg === "$checked"
+          ? el.checked
+          : arg === "$this"
+            ? el
+            : arg,
+    );
+    handler(...args);
+  });
+}
+
 function truncateText(str = "", limit = 600) {
   if (str.length <= limit) return str;
   return str.slice(0, limit).trim() + "…";
@@ -3739,7 +5334,7 @@ function renderCardPreview(sessionId) {
                     const escapedSrc = escapeHtml(src);
                     const dataSrc = escapeHtml(encodeURIComponent(src));
                     return `
-                        <div class="relative group rounded-lg border border-gray-700 bg-black/30 overflow-hidden cursor-zoom-in" data-preview-img="${dataSrc}" onclick="state.activeSessionId = '${sessionId}'; openLightbox(decodeURIComponent(this.dataset.previewImg));">
+                        <div class="relative group rounded-lg border border-gray-700 bg-black/30 overflow-hidden cursor-zoom-in" data-preview-img="${dataSrc}" ${handlerAttrs("click", "openPreviewImage", sessionId, "$this")}>
                             <img src="${escapedSrc}" loading="lazy" class="w-full h-36 md:h-40 object-contain bg-black/20 transition-transform duration-200 group-hover:scale-[1.02]" alt="AI 输出图像 ${idx + 1}">
                             <div class="absolute inset-0 flex items-center justify-center text-[10px] uppercase tracking-wider text-gray-200 bg-black/60 opacity-0 group-hover:opacity-100 transition-opacity">点击放大</div>
                         </div>
@@ -3757,7 +5352,7 @@ function renderCardPreview(sessionId) {
                 ${imageBadge}
             </div>
             ${imageSection}
-            <button class="inline-flex items-center gap-1 text-xs text-blue-400 hover:text-blue-200 transition-colors" onclick="openChat('${sessionId}')">
+            <button class="inline-flex items-center gap-1 text-xs text-blue-400 hover:text-blue-200 transition-colors" ${handlerAttrs("click", "openChat", sessionId)}>
                 查看完整回复
                 <span class="material-symbols-rounded text-base">north_east</span>
             </button>
@@ -3777,10 +5372,10 @@ function renderPreview() {
                 <span class="absolute -top-1 -left-1 text-[10px] font-bold bg-black/70 text-white px-1 rounded">${idx + 1}</span>
                 <div class="absolute inset-0 flex items-center justify-center bg-black/60 opacity-0 group-hover:opacity-100 text-white transition-opacity">
                     <div class="flex gap-1">
-                        <button onclick="state.images.splice(${idx},1);renderPreview()" class="p-1 rounded bg-red-600/80 hover:bg-red-500" title="移除">
+                        <button ${handlerAttrs("click", "removeGlobalImage", idx)} class="p-1 rounded bg-red-600/80 hover:bg-red-500" title="移除">
                             <span class="material-symbols-rounded text-xs">close</span>
                         </button>
-                        <button onclick="setFirstGlobalImage(${idx})" class="p-1 rounded bg-yellow-600/80 hover:bg-yellow-500" title="设为第一">
+                        <button ${handlerAttrs("click", "setFirstGlobalImage", idx)} class="p-1 rounded bg-yellow-600/80 hover:bg-yellow-500" title="设为第一">
                             <span class="material-symbols-rounded text-xs">looks_one</span>
                         </button>
                     </div>
@@ -3937,7 +5532,234 @@ function openMainMediaPicker() {
   toggleMediaSourceModal(true);
 }
 
-// cloud images removed
+// --- CLOUD IMAGES ---
+function toggleCloudImagesModal(show) {
+  if (!dom.cloudImagesModal) return;
+  dom.cloudImagesModal.classList.toggle("hidden", !show);
+  if (!show) runtime.cloudImages.pick = null;
+}
+
+function isCloudImagesShowing(kind) {
+  return (
+    !!dom.cloudImagesModal &&
+    !dom.cloudImagesModal.classList.contains("hidden") &&
+    runtime.cloudImages.kind === kind
+  );
+}
+
+function reloadCloudImagesIfShowing(kind) {
+  if (isCloudImagesShowing(kind)) loadCloudImages(true).catch(() => {});
+}
+
+// `pick` is the media picker context: clicking an image then attaches it
+// instead of opening it.
+function openCloudImages(kind = "uploads", pick = null) {
+  if (!requireLoginFor({ type: "openCloudImages", tab: kind })) return;
+  runtime.cloudImages.pick = pick;
+  runtime.cloudImages.manage = false;
+  if (dom.cloudImagesTitle)
+    dom.cloudImagesTitle.textContent = pick ? "从云图片库选择" : "云图片库";
+  dom.cloudImagesManageBtn?.classList.toggle("hidden", !!pick);
+  dom.cloudImagesModal.classList.remove("hidden");
+  switchCloudImagesTab(kind === "generated" ? "generated" : "uploads");
+  refreshCloudUsage().catch(() => {});
+}
+
+function switchCloudImagesTab(kind) {
+  runtime.cloudImages.kind = kind;
+  [
+    ["uploads", dom.cloudTabUploadsBtn],
+    ["generated", dom.cloudTabGeneratedBtn],
+  ].forEach(([k, btn]) => {
+    if (!btn) return;
+    btn.className =
+      k === kind
+        ? "flex-1 md:flex-none px-6 py-3 text-xs font-medium text-blue-400 border-b-2 border-blue-500 bg-blue-900/10 focus:outline-none"
+        : "flex-1 md:flex-none px-6 py-3 text-xs font-medium text-gray-400 hover:text-gray-200 focus:outline-none";
+  });
+  loadCloudImages(true).catch((e) => alert(`加载云图片库失败：${e.message}`));
+}
+
+async function loadCloudImages(reset = false) {
+  const gallery = runtime.cloudImages;
+  if (gallery.loading && !reset) return;
+  const kind = gallery.kind;
+  const cursor = reset ? null : gallery.nextCursor;
+  if (reset) {
+    gallery.items = [];
+    gallery.nextCursor = null;
+    renderCloudImages();
+  }
+  gallery.loading = true;
+  try {
+    const params = new URLSearchParams({
+      kind,
+      limit: String(CLOUD_IMAGES_PAGE_SIZE),
+    });
+    if (cursor) params.set("cursor", cursor);
+    const res = await apiFetchJson(`/api/images/list?${params}`);
+    // Ignore a page that arrives after the user switched libraries.
+    if (gallery.kind !== kind) return;
+    gallery.items.push(...(res?.items || []));
+    gallery.nextCursor = res?.nextCursor || null;
+  } finally {
+    gallery.loading = false;
+    renderCloudImages();
+  }
+}
+
+function renderCloudImages() {
+  const { items, nextCursor, manage, pick } = runtime.cloudImages;
+  if (!dom.cloudImagesGrid) return;
+  dom.cloudImagesGrid.innerHTML = items
+    .map(
+      (it, idx) => `
+        <div class="relative group aspect-square rounded-lg overflow-hidden border border-gray-800 bg-black/30">
+            <img src="${escapeHtml(it.thumbUri || it.fileUri || "")}" loading="lazy" class="w-full h-full object-cover cursor-pointer opacity-90 group-hover:opacity-100 transition-opacity" ${handlerAttrs("click", "openCloudImage", idx)} alt="${escapeHtml(it.name || "")}">
+            ${
+              manage && !pick
+                ? `<button ${handlerAttrs("click", "deleteCloudImage", idx)} class="absolute top-1 right-1 p-1 rounded bg-red-600/80 hover:bg-red-500 text-white" title="删除"><span class="material-symbols-rounded text-xs">delete</span></button>`
+                : ""
+            }
+        </div>`,
+    )
+    .join("");
+  dom.cloudImagesEmpty?.classList.toggle(
+    "hidden",
+    items.length > 0 || runtime.cloudImages.loading,
+  );
+  dom.cloudImagesMoreBtn?.classList.toggle("hidden", !nextCursor);
+  dom.cloudImagesManageBar?.classList.toggle("hidden", !manage || !!pick);
+  dom.cloudImagesManageBtn?.classList.toggle("text-red-400", manage);
+}
+
+function toggleCloudImagesManage() {
+  runtime.cloudImages.manage = !runtime.cloudImages.manage;
+  renderCloudImages();
+}
+
+async function openCloudImage(idx) {
+  const gallery = runtime.cloudImages;
+  const item = gallery.items[idx];
+  if (!item?.fileUri) return;
+  if (gallery.pick) return await pickCloudImage(item);
+  state.lightboxContext = { type: "cloud", items: gallery.items, index: idx };
+  openLightbox(item.fileUri, item.thumbUri);
+}
+
+async function pickCloudImage(item) {
+  const ctx = runtime.cloudImages.pick;
+  let dataUrl;
+  try {
+    dataUrl = await fileUriToDataUrl(item.fileUri);
+  } catch (e) {
+    return alert(e.message);
+  }
+  const imgObj = {
+    mime: dataUrl.split(";")[0].split(":")[1],
+    data: dataUrl.split(",")[1],
+    b64: dataUrl,
+    file_uri: item.fileUri,
+  };
+  if (item.thumbUri) imgObj.thumb_uri = item.thumbUri;
+  if (ctx?.type === "chat") attachImage(imgObj, "chat", ctx.sessionId ?? null);
+  else attachImage(imgObj, "global");
+  toggleCloudImagesModal(false);
+}
+
+async function deleteCloudImage(idx) {
+  const gallery = runtime.cloudImages;
+  const item = gallery.items[idx];
+  if (!item || !confirm("删除这张图片？已收藏的内容不受影响。")) return;
+  try {
+    const res = await apiFetchJson(
+      `/api/images/${gallery.kind}/${encodeURIComponent(item.name)}`,
+      { method: "DELETE" },
+    );
+    gallery.items = gallery.items.filter((x) => x !== item);
+    renderCloudImages();
+    if (res?.usage) renderCloudUsage(res.usage);
+  } catch (e) {
+    alert(`删除失败：${e.message}`);
+  }
+}
+
+async function clearCloudImages(all = false) {
+  const gallery = runtime.cloudImages;
+  const label = gallery.kind === "generated" ? "生成库" : "上传库";
+  const question = all
+    ? "清空上传库和生成库中的全部图片？已收藏的内容不受影响。"
+    : `清空${label}中的全部图片？已收藏的内容不受影响。`;
+  if (!confirm(question)) return;
+  try {
+    const res = all
+      ? await apiFetchJson("/api/images/clear-all", {
+          method: "POST",
+          json: {},
+        })
+      : await apiFetchJson("/api/images/clear", {
+          method: "POST",
+          json: { kind: gallery.kind },
+        });
+    if (res?.usage) renderCloudUsage(res.usage);
+    await loadCloudImages(true);
+  } catch (e) {
+    alert(`清空失败：${e.message}`);
+  }
+}
+
+function pickCloudImagesUpload() {
+  if (!dom.cloudImagesUploadInput) return;
+  dom.cloudImagesUploadInput.value = "";
+  dom.cloudImagesUploadInput.click();
+}
+
+async function uploadFilesToCloudImages(files) {
+  const list = Array.from(files || []).filter((f) =>
+    f?.type?.startsWith("image/"),
+  );
+  if (!list.length) return;
+  const failed = [];
+  await mapWithConcurrency(list, 2, async (file) => {
+    try {
+      await uploadImageToCloud(file, "uploads");
+    } catch (e) {
+      failed.push(`${file.name}：${e.message}`);
+    }
+  });
+  if (runtime.cloudImages.kind === "uploads") await loadCloudImages(true);
+  else switchCloudImagesTab("uploads");
+  if (failed.length) alert(`部分图片上传失败：\n${failed.join("\n")}`);
+}
+
+async function refreshCloudUsage() {
+  if (!isAuthed()) return renderCloudUsage(null);
+  renderCloudUsage(await apiFetchJson("/api/storage/usage"));
+}
+
+// usage: GET /api/storage/usage (quotaBytes null = unlimited), or null when
+// signed out.
+function renderCloudUsage(usage) {
+  let text = "登录后可用";
+  let percent = 0;
+  if (usage) {
+    const used = Number(usage.usedBytes) || 0;
+    const quota = usage.quotaBytes;
+    text =
+      quota == null
+        ? `已用 ${formatBytes(used)}（不限）`
+        : `已用 ${formatBytes(used)} / ${formatBytes(quota)}`;
+    percent = quota ? Math.min(100, (used / quota) * 100) : 0;
+  }
+  if (dom.cloudUsageText) dom.cloudUsageText.textContent = text;
+  if (dom.cloudImagesUsage)
+    dom.cloudImagesUsage.textContent = usage ? text : "";
+  if (dom.cloudUsageBar) {
+    dom.cloudUsageBar.style.width = `${percent}%`;
+    dom.cloudUsageBar.classList.toggle("bg-red-500", percent >= 90);
+    dom.cloudUsageBar.classList.toggle("bg-blue-500", percent < 90);
+  }
+}
 
 function stopActiveChat() {
   if (!state.activeSessionId) return;
@@ -4181,6 +6003,12 @@ function preloadAdjacentImages(items, index, neighbors = 1) {
   });
 }
 
+// Card preview thumbnails keep the full image URL in data-preview-img.
+function openPreviewImage(sessionId, el) {
+  state.activeSessionId = sessionId;
+  openLightbox(decodeURIComponent(el.dataset.previewImg));
+}
+
 function openLightbox(src, previewSrc = null) {
   const fullSrc = src;
   state.currentLightboxSrc = fullSrc;
@@ -4218,6 +6046,7 @@ function openLightbox(src, previewSrc = null) {
   }
 }
 function closeLightbox() {
+  state.lightboxContext = null;
   dom.lightbox.classList.add("opacity-0");
   dom.lightboxImg.classList.add("scale-95");
   dom.lightboxImg.classList.remove("scale-100");
@@ -0,0 +1,500 @@
+/* eslint-disable no-console */
+// Admin tool that works directly on DATA_ROOT. A running server picks up
+// user changes (sessions.json, meta.json) within seconds; secret:* commands
+// need it stopped, since the keyring is only read at startup.
+//
+//   npm run cli -- <command> [args]
+const fsp = require("node:fs/promises");
+const path = require("node:path");
+const crypto = require("node:crypto");
+const server = require("./index");
+
+const CLI_ACTOR = ":cli";
+const VALUE_FLAGS = new Set(["password", "secret"]);
+
+const USAGE = `Usage: npm run cli -- <command> [args]
+
+Commands:
+  users                                     List users with usage and quota
+  user:create <name> [--admin] [--password <pw>]
+                                            Create a user (a temporary password
+                                            is generated when none is given)
+  user:disable <name>                       Disable a user and end its sessions
+  user:enable <name>                        Re-enable a disabled user
+  user:delete <name> --yes                  Delete a user and all of its data
+  user:reset-password <name> [--password <pw>]
+                                            Set a password (temporary if generated)
+  user:reset-2fa <name>                     Turn off two-factor authentication
+                                            (lost authenticator) and end sessions
+  user:quota <name> <MiB|default>           Set or reset the gallery quota
+  usage:recompute [name...]                 Re-measure storage usage (all users
+                                            when no name is given)
+  secret:rotate [--secret <new>]            Switch to a new secret and re-encrypt
+                                            API configs and 2FA secrets; the old
+                                            one stays valid
+  secret:retire                             Stop accepting previous secrets
+  verify                                    Check data integrity (exit code 1
+                                            when problems are found)
+
+A running server picks up user changes within a few seconds; stop it
+before secret:rotate or secret:retire and start it again afterwards.`;
+
+function parseArgs(argv) {
+  const args = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) {
+      args.push(a);
+      continue;
+    }
+    const eq = a.indexOf("=");
+    const key = a.slice(2, eq === -1 ? undefined : eq);
+    if (eq !== -1) flags[key] = a.slice(eq + 1);
+    else if (VALUE_FLAGS.has(key)) flags[key] = argv[++i];
+    else flags[key] = true;
+  }
+  return { args, flags };
+}
+
+function formatBytes(bytes) {
+  if (bytes == null) return "unlimited";
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ["KiB", "MiB", "GiB", "TiB"];
+  let v = bytes / 1024;
+  let i = 0;
+  while (v >= 1024 && i < units.length - 1) {
+    v /= 1024;
+    i++;
+  }
+  return `${v.toFixed(v >= 100 ? 0 : 1)} ${units[i]}`;
+}
+
+function passwordFrom(flags) {
+  if (flags.password === undefined) return null;
+  const password = String(flags.password || "");
+  if (password.length < 6)
+    throw new Error("Password must be at least 6 characters");
+  return password;
+}
+
+async function requireUser(rawName) {
+  const username = server.sanitizeUsername(rawName);
+  if (!username) throw new Error(`Invalid username: ${rawName || ""}`);
+  const meta = await server.loadUserMeta(username);
+  if (!meta) throw new Error(`User not found: ${username}`);
+  return { username, meta };
+}
+
+async function cmdUsers() {
+  for (const username of await server.listUsers()) {
+    const meta = await server.loadUserMeta(username);
+    if (!meta) continue;
+    const usage = await server.readUsage(username);
+    const flags = [
+      meta.isAdmin && "admin",
+      meta.disabled && "disabled",
+      meta.totp && "2fa",
+      meta.pendingDeletion && `deleting ${meta.pendingDeletion.purgeAt}`,
+    ].filter(Boolean);
+    console.log(
+      `${username}\t${formatBytes(server.usageTotalBytes(usage))} / ${formatBytes(
+        await server.getQuotaBytes(username),
+      )}${flags.length ? `\t${flags.join(", ")}` : ""}`,
+    );
+  }
+}
+
+async function cmdUserCreate({ args, flags }) {
+  const username = server.sanitizeUsername(args[0]);
+  if (!username)
+    throw new Error("Username must be 3-32 letters, digits, _ or -");
+  if (await server.loadUserMeta(username))
+    throw new Error(`User already exists: ${username}`);
+  const given = passwordFrom(flags);
+  const password = given || server.generateTempPassword();
+  const meta = await server.createUserAccount(username, password, {
+    isAdmin: flags.admin === true,
+  });
+  if (!given) {
+    meta.mustChangePassword = true;
+    await server.saveUserMeta(username, meta);
+  }
+  await server.writeAudit("account.create", {
+    actor: CLI_ACTOR,
+    target: username,
+    isAdmin: meta.isAdmin,
+  });
+  console.log(`Created ${meta.isAdmin ? "admin " : ""}user ${username}`);
+  if (!given) console.log(`Temporary password: ${password}`);
+}
+
+async function cmdUserSetDisabled({ args }, disabled) {
+  const { username, meta } = await requireUser(args[0]);
+  if (disabled) meta.disabled = true;
+  else delete meta.disabled;
+  meta.updatedAt = new Date().toISOString();
+  await server.saveUserMeta(username, meta);
+  if (disabled) await server.revokeAllSessions(username);
+  await server.writeAudit(disabled ? "admin.disable" : "admin.enable", {
+    actor: CLI_ACTOR,
+    target: username,
+  });
+  console.log(`${disabled ? "Disabled" : "Enabled"} ${username}`);
+}
+
+async function cmdUserDelete({ args, flags }) {
+  const { username } = await requireUser(args[0]);
+  if (flags.yes !== true)
+    throw new Error(`This deletes ${username} and all of its data; add --yes`);
+  await server.deleteUserAccount(username);
+  await server.writeAudit("account.delete", {
+    actor: CLI_ACTOR,
+    target: username,
+  });
+  console.log(`Deleted ${username}`);
+}
+
+async function cmdUserResetPassword({ args, flags }) {
+  const { username, meta } = await requireUser(args[0]);
+  const given = passwordFrom(flags);
+  const password = given || server.generateTempPassword();
+  await server.setUserPassword(username, meta, password, {
+    temporary: !given,
+  });
+  await server.revokeAllSessions(username);
+  await server.writeAudit("admin.reset-password", {
+    actor: CLI_ACTOR,
+    target: username,
+  });
+  console.log(`Password of ${username} reset; its sessions have ended`);
+  if (!given) console.log(`Temporary password: ${password}`);
+}
+
+async function cmdUserResetTwoFactor({ args }) {
+  const { username, meta } = await requireUser(args[0]);
+  if (!meta.totp && !meta.totpPending)
+    throw new Error(`${username} has no two-factor authentication`);
+  delete meta.totp;
+  delete meta.totpPending;
+  meta.updatedAt = new Date().toISOString();
+  await server.saveUserMeta(username, meta);
+  await server.revokeAllSessions(username);
+  await server.writeAudit("admin.reset-2fa", {
+    actor: CLI_ACTOR,
+    target: username,
+  });
+  console.log(
+    `Two-factor authentication of ${username} removed; its sessions have ended`,
+  );
+}
+
+async function cmdUserQuota({ args }) {
+  const { username, meta } = await requireUser(args[0]);
+  const raw = String(args[1] || "");
+  let bytes = null;
+  if (raw !== "default") {
+    const mib = Number(raw);
+    if (!raw || !Number.isFinite(mib) || mib <= 0)
+      throw new Error('Quota must be a positive number of MiB or "default"');
+    bytes = Math.round(mib * 1024 * 1024);
+  }
+  await server.setCustomQuotaBytes(username, bytes);
+  await server.writeAudit("admin.quota", {
+    actor: CLI_ACTOR,
+    target: username,
+    galleryBytes: bytes,
+  });
+  console.log(
+    `Quota of ${username}: ${formatBytes(await server.getQuotaBytes(username))}${
+      meta.isAdmin ? " (admins are not limited)" : ""
+    }`,
+  );
+}
+
+async function cmdUsageRecompute({ args }) {
+  const names = args.length
+    ? (await Promise.all(args.map(requireUser))).map((u) => u.username)
+    : await server.listUsers();
+  for (const username of names) {
+    const before = server.usageTotalBytes(await server.readUsage(username));
+    const after = server.usageTotalBytes(await server.recomputeUsage(username));
+    console.log(`${username}\t${formatBytes(before)} -> ${formatBytes(after)}`);
+  }
+}
+
+async function writeSecretFile(file, text) {
+  const tmp = `${file}.tmp`;
+  await fsp.writeFile(tmp, text, { encoding: "utf8", mode: 0o600 });
+  await fsp.rename(tmp, file);
+}
+
+async function cmdSecretRotate({ flags }) {
+  const newSecret =
+    flags.secret === undefined
+      ? crypto.randomBytes(32).toString("hex")
+      : String(flags.secret || "").trim();
+  if (newSecret.length < 16)
+    throw new Error("The new secret must be at least 16 characters");
+  const keyring = await server.loadKeyring();
+  if (keyring.keys.some((k) => k.secret === newSecret))
+    throw new Error("The new secret is already in use");
+
+  // The server re-encrypts API configs at startup, so with env-managed
+  // secrets there is nothing to do here but say how to switch.
+  if (String(process.env.BANANA_SECRET || "").trim()) {
+    console.log(
+      `BANANA_SECRET is set in the environment. To rotate, set\n` +
+        `  BANANA_SECRET=${newSecret}\n` +
+        `  BANANA_SECRET_PREVIOUS=<the current BANANA_SECRET>\n` +
+        `and restart the server; it re-encrypts API configs on startup.`,
+    );
+    return;
+  }
+
+  // The old secret stays valid (sessions, unconverted configs) until retired.
+  let fileSecrets = [];
+  try {
+    fileSecrets = (await fsp.readFile(server.previousSecretsPath(), "utf8"))
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  await writeSecretFile(
+    server.previousSecretsPath(),
+    `${[keyring.current.secret, ...fileSecrets].join("\n")}\n`,
+  );
+  await writeSecretFile(server.secretFilePath(), newSecret);
+  const next = await server.loadKeyring();
+  const { reencrypted, unreadable } = await server.reencryptApiConfigs(next);
+  const totp = await server.reencryptTotpSecrets(next);
+  await server.writeAudit("secret.rotate", {
+    actor: CLI_ACTOR,
+    kid: next.current.kid,
+    reencrypted: reencrypted + totp.reencrypted,
+  });
+  console.log(
+    `Switched to secret ${next.current.kid}; re-encrypted ${reencrypted} API config(s) and ${totp.reencrypted} 2FA secret(s)`,
+  );
+  for (const { owner, name } of unreadable)
+    console.log(
+      `warning: API config "${name}" of ${owner} cannot be decrypted`,
+    );
+  for (const username of totp.unreadable)
+    console.log(`warning: 2FA secret of ${username} cannot be decrypted`);
+  console.log(
+    "Existing sessions stay valid. Run secret:retire once they have expired (7 days).",
+  );
+}
+
+async function cmdSecretRetire() {
+  const keyring = await server.loadKeyring();
+  const retired = keyring.keys.slice(1);
+  if (!retired.length) return console.log("No previous secrets to retire");
+  // Nothing may still depend on a secret that is about to go away.
+  const { reencrypted, unreadable } = await server.reencryptApiConfigs(keyring);
+  const totp = await server.reencryptTotpSecrets(keyring);
+  const stuck = [
+    ...unreadable.map(({ owner, name }) => `"${name}" of ${owner}`),
+    ...totp.unreadable.map((username) => `the 2FA secret of ${username}`),
+  ];
+  if (stuck.length)
+    throw new Error(`Cannot re-encrypt ${stuck.join(", ")}; nothing retired`);
+  await fsp.rm(server.previousSecretsPath(), { force: true });
+  await server.writeAudit("secret.retire", {
+    actor: CLI_ACTOR,
+    kids: retired.map((k) => k.kid),
+    reencrypted: reencrypted + totp.reencrypted,
+  });
+  console.log(
+    `Retired ${retired.length} secret(s): ${retired.map((k) => k.kid).join(", ")}`,
+  );
+  if (String(process.env.BANANA_SECRET_PREVIOUS || "").trim())
+    console.log("Also remove BANANA_SECRET_PREVIOUS from the environment.");
+  console.log("Sessions signed with retired secrets must log in again.");
+}
+
+// ---- verify ----
+
+// Like readJson, but corrupt files are reported instead of being treated as
+// missing. Returns undefined when the file does not exist.
+async function readJsonStrict(file) {
+  let text;
+  try {
+    text = await fsp.readFile(file, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return undefined;
+    throw e;
+  }
+  return JSON.parse(text);
+}
+
+async function checkApiConfigs(keyring, owner, store, report) {
+  for (const [fmt, list] of Object.entries(store?.items || {})) {
+    if (!Array.isArray(list)) continue;
+    for (const item of list) {
+      try {
+        server.decryptForUser(keyring, owner, item?.enc);
+      } catch {
+        report(`API config "${item?.name}" (${fmt}) cannot be decrypted`);
+      }
+    }
+  }
+}
+
+async function checkBlobs(username, report) {
+  const root = server.blobsDir(username);
+  let buckets = [];
+  try {
+    buckets = await fsp.readdir(root, { withFileTypes: true });
+  } catch (e) {
+    if (e.code === "ENOENT") return;
+    throw e;
+  }
+  for (const b of buckets) {
+    if (!b.isDirectory()) continue;
+    for (const name of await fsp.readdir(path.join(root, b.name))) {
+      const abs = path.join(root, b.name, name);
+      if ((await server.hashFile(abs)) !== name)
+        report(`blob ${b.name}/${name} does not match its hash`);
+    }
+  }
+}
+
+async function checkFavoriteFiles(username, type, list, report) {
+  const prefix = `/files/${encodeURIComponent(username)}/`;
+  const refs = JSON.stringify(list).match(/\/files\/[^"?#\\]+/g) || [];
+  for (const ref of new Set(refs)) {
+    if (!ref.startsWith(prefix)) continue;
+    const rel = decodeURIComponent(ref.slice(prefix.length));
+    const abs = path.join(server.USERS_ROOT, username, rel);
+    try {
+      await fsp.access(abs);
+    } catch {
+      report(`favorites/${type}.json references missing file ${rel}`);
+    }
+  }
+}
+
+async function verifyUser(keyring, username, report) {
+  if (!server.sanitizeUsername(username)) report("invalid directory name");
+  const userDir = path.join(server.USERS_ROOT, username);
+  const json = async (rel) => {
+    try {
+      return await readJsonStrict(path.join(userDir, rel));
+    } catch (e) {
+      report(`${rel} is unreadable: ${e.message}`);
+      return null;
+    }
+  };
+
+  const meta = await json("meta.json");
+  if (meta === undefined) report("meta.json is missing");
+  else if (meta) {
+    if (meta.username !== username)
+      report(`meta.json names a different user (${meta.username})`);
+    if (typeof meta.salt !== "string" || typeof meta.hash !== "string")
+      report("meta.json has no password hash");
+    if (meta.totp) {
+      try {
+        server.decryptForUser(keyring, username, meta.totp.enc);
+      } catch {
+        report("2FA secret cannot be decrypted");
+      }
+    }
+  }
+  await json("quota.json");
+  const sessions = await json("sessions.json");
+  if (sessions && !Array.isArray(sessions))
+    report("sessions.json is not a list");
+
+  for (const type of server.FAVORITE_TYPES) {
+    const list = await json(`favorites/${type}.json`);
+    if (list == null) continue;
+    if (!Array.isArray(list)) report(`favorites/${type}.json is not a list`);
+    else await checkFavoriteFiles(username, type, list, report);
+  }
+
+  const configs = await json(path.join("settings", "api-configs.json"));
+  if (configs) await checkApiConfigs(keyring, username, configs, report);
+
+  await checkBlobs(username, report);
+
+  if ((await json("usage.json")) !== null) {
+    const recorded = server.usageTotalBytes(await server.readUsage(username));
+    const actual = server.usageTotalBytes(await server.measureUsage(username));
+    if (recorded !== actual)
+      report(
+        `usage.json says ${recorded} bytes but ${actual} are stored (run usage:recompute)`,
+      );
+  }
+}
+
+async function cmdVerify() {
+  const keyring = await server.loadKeyring();
+  let problems = 0;
+  const reporter = (scope) => (message) => {
+    problems += 1;
+    console.log(`[${scope}] ${message}`);
+  };
+
+  const shared = reporter("shared");
+  try {
+    const store = await readJsonStrict(server.sharedApiConfigsPath());
+    if (store)
+      await checkApiConfigs(
+        keyring,
+        server.SHARED_API_CONFIG_OWNER,
+        store,
+        shared,
+      );
+  } catch (e) {
+    shared(`shared-api-configs.json is unreadable: ${e.message}`);
+  }
+
+  const users = await server.listUsers();
+  for (const username of users)
+    await verifyUser(keyring, username, reporter(username));
+
+  console.log(
+    problems
+      ? `${problems} problem(s) found in ${users.length} user(s)`
+      : `OK: ${users.length} user(s) checked`,
+  );
+  if (problems) process.exitCode = 1;
+}
+
+const COMMANDS = {
+  users: cmdUsers,
+  "user:create": cmdUserCreate,
+  "user:disable": (opts) => cmdUserSetDisabled(opts, true),
+  "user:enable": (opts) => cmdUserSetDisabled(opts, false),
+  "user:delete": cmdUserDelete,
+  "user:reset-password": cmdUserResetPassword,
+  "user:reset-2fa": cmdUserResetTwoFactor,
+  "user:quota": cmdUserQuota,
+  "usage:recompute": cmdUsageRecompute,
+  "secret:rotate": cmdSecretRotate,
+  "secret:retire": cmdSecretRetire,
+  verify: cmdVerify,
+};
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  const run = COMMANDS[command];
+  if (!run) {
+    console.log(USAGE);
+    if (command && command !== "help") process.exitCode = 1;
+    return;
+  }
+  await server.ensureDir(server.USERS_ROOT);
+  await server.loadAllSessions();
+  await run(parseArgs(rest));
+}
+
+main(process.argv.slice(2)).catch((e) => {
+  console.error(`error: ${e.message}`);
+  process.exitCode = 1;
+});
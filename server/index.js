@@ -4,16 +4,78 @@ const fs = require("node:fs");
 const fsp = require("node:fs/promises");
 const path = require("node:path");
 const crypto = require("node:crypto");
+const zlib = require("node:zlib");
+const dns = require("node:dns");
+const net = require("node:net");
 const { URL } = require("node:url");
 const { Transform } = require("node:stream");
 const { pipeline } = require("node:stream/promises");
+const { createThumbnailInWorker, sniffImageType } = require("./thumbnail");
+const { createTarWriter, extractTar } = require("./tar");
+const { createRegistry } = require("./metrics");
+const { createOidcClient, createPkcePair, randomToken } = require("./oidc");
+const {
+  generateSecret: generateTotpSecret,
+  provisioningUri,
+  verifyTotp,
+} = require("./totp");
 
 const ROOT = path.resolve(__dirname, "..");
-const DATA_ROOT = path.join(ROOT, "data");
-const USERS_ROOT = path.join(DATA_ROOT, "users");
 const MAX_BODY_BYTES = 50 * 1024 * 1024; // allow base64 images
 const MAX_DOWNLOAD_BYTES = 50 * 1024 * 1024;
 const DEFAULT_GALLERY_QUOTA_BYTES = 1024 * 1024 * 1024; // 1 GiB
+const GENERATE_TIMEOUT_MS = 10 * 60 * 1000;
+const FETCH_CONNECT_TIMEOUT_MS = 5 * 1000;
+const FETCH_READ_TIMEOUT_MS = 15 * 1000;
+const FETCH_TOTAL_TIMEOUT_MS = 30 * 1000;
+const FETCH_MAX_REDIRECTS = 3;
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+const FAVORITE_TYPES = ["presets", "chats", "collections"];
+// Top-level dirs of a user's data that /files/ serves.
+const USER_FILE_AREAS = ["uploads", "generated", "favorites"];
+// Orphaned favorite snapshot dirs younger than this are left alone: the add
+// route creates the dir before it writes the JSON entry.
+const FAVORITE_ORPHAN_GRACE_MS = 60 * 60 * 1000;
+const FAVORITE_SWEEP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const LOGIN_FREE_ATTEMPTS_PER_USER = 5;
+const LOGIN_FREE_ATTEMPTS_PER_IP = 20;
+const LOGIN_LOCKOUT_BASE_MS = 30 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+const LOGIN_FAILURE_TTL_MS = 24 * 60 * 60 * 1000;
+const LOGIN_KNOWN_IP_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const LOGIN_KNOWN_IPS_PER_USER = 10;
+const ACCOUNT_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+// How often the server picks up account changes made by the CLI on disk.
+const USER_FILES_SYNC_INTERVAL_MS = 2000;
+// Time between a correct password and the second-factor code.
+const TWO_FACTOR_PREAUTH_TTL_MS = 5 * 60 * 1000;
+// An enrolment secret must be confirmed with a code within this window.
+const TWO_FACTOR_SETUP_TTL_MS = 15 * 60 * 1000;
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_ISSUER = "Banana";
+// Time allowed between the redirect to the identity provider and its callback.
+const OIDC_LOGIN_TTL_MS = 10 * 60 * 1000;
+const OIDC_PENDING_MAX = 1000;
+// An SSO account without a password may set one this long after signing in.
+const SSO_REAUTH_MAX_AGE_MS = 10 * 60 * 1000;
+const CSP_REPORT_MAX_BYTES = 64 * 1024;
+const ACCESS_TOKEN_PREFIX = "bnn_pat_";
+const ACCESS_TOKEN_MAX_PER_USER = 50;
+const ACCESS_TOKEN_MAX_TTL_DAYS = 366;
+// What a personal access token may be granted. Account, session, token and
+// admin routes are never reachable with one.
+const ACCESS_TOKEN_SCOPES = [
+  "favorites:read",
+  "favorites:write",
+  "gallery:read",
+  "gallery:write",
+  "api-configs:read",
+  "api-configs:write",
+  "generate",
+];
+// requireAuth scope for routes any valid token may call (e.g. /api/me).
+const ANY_TOKEN_SCOPE = "*";
 
 function loadEnvFileIfPresent(filePath) {
   try {
@@ -46,6 +108,86 @@ function loadEnvFileIfPresent(filePath) {
 loadEnvFileIfPresent(path.join(ROOT, "server", ".env"));
 loadEnvFileIfPresent(path.join(ROOT, ".env"));
 
+// Settings below read the environment, so they come after the env files.
+const DATA_ROOT = process.env.BANANA_DATA_DIR
+  ? path.resolve(process.env.BANANA_DATA_DIR)
+  : path.join(ROOT, "data");
+const USERS_ROOT = path.join(DATA_ROOT, "users");
+// Comma-separated IPs / IPv4 CIDRs of reverse proxies whose X-Forwarded-For
+// header is trusted, e.g. "127.0.0.1,10.0.0.0/8".
+const TRUSTED_PROXIES = String(process.env.BANANA_TRUSTED_PROXIES || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+// Self-deleted accounts are kept this long (logging in again cancels the
+// deletion) before their data dir is removed; 0 deletes immediately.
+const ACCOUNT_DELETE_GRACE_DAYS = Math.max(
+  0,
+  Number(process.env.BANANA_ACCOUNT_DELETE_GRACE_DAYS ?? 7) || 0,
+);
+const ACCOUNT_DELETE_GRACE_MS = ACCOUNT_DELETE_GRACE_DAYS * 24 * 60 * 60 * 1000;
+// /api/metrics is open to admins, and to `Authorization: Bearer <token>` when
+// this is set (for Prometheus scrapers).
+const METRICS_TOKEN = String(process.env.BANANA_METRICS_TOKEN || "");
+// JSON-lines access log: "stdout" (default), "off", or a file path.
+const ACCESS_LOG = String(process.env.BANANA_ACCESS_LOG || "stdout").trim();
+// Origins (scheme://host[:port], comma-separated) that cookie-authenticated
+// POST/DELETE requests may come from. Defaults to the request's own Host.
+const PUBLIC_ORIGINS = parseOriginList(process.env.BANANA_PUBLIC_ORIGIN);
+// Content-Security-Policy: "enforce" (default), "report-only" while rolling
+// out, or "off". Violations are reported to BANANA_CSP_REPORT_URI.
+const CSP_MODE = ["report-only", "off"].includes(
+  String(process.env.BANANA_CSP || "").trim(),
+)
+  ? String(process.env.BANANA_CSP).trim()
+  : "enforce";
+const CSP_REPORT_URI = String(
+  process.env.BANANA_CSP_REPORT_URI ?? "/api/csp-report",
+).trim();
+// The browser calls model APIs directly unless the server proxy is used; by
+// default only the official endpoints the page offers (Gemini, Vertex AI,
+// OpenAI) are reachable. Other gateways need BANANA_CSP_CONNECT_SRC or the
+// server proxy.
+const CSP_CONNECT_SRC = String(
+  process.env.BANANA_CSP_CONNECT_SRC ||
+    "'self' https://generativelanguage.googleapis.com https://aiplatform.googleapis.com https://api.openai.com",
+).trim();
+const FRAME_ANCESTORS = String(
+  process.env.BANANA_FRAME_ANCESTORS || "'none'",
+).trim();
+// Strict-Transport-Security max-age for HTTPS requests; 0 leaves it out.
+const HSTS_MAX_AGE = Math.max(
+  0,
+  parseInt(process.env.BANANA_HSTS_MAX_AGE ?? "15552000", 10) || 0,
+);
+// OpenID Connect single sign-on, enabled when an issuer and client id are set.
+const OIDC_ISSUER = String(process.env.BANANA_OIDC_ISSUER || "").trim();
+const OIDC_CLIENT_ID = String(process.env.BANANA_OIDC_CLIENT_ID || "").trim();
+const OIDC_CLIENT_SECRET = String(process.env.BANANA_OIDC_CLIENT_SECRET || "");
+// Callback URL registered with the provider; derived from the Host header
+// when unset.
+const OIDC_REDIRECT_URI = String(
+  process.env.BANANA_OIDC_REDIRECT_URI || "",
+).trim();
+const OIDC_SCOPES = String(
+  process.env.BANANA_OIDC_SCOPES || "openid profile email",
+).trim();
+const OIDC_USERNAME_CLAIM = String(
+  process.env.BANANA_OIDC_USERNAME_CLAIM || "preferred_username",
+).trim();
+const OIDC_GROUPS_CLAIM = String(
+  process.env.BANANA_OIDC_GROUPS_CLAIM || "groups",
+).trim();
+// When set, membership of this group decides isAdmin at every SSO login.
+const OIDC_ADMIN_GROUP = String(
+  process.env.BANANA_OIDC_ADMIN_GROUP || "",
+).trim();
+// Lets an SSO login take over an existing local account of the same name.
+const OIDC_LINK_EXISTING = ["1", "true", "yes"].includes(
+  String(process.env.BANANA_OIDC_LINK_EXISTING || "").toLowerCase(),
+);
+const OIDC_DISPLAY_NAME = String(process.env.BANANA_OIDC_NAME || "SSO").trim();
+
 function base64urlEncode(input) {
   const buf = Buffer.isBuffer(input)
     ? input
@@ -121,13 +263,13 @@ function sendText(
   res.end(text);
 }
 
-async function readBody(req) {
+async function readBody(req, maxBytes = MAX_BODY_BYTES) {
   return await new Promise((resolve, reject) => {
     let total = 0;
     const chunks = [];
     req.on("data", (chunk) => {
       total += chunk.length;
-      if (total > MAX_BODY_BYTES) {
+      if (total > maxBytes) {
         reject(Object.assign(new Error("Body too large"), { statusCode: 413 }));
         req.destroy();
         return;
@@ -153,10 +295,14 @@ function nowIso() {
   return new Date().toISOString();
 }
 
+function secretFilePath() {
+  return path.join(DATA_ROOT, "secret.txt");
+}
+
 async function loadOrCreateSecret() {
   const envSecret = process.env.BANANA_SECRET;
   if (envSecret && envSecret.trim()) return envSecret.trim();
-  const secretPath = path.join(DATA_ROOT, "secret.txt");
+  const secretPath = secretFilePath();
   try {
     const s = (await fsp.readFile(secretPath, "utf8")).trim();
     if (s) return s;
@@ -169,28 +315,73 @@ async function loadOrCreateSecret() {
   return generated;
 }
 
+// Retired secrets stay accepted (one per line) until `npm run cli --
+// secret:retire`; BANANA_SECRET_PREVIOUS lists more, comma-separated.
+function previousSecretsPath() {
+  return path.join(DATA_ROOT, "secret.previous.txt");
+}
+
+async function readPreviousSecrets() {
+  const fromEnv = String(process.env.BANANA_SECRET_PREVIOUS || "").split(",");
+  let fromFile = [];
+  try {
+    fromFile = (await fsp.readFile(previousSecretsPath(), "utf8")).split(
+      /\r?\n/,
+    );
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  return [...fromEnv, ...fromFile].map((s) => s.trim()).filter(Boolean);
+}
+
+// Identifies a secret in tokens' and blobs' metadata without revealing it.
+function secretKeyId(secret) {
+  return crypto
+    .createHash("sha256")
+    .update(`banana-kid|${secret}`)
+    .digest("hex")
+    .slice(0, 8);
+}
+
+// The current secret signs tokens and encrypts new blobs; every key in
+// `keys` (current first) still verifies and decrypts, so a rotation does not
+// lock anyone out while stored data is re-encrypted.
+function createKeyring(current, previous = []) {
+  const keys = [];
+  for (const secret of [current, ...previous]) {
+    const kid = secretKeyId(secret);
+    if (!keys.some((k) => k.kid === kid)) keys.push({ kid, secret });
+  }
+  return { current: keys[0], keys };
+}
+
+async function loadKeyring() {
+  return createKeyring(await loadOrCreateSecret(), await readPreviousSecrets());
+}
+
 function signToken(secret, payloadB64) {
   return base64urlEncode(
     crypto.createHmac("sha256", secret).update(payloadB64).digest(),
   );
 }
 
-function createToken(secret, payload) {
+function createToken(keyring, payload) {
   const payloadB64 = base64urlEncode(JSON.stringify(payload));
-  const sig = signToken(secret, payloadB64);
+  const sig = signToken(keyring.current.secret, payloadB64);
   return `${payloadB64}.${sig}`;
 }
 
-function verifyToken(secret, token) {
+function verifyToken(keyring, token) {
   if (!token) return null;
   const parts = String(token).split(".");
   if (parts.length !== 2) return null;
   const [payloadB64, sig] = parts;
-  const expected = signToken(secret, payloadB64);
   const a = Buffer.from(sig);
-  const b = Buffer.from(expected);
-  if (a.length !== b.length) return null;
-  if (!crypto.timingSafeEqual(a, b)) return null;
+  const signedBy = keyring.keys.find(({ secret }) => {
+    const b = Buffer.from(signToken(secret, payloadB64));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  });
+  if (!signedBy) return null;
   try {
     const payload = JSON.parse(
       base64urlDecodeToBuffer(payloadB64).toString("utf8"),
@@ -218,6 +409,13 @@ function isRequestSecure(req) {
   return false;
 }
 
+// Adds to, rather than replaces, cookies already set on this response.
+function appendSetCookie(res, cookie) {
+  const prev = res.getHeader("Set-Cookie");
+  const list = prev ? (Array.isArray(prev) ? prev : [String(prev)]) : [];
+  res.setHeader("Set-Cookie", [...list, cookie]);
+}
+
 function setAuthCookie(req, res, token) {
   const isProd = (process.env.NODE_ENV || "").toLowerCase() === "production";
   const shouldSecure = isProd ? isRequestSecure(req) : false;
@@ -228,7 +426,7 @@ function setAuthCookie(req, res, token) {
     "SameSite=Lax",
   ];
   if (shouldSecure) parts.push("Secure");
-  res.setHeader("Set-Cookie", parts.join("; "));
+  appendSetCookie(res, parts.join("; "));
 }
 
 function clearAuthCookie(res) {
@@ -239,7 +437,691 @@ function clearAuthCookie(res) {
     "SameSite=Lax",
     "Max-Age=0",
   ];
-  res.setHeader("Set-Cookie", parts.join("; "));
+  appendSetCookie(res, parts.join("; "));
+}
+
+// ---- Security headers ----
+// Every response gets nosniff, a referrer policy, framing protection and (over
+// HTTPS) HSTS. The app page gets a CSP listing the CDNs banana.html loads;
+// everything else (JSON, user files) gets a locked-down sandbox policy.
+
+// jsDelivr and cdnjs serve packages anyone can publish, so scripts from them
+// are allowed only under the pinned package paths banana.html uses. Keep
+// these in sync when bumping a library version there.
+const CSP_PAGE_SOURCES = {
+  script: [
+    "https://cdn.tailwindcss.com",
+    "https://cdn.jsdelivr.net/npm/marked@12.0.2/",
+    "https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/",
+    "https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/",
+    "https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/",
+  ],
+  style: [
+    "https://fonts.googleapis.com",
+    "https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/",
+  ],
+  font: ["https://fonts.gstatic.com"],
+};
+
+const cspHeaderName =
+  CSP_MODE === "report-only"
+    ? "Content-Security-Policy-Report-Only"
+    : "Content-Security-Policy";
+
+function cspReportDirectives() {
+  if (!CSP_REPORT_URI) return [];
+  return [`report-uri ${CSP_REPORT_URI}`, "report-to csp"];
+}
+
+// Hashes of banana.html's inline <script> blocks (the Tailwind config),
+// recomputed when the file changes.
+let inlineScriptHashes = { key: "", hashes: [] };
+
+async function pageInlineScriptHashes(filePath) {
+  const stat = await fsp.stat(filePath);
+  const key = `${stat.mtimeMs}:${stat.size}`;
+  if (inlineScriptHashes.key === key) return inlineScriptHashes.hashes;
+  const html = await fsp.readFile(filePath, "utf8");
+  const hashes = [];
+  for (const m of html.matchAll(/<script>([\s\S]*?)<\/script>/g)) {
+    const digest = crypto.createHash("sha256").update(m[1]).digest("base64");
+    hashes.push(`'sha256-${digest}'`);
+  }
+  inlineScriptHashes = { key, hashes };
+  return hashes;
+}
+
+async function pageContentSecurityPolicy(filePath) {
+  const hashes = await pageInlineScriptHashes(filePath);
+  return [
+    "default-src 'self'",
+    `script-src 'self' ${hashes.join(" ")} ${CSP_PAGE_SOURCES.script.join(" ")}`,
+    // The Tailwind CDN injects <style> elements at runtime.
+    `style-src 'self' 'unsafe-inline' ${CSP_PAGE_SOURCES.style.join(" ")}`,
+    `font-src 'self' ${CSP_PAGE_SOURCES.font.join(" ")}`,
+    "img-src 'self' data: blob: https:",
+    `connect-src ${CSP_CONNECT_SRC}`,
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    `frame-ancestors ${FRAME_ANCESTORS}`,
+    ...cspReportDirectives(),
+  ].join("; ");
+}
+
+function setSecurityHeaders(req, res) {
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Referrer-Policy", "strict-origin-when-cross-origin");
+  if (FRAME_ANCESTORS === "'none'") res.setHeader("X-Frame-Options", "DENY");
+  if (HSTS_MAX_AGE && isRequestSecure(req))
+    res.setHeader("Strict-Transport-Security", `max-age=${HSTS_MAX_AGE}`);
+  if (CSP_MODE === "off") return;
+  if (CSP_REPORT_URI)
+    res.setHeader("Reporting-Endpoints", `csp="${CSP_REPORT_URI}"`);
+  res.setHeader(
+    cspHeaderName,
+    [
+      "default-src 'none'",
+      "img-src 'self' data:",
+      "style-src 'unsafe-inline'",
+      "media-src 'self'",
+      `frame-ancestors ${FRAME_ANCESTORS}`,
+      // Not allowed in a report-only policy.
+      ...(CSP_MODE === "enforce" ? ["sandbox"] : []),
+      ...cspReportDirectives(),
+    ].join("; "),
+  );
+}
+
+async function setPageSecurityHeaders(res, filePath) {
+  if (CSP_MODE === "off") return;
+  res.setHeader(cspHeaderName, await pageContentSecurityPolicy(filePath));
+}
+
+// Accepts both the legacy report-uri body ({ "csp-report": {...} }) and the
+// Reporting API's array of { type: "csp-violation", body }.
+function parseCspReports(raw) {
+  let data;
+  try {
+    data = JSON.parse(raw.toString("utf8"));
+  } catch {
+    return [];
+  }
+  const list = Array.isArray(data) ? data : [data];
+  return list
+    .map((r) => r?.["csp-report"] || (r?.type === "csp-violation" && r.body))
+    .filter((r) => r && typeof r === "object")
+    .map((r) => ({
+      directive: String(
+        r["effective-directive"] ||
+          r.effectiveDirective ||
+          r["violated-directive"] ||
+          "unknown",
+      ).split(" ")[0],
+      blocked: String(r["blocked-uri"] || r.blockedURL || "").slice(0, 200),
+      document: String(r["document-uri"] || r.documentURL || "").slice(0, 200),
+      disposition: String(r.disposition || ""),
+    }));
+}
+
+// ---- CSRF ----
+// Cookie-authenticated mutations must come from an allowed origin and echo
+// the banana_csrf cookie in the X-CSRF-Token header (double submit). The
+// cookie is readable by the page's script but not by other sites.
+
+function parseOriginList(value) {
+  return String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => {
+      let origin;
+      try {
+        origin = new URL(s).origin;
+      } catch {
+        origin = "null";
+      }
+      if (origin === "null")
+        throw new Error(`BANANA_PUBLIC_ORIGIN: invalid origin ${s}`);
+      return origin;
+    });
+}
+
+function allowedOrigins(req) {
+  if (PUBLIC_ORIGINS.length) return PUBLIC_ORIGINS;
+  const proto = isRequestSecure(req) ? "https" : "http";
+  return [`${proto}://${String(req.headers.host || "").toLowerCase()}`];
+}
+
+// Origin header, or the origin of the Referer when a browser leaves it out.
+function requestOrigin(req) {
+  if (req.headers.origin) return String(req.headers.origin);
+  if (!req.headers.referer) return null;
+  try {
+    return new URL(String(req.headers.referer)).origin;
+  } catch {
+    return "null";
+  }
+}
+
+// Returns the browser's CSRF token, issuing one when it has none yet.
+function ensureCsrfCookie(req, res) {
+  const existing = parseCookies(req).banana_csrf || "";
+  if (/^[A-Za-z0-9_-]{43}$/.test(existing)) return existing;
+  const token = randomToken(32);
+  const isProd = (process.env.NODE_ENV || "").toLowerCase() === "production";
+  const parts = [`banana_csrf=${token}`, "Path=/", "SameSite=Lax"];
+  if (isProd && isRequestSecure(req)) parts.push("Secure");
+  appendSetCookie(res, parts.join("; "));
+  return token;
+}
+
+// Requests authenticated with a personal access token carry no ambient
+// credentials, so they are not subject to the check.
+function needsCsrfCheck(req, pathname) {
+  if (!pathname.startsWith("/api/") || pathname === "/api/csp-report")
+    return false;
+  if (["GET", "HEAD", "OPTIONS"].includes(req.method)) return false;
+  return !/^Bearer\s/i.test(String(req.headers.authorization || ""));
+}
+
+// Returns the failed check ("origin" or "token"), or null.
+// (Browsers post CSP reports without the token; that endpoint only logs.)
+function csrfFailure(req) {
+  const origin = requestOrigin(req);
+  if (origin !== null && !allowedOrigins(req).includes(origin.toLowerCase()))
+    return "origin";
+  const cookie = Buffer.from(parseCookies(req).banana_csrf || "");
+  const header = Buffer.from(String(req.headers["x-csrf-token"] || ""));
+  if (
+    !cookie.length ||
+    cookie.length !== header.length ||
+    !crypto.timingSafeEqual(cookie, header)
+  )
+    return "token";
+  return null;
+}
+
+function normalizeIp(ip) {
+  const s = String(ip || "").trim();
+  return s.startsWith("::ffff:") ? s.slice(7) : s;
+}
+
+function ipv4ToInt(ip) {
+  const m = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(ip);
+  if (!m) return null;
+  const parts = m.slice(1).map(Number);
+  if (parts.some((n) => n > 255)) return null;
+  return (
+    ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3]
+  );
+}
+
+function ipMatchesRule(ip, rule) {
+  const slash = rule.indexOf("/");
+  if (slash === -1) return normalizeIp(rule) === ip;
+  const base = ipv4ToInt(rule.slice(0, slash));
+  const bits = Number(rule.slice(slash + 1));
+  const n = ipv4ToInt(ip);
+  if (base === null || n === null || !(bits >= 0 && bits <= 32)) return false;
+  const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  return (n & mask) >>> 0 === (base & mask) >>> 0;
+}
+
+function isTrustedProxy(ip) {
+  return TRUSTED_PROXIES.some((rule) => ipMatchesRule(ip, rule));
+}
+
+function clientIp(req) {
+  let ip = normalizeIp(req.socket?.remoteAddress);
+  if (!isTrustedProxy(ip)) return ip;
+  const hops = String(req.headers["x-forwarded-for"] || "")
+    .split(",")
+    .map(normalizeIp)
+    .filter(Boolean);
+  // Walk from the nearest hop outwards; the first untrusted address is the client.
+  while (hops.length) {
+    ip = hops.pop();
+    if (!isTrustedProxy(ip)) break;
+  }
+  return ip;
+}
+
+// Fixed-window request counter keyed by arbitrary strings (IP, username, ...).
+// Routes opt in via `if (rateLimited(res, limiter, key)) return;`.
+function createRateLimiter({ windowMs, max }) {
+  const hits = new Map(); // key -> { count, resetAt }
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) if (entry.resetAt <= now) hits.delete(key);
+  }, windowMs);
+  timer.unref();
+  return {
+    // Returns 0 when allowed, otherwise milliseconds until the window resets.
+    hit(key) {
+      const now = Date.now();
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count++;
+      return entry.count > max ? entry.resetAt - now : 0;
+    },
+  };
+}
+
+function sendRedirect(res, location) {
+  res.writeHead(302, { location, "cache-control": "no-store" });
+  res.end();
+}
+
+function sendTooManyRequests(res, retryAfterMs) {
+  const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.setHeader("retry-after", String(seconds));
+  return sendJson(res, 429, { error: `尝试过于频繁，请 ${seconds} 秒后再试` });
+}
+
+function rateLimited(res, limiter, key) {
+  const wait = limiter.hit(key);
+  if (!wait) return false;
+  sendTooManyRequests(res, wait);
+  return true;
+}
+
+const registerRateLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+});
+const cspReportRateLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: 60,
+});
+const passwordRateLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+});
+
+// Failed logins per "ip:<addr>" and "user:<name>". Once the free attempts are
+// used up, each further failure doubles the lockout (capped).
+const loginFailures = new Map(); // key -> { count, lockedUntil, lastFailAt }
+// Addresses each user recently signed in from. The "user:" lock can be
+// tripped by anyone who knows the name, so it is not applied to these; they
+// stay limited by their own "ip:" counter. Kept in memory only, so a restart
+// forgets them.
+const knownLoginIps = new Map(); // username -> Map<ip, lastAt>
+
+setInterval(
+  () => {
+    const now = Date.now();
+    for (const [key, entry] of loginFailures) {
+      if (
+        entry.lockedUntil <= now &&
+        now - entry.lastFailAt > LOGIN_FAILURE_TTL_MS
+      )
+        loginFailures.delete(key);
+    }
+    for (const [username, ips] of knownLoginIps) {
+      for (const [ip, at] of ips)
+        if (now - at > LOGIN_KNOWN_IP_TTL_MS) ips.delete(ip);
+      if (!ips.size) knownLoginIps.delete(username);
+    }
+  },
+  60 * 60 * 1000,
+).unref();
+
+function rememberLoginIp(username, ip) {
+  const ips = knownLoginIps.get(username) || new Map();
+  ips.delete(ip);
+  ips.set(ip, Date.now());
+  if (ips.size > LOGIN_KNOWN_IPS_PER_USER) ips.delete(ips.keys().next().value);
+  knownLoginIps.set(username, ips);
+}
+
+// Lock keys that gate a login attempt for `username` from this client.
+function loginLockKeys(req, username) {
+  const ip = clientIp(req);
+  const at = knownLoginIps.get(username)?.get(ip);
+  const known = at && Date.now() - at <= LOGIN_KNOWN_IP_TTL_MS;
+  return known ? [`ip:${ip}`] : [`ip:${ip}`, `user:${username}`];
+}
+
+function loginLockRemaining(keys) {
+  const now = Date.now();
+  let wait = 0;
+  for (const key of keys) {
+    const entry = loginFailures.get(key);
+    if (entry) wait = Math.max(wait, entry.lockedUntil - now);
+  }
+  return wait > 0 ? wait : 0;
+}
+
+function recordLoginFailure(key, freeAttempts) {
+  const now = Date.now();
+  const entry = loginFailures.get(key) || { count: 0, lockedUntil: 0 };
+  entry.count++;
+  entry.lastFailAt = now;
+  if (entry.count >= freeAttempts) {
+    entry.lockedUntil =
+      now +
+      Math.min(
+        LOGIN_LOCKOUT_MAX_MS,
+        LOGIN_LOCKOUT_BASE_MS * 2 ** (entry.count - freeAttempts),
+      );
+  }
+  loginFailures.set(key, entry);
+}
+
+// Server-tracked sessions. Each user's sessions live in
+// data/users/<username>/sessions.json and are mirrored in memory so that
+// requireAuth can stay synchronous.
+const sessionsByUser = new Map(); // username -> Map<sid, session>
+
+function sessionsPath(username) {
+  return path.join(USERS_ROOT, username, "sessions.json");
+}
+
+async function loadAllSessions() {
+  const now = Date.now();
+  for (const username of await listUsers()) {
+    const list = await readJson(sessionsPath(username), []);
+    const map = new Map();
+    for (const s of Array.isArray(list) ? list : []) {
+      if (s && s.id && Number(s.expiresAt) > now) map.set(s.id, s);
+    }
+    if (map.size) sessionsByUser.set(username, map);
+    persistedSessionIds.set(username, new Set(map.keys()));
+  }
+}
+
+// The CLI may rewrite sessions.json while the server runs (it only ever
+// removes sessions), so before trusting or overwriting its copy the server
+// drops sessions that were in the file and are gone from it. Sessions not
+// written yet are kept.
+const sessionFileKeys = new Map(); // username -> stat key of the last seen file
+const persistedSessionIds = new Map(); // username -> Set of ids in that file
+
+async function fileKey(filePath) {
+  const st = await statOrNull(filePath);
+  return st ? `${st.ino}:${st.mtimeMs}:${st.size}` : null;
+}
+
+async function syncSessionsFromDisk(username) {
+  const key = await fileKey(sessionsPath(username));
+  if (sessionFileKeys.get(username) === key) return;
+  const list = key ? await readJson(sessionsPath(username), []) : [];
+  const onDisk = new Set((Array.isArray(list) ? list : []).map((x) => x?.id));
+  // Without a file and without the account dir the account was deleted.
+  const deleted = !key && !(await statOrNull(path.join(USERS_ROOT, username)));
+  const map = sessionsByUser.get(username);
+  const persisted = persistedSessionIds.get(username);
+  for (const sid of Array.from(map?.keys() || []))
+    if (deleted || (persisted?.has(sid) && !onDisk.has(sid))) map.delete(sid);
+  persistedSessionIds.set(username, onDisk);
+  sessionFileKeys.set(username, key);
+}
+
+async function persistSessions(username) {
+  if (!fs.existsSync(path.join(USERS_ROOT, username))) return;
+  await syncSessionsFromDisk(username);
+  const list = Array.from(sessionsByUser.get(username)?.values() || []);
+  await writeJsonAtomic(sessionsPath(username), list);
+  persistedSessionIds.set(username, new Set(list.map((x) => x.id)));
+  sessionFileKeys.set(username, await fileKey(sessionsPath(username)));
+}
+
+async function createSession(
+  username,
+  req,
+  { mustChangePassword = false, mustEnrollTwoFactor = false, sso = false } = {},
+) {
+  const now = Date.now();
+  const map = sessionsByUser.get(username) || new Map();
+  for (const [sid, s] of map) if (Number(s.expiresAt) <= now) map.delete(sid);
+  const session = {
+    id: crypto.randomBytes(16).toString("hex"),
+    createdAt: nowIso(),
+    lastSeenAt: nowIso(),
+    expiresAt: now + SESSION_TTL_MS,
+    ip: clientIp(req),
+    userAgent: String(req.headers["user-agent"] || "").slice(0, 300),
+  };
+  // Sessions opened with a temporary password only unlock the
+  // change-password flow until a new password is set.
+  if (mustChangePassword) session.mustChangePassword = true;
+  // Likewise for admins who must enrol in 2FA before doing anything else.
+  if (mustEnrollTwoFactor) session.mustEnrollTwoFactor = true;
+  if (sso) session.sso = true;
+  map.set(session.id, session);
+  sessionsByUser.set(username, map);
+  await persistSessions(username);
+  return session;
+}
+
+function touchSession(username, session, req) {
+  const last = Date.parse(session.lastSeenAt) || 0;
+  if (Date.now() - last < SESSION_TOUCH_INTERVAL_MS) return;
+  session.lastSeenAt = nowIso();
+  session.ip = clientIp(req);
+  persistSessions(username).catch((e) => console.error(e));
+}
+
+async function revokeSession(username, sid) {
+  const map = sessionsByUser.get(username);
+  if (!map || !map.delete(sid)) return false;
+  await persistSessions(username);
+  return true;
+}
+
+// Revoke every session of a user (password change, admin actions), optionally
+// keeping the caller's own session.
+async function revokeAllSessions(username, exceptSid = null) {
+  const map = sessionsByUser.get(username);
+  if (!map) return 0;
+  let n = 0;
+  for (const sid of Array.from(map.keys())) {
+    if (sid === exceptSid) continue;
+    map.delete(sid);
+    n++;
+  }
+  await persistSessions(username);
+  return n;
+}
+
+// Personal access tokens for scripts, stored hashed in
+// data/users/<username>/access-tokens.json and mirrored in memory like
+// sessions. Tokens of disabled accounts are kept on disk but not loaded.
+const accessTokensByUser = new Map(); // username -> Map<id, token>
+const accessTokenOwners = new Map(); // id -> username
+
+function accessTokensPath(username) {
+  return path.join(USERS_ROOT, username, "access-tokens.json");
+}
+
+function hashAccessTokenSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+async function loadAccessTokens(username) {
+  unloadAccessTokens(username);
+  const list = await readJson(accessTokensPath(username), []);
+  const map = new Map();
+  for (const t of Array.isArray(list) ? list : []) {
+    if (!t || !t.id || !t.hash) continue;
+    map.set(t.id, t);
+    accessTokenOwners.set(t.id, username);
+  }
+  if (map.size) accessTokensByUser.set(username, map);
+}
+
+function unloadAccessTokens(username) {
+  const map = accessTokensByUser.get(username);
+  if (!map) return;
+  for (const id of map.keys()) accessTokenOwners.delete(id);
+  accessTokensByUser.delete(username);
+}
+
+async function loadAllAccessTokens() {
+  for (const username of await listUsers()) {
+    const meta = await loadUserMeta(username);
+    if (meta && !meta.disabled && !meta.pendingDeletion)
+      await loadAccessTokens(username);
+  }
+}
+
+// Follows account state the CLI changed in meta.json: tokens of disabled,
+// deleting or deleted accounts stop working, re-enabled ones come back.
+const metaFileKeys = new Map(); // username -> stat key of meta.json
+
+async function syncAccountFromDisk(username) {
+  const metaPath = path.join(USERS_ROOT, username, "meta.json");
+  const key = await fileKey(metaPath);
+  if (metaFileKeys.get(username) === key) return;
+  metaFileKeys.set(username, key);
+  const meta = key ? await loadUserMeta(username) : null;
+  if (!meta || meta.disabled || meta.pendingDeletion)
+    unloadAccessTokens(username);
+  else if (!accessTokensByUser.has(username)) await loadAccessTokens(username);
+}
+
+async function syncUserFilesFromDisk() {
+  const names = new Set([
+    ...(await listUsers()),
+    ...sessionsByUser.keys(),
+    ...accessTokensByUser.keys(),
+  ]);
+  for (const username of names) {
+    await syncSessionsFromDisk(username);
+    await syncAccountFromDisk(username);
+  }
+}
+
+async function persistAccessTokens(username) {
+  const map = accessTokensByUser.get(username);
+  if (!fs.existsSync(path.join(USERS_ROOT, username))) return;
+  await writeJsonAtomic(
+    accessTokensPath(username),
+    map ? Array.from(map.values()) : [],
+  );
+}
+
+function normalizeAccessTokenScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes.map((s) => String(s)) : [];
+  const unknown = list.find((s) => !ACCESS_TOKEN_SCOPES.includes(s));
+  if (unknown)
+    throw Object.assign(new Error(`未知的权限范围：${unknown}`), {
+      statusCode: 400,
+    });
+  const picked = ACCESS_TOKEN_SCOPES.filter((s) => list.includes(s));
+  if (!picked.length)
+    throw Object.assign(new Error("至少选择一个权限范围"), {
+      statusCode: 400,
+    });
+  return picked;
+}
+
+// Returns the stored record and the plaintext token, which is never kept.
+async function createAccessToken(username, { name, scopes, ttlDays }) {
+  const map = accessTokensByUser.get(username) || new Map();
+  if (map.size >= ACCESS_TOKEN_MAX_PER_USER)
+    throw Object.assign(
+      new Error(`最多可创建 ${ACCESS_TOKEN_MAX_PER_USER} 个访问令牌`),
+      { statusCode: 400 },
+    );
+  const id = crypto.randomBytes(8).toString("hex");
+  const secret = randomToken(32);
+  const record = {
+    id,
+    name,
+    scopes,
+    hash: hashAccessTokenSecret(secret),
+    hint: secret.slice(-4),
+    createdAt: nowIso(),
+    expiresAt: ttlDays
+      ? new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString()
+      : null,
+    lastUsedAt: null,
+    lastUsedIp: null,
+  };
+  map.set(id, record);
+  accessTokensByUser.set(username, map);
+  accessTokenOwners.set(id, username);
+  await persistAccessTokens(username);
+  return { record, token: `${ACCESS_TOKEN_PREFIX}${id}_${secret}` };
+}
+
+async function revokeAccessToken(username, id) {
+  const map = accessTokensByUser.get(username);
+  if (!map || !map.delete(id)) return false;
+  accessTokenOwners.delete(id);
+  await persistAccessTokens(username);
+  return true;
+}
+
+function listAccessTokens(username) {
+  const map = accessTokensByUser.get(username);
+  if (!map) return [];
+  return Array.from(map.values())
+    .map(({ hash, ...rest }) => rest)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// Resolves "Bearer bnn_pat_<id>_<secret>" to { username, token }, or null.
+function findAccessToken(header) {
+  const m = /^Bearer\s+bnn_pat_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/.exec(
+    String(header || "").trim(),
+  );
+  if (!m) return null;
+  const username = accessTokenOwners.get(m[1]);
+  const token = username && accessTokensByUser.get(username)?.get(m[1]);
+  if (!token) return null;
+  const given = Buffer.from(hashAccessTokenSecret(m[2]), "hex");
+  if (!crypto.timingSafeEqual(given, Buffer.from(token.hash, "hex")))
+    return null;
+  const expiresAt = token.expiresAt ? Date.parse(token.expiresAt) : Infinity;
+  if (expiresAt <= Date.now()) return null;
+  return { username, token };
+}
+
+function touchAccessToken(username, token, req) {
+  const last = Date.parse(token.lastUsedAt || "") || 0;
+  if (Date.now() - last < SESSION_TOUCH_INTERVAL_MS) return;
+  token.lastUsedAt = nowIso();
+  token.lastUsedIp = clientIp(req);
+  persistAccessTokens(username).catch((e) => console.error(e));
+}
+
+function listSessions(username) {
+  const now = Date.now();
+  const map = sessionsByUser.get(username);
+  if (!map) return [];
+  return Array.from(map.values())
+    .filter((s) => Number(s.expiresAt) > now)
+    .sort((a, b) => String(b.lastSeenAt).localeCompare(String(a.lastSeenAt)));
+}
+
+// SSO sessions leave multi-factor checks to the identity provider.
+async function issueSession(
+  keyring,
+  req,
+  res,
+  username,
+  meta,
+  { sso = false } = {},
+) {
+  const session = await createSession(username, req, {
+    mustChangePassword: !!meta.mustChangePassword,
+    mustEnrollTwoFactor: !sso && (await twoFactorEnrollmentRequired(meta)),
+    sso,
+  });
+  const token = createToken(keyring, {
+    u: username,
+    a: !!meta.isAdmin,
+    sid: session.id,
+    exp: session.expiresAt,
+  });
+  setAuthCookie(req, res, token);
+  return session;
 }
 
 function sanitizeUsername(username) {
@@ -266,15 +1148,25 @@ async function isAdminUser(username) {
 
 async function readUsage(username) {
   const usagePath = path.join(USERS_ROOT, username, "usage.json");
-  const fallback = { uploadsBytes: 0, generatedBytes: 0, updatedAt: nowIso() };
+  const fallback = {
+    uploadsBytes: 0,
+    generatedBytes: 0,
+    favoritesBytes: 0,
+    updatedAt: nowIso(),
+  };
   const usage = await readJson(usagePath, fallback);
   return {
     uploadsBytes: Number(usage.uploadsBytes || 0),
     generatedBytes: Number(usage.generatedBytes || 0),
+    favoritesBytes: Number(usage.favoritesBytes || 0),
     updatedAt: usage.updatedAt || nowIso(),
   };
 }
 
+function usageTotalBytes(usage) {
+  return usage.uploadsBytes + usage.generatedBytes + usage.favoritesBytes;
+}
+
 async function writeUsage(username, usage) {
   const usagePath = path.join(USERS_ROOT, username, "usage.json");
   await writeJsonAtomic(usagePath, { ...usage, updatedAt: nowIso() });
@@ -300,19 +1192,26 @@ async function statDirBytes(dirPath) {
   }
 }
 
-async function statDirBytesRecursive(dirPath) {
+// With `seen`, files sharing an inode (hard links into the blob store) are
+// only counted the first time they are met.
+async function statDirBytesRecursive(dirPath, seen = null) {
   try {
     const entries = await fsp.readdir(dirPath, { withFileTypes: true });
     let total = 0;
     for (const e of entries) {
       const abs = path.join(dirPath, e.name);
       if (e.isDirectory()) {
-        total += await statDirBytesRecursive(abs);
+        total += await statDirBytesRecursive(abs, seen);
         continue;
       }
       if (!e.isFile()) continue;
       try {
         const s = await fsp.stat(abs);
+        if (seen) {
+          const key = `${s.dev}:${s.ino}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+        }
         total += s.size;
       } catch {
         // ignore
@@ -325,87 +1224,448 @@ async function statDirBytesRecursive(dirPath) {
   }
 }
 
-async function recomputeUsage(username) {
+// Each unique blob is charged once, to the first dir that links it
+// (uploads, then generated, then favorites).
+async function measureUsage(username) {
   const uploadsDir = path.join(USERS_ROOT, username, "uploads");
   const generatedDir = path.join(USERS_ROOT, username, "generated");
-  const uploadsBytes = await statDirBytesRecursive(uploadsDir);
-  const generatedBytes = await statDirBytesRecursive(generatedDir);
-  const usage = { uploadsBytes, generatedBytes, updatedAt: nowIso() };
+  const favoritesDir = path.join(USERS_ROOT, username, "favorites");
+  const seen = new Set();
+  const uploadsBytes = await statDirBytesRecursive(uploadsDir, seen);
+  const generatedBytes = await statDirBytesRecursive(generatedDir, seen);
+  const favoritesBytes = await statDirBytesRecursive(favoritesDir, seen);
+  return { uploadsBytes, generatedBytes, favoritesBytes, updatedAt: nowIso() };
+}
+
+async function recomputeUsage(username) {
+  const usage = await measureUsage(username);
   await writeUsage(username, usage);
   return usage;
 }
 
+// Favorites are written in bursts (snapshots + thumbnails + JSON) and bulk
+// removals can leave blobs without any entry, so those paths drop orphaned
+// blobs and re-measure usage rather than tracking it per file.
+async function refreshStorageUsage(username) {
+  await collectOrphanBlobs(username);
+  return await recomputeUsage(username);
+}
+
+function quotaFilePath(username) {
+  return path.join(USERS_ROOT, username, "quota.json");
+}
+
+async function readCustomQuotaBytes(username) {
+  const quota = await readJson(quotaFilePath(username), null);
+  const q = Number(quota?.galleryBytes);
+  return Number.isFinite(q) && q > 0 ? q : null;
+}
+
 async function getQuotaBytes(username) {
   if (await isAdminUser(username)) return null;
-  const quotaPath = path.join(USERS_ROOT, username, "quota.json");
-  const quota = await readJson(quotaPath, null);
-  const q = Number(quota?.galleryBytes);
-  if (Number.isFinite(q) && q > 0) return q;
-  return DEFAULT_GALLERY_QUOTA_BYTES;
+  return (await readCustomQuotaBytes(username)) ?? DEFAULT_GALLERY_QUOTA_BYTES;
 }
 
-async function assertGalleryHasSpace(username, kind, incomingBytes) {
-  if (!["uploads", "generated"].includes(kind)) return;
-  const quotaBytes = await getQuotaBytes(username);
-  if (quotaBytes == null) return; // admin unlimited
+// null/0 restores the default quota.
+async function setCustomQuotaBytes(username, galleryBytes) {
+  if (!galleryBytes) {
+    await fsp.rm(quotaFilePath(username), { force: true });
+    return;
+  }
+  await writeJsonAtomic(quotaFilePath(username), {
+    galleryBytes,
+    updatedAt: nowIso(),
+  });
+}
 
-  const inc = Number.isFinite(incomingBytes) ? Math.max(0, incomingBytes) : 0;
-  let usage = await readUsage(username);
-  const used = usage.uploadsBytes + usage.generatedBytes;
-  if (used + inc <= quotaBytes) return;
+// Registration policy: "open" (anyone), "invite" (invite code required) or
+// "closed". Stored in data/settings/registration.json; BANANA_REGISTRATION
+// provides the default until an admin changes it.
+const REGISTRATION_MODES = ["open", "invite", "closed"];
 
-  // Try recompute once in case usage.json is stale
-  usage = await recomputeUsage(username);
-  const used2 = usage.uploadsBytes + usage.generatedBytes;
-  if (used2 + inc <= quotaBytes) return;
+function registrationPath() {
+  return path.join(DATA_ROOT, "settings", "registration.json");
+}
 
-  const left = Math.max(0, quotaBytes - used2);
-  const err = new Error(
-    `图库容量不足：剩余 ${(left / 1024 ** 3).toFixed(2)}GB / 总 ${(quotaBytes / 1024 ** 3).toFixed(2)}GB`,
-  );
-  err.statusCode = 507;
-  throw err;
+function invitesPath() {
+  return path.join(DATA_ROOT, "settings", "invites.json");
 }
 
-async function addUsage(username, kind, bytes) {
-  if (!["uploads", "generated"].includes(kind)) return;
-  const usage = await readUsage(username);
-  const b = Number.isFinite(bytes) ? Math.max(0, bytes) : 0;
-  if (kind === "uploads") usage.uploadsBytes += b;
-  if (kind === "generated") usage.generatedBytes += b;
-  await writeUsage(username, usage);
+async function getRegistrationMode() {
+  const saved = await readJson(registrationPath(), null);
+  if (REGISTRATION_MODES.includes(saved?.mode)) return saved.mode;
+  const env = String(process.env.BANANA_REGISTRATION || "").toLowerCase();
+  return REGISTRATION_MODES.includes(env) ? env : "invite";
 }
 
-async function changeUsage(username, kind, deltaBytes) {
-  if (!["uploads", "generated"].includes(kind)) return;
-  const usage = await readUsage(username);
-  const d = Number.isFinite(deltaBytes) ? deltaBytes : 0;
-  if (kind === "uploads")
-    usage.uploadsBytes = Math.max(0, usage.uploadsBytes + d);
-  if (kind === "generated")
-    usage.generatedBytes = Math.max(0, usage.generatedBytes + d);
-  await writeUsage(username, usage);
+async function setRegistrationMode(mode, updatedBy) {
+  await writeJsonAtomic(registrationPath(), {
+    mode,
+    updatedBy,
+    updatedAt: nowIso(),
+  });
 }
 
-async function safeStatSize(absPath) {
-  try {
-    const s = await fsp.stat(absPath);
-    if (!s.isFile()) return 0;
-    return s.size || 0;
-  } catch (e) {
-    if (e.code === "ENOENT") return 0;
-    throw e;
-  }
+async function readInvites() {
+  const list = await readJson(invitesPath(), []);
+  return Array.isArray(list) ? list : [];
 }
 
-async function safeUnlink(absPath) {
-  try {
-    await fsp.unlink(absPath);
-    return true;
-  } catch (e) {
-    if (e.code === "ENOENT") return false;
-    throw e;
-  }
+// Invite redemption is read-modify-write; serialize it so a single-use code
+// cannot be claimed twice by concurrent requests.
+let invitesLock = Promise.resolve();
+function withInvitesLock(fn) {
+  const run = invitesLock.then(fn, fn);
+  invitesLock = run.catch(() => {});
+  return run;
+}
+
+function generateInviteCode() {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.randomBytes(12);
+  let code = "";
+  for (const b of bytes) code += alphabet[b % alphabet.length];
+  return `${code.slice(0, 4)}-${code.slice(4, 8)}-${code.slice(8)}`;
+}
+
+function inviteStatus(invite, now = Date.now()) {
+  if (invite.revokedAt) return "revoked";
+  if (invite.expiresAt && Date.parse(invite.expiresAt) <= now) return "expired";
+  if (invite.maxUses && invite.uses >= invite.maxUses) return "used";
+  return "active";
+}
+
+async function createInvite({ createdBy, maxUses, expiresAt, note, admin }) {
+  return withInvitesLock(async () => {
+    const invites = await readInvites();
+    const invite = {
+      code: generateInviteCode(),
+      createdBy,
+      createdAt: nowIso(),
+      expiresAt: expiresAt || null,
+      maxUses: maxUses || 0, // 0 = unlimited
+      uses: 0,
+      usedBy: [],
+      note: note || "",
+    };
+    if (admin) invite.admin = true;
+    invites.push(invite);
+    await writeJsonAtomic(invitesPath(), invites);
+    return invite;
+  });
+}
+
+async function revokeInvite(code) {
+  return withInvitesLock(async () => {
+    const invites = await readInvites();
+    const invite = invites.find((i) => i.code === code);
+    if (!invite) return false;
+    invite.revokedAt = nowIso();
+    await writeJsonAtomic(invitesPath(), invites);
+    return true;
+  });
+}
+
+function normalizeInviteCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+// Claims one use of an invite for `username`; returns the invite or throws a
+// 400 error. `register` runs while the claim is held and must create the user.
+async function redeemInvite(code, username, register) {
+  return withInvitesLock(async () => {
+    const invites = await readInvites();
+    const invite = invites.find((i) => i.code === code);
+    if (!invite || inviteStatus(invite) !== "active") {
+      const err = new Error("邀请码无效或已过期");
+      err.statusCode = 400;
+      throw err;
+    }
+    await register(invite);
+    invite.uses = (invite.uses || 0) + 1;
+    invite.usedBy = [...(invite.usedBy || []), username];
+    invite.lastUsedAt = nowIso();
+    await writeJsonAtomic(invitesPath(), invites);
+    return invite;
+  });
+}
+
+// On a fresh install with no admin configured, mint a single-use admin invite
+// and print it once instead of promoting whoever registers first.
+async function ensureSetupInvite() {
+  if ((await listUsers()).length) return;
+  const existing = (await readInvites()).find(
+    (i) => i.admin && inviteStatus(i) === "active",
+  );
+  const invite =
+    existing ||
+    (await createInvite({
+      createdBy: ":setup",
+      maxUses: 1,
+      note: "initial admin",
+      admin: true,
+    }));
+  console.log(
+    `[setup] no users yet; register the first admin with invite code: ${invite.code}`,
+  );
+}
+
+async function createUserAccount(
+  username,
+  password,
+  { isAdmin = false, inviteCode = null } = {},
+) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const meta = {
+    username,
+    salt,
+    hash: hashPassword(password, salt),
+    isAdmin,
+    createdAt: nowIso(),
+    updatedAt: nowIso(),
+  };
+  if (inviteCode) meta.inviteCode = inviteCode;
+  await saveUserMeta(username, meta);
+  await ensureDir(path.join(USERS_ROOT, username, "uploads"));
+  await ensureDir(path.join(USERS_ROOT, username, "generated"));
+  await ensureDir(path.join(USERS_ROOT, username, "favorites"));
+  await ensureDir(path.join(USERS_ROOT, username, "history"));
+  await writeUsage(username, {
+    uploadsBytes: 0,
+    generatedBytes: 0,
+    updatedAt: nowIso(),
+  });
+  return meta;
+}
+
+async function deleteUserAccount(username) {
+  await revokeAllSessions(username);
+  sessionsByUser.delete(username);
+  unloadAccessTokens(username);
+  loginFailures.delete(`user:${username}`);
+  knownLoginIps.delete(username);
+  await fsp.rm(path.join(USERS_ROOT, username), {
+    recursive: true,
+    force: true,
+  });
+}
+
+// Starts a self-service deletion: sessions end now (access tokens are
+// suspended) and the data dir goes once the grace period is over (right away
+// without one). Returns the purge time, or null when the account is already
+// gone.
+async function scheduleAccountDeletion(username, meta) {
+  await revokeAllSessions(username);
+  unloadAccessTokens(username);
+  if (!ACCOUNT_DELETE_GRACE_MS) {
+    await deleteUserAccount(username);
+    return null;
+  }
+  const purgeAt = new Date(Date.now() + ACCOUNT_DELETE_GRACE_MS).toISOString();
+  meta.pendingDeletion = { requestedAt: nowIso(), purgeAt };
+  meta.updatedAt = nowIso();
+  await saveUserMeta(username, meta);
+  return purgeAt;
+}
+
+async function purgeDueAccounts() {
+  const purged = [];
+  for (const username of await listUsers()) {
+    const meta = await loadUserMeta(username);
+    const purgeAt = Date.parse(meta?.pendingDeletion?.purgeAt || "");
+    if (!Number.isFinite(purgeAt) || purgeAt > Date.now()) continue;
+    await deleteUserAccount(username);
+    await writeAudit("account.purge", {
+      target: username,
+      requestedAt: meta.pendingDeletion.requestedAt,
+    });
+    purged.push(username);
+  }
+  return purged;
+}
+
+async function hasOtherActiveAdmin(username) {
+  for (const u of await listUsers()) {
+    if (u === username) continue;
+    const meta = await loadUserMeta(u);
+    if (meta?.isAdmin && !meta.disabled && !meta.pendingDeletion) return true;
+  }
+  return false;
+}
+
+// ---- Audit log ----
+// Append-only JSON lines for security-relevant and admin actions: who (actor)
+// did what (action) to whom (target), from where (ip) and when (at). Records
+// outlive the accounts they mention, so they are kept outside data/users/.
+// The live file rotates to audit.jsonl.1 … .N once it grows past
+// AUDIT_ROTATE_BYTES; the oldest generation is dropped.
+
+const AUDIT_ROTATE_BYTES = 8 * 1024 * 1024;
+const AUDIT_KEEP_FILES = 5;
+const AUDIT_QUERY_MAX = 500;
+
+function auditLogPath(generation = 0) {
+  const file = path.join(DATA_ROOT, "audit", "audit.jsonl");
+  return generation ? `${file}.${generation}` : file;
+}
+
+// Rotation renames files under the writer; keep appends strictly ordered.
+let auditLock = Promise.resolve();
+function withAuditLock(fn) {
+  const run = auditLock.then(fn, fn);
+  auditLock = run.catch(() => {});
+  return run;
+}
+
+async function rotateAuditLog() {
+  const stat = await statOrNull(auditLogPath());
+  if (!stat || stat.size < AUDIT_ROTATE_BYTES) return;
+  await fsp.rm(auditLogPath(AUDIT_KEEP_FILES), { force: true });
+  for (let g = AUDIT_KEEP_FILES - 1; g >= 0; g--) {
+    await fsp.rename(auditLogPath(g), auditLogPath(g + 1)).catch((e) => {
+      if (e?.code !== "ENOENT") throw e;
+    });
+  }
+}
+
+async function writeAudit(
+  action,
+  { req = null, actor = null, target = null, ...fields } = {},
+) {
+  const entry = { at: nowIso(), action, actor, target };
+  if (req) entry.ip = clientIp(req);
+  Object.assign(entry, fields);
+  try {
+    await withAuditLock(async () => {
+      await ensureDir(path.dirname(auditLogPath()));
+      await rotateAuditLog();
+      await fsp.appendFile(auditLogPath(), `${JSON.stringify(entry)}\n`);
+    });
+  } catch (e) {
+    console.error("[audit] write failed:", e);
+  }
+}
+
+// Newest first across the live file and its rotations. `action` matches
+// exactly or as a dotted prefix ("admin" or "admin." → every admin.* entry);
+// actor, target and ip match exactly; since/until bound `at`.
+async function queryAudit({
+  action = "",
+  actor = "",
+  target = "",
+  ip = "",
+  since = NaN,
+  until = NaN,
+  offset = 0,
+  limit = 100,
+} = {}) {
+  const prefix = action.replace(/\.$/, "");
+  const matches = (e) =>
+    (!action || e.action === prefix || e.action?.startsWith(`${prefix}.`)) &&
+    (!actor || e.actor === actor) &&
+    (!target || e.target === target) &&
+    (!ip || e.ip === ip) &&
+    !(Date.parse(e.at) > until);
+  const items = [];
+  let skipped = 0;
+  for (let g = 0; g <= AUDIT_KEEP_FILES; g++) {
+    let text;
+    try {
+      text = await fsp.readFile(auditLogPath(g), "utf8");
+    } catch (e) {
+      if (e?.code === "ENOENT") continue;
+      throw e;
+    }
+    const lines = text.split("\n");
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (!lines[i]) continue;
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch {
+        continue; // torn line from a crash mid-append
+      }
+      // Entries are chronological, so everything further back is older.
+      if (Date.parse(entry.at) < since) return { items, hasMore: false };
+      if (!matches(entry)) continue;
+      if (skipped < offset) {
+        skipped++;
+        continue;
+      }
+      if (items.length === limit) return { items, hasMore: true };
+      items.push(entry);
+    }
+  }
+  return { items, hasMore: false };
+}
+
+async function assertGalleryHasSpace(username, kind, incomingBytes) {
+  if (!USER_FILE_AREAS.includes(kind)) return;
+  const quotaBytes = await getQuotaBytes(username);
+  if (quotaBytes == null) return; // admin unlimited
+
+  const inc = Number.isFinite(incomingBytes) ? Math.max(0, incomingBytes) : 0;
+  let usage = await readUsage(username);
+  const used = usageTotalBytes(usage);
+  if (used + inc <= quotaBytes) return;
+
+  // Try recompute once in case usage.json is stale
+  usage = await recomputeUsage(username);
+  const used2 = usageTotalBytes(usage);
+  if (used2 + inc <= quotaBytes) return;
+
+  const left = Math.max(0, quotaBytes - used2);
+  const err = new Error(
+    `图库容量不足：剩余 ${(left / 1024 ** 3).toFixed(2)}GB / 总 ${(quotaBytes / 1024 ** 3).toFixed(2)}GB`,
+  );
+  err.statusCode = 507;
+  throw err;
+}
+
+async function addUsage(username, kind, bytes) {
+  if (!USER_FILE_AREAS.includes(kind)) return;
+  const usage = await readUsage(username);
+  const b = Number.isFinite(bytes) ? Math.max(0, bytes) : 0;
+  if (kind === "uploads") usage.uploadsBytes += b;
+  if (kind === "generated") usage.generatedBytes += b;
+  if (kind === "favorites") usage.favoritesBytes += b;
+  await writeUsage(username, usage);
+}
+
+async function changeUsage(username, kind, deltaBytes) {
+  if (!USER_FILE_AREAS.includes(kind)) return;
+  const usage = await readUsage(username);
+  const d = Number.isFinite(deltaBytes) ? deltaBytes : 0;
+  if (kind === "uploads")
+    usage.uploadsBytes = Math.max(0, usage.uploadsBytes + d);
+  if (kind === "generated")
+    usage.generatedBytes = Math.max(0, usage.generatedBytes + d);
+  if (kind === "favorites")
+    usage.favoritesBytes = Math.max(0, usage.favoritesBytes + d);
+  await writeUsage(username, usage);
+}
+
+async function safeStatSize(absPath) {
+  try {
+    const s = await fsp.stat(absPath);
+    if (!s.isFile()) return 0;
+    return s.size || 0;
+  } catch (e) {
+    if (e.code === "ENOENT") return 0;
+    throw e;
+  }
+}
+
+async function safeUnlink(absPath) {
+  try {
+    await fsp.unlink(absPath);
+    return true;
+  } catch (e) {
+    if (e.code === "ENOENT") return false;
+    throw e;
+  }
 }
 
 async function removeDirContentsRecursive(dirPath) {
@@ -432,6 +1692,164 @@ async function removeDirContentsRecursive(dirPath) {
   }
 }
 
+// ---- Content-addressed blob store ----
+// Image bytes are kept once per user under blobs/<aa>/<sha256>. Entries in
+// uploads/, generated/ and favorites/ are hard links to those blobs, so the
+// link count doubles as the reference count and /files/ URIs stay as they
+// are. On filesystems without hard links entries fall back to plain copies.
+
+const LINK_UNSUPPORTED_CODES = new Set([
+  "EPERM",
+  "EXDEV",
+  "ENOTSUP",
+  "EOPNOTSUPP",
+  "EMLINK",
+]);
+
+function blobsDir(username) {
+  return path.join(USERS_ROOT, username, "blobs");
+}
+
+function blobPathFor(username, hash) {
+  return path.join(blobsDir(username), hash.slice(0, 2), hash);
+}
+
+async function statOrNull(absPath) {
+  try {
+    return await fsp.stat(absPath);
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+async function hashFile(absPath) {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(absPath), hash);
+  return hash.digest("hex");
+}
+
+// Returns false when the filesystem cannot hard-link `src` to `dst`.
+async function linkFile(src, dst) {
+  try {
+    await fsp.link(src, dst);
+    return true;
+  } catch (e) {
+    if (LINK_UNSUPPORTED_CODES.has(e.code)) return false;
+    throw e;
+  }
+}
+
+async function linkOrCopyFile(src, dst) {
+  await ensureDir(path.dirname(dst));
+  if (!(await linkFile(src, dst))) await fsp.copyFile(src, dst);
+}
+
+// Registers an existing entry file with the blob store. If the same bytes
+// are already stored, the file is swapped for a link to that blob and the
+// bytes it no longer occupies are returned as `reclaimedBytes`.
+async function adoptIntoBlobStore(username, absPath) {
+  const stat = await fsp.stat(absPath);
+  const hash = await hashFile(absPath);
+  const blobPath = blobPathFor(username, hash);
+  await ensureDir(path.dirname(blobPath));
+  const blob = await statOrNull(blobPath);
+  if (blob && blob.dev === stat.dev && blob.ino === stat.ino)
+    return { hash, reclaimedBytes: 0 };
+  if (blob && blob.size === stat.size) {
+    const tmp = `${absPath}.tmp.${crypto.randomBytes(6).toString("hex")}`;
+    try {
+      if (!(await linkFile(blobPath, tmp))) return { hash, reclaimedBytes: 0 };
+    } catch (e) {
+      // Collected between stat and link; adopt this file as the blob instead.
+      if (e.code !== "ENOENT") throw e;
+      return await adoptIntoBlobStore(username, absPath);
+    }
+    await fsp.rename(tmp, absPath);
+    return { hash, reclaimedBytes: stat.nlink === 1 ? stat.size : 0 };
+  }
+  if (blob) await safeUnlink(blobPath); // damaged blob, replace it
+  try {
+    await linkFile(absPath, blobPath);
+  } catch (e) {
+    if (e.code !== "EEXIST") throw e;
+  }
+  return { hash, reclaimedBytes: 0 };
+}
+
+// Writes `buf` as a new entry file, linking it to an existing blob with the
+// same content when there is one. Returns the bytes newly taken on disk.
+async function writeBlobEntry(username, buf, absPath) {
+  const hash = crypto.createHash("sha256").update(buf).digest("hex");
+  const blobPath = blobPathFor(username, hash);
+  await ensureDir(path.dirname(absPath));
+  await ensureDir(path.dirname(blobPath));
+  const blob = await statOrNull(blobPath);
+  if (blob && blob.size === buf.length) {
+    try {
+      if (await linkFile(blobPath, absPath)) return 0;
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+  } else if (blob) {
+    await safeUnlink(blobPath);
+  }
+  await fsp.writeFile(absPath, buf, { flag: "wx" });
+  try {
+    await linkFile(absPath, blobPath);
+  } catch (e) {
+    if (e.code !== "EEXIST") throw e;
+  }
+  return buf.length;
+}
+
+// Unlinks one entry file. `freedBytes` is the space actually released: the
+// whole file when this was its last reference besides the blob, else 0.
+// Returns null when the entry does not exist.
+async function releaseEntryFile(username, absPath) {
+  const stat = await statOrNull(absPath);
+  if (!stat || !stat.isFile()) return null;
+  let blobPath = null;
+  if (stat.nlink === 2) {
+    const candidate = blobPathFor(username, await hashFile(absPath));
+    const blob = await statOrNull(candidate);
+    if (blob && blob.dev === stat.dev && blob.ino === stat.ino)
+      blobPath = candidate;
+  }
+  if (!(await safeUnlink(absPath))) return null;
+  if (blobPath) await safeUnlink(blobPath);
+  const freed = stat.nlink === 1 || blobPath !== null;
+  return { size: stat.size, freedBytes: freed ? stat.size : 0 };
+}
+
+// Deletes blobs that no entry links to any more.
+async function collectOrphanBlobs(username) {
+  const root = blobsDir(username);
+  let buckets = [];
+  try {
+    buckets = await fsp.readdir(root, { withFileTypes: true });
+  } catch (e) {
+    if (e.code === "ENOENT") return { count: 0, bytes: 0 };
+    throw e;
+  }
+  let count = 0;
+  let bytes = 0;
+  for (const b of buckets) {
+    if (!b.isDirectory()) continue;
+    const dir = path.join(root, b.name);
+    for (const name of await fsp.readdir(dir)) {
+      const abs = path.join(dir, name);
+      const st = await statOrNull(abs);
+      if (!st || !st.isFile() || st.nlink > 1) continue;
+      if (await safeUnlink(abs)) {
+        count += 1;
+        bytes += st.size;
+      }
+    }
+  }
+  return { count, bytes };
+}
+
 function getContentLength(req) {
   const h = req.headers["content-length"];
   if (!h) return null;
@@ -445,10 +1863,10 @@ async function getGalleryBytesLeft(username) {
   if (quotaBytes == null)
     return { quotaBytes: null, usedBytes: 0, leftBytes: null };
   let usage = await readUsage(username);
-  let usedBytes = usage.uploadsBytes + usage.generatedBytes;
+  let usedBytes = usageTotalBytes(usage);
   if (usedBytes > quotaBytes) {
     usage = await recomputeUsage(username);
-    usedBytes = usage.uploadsBytes + usage.generatedBytes;
+    usedBytes = usageTotalBytes(usage);
   }
   const leftBytes = Math.max(0, quotaBytes - usedBytes);
   return { quotaBytes, usedBytes, leftBytes };
@@ -479,152 +1897,1003 @@ async function writeRequestStreamToFile(req, absPath, byteLimit) {
   }
 }
 
+// Image type of a stored file from its magic bytes (null if not an image).
+async function sniffImageFile(absPath) {
+  const fh = await fsp.open(absPath, "r");
+  try {
+    const { buffer, bytesRead } = await fh.read(Buffer.alloc(16), 0, 16, 0);
+    return sniffImageType(buffer.subarray(0, bytesRead));
+  } finally {
+    await fh.close();
+  }
+}
+
 async function saveUserMeta(username, meta) {
   const metaPath = path.join(USERS_ROOT, username, "meta.json");
   await writeJsonAtomic(metaPath, meta);
 }
 
+function generateTempPassword() {
+  return crypto.randomBytes(9).toString("base64url");
+}
+
+async function setUserPassword(
+  username,
+  meta,
+  password,
+  { temporary = false } = {},
+) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  meta.salt = salt;
+  meta.hash = hashPassword(password, salt);
+  if (temporary) meta.mustChangePassword = true;
+  else delete meta.mustChangePassword;
+  delete meta.passwordUnset;
+  meta.passwordChangedAt = nowIso();
+  meta.updatedAt = nowIso();
+  await saveUserMeta(username, meta);
+}
+
+// Checks the password a sensitive action asks for. Accounts created by SSO
+// have none until the user sets one, which gets its own message.
+function passwordCheckError(meta, password) {
+  if (meta.passwordUnset) return "该账户尚未设置密码，请先在「修改密码」中设置";
+  if (hashPassword(String(password || ""), meta.salt) !== meta.hash)
+    return "密码错误";
+  return null;
+}
+
 function hashPassword(password, saltHex) {
   const salt = Buffer.from(saltHex, "hex");
   const derived = crypto.pbkdf2Sync(password, salt, 150000, 32, "sha256");
   return derived.toString("hex");
 }
 
-function parseDataUrl(dataUrl) {
-  const str = String(dataUrl || "");
-  const m = str.match(/^data:([^;]+);base64,(.+)$/);
-  if (!m) return null;
-  const mime = m[1];
-  const b64 = m[2];
-  const buf = Buffer.from(b64, "base64");
-  return { mime, buf };
+// Two-factor authentication. meta.totp holds the TOTP secret (encrypted like
+// API configs), the last accepted time step and sha256 hashes of the unused
+// recovery codes. meta.totpPending holds a new secret until a first code
+// confirms it.
+function generateRecoveryCode() {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.randomBytes(10);
+  let code = "";
+  for (const b of bytes) code += alphabet[b % alphabet.length];
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
 }
 
-function getThumbPathForImagePath(imagePath) {
-  const dir = path.dirname(imagePath);
-  const base = path.basename(imagePath, path.extname(imagePath));
-  return path.join(dir, "thumbs", `${base}.webp`);
+function hashRecoveryCode(code) {
+  const normalized = String(code || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+  return crypto
+    .createHash("sha256")
+    .update(`banana-recovery|${normalized}`)
+    .digest("hex");
 }
 
-function mimeToExt(mime) {
-  const m = String(mime || "").toLowerCase();
-  if (m === "image/jpeg") return "jpg";
-  if (m === "image/jpg") return "jpg";
-  if (m === "image/png") return "png";
-  if (m === "image/webp") return "webp";
-  if (m === "image/gif") return "gif";
-  return "bin";
+// Replaces the recovery codes; only hashes are kept, so the returned
+// plaintext is shown to the user once.
+function issueRecoveryCodes(meta) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    generateRecoveryCode(),
+  );
+  meta.totp.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
 }
 
-function guessContentTypeByExt(p) {
-  const ext = path.extname(p).toLowerCase();
-  if (ext === ".png") return "image/png";
-  if (ext === ".jpg" || ext === ".jpeg") return "image/jpeg";
-  if (ext === ".webp") return "image/webp";
-  if (ext === ".gif") return "image/gif";
-  if (ext === ".svg") return "image/svg+xml";
-  if (ext === ".css") return "text/css; charset=utf-8";
-  if (ext === ".js") return "text/javascript; charset=utf-8";
-  if (ext === ".html") return "text/html; charset=utf-8";
-  return "application/octet-stream";
+// Checks a TOTP code or a recovery code and uses it up. Returns "totp",
+// "recovery" or null; the caller saves meta on success.
+function consumeSecondFactor(keyring, username, meta, code) {
+  const raw = String(code || "").replace(/\s/g, "");
+  if (!meta.totp || !raw) return null;
+  if (/^\d{6}$/.test(raw)) {
+    const { secret } = decryptForUser(keyring, username, meta.totp.enc);
+    const step = verifyTotp(secret, raw);
+    // Each code signs in once, even within its 30-second window.
+    if (step === null || step <= Number(meta.totp.lastStep || 0)) return null;
+    meta.totp.lastStep = step;
+    return "totp";
+  }
+  const codes = Array.isArray(meta.totp.recoveryCodes)
+    ? meta.totp.recoveryCodes
+    : [];
+  const idx = codes.indexOf(hashRecoveryCode(raw));
+  if (idx === -1) return null;
+  codes.splice(idx, 1);
+  meta.totp.recoveryCodes = codes;
+  return "recovery";
 }
 
-function cacheControlForStatic(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  if (ext === ".html") return "no-store";
-  if (ext === ".js" || ext === ".css")
-    return "public, max-age=0, must-revalidate";
-  return "public, max-age=3600";
+// Sign-in policy set by admins. Stored in data/settings/security.json.
+function securitySettingsPath() {
+  return path.join(DATA_ROOT, "settings", "security.json");
 }
 
-function isHttpUrl(u) {
-  if (typeof u !== "string") return false;
-  return u.startsWith("http://") || u.startsWith("https://");
+async function readSecuritySettings() {
+  const saved = await readJson(securitySettingsPath(), null);
+  return { requireAdminTwoFactor: !!saved?.requireAdminTwoFactor };
 }
 
-function fetchUrlBuffer(
-  urlStr,
-  maxBytes = MAX_DOWNLOAD_BYTES,
-  redirectsLeft = 3,
+async function twoFactorRequiredFor(meta) {
+  if (!meta.isAdmin) return false;
+  return (await readSecuritySettings()).requireAdminTwoFactor;
+}
+
+async function twoFactorEnrollmentRequired(meta) {
+  return !meta.totp && (await twoFactorRequiredFor(meta));
+}
+
+// Brings a user's open sessions in line with the enrolment requirement.
+async function syncTwoFactorEnrollment(username, required) {
+  const map = sessionsByUser.get(username);
+  if (!map) return;
+  let changed = false;
+  for (const session of map.values()) {
+    if (!!session.mustEnrollTwoFactor === required) continue;
+    if (required) session.mustEnrollTwoFactor = true;
+    else delete session.mustEnrollTwoFactor;
+    changed = true;
+  }
+  if (changed) await persistSessions(username);
+}
+
+// Short-lived proof that the password was right. It has no sid, so
+// requireAuth never accepts it as a session.
+function createPreAuthToken(keyring, username) {
+  return createToken(keyring, {
+    u: username,
+    typ: "2fa",
+    exp: Date.now() + TWO_FACTOR_PREAUTH_TTL_MS,
+  });
+}
+
+// Opens the session once every check has passed (password and second
+// factor, or single sign-on). Returns whether a pending deletion was cancelled.
+async function signInUser(
+  keyring,
+  req,
+  res,
+  username,
+  meta,
+  { secondFactor = null, provider = null } = {},
 ) {
-  return new Promise((resolve, reject) => {
-    try {
-      const u = new URL(urlStr);
-      const lib =
-        u.protocol === "https:" ? require("node:https") : require("node:http");
-      const req = lib.get(u, (r) => {
-        const status = r.statusCode || 0;
-        const loc = r.headers.location;
-        if (
-          [301, 302, 303, 307, 308].includes(status) &&
-          loc &&
-          redirectsLeft > 0
-        ) {
-          r.resume();
-          const next = new URL(loc, u).toString();
-          fetchUrlBuffer(next, maxBytes, redirectsLeft - 1).then(
-            resolve,
-            reject,
-          );
-          return;
-        }
-        if (status < 200 || status >= 300) {
-          r.resume();
-          reject(
-            Object.assign(new Error(`HTTP ${status}`), { statusCode: status }),
+  // Signing in during the grace period keeps the account.
+  const deletionCancelled = !!meta.pendingDeletion;
+  if (deletionCancelled) {
+    delete meta.pendingDeletion;
+    meta.updatedAt = nowIso();
+    await saveUserMeta(username, meta);
+    await loadAccessTokens(username);
+    await writeAudit("account.delete-cancel", {
+      actor: username,
+      target: username,
+      req,
+    });
+  }
+  // Only the account counter resets; the IP counter decays on its own so a
+  // valid login cannot be used to keep guessing other accounts.
+  loginFailures.delete(`user:${username}`);
+  rememberLoginIp(username, clientIp(req));
+  await issueSession(keyring, req, res, username, meta, { sso: !!provider });
+  await writeAudit("auth.login", {
+    actor: username,
+    target: username,
+    req,
+    ...(secondFactor ? { secondFactor } : {}),
+    ...(provider ? { provider } : {}),
+  });
+  return deletionCancelled;
+}
+
+// Password logins answer with JSON (after the second factor, if any).
+async function completeLogin(
+  keyring,
+  req,
+  res,
+  username,
+  meta,
+  secondFactor = null,
+) {
+  const deletionCancelled = await signInUser(
+    keyring,
+    req,
+    res,
+    username,
+    meta,
+    { secondFactor },
+  );
+  return sendJson(res, 200, {
+    ok: true,
+    user: {
+      username,
+      isAdmin: !!meta.isAdmin,
+      mustChangePassword: !!meta.mustChangePassword,
+    },
+    deletionCancelled,
+    ...(secondFactor === "recovery"
+      ? { recoveryCodesLeft: meta.totp.recoveryCodes.length }
+      : {}),
+  });
+}
+
+// Single sign-on (OpenID Connect). The state parameter keys the PKCE verifier
+// and nonce kept here between the redirect and the callback; a cookie binds
+// it to the browser that started the login.
+const pendingOidcLogins = new Map(); // state -> { nonce, verifier, redirectUri, returnTo, createdAt }
+
+function createOidcFromEnv() {
+  if (!OIDC_ISSUER || !OIDC_CLIENT_ID) return null;
+  const { protocol, hostname } = new URL(OIDC_ISSUER);
+  // Plain http is only for a provider on this machine (local/mock IdPs).
+  const loopback = ["localhost", "127.0.0.1", "[::1]"].includes(hostname);
+  if (protocol !== "https:" && !(protocol === "http:" && loopback))
+    throw new Error("BANANA_OIDC_ISSUER must be an https URL");
+  return createOidcClient({
+    issuer: OIDC_ISSUER,
+    clientId: OIDC_CLIENT_ID,
+    clientSecret: OIDC_CLIENT_SECRET,
+    scopes: OIDC_SCOPES,
+  });
+}
+
+function oidcRedirectUri(req) {
+  if (OIDC_REDIRECT_URI) return OIDC_REDIRECT_URI;
+  const proto = isRequestSecure(req) ? "https" : "http";
+  return `${proto}://${req.headers.host}/api/auth/oidc/callback`;
+}
+
+function rememberOidcLogin(state, login) {
+  const now = Date.now();
+  for (const [key, entry] of pendingOidcLogins) {
+    if (
+      now - entry.createdAt <= OIDC_LOGIN_TTL_MS &&
+      pendingOidcLogins.size < OIDC_PENDING_MAX
+    )
+      break;
+    pendingOidcLogins.delete(key);
+  }
+  pendingOidcLogins.set(state, { ...login, createdAt: now });
+}
+
+function takeOidcLogin(state) {
+  const login = pendingOidcLogins.get(state);
+  if (!login) return null;
+  pendingOidcLogins.delete(state);
+  return Date.now() - login.createdAt <= OIDC_LOGIN_TTL_MS ? login : null;
+}
+
+function setOidcStateCookie(req, res, state) {
+  const isProd = (process.env.NODE_ENV || "").toLowerCase() === "production";
+  const parts = [
+    `banana_oidc_state=${encodeURIComponent(state)}`,
+    "Path=/api/auth/oidc",
+    "HttpOnly",
+    "SameSite=Lax",
+    `Max-Age=${Math.floor(OIDC_LOGIN_TTL_MS / 1000)}`,
+  ];
+  if (isProd && isRequestSecure(req)) parts.push("Secure");
+  appendSetCookie(res, parts.join("; "));
+}
+
+// Prepares the redirect to the provider and remembers the login for the
+// callback. `linkUser` marks a link started by a signed-in local account.
+async function beginOidcLogin(oidc, req, res, { returnTo, linkUser = null }) {
+  const state = randomToken();
+  const nonce = randomToken();
+  const { verifier, challenge } = createPkcePair();
+  const redirectUri = oidcRedirectUri(req);
+  const location = await oidc.authorizationUrl({
+    redirectUri,
+    state,
+    nonce,
+    challenge,
+  });
+  rememberOidcLogin(state, {
+    nonce,
+    verifier,
+    redirectUri,
+    returnTo,
+    ...(linkUser ? { linkUser } : {}),
+  });
+  setOidcStateCookie(req, res, state);
+  return location;
+}
+
+// Only same-site paths, so the login cannot be turned into an open redirect.
+function safeReturnPath(raw) {
+  const p = String(raw || "");
+  return p.startsWith("/") && !p.startsWith("//") && !p.includes("\\")
+    ? p
+    : "/";
+}
+
+// Errors go back to the app, which shows them in the login dialog.
+function sendOidcError(res, message) {
+  return sendRedirect(res, `/?sso_error=${encodeURIComponent(message)}`);
+}
+
+function oidcGroups(claims) {
+  const raw = claims[OIDC_GROUPS_CLAIM];
+  if (Array.isArray(raw)) return raw.map(String);
+  return raw == null ? [] : [String(raw)];
+}
+
+// The configured claim becomes the username (e-mail style values keep their
+// local part).
+function oidcUsername(claims) {
+  const raw = String(claims[OIDC_USERNAME_CLAIM] ?? "");
+  const username = sanitizeUsername(
+    raw.split("@")[0].replace(/[^a-zA-Z0-9_-]/g, "_"),
+  );
+  if (!username)
+    throw Object.assign(
+      new Error(`无法从 ${OIDC_USERNAME_CLAIM} 得到有效的用户名`),
+      { statusCode: 403 },
+    );
+  return username;
+}
+
+// Maps verified claims to a local account. The account is created on first
+// login and bound to the provider's subject, so another identity with the
+// same name cannot take it over. An existing local account is never bound
+// here: its owner links it while signed in (see linkOidcUser).
+async function resolveOidcUser(claims) {
+  const username = oidcUsername(claims);
+  const link = { issuer: OIDC_ISSUER, sub: String(claims.sub) };
+  const isAdmin = OIDC_ADMIN_GROUP
+    ? oidcGroups(claims).includes(OIDC_ADMIN_GROUP)
+    : null;
+  let meta = await loadUserMeta(username);
+  const created = !meta;
+  if (created) {
+    // A random placeholder: the user may set a real password later.
+    meta = await createUserAccount(username, randomToken(24), {
+      isAdmin: !!isAdmin,
+    });
+    meta.passwordUnset = true;
+  } else if (meta.oidc) {
+    if (meta.oidc.issuer !== link.issuer || meta.oidc.sub !== link.sub)
+      throw Object.assign(new Error("该用户名已关联其他单点登录账号"), {
+        statusCode: 409,
+      });
+  } else {
+    throw Object.assign(
+      new Error(
+        OIDC_LINK_EXISTING
+          ? "该用户名已被本地账户使用；请先用密码登录，再在「账户」面板绑定单点登录"
+          : "该用户名已被本地账户使用，请联系管理员",
+      ),
+      { statusCode: 409 },
+    );
+  }
+  const adminChanged = isAdmin !== null && !!meta.isAdmin !== isAdmin;
+  if (!meta.oidc || adminChanged) {
+    meta.oidc = meta.oidc || { ...link, linkedAt: nowIso() };
+    if (adminChanged) meta.isAdmin = isAdmin;
+    meta.updatedAt = nowIso();
+    await saveUserMeta(username, meta);
+  }
+  return { username, meta, created, adminChanged };
+}
+
+// Binds the provider's subject to the signed-in local account that started
+// the link. The claims must map to that same username, since later logins
+// find the account by name.
+async function linkOidcUser(claims, username) {
+  if (oidcUsername(claims) !== username)
+    throw Object.assign(
+      new Error(
+        `单点登录账号对应的用户名（${oidcUsername(claims)}）与当前账户不一致`,
+      ),
+      { statusCode: 409 },
+    );
+  const meta = await loadUserMeta(username);
+  if (!meta) throw Object.assign(new Error("账户不存在"), { statusCode: 404 });
+  if (meta.oidc)
+    throw Object.assign(new Error("该账户已绑定单点登录"), {
+      statusCode: 409,
+    });
+  meta.oidc = {
+    issuer: OIDC_ISSUER,
+    sub: String(claims.sub),
+    linkedAt: nowIso(),
+  };
+  meta.updatedAt = nowIso();
+  await saveUserMeta(username, meta);
+  return meta;
+}
+
+function parseDataUrl(dataUrl) {
+  const str = String(dataUrl || "");
+  const m = str.match(/^data:([^;]+);base64,(.+)$/);
+  if (!m) return null;
+  const mime = m[1];
+  const b64 = m[2];
+  const buf = Buffer.from(b64, "base64");
+  return { mime, buf };
+}
+
+function getThumbPathForImagePath(imagePath) {
+  const dir = path.dirname(imagePath);
+  const base = path.basename(imagePath, path.extname(imagePath));
+  return path.join(dir, "thumbs", `${base}.webp`);
+}
+
+function mimeToExt(mime) {
+  const m = String(mime || "").toLowerCase();
+  if (m === "image/jpeg") return "jpg";
+  if (m === "image/jpg") return "jpg";
+  if (m === "image/png") return "png";
+  if (m === "image/webp") return "webp";
+  if (m === "image/gif") return "gif";
+  return "bin";
+}
+
+function guessContentTypeByExt(p) {
+  const ext = path.extname(p).toLowerCase();
+  if (ext === ".png") return "image/png";
+  if (ext === ".jpg" || ext === ".jpeg") return "image/jpeg";
+  if (ext === ".webp") return "image/webp";
+  if (ext === ".gif") return "image/gif";
+  if (ext === ".svg") return "image/svg+xml";
+  if (ext === ".css") return "text/css; charset=utf-8";
+  if (ext === ".js") return "text/javascript; charset=utf-8";
+  if (ext === ".html") return "text/html; charset=utf-8";
+  return "application/octet-stream";
+}
+
+function cacheControlForStatic(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".html") return "no-store";
+  if (ext === ".js" || ext === ".css")
+    return "public, max-age=0, must-revalidate";
+  return "public, max-age=3600";
+}
+
+function isHttpUrl(u) {
+  if (typeof u !== "string") return false;
+  return u.startsWith("http://") || u.startsWith("https://");
+}
+
+// Ranges that must never be reached from server-side fetches (loopback,
+// RFC 1918, CGNAT, link-local incl. cloud metadata, multicast, reserved).
+const BLOCKED_IPV4_RANGES = [
+  "0.0.0.0/8",
+  "10.0.0.0/8",
+  "100.64.0.0/10",
+  "127.0.0.0/8",
+  "169.254.0.0/16",
+  "172.16.0.0/12",
+  "192.0.0.0/24",
+  "192.168.0.0/16",
+  "198.18.0.0/15",
+  "224.0.0.0/4",
+  "240.0.0.0/4",
+];
+
+// Eight 16-bit groups of a valid IPv6 address (a trailing dotted quad is
+// folded into the last two), or null.
+function ipv6Groups(addr) {
+  let s = addr.split("%")[0];
+  const quad = /(\d+\.\d+\.\d+\.\d+)$/.exec(s);
+  if (quad) {
+    const n = ipv4ToInt(quad[1]);
+    if (n === null) return null;
+    s = `${s.slice(0, -quad[1].length)}${(n >>> 16).toString(16)}:${(n & 0xffff).toString(16)}`;
+  }
+  const halves = s.split("::");
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(":") : [];
+  const tail = halves[1] ? halves[1].split(":") : [];
+  const gap = 8 - head.length - tail.length;
+  if (halves.length === 2 ? gap < 1 : gap !== 0) return null;
+  const groups = [...head, ...new Array(Math.max(0, gap)).fill("0"), ...tail];
+  if (!groups.every((g) => /^[0-9a-f]{1,4}$/.test(g))) return null;
+  return groups.map((g) => parseInt(g, 16));
+}
+
+function isPrivateAddress(ip) {
+  const addr = normalizeIp(ip).toLowerCase();
+  if (net.isIPv4(addr))
+    return BLOCKED_IPV4_RANGES.some((rule) => ipMatchesRule(addr, rule));
+  const g = net.isIPv6(addr) ? ipv6Groups(addr) : null;
+  if (!g) return true;
+  const low32 = `${g[6] >> 8}.${g[6] & 0xff}.${g[7] >> 8}.${g[7] & 0xff}`;
+  // ::/16 covers unspecified, loopback and IPv4-compatible addresses; only
+  // IPv4-mapped ones (::ffff:0:0/96) are judged by their IPv4 address.
+  if (g[0] === 0) {
+    const mapped = g.slice(1, 5).every((x) => x === 0) && g[5] === 0xffff;
+    return mapped ? isPrivateAddress(low32) : true;
+  }
+  // NAT64 (64:ff9b::/96) embeds an IPv4 address in the last 32 bits.
+  if (g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every((x) => x === 0))
+    return isPrivateAddress(low32);
+  if (
+    (g[0] === 0x64 && g[1] === 0xff9b && g[2] === 1) || // local-use NAT64
+    g[0] === 0x2002 || // 6to4
+    (g[0] === 0x2001 && g[1] === 0) // Teredo
+  )
+    return true;
+  return (
+    (g[0] & 0xfe00) === 0xfc00 || // unique local
+    (g[0] & 0xffc0) === 0xfe80 || // link-local
+    (g[0] & 0xff00) === 0xff00 // multicast
+  );
+}
+
+function fetchBlockedError(message) {
+  return Object.assign(new Error(message), {
+    code: "EFETCHBLOCKED",
+    statusCode: 403,
+  });
+}
+
+// dns.lookup replacement passed to http(s).get so the address check applies
+// to the IP that is actually connected to (no DNS-rebinding window).
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked)
+      return callback(fetchBlockedError(`拒绝访问内网地址：${hostname}`));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function remoteFetchSettingsPath() {
+  return path.join(DATA_ROOT, "settings", "remote-fetch.json");
+}
+
+async function readRemoteFetchAllowlist() {
+  const saved = await readJson(remoteFetchSettingsPath(), null);
+  return Array.isArray(saved?.allowHosts) ? saved.allowHosts : [];
+}
+
+function normalizeAllowHost(rule) {
+  const r = String(rule || "")
+    .trim()
+    .toLowerCase();
+  return /^(\*\.)?[a-z0-9.-]+$/.test(r) ? r : null;
+}
+
+// "example.com" matches that host only; "*.example.com" matches subdomains.
+function hostAllowed(hostname, allowHosts) {
+  if (!allowHosts.length) return true;
+  const host = hostname.toLowerCase();
+  return allowHosts.some((rule) =>
+    rule.startsWith("*.") ? host.endsWith(rule.slice(1)) : host === rule,
+  );
+}
+
+/**
+ * GET a remote http(s) URL into memory for the favorites snapshotter.
+ * Every hop (including redirects) must resolve to a public address and, when
+ * an allowlist is configured, match it. Connect and idle-read timeouts apply
+ * per hop; the deadline bounds the whole fetch, redirects included.
+ */
+function fetchUrlBuffer(
+  urlStr,
+  {
+    maxBytes = MAX_DOWNLOAD_BYTES,
+    redirectsLeft = FETCH_MAX_REDIRECTS,
+    allowHosts = [],
+    deadline = Date.now() + FETCH_TOTAL_TIMEOUT_MS,
+  } = {},
+) {
+  return new Promise((resolve, reject) => {
+    const timeLeft = deadline - Date.now();
+    if (timeLeft <= 0)
+      return reject(
+        Object.assign(new Error("Fetch timeout"), { statusCode: 504 }),
+      );
+    let u;
+    try {
+      u = new URL(urlStr);
+    } catch (e) {
+      return reject(e);
+    }
+    if (u.protocol !== "http:" && u.protocol !== "https:")
+      return reject(fetchBlockedError("仅支持 http/https"));
+    const hostname = u.hostname.replace(/^\[|\]$/g, "");
+    if (!hostAllowed(hostname, allowHosts))
+      return reject(fetchBlockedError(`主机不在白名单中：${hostname}`));
+    // IP literals skip the lookup hook, so check them here.
+    if (net.isIP(hostname) && isPrivateAddress(hostname))
+      return reject(fetchBlockedError(`拒绝访问内网地址：${hostname}`));
+
+    const lib =
+      u.protocol === "https:" ? require("node:https") : require("node:http");
+    const req = lib.get(u, { lookup: publicOnlyLookup }, (r) => {
+      const status = r.statusCode || 0;
+      const loc = r.headers.location;
+      if ([301, 302, 303, 307, 308].includes(status) && loc) {
+        r.resume();
+        if (redirectsLeft <= 0)
+          return reject(
+            Object.assign(new Error("Too many redirects"), { statusCode: 502 }),
+          );
+        const next = new URL(loc, u).toString();
+        fetchUrlBuffer(next, {
+          maxBytes,
+          redirectsLeft: redirectsLeft - 1,
+          allowHosts,
+          deadline,
+        }).then(resolve, reject);
+        return;
+      }
+      if (status < 200 || status >= 300) {
+        r.resume();
+        reject(
+          Object.assign(new Error(`HTTP ${status}`), { statusCode: status }),
+        );
+        return;
+      }
+      const chunks = [];
+      let total = 0;
+      r.on("data", (chunk) => {
+        total += chunk.length;
+        if (total > maxBytes) {
+          req.destroy(
+            Object.assign(new Error("Download too large"), {
+              statusCode: 413,
+            }),
           );
           return;
         }
-        const chunks = [];
-        let total = 0;
-        r.on("data", (chunk) => {
-          total += chunk.length;
-          if (total > maxBytes) {
-            req.destroy();
-            reject(
-              Object.assign(new Error("Download too large"), {
-                statusCode: 413,
-              }),
-            );
-            return;
-          }
-          chunks.push(chunk);
-        });
-        r.on("end", () => {
-          const buf = Buffer.concat(chunks);
-          const ct = String(r.headers["content-type"] || "");
-          resolve({ buf, contentType: ct });
-        });
+        chunks.push(chunk);
       });
-      req.on("error", reject);
-    } catch (e) {
-      reject(e);
+      r.on("end", () => {
+        const buf = Buffer.concat(chunks);
+        const ct = String(r.headers["content-type"] || "");
+        resolve({ buf, contentType: ct });
+      });
+      r.on("error", reject);
+    });
+    req.on("socket", (socket) => {
+      if (!socket.connecting) return;
+      const timer = setTimeout(
+        () =>
+          req.destroy(
+            Object.assign(new Error("Connect timeout"), { statusCode: 504 }),
+          ),
+        FETCH_CONNECT_TIMEOUT_MS,
+      );
+      socket.once("connect", () => clearTimeout(timer));
+      socket.once("close", () => clearTimeout(timer));
+    });
+    req.setTimeout(FETCH_READ_TIMEOUT_MS, () =>
+      req.destroy(
+        Object.assign(new Error("Read timeout"), { statusCode: 504 }),
+      ),
+    );
+    // A server trickling bytes never trips the idle timeout above.
+    const deadlineTimer = setTimeout(
+      () =>
+        req.destroy(
+          Object.assign(new Error("Fetch timeout"), { statusCode: 504 }),
+        ),
+      timeLeft,
+    );
+    req.on("close", () => clearTimeout(deadlineTimer));
+    req.on("error", reject);
+  });
+}
+
+// Remote image for a favorite snapshot; the type comes from the magic bytes,
+// never from the upstream Content-Type. Returns null for non-images.
+async function fetchRemoteImage(urlStr) {
+  const allowHosts = await readRemoteFetchAllowlist();
+  const { buf } = await fetchUrlBuffer(urlStr, { allowHosts });
+  const mime = sniffImageType(buf);
+  return mime ? { buf, mime } : null;
+}
+
+// Strong ETags are content hashes; cache them per file version so a hash is
+// computed once per (path, size, mtime).
+const ETAG_CACHE_MAX = 5000;
+const etagCache = new Map(); // absPath -> { size, mtimeMs, etag }
+
+async function fileContentEtag(filePath, stat) {
+  const cached = etagCache.get(filePath);
+  if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs)
+    return cached.etag;
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(filePath), hash);
+  const etag = `"${hash.digest("base64url")}"`;
+  etagCache.delete(filePath);
+  etagCache.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, etag });
+  if (etagCache.size > ETAG_CACHE_MAX)
+    etagCache.delete(etagCache.keys().next().value);
+  return etag;
+}
+
+function etagMatches(header, etag, { weak = true } = {}) {
+  return String(header || "")
+    .split(",")
+    .map((t) => t.trim())
+    .some((t) => {
+      if (t === "*") return true;
+      if (!weak && t.startsWith("W/")) return false;
+      return (weak ? t.replace(/^W\//, "") : t) === etag;
+    });
+}
+
+function notModified(req, etag, mtimeMs) {
+  const inm = req.headers["if-none-match"];
+  if (inm) return etagMatches(inm, etag);
+  const ims = Date.parse(req.headers["if-modified-since"] || "");
+  return Number.isFinite(ims) && Math.floor(mtimeMs / 1000) * 1000 <= ims;
+}
+
+// Single "bytes=" range -> { start, end } (inclusive), null when the header
+// should be ignored (absent, malformed, multi-range) or "unsatisfiable".
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!m || (m[1] === "" && m[2] === "")) return null;
+  let start;
+  let end;
+  if (m[1] === "") {
+    const suffix = Number(m[2]);
+    if (suffix === 0) return "unsatisfiable";
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === "" ? size - 1 : Math.min(Number(m[2]), size - 1);
+    if (m[2] !== "" && Number(m[2]) < start) return null;
+  }
+  if (start >= size) return "unsatisfiable";
+  return { start, end };
+}
+
+// If-Range: honour Range only while the client's validator is still current.
+function ifRangeAllows(req, etag, mtimeMs) {
+  const ifRange = req.headers["if-range"];
+  if (!ifRange) return true;
+  const v = String(ifRange).trim();
+  if (v.startsWith('"') || v.startsWith("W/"))
+    return etagMatches(v, etag, { weak: false });
+  const date = Date.parse(v);
+  return Number.isFinite(date) && Math.floor(mtimeMs / 1000) * 1000 <= date;
+}
+
+/**
+ * Send a file with GET/HEAD semantics shared by static assets and /files/:
+ * strong content-hash ETag, Last-Modified, If-None-Match / If-Modified-Since
+ * (304), and single-range requests (206 / 416). Returns the number of body
+ * bytes being sent.
+ */
+async function sendFile(req, res, filePath, stat, { cacheControl }) {
+  const etag = await fileContentEtag(filePath, stat);
+  const lastModified = new Date(stat.mtimeMs).toUTCString();
+  const baseHeaders = {
+    "cache-control": cacheControl,
+    ETag: etag,
+    "last-modified": lastModified,
+    "accept-ranges": "bytes",
+  };
+  if (notModified(req, etag, stat.mtimeMs)) {
+    res.writeHead(304, baseHeaders);
+    res.end();
+    return 0;
+  }
+
+  const range =
+    req.headers.range && ifRangeAllows(req, etag, stat.mtimeMs)
+      ? parseRange(req.headers.range, stat.size)
+      : null;
+  if (range === "unsatisfiable") {
+    res.writeHead(416, {
+      ...baseHeaders,
+      "content-range": `bytes */${stat.size}`,
+    });
+    res.end();
+    return 0;
+  }
+
+  const headers = {
+    ...baseHeaders,
+    "content-type": guessContentTypeByExt(filePath),
+    "content-length": range ? range.end - range.start + 1 : stat.size,
+  };
+  if (range)
+    headers["content-range"] = `bytes ${range.start}-${range.end}/${stat.size}`;
+  res.writeHead(range ? 206 : 200, headers);
+  if (req.method === "HEAD") {
+    res.end();
+    return 0;
+  }
+  // An explicit end lets the stream finish without an extra EOF read, so
+  // clients that hang up right after the last byte are not logged as 499.
+  const span = range || (stat.size ? { start: 0, end: stat.size - 1 } : null);
+  fs.createReadStream(filePath, span || undefined)
+    .on("error", (e) => {
+      console.error(e);
+      res.destroy(e);
+    })
+    .pipe(res);
+  return headers["content-length"];
+}
+
+// ---- Metrics and access log ----
+
+const metrics = createRegistry();
+const httpRequestsTotal = metrics.counter(
+  "banana_http_requests_total",
+  "HTTP requests by route and status code.",
+  ["method", "route", "status"],
+);
+const httpRequestDuration = metrics.histogram(
+  "banana_http_request_duration_seconds",
+  "HTTP request latency by route.",
+  ["method", "route"],
+);
+const filesServedBytes = metrics.counter(
+  "banana_files_served_bytes_total",
+  "Response body bytes served from /files/.",
+  ["kind"],
+);
+const cspReportsTotal = metrics.counter(
+  "banana_csp_reports_total",
+  "Content-Security-Policy violation reports received, by directive.",
+  ["directive"],
+);
+const csrfRejections = metrics.counter(
+  "banana_csrf_rejections_total",
+  "Mutating requests refused by the CSRF check, by failed check.",
+  ["reason"],
+);
+const favoriteMaterializeDuration = metrics.histogram(
+  "banana_favorite_materialize_duration_seconds",
+  "Time spent turning a favorite's images into snapshot files.",
+  ["type"],
+);
+const userQuotaBytes = metrics.gauge(
+  "banana_user_quota_bytes",
+  "Gallery quota per user (absent when unlimited).",
+  ["user"],
+);
+metrics.gauge(
+  "banana_user_storage_bytes",
+  "Stored bytes per user and area, from usage.json.",
+  ["user", "kind"],
+  async (g) => {
+    g.reset();
+    userQuotaBytes.reset();
+    for (const username of await listUsers()) {
+      if (!(await loadUserMeta(username))) continue;
+      const usage = await readUsage(username);
+      g.set({ user: username, kind: "uploads" }, usage.uploadsBytes);
+      g.set({ user: username, kind: "generated" }, usage.generatedBytes);
+      g.set({ user: username, kind: "favorites" }, usage.favoritesBytes);
+      const quota = await getQuotaBytes(username);
+      if (quota != null) userQuotaBytes.set({ user: username }, quota);
+    }
+  },
+);
+metrics.gauge(
+  "banana_process_resident_memory_bytes",
+  "Resident set size of the server process.",
+  [],
+  (g) => g.set({}, process.memoryUsage().rss),
+);
+metrics.gauge(
+  "banana_process_uptime_seconds",
+  "Seconds since the server process started.",
+  [],
+  (g) => g.set({}, Math.round(process.uptime())),
+);
+
+// Requests that fell through every route; grouped under one label so
+// arbitrary paths cannot blow up metric cardinality.
+const unmatchedRequests = new WeakSet();
+// Username behind each authenticated request, for the access log.
+const requestUsers = new WeakMap();
+
+const ADMIN_USER_ROUTE =
+  /^\/api\/admin\/(users|promote|demote|disable|enable|quota|reset-password|reset-2fa|revoke-sessions|export|import)\/[^/]+$/;
+
+function routeLabel(req, pathname) {
+  if (unmatchedRequests.has(req)) return "unmatched";
+  if (pathname.startsWith("/files/")) return "/files";
+  if (!pathname.startsWith("/api/")) return "static";
+  if (req.method === "DELETE" && /^\/api\/images\/[^/]+\/[^/]+$/.test(pathname))
+    return "/api/images/:kind/:name";
+  if (
+    req.method === "DELETE" &&
+    /^\/api\/favorites\/[^/]+\/[^/]+$/.test(pathname)
+  )
+    return "/api/favorites/:type/:id";
+  if (req.method === "GET" && /^\/api\/favorites\/[^/]+$/.test(pathname))
+    return "/api/favorites/:type";
+  const admin = ADMIN_USER_ROUTE.exec(pathname);
+  if (admin) return `/api/admin/${admin[1]}/:user`;
+  return pathname;
+}
+
+// Honours an upstream X-Request-Id only from trusted proxies.
+function requestIdFor(req) {
+  const incoming = String(req.headers["x-request-id"] || "");
+  if (
+    /^[\w.:-]{1,128}$/.test(incoming) &&
+    isTrustedProxy(normalizeIp(req.socket?.remoteAddress))
+  )
+    return incoming;
+  return crypto.randomUUID();
+}
+
+let accessLogStream = null;
+
+function writeAccessLog(entry) {
+  if (ACCESS_LOG === "off") return;
+  const line = `${JSON.stringify(entry)}\n`;
+  if (ACCESS_LOG === "stdout") {
+    process.stdout.write(line);
+    return;
+  }
+  if (!accessLogStream) {
+    const file = path.resolve(ROOT, ACCESS_LOG);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    accessLogStream = fs.createWriteStream(file, { flags: "a" });
+    accessLogStream.on("error", (e) => console.error("[access-log]", e));
+  }
+  accessLogStream.write(line);
+}
+
+// Records metrics and one access-log line when the response is done.
+function trackRequest(req, res, requestId) {
+  const started = process.hrtime.bigint();
+  // Keep-alive sockets serve one request at a time, so the delta is this
+  // response's size on the wire (headers included).
+  const socketBytes = req.socket?.bytesWritten || 0;
+  res.once("close", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const rawPath = String(req.url || "/").split("?")[0];
+    let pathname = rawPath;
+    try {
+      pathname = decodeURIComponent(rawPath);
+    } catch {
+      // keep the raw path
     }
+    const route = routeLabel(req, pathname);
+    // 499: the client went away before the whole response was handed off.
+    const status = res.writableEnded ? res.statusCode : 499;
+    httpRequestsTotal.inc({ method: req.method, route, status });
+    httpRequestDuration.observe({ method: req.method, route }, seconds);
+    writeAccessLog({
+      time: nowIso(),
+      id: requestId,
+      method: req.method,
+      path: pathname,
+      route,
+      status,
+      bytes: (req.socket?.bytesWritten || 0) - socketBytes,
+      durationMs: Math.round(seconds * 10000) / 10,
+      ip: clientIp(req),
+      user: requestUsers.get(req) || null,
+      ua: String(req.headers["user-agent"] || ""),
+    });
   });
 }
 
+function metricsAuthorized(keyring, req) {
+  const header = String(req.headers.authorization || "");
+  if (METRICS_TOKEN && header.startsWith("Bearer ")) {
+    const a = Buffer.from(header.slice(7).trim());
+    const b = Buffer.from(METRICS_TOKEN);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+  return requireAuth(keyring, req)?.a === true;
+}
+
 async function serveStaticFile(req, res, filePath) {
   try {
     const stat = await fsp.stat(filePath);
     if (!stat.isFile()) return sendText(res, 404, "Not found");
-
-    const etag = `W/\"${stat.size}-${Math.floor(stat.mtimeMs)}\"`;
-    const ifNoneMatch = req.headers["if-none-match"];
-    if (ifNoneMatch && String(ifNoneMatch) === etag) {
-      res.writeHead(304, {
-        ETag: etag,
-        "cache-control": cacheControlForStatic(filePath),
-      });
-      return res.end();
-    }
-
-    res.writeHead(200, {
-      "content-type": guessContentTypeByExt(filePath),
-      "cache-control": cacheControlForStatic(filePath),
-      ETag: etag,
-      "last-modified": new Date(stat.mtimeMs).toUTCString(),
+    return await sendFile(req, res, filePath, stat, {
+      cacheControl: cacheControlForStatic(filePath),
     });
-    fs.createReadStream(filePath).pipe(res);
   } catch (e) {
     if (e.code === "ENOENT") return sendText(res, 404, "Not found");
     console.error(e);
@@ -632,10 +2901,41 @@ async function serveStaticFile(req, res, filePath) {
   }
 }
 
-function requireAuth(secret, req) {
+// Cookie sessions pass every route. Personal access tokens
+// (Authorization: Bearer) only pass routes that name a `scope` the token was
+// granted, and never act as an admin.
+function requireAuth(
+  keyring,
+  req,
+  {
+    allowPasswordChange = false,
+    allowTwoFactorSetup = false,
+    scope = null,
+  } = {},
+) {
+  const authorization = String(req.headers.authorization || "");
+  if (/^Bearer\s/i.test(authorization)) {
+    const found = findAccessToken(authorization);
+    if (!found || !scope) return null;
+    const { username, token } = found;
+    if (scope !== ANY_TOKEN_SCOPE && !token.scopes.includes(scope))
+      throw Object.assign(new Error(`访问令牌缺少 ${scope} 权限`), {
+        statusCode: 403,
+      });
+    touchAccessToken(username, token, req);
+    requestUsers.set(req, username);
+    return { u: username, a: false, tokenId: token.id };
+  }
   const cookies = parseCookies(req);
   const token = cookies.banana_token || "";
-  const payload = verifyToken(secret, token);
+  const payload = verifyToken(keyring, token);
+  if (!payload || !payload.sid) return null;
+  const session = sessionsByUser.get(payload.u)?.get(payload.sid);
+  if (!session || Number(session.expiresAt) <= Date.now()) return null;
+  if (session.mustChangePassword && !allowPasswordChange) return null;
+  if (session.mustEnrollTwoFactor && !allowTwoFactorSetup) return null;
+  touchSession(payload.u, session, req);
+  requestUsers.set(req, payload.u);
   return payload;
 }
 
@@ -651,39 +2951,81 @@ function normalizeApiFormat(fmt) {
   return "gemini";
 }
 
-function apiConfigKeyForUser(secret, username) {
-  return crypto.createHash("md5").update(`${secret}|${username}`).digest(); // 16 bytes -> AES-128
+// v1 blobs (no key id): md5(secret|username) as an AES-128 key. Still read so
+// configs saved before key ids existed can be re-encrypted.
+function legacyApiConfigKey(secret, username) {
+  return crypto.createHash("md5").update(`${secret}|${username}`).digest();
+}
+
+// v2 blobs: HKDF-SHA256 per secret and owner, tagged with the secret's kid.
+function apiConfigKey(secret, username) {
+  return Buffer.from(
+    crypto.hkdfSync(
+      "sha256",
+      secret,
+      "banana-api-config",
+      `v2|${username}`,
+      32,
+    ),
+  );
+}
+
+function decryptGcm(alg, key, blob) {
+  const iv = Buffer.from(String(blob.iv || ""), "base64");
+  const tag = Buffer.from(String(blob.tag || ""), "base64");
+  const data = Buffer.from(String(blob.data || ""), "base64");
+  const decipher = crypto.createDecipheriv(alg, key, iv);
+  decipher.setAuthTag(tag);
+  const plain = Buffer.concat([decipher.update(data), decipher.final()]);
+  return JSON.parse(plain.toString("utf8") || "{}");
 }
 
-function encryptForUser(secret, username, payloadObj) {
-  const key = apiConfigKeyForUser(secret, username);
+function encryptForUser(keyring, username, payloadObj) {
+  const { kid, secret } = keyring.current;
+  const key = apiConfigKey(secret, username);
   const iv = crypto.randomBytes(12);
-  const cipher = crypto.createCipheriv("aes-128-gcm", key, iv);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
   const plain = Buffer.from(JSON.stringify(payloadObj || {}), "utf8");
   const enc = Buffer.concat([cipher.update(plain), cipher.final()]);
   const tag = cipher.getAuthTag();
   return {
-    v: 1,
-    alg: "aes-128-gcm",
+    v: 2,
+    kid,
+    alg: "aes-256-gcm",
     iv: iv.toString("base64"),
     tag: tag.toString("base64"),
     data: enc.toString("base64"),
   };
 }
 
-function decryptForUser(secret, username, blob) {
+function decryptForUser(keyring, username, blob) {
   if (!blob || typeof blob !== "object")
     throw Object.assign(new Error("Invalid blob"), { statusCode: 400 });
+  if (blob.v === 2 && blob.alg === "aes-256-gcm") {
+    const found = keyring.keys.find((k) => k.kid === blob.kid);
+    if (!found)
+      throw Object.assign(new Error(`Unknown key id ${blob.kid}`), {
+        statusCode: 500,
+      });
+    return decryptGcm(blob.alg, apiConfigKey(found.secret, username), blob);
+  }
   if (blob.alg !== "aes-128-gcm")
     throw Object.assign(new Error("Unsupported alg"), { statusCode: 400 });
-  const key = apiConfigKeyForUser(secret, username);
-  const iv = Buffer.from(String(blob.iv || ""), "base64");
-  const tag = Buffer.from(String(blob.tag || ""), "base64");
-  const data = Buffer.from(String(blob.data || ""), "base64");
-  const decipher = crypto.createDecipheriv("aes-128-gcm", key, iv);
-  decipher.setAuthTag(tag);
-  const plain = Buffer.concat([decipher.update(data), decipher.final()]);
-  return JSON.parse(plain.toString("utf8") || "{}");
+  // Legacy blobs do not say which secret they used; the tag tells.
+  let lastError;
+  for (const { secret } of keyring.keys) {
+    try {
+      return decryptGcm(blob.alg, legacyApiConfigKey(secret, username), blob);
+    } catch (e) {
+      lastError = e;
+    }
+  }
+  throw lastError;
+}
+
+// True when `blob` should be rewritten under the current secret.
+function isStaleApiConfigBlob(keyring, blob) {
+  return blob?.v !== 2 || blob.kid !== keyring.current.kid;
 }
 
 function apiConfigsPath(username) {
@@ -709,10 +3051,315 @@ async function writeUserApiConfigs(username, obj) {
   await writeJsonAtomic(p, obj);
 }
 
-function walkAndReplace(obj, replacer) {
-  if (Array.isArray(obj)) {
-    for (let i = 0; i < obj.length; i++)
-      obj[i] = walkAndReplace(obj[i], replacer);
+function apiConfigPayloadFromBody(apiFormat, config) {
+  const payload = {
+    apiFormat,
+    baseUrl: String(config.baseUrl || config.url || "").trim(),
+    apiVersion: String(config.apiVersion || "").trim(),
+    apiKey: String(config.apiKey || "").trim(),
+    modelId: String(config.modelId || "").trim(),
+    vertexLocation: String(config.vertexLocation || "").trim(),
+    vertexKeysRaw: String(config.vertexKeysRaw || "").trim(),
+  };
+  if (!payload.baseUrl)
+    throw Object.assign(new Error("缺少 Base URL"), { statusCode: 400 });
+  if (apiFormat !== "vertex" && !payload.apiKey)
+    throw Object.assign(new Error("缺少 API Key"), { statusCode: 400 });
+  return payload;
+}
+
+// Organisation-wide configs published by admins. Encrypted like per-user
+// configs, under an owner name that can never be a real username.
+const SHARED_API_CONFIG_OWNER = ":shared";
+
+function sharedApiConfigsPath() {
+  return path.join(DATA_ROOT, "settings", "shared-api-configs.json");
+}
+
+async function readSharedApiConfigs() {
+  const raw = await readJson(sharedApiConfigsPath(), null);
+  const store =
+    raw && typeof raw === "object" && raw.items && typeof raw.items === "object"
+      ? raw
+      : { version: 1, items: {} };
+  for (const fmt of ["gemini", "openai", "vertex"]) {
+    if (!Array.isArray(store.items[fmt])) store.items[fmt] = [];
+  }
+  return store;
+}
+
+async function writeSharedApiConfigs(obj) {
+  await writeJsonAtomic(sharedApiConfigsPath(), obj);
+}
+
+// Rewrites every stored API config (per-user and shared) that is not yet
+// encrypted under the current secret. Configs no key in the ring can decrypt
+// are left untouched and reported by owner and name.
+async function reencryptApiConfigs(keyring) {
+  const stores = [];
+  for (const username of await listUsers()) {
+    if (!fs.existsSync(apiConfigsPath(username))) continue;
+    stores.push({
+      owner: username,
+      store: await readUserApiConfigs(username),
+      write: (store) => writeUserApiConfigs(username, store),
+    });
+  }
+  if (fs.existsSync(sharedApiConfigsPath()))
+    stores.push({
+      owner: SHARED_API_CONFIG_OWNER,
+      store: await readSharedApiConfigs(),
+      write: (store) => writeSharedApiConfigs(store),
+    });
+  let reencrypted = 0;
+  const unreadable = [];
+  for (const { owner, store, write } of stores) {
+    let changed = false;
+    for (const list of Object.values(store.items || {})) {
+      if (!Array.isArray(list)) continue;
+      for (const item of list) {
+        if (!item?.enc || !isStaleApiConfigBlob(keyring, item.enc)) continue;
+        try {
+          const payload = decryptForUser(keyring, owner, item.enc);
+          item.enc = encryptForUser(keyring, owner, payload);
+        } catch {
+          unreadable.push({ owner, name: item.name });
+          continue;
+        }
+        reencrypted += 1;
+        changed = true;
+      }
+    }
+    if (changed) await write(store);
+  }
+  return { reencrypted, unreadable };
+}
+
+// Same as reencryptApiConfigs for TOTP secrets (enabled and pending).
+// Returns the usernames whose secret no key in the ring can decrypt.
+async function reencryptTotpSecrets(keyring) {
+  let reencrypted = 0;
+  const unreadable = [];
+  for (const username of await listUsers()) {
+    const meta = await loadUserMeta(username);
+    if (!meta) continue;
+    let changed = false;
+    for (const holder of [meta.totp, meta.totpPending]) {
+      if (!holder?.enc || !isStaleApiConfigBlob(keyring, holder.enc)) continue;
+      try {
+        const payload = decryptForUser(keyring, username, holder.enc);
+        holder.enc = encryptForUser(keyring, username, payload);
+      } catch {
+        if (!unreadable.includes(username)) unreadable.push(username);
+        continue;
+      }
+      reencrypted += 1;
+      changed = true;
+    }
+    if (changed) await saveUserMeta(username, meta);
+  }
+  return { reencrypted, unreadable };
+}
+
+// Fields of a shared config any signed-in user may see.
+function publicSharedApiConfig(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    modelId: item.modelId || "",
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+    shared: true,
+  };
+}
+
+function parseVertexKeys(raw) {
+  const list = [];
+  String(raw || "")
+    .split("\n")
+    .forEach((line) => {
+      const parts = line.trim().split("|");
+      if (parts.length < 2) return;
+      const key = parts[0].trim();
+      const projectId = parts[1].trim();
+      if (key && projectId) list.push({ key, projectId });
+    });
+  return list;
+}
+
+const vertexKeyCursor = new Map(); // config id -> next key index
+
+function hostOf(baseUrl) {
+  try {
+    return new URL(baseUrl).host.toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+// Mirrors the browser-side request building in executeSessionTurn, but with
+// credentials taken from a stored (encrypted) API config.
+function buildUpstreamRequest(configId, config, modelOverride, payload) {
+  const apiFormat = normalizeApiFormat(config.apiFormat);
+  const base = String(config.baseUrl || "").replace(/\/$/, "");
+  const model = String(modelOverride || config.modelId || "").trim();
+  if (!/^https?:\/\//.test(base))
+    throw Object.assign(new Error("配置缺少有效的 Base URL"), {
+      statusCode: 400,
+    });
+  if (!model)
+    throw Object.assign(new Error("缺少模型 ID"), { statusCode: 400 });
+  const headers = { "content-type": "application/json" };
+
+  if (apiFormat === "openai") {
+    const ver = config.apiVersion || "v1";
+    headers.authorization = `Bearer ${config.apiKey}`;
+    // Official endpoint only accepts the standard fields; gateways also get
+    // the advanced config merged in by the browser.
+    const body =
+      hostOf(base) === "api.openai.com"
+        ? {
+            model,
+            messages: payload.messages,
+            temperature: payload.temperature,
+          }
+        : { ...payload, model };
+    return { url: `${base}/${ver}/chat/completions`, headers, body };
+  }
+
+  if (apiFormat === "vertex") {
+    const keys = parseVertexKeys(config.vertexKeysRaw);
+    if (!keys.length)
+      throw Object.assign(
+        new Error("Vertex: 未配置 Keys（格式：API_KEY|PROJECT_ID）"),
+        { statusCode: 400 },
+      );
+    const idx = (vertexKeyCursor.get(configId) || 0) % keys.length;
+    vertexKeyCursor.set(configId, idx + 1);
+    const creds = keys[idx];
+    const ver = config.apiVersion || "v1beta1";
+    const location =
+      config.vertexLocation === "us-central1" ? "us-central1" : "global";
+    const url = `${base}/${ver}/projects/${encodeURIComponent(creds.projectId)}/locations/${location}/publishers/google/models/${encodeURIComponent(model)}:streamGenerateContent?key=${encodeURIComponent(creds.key)}`;
+    return { url, headers, body: payload };
+  }
+
+  const ver = config.apiVersion || "v1beta";
+  // The model id becomes a path segment; anything else could steer the key
+  // to other upstream endpoints.
+  const modelName = model.replace(/^models\//, "");
+  if (!/^[\w.-]+$/.test(modelName) || /^\.+$/.test(modelName))
+    throw Object.assign(new Error("无效的模型 ID"), { statusCode: 400 });
+  let url = `${base}/${ver}/models/${modelName}:generateContent`;
+  if (hostOf(base) === "generativelanguage.googleapis.com") {
+    url += `?key=${encodeURIComponent(config.apiKey)}`;
+  } else {
+    headers.authorization = `Bearer ${config.apiKey}`;
+  }
+  return { url, headers, body: payload };
+}
+
+// POSTs JSON upstream and buffers the reply (at most `maxBytes`). With
+// `publicOnly`, the host must resolve to a public address, as for remote
+// image fetches. Redirects are not followed.
+function postUpstreamJson(
+  urlStr,
+  { headers, body, signal, publicOnly = true, maxBytes = MAX_BODY_BYTES },
+) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(urlStr);
+    const hostname = u.hostname.replace(/^\[|\]$/g, "");
+    if (publicOnly && net.isIP(hostname) && isPrivateAddress(hostname))
+      return reject(fetchBlockedError(`拒绝访问内网地址：${hostname}`));
+    const lib =
+      u.protocol === "https:" ? require("node:https") : require("node:http");
+    const payload = Buffer.from(JSON.stringify(body));
+    const req = lib.request(
+      u,
+      {
+        method: "POST",
+        headers: { ...headers, "content-length": payload.length },
+        signal,
+        ...(publicOnly ? { lookup: publicOnlyLookup } : {}),
+      },
+      (r) => {
+        const chunks = [];
+        let total = 0;
+        r.on("data", (chunk) => {
+          total += chunk.length;
+          if (total > maxBytes) {
+            req.destroy(
+              Object.assign(new Error("上游响应过大"), { statusCode: 502 }),
+            );
+            return;
+          }
+          chunks.push(chunk);
+        });
+        r.on("end", () =>
+          resolve({
+            status: r.statusCode || 502,
+            headers: r.headers,
+            text: Buffer.concat(chunks).toString("utf8"),
+          }),
+        );
+        r.on("error", reject);
+      },
+    );
+    req.on("error", reject);
+    req.end(payload);
+  });
+}
+
+async function proxyGenerateRequest(req, res, upstream, { publicOnly }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), GENERATE_TIMEOUT_MS);
+  const onClose = () => {
+    if (!res.writableEnded) controller.abort();
+  };
+  res.on("close", onClose);
+  try {
+    let r;
+    try {
+      r = await postUpstreamJson(upstream.url, {
+        headers: upstream.headers,
+        body: upstream.body,
+        signal: controller.signal,
+        publicOnly,
+      });
+    } catch (e) {
+      if (res.destroyed) return;
+      const timedOut = e?.name === "AbortError";
+      const status = timedOut ? 504 : e?.statusCode || 502;
+      return sendJson(res, status, {
+        error: timedOut ? "上游请求超时" : `上游请求失败：${e?.message || e}`,
+      });
+    }
+    const { text } = r;
+    try {
+      JSON.parse(text);
+    } catch {
+      return sendJson(res, 502, {
+        error: `API returned non-JSON response (${r.status}): ${text.substring(0, 200)}...`,
+      });
+    }
+    const headers = {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": "no-store",
+    };
+    const retryAfter = r.headers["retry-after"];
+    if (retryAfter) headers["retry-after"] = retryAfter;
+    res.writeHead(r.status, headers);
+    res.end(text);
+  } finally {
+    clearTimeout(timer);
+    res.off("close", onClose);
+  }
+}
+
+function walkAndReplace(obj, replacer) {
+  if (Array.isArray(obj)) {
+    for (let i = 0; i < obj.length; i++)
+      obj[i] = walkAndReplace(obj[i], replacer);
     return obj;
   }
   if (obj && typeof obj === "object") {
@@ -723,11 +3370,6 @@ function walkAndReplace(obj, replacer) {
   return obj;
 }
 
-async function copyFileIfExists(src, dst) {
-  await ensureDir(path.dirname(dst));
-  await fsp.copyFile(src, dst);
-}
-
 async function listUserImages(username, kind, limit = 200, cursor = null) {
   const safeLimit = Number.isFinite(limit)
     ? Math.max(1, Math.min(1000, limit))
@@ -742,7 +3384,11 @@ async function listUserImages(username, kind, limit = 200, cursor = null) {
     const abs = path.join(dir, name);
     try {
       const stat = await fsp.stat(abs);
-      files.push({ name, mtimeMs: stat.mtimeMs, size: stat.size });
+      // Deduplicated entries share their blob's mtime, so prefer the upload
+      // time carried in the file name.
+      const stamp = /^(\d{13})_/.exec(name);
+      const mtimeMs = stamp ? Number(stamp[1]) : stat.mtimeMs;
+      files.push({ name, mtimeMs, size: stat.size });
     } catch {
       // ignore
     }
@@ -755,342 +3401,1875 @@ async function listUserImages(username, kind, limit = 200, cursor = null) {
     startIdx = idx >= 0 ? idx + 1 : 0;
   }
   const page = files.slice(startIdx, startIdx + safeLimit);
-  const nextCursor = page.length ? page[page.length - 1].name : null;
+  const nextCursor =
+    page.length && startIdx + page.length < files.length
+      ? page[page.length - 1].name
+      : null;
   return { items: page, nextCursor };
 }
 
+function normalizeGalleryKind(kind) {
+  const v = String(kind || "")
+    .toLowerCase()
+    .trim();
+  if (v === "uploads" || v === "generated") return v;
+  return null;
+}
+
+function sanitizeGalleryFileName(name) {
+  const n = String(name || "").trim();
+  if (!/^[a-zA-Z0-9_.-]{1,128}$/.test(n)) return null;
+  if (n.startsWith(".")) return null;
+  return n;
+}
+
+function galleryFileUri(username, kind, name) {
+  return `/files/${encodeURIComponent(username)}/${kind}/${encodeURIComponent(name)}`;
+}
+
+function galleryThumbUri(username, kind, name) {
+  const thumbName = path.basename(getThumbPathForImagePath(name));
+  return `/files/${encodeURIComponent(username)}/${kind}/thumbs/${encodeURIComponent(thumbName)}`;
+}
+
+// Thumbnails are decoded in a worker thread so a large image never stalls
+// other requests, and one at a time so a burst of gallery requests cannot
+// hold several full-size decodes in memory at once.
+let thumbQueue = Promise.resolve();
+const thumbInflight = new Map(); // absPath -> Promise<string|null>
+const thumbUnsupported = new Map(); // absPath -> source mtimeMs
+const THUMB_UNSUPPORTED_MAX = 10000;
+
+function isThumbPath(absPath) {
+  return path.basename(path.dirname(absPath)) === "thumbs";
+}
+
+async function generateThumbnail(absPath) {
+  const stat = await fsp.stat(absPath);
+  if (!stat.isFile() || stat.size > MAX_DOWNLOAD_BYTES) return null;
+  const thumbPath = getThumbPathForImagePath(absPath);
+  try {
+    const t = await fsp.stat(thumbPath);
+    if (t.isFile() && t.mtimeMs >= stat.mtimeMs) return { thumbPath, bytes: 0 };
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  if (thumbUnsupported.get(absPath) === stat.mtimeMs) return null;
+  const thumb = await createThumbnailInWorker(await fsp.readFile(absPath));
+  if (!thumb) {
+    thumbUnsupported.delete(absPath);
+    thumbUnsupported.set(absPath, stat.mtimeMs);
+    if (thumbUnsupported.size > THUMB_UNSUPPORTED_MAX)
+      thumbUnsupported.delete(thumbUnsupported.keys().next().value);
+    return null;
+  }
+  await ensureDir(path.dirname(thumbPath));
+  const prevBytes = await safeStatSize(thumbPath);
+  const tmp = `${thumbPath}.tmp.${crypto.randomBytes(6).toString("hex")}`;
+  await fsp.writeFile(tmp, thumb);
+  await fsp.rename(tmp, thumbPath);
+  return { thumbPath, bytes: thumb.length - prevBytes };
+}
+
+// Ensure `<dir>/thumbs/<name>.webp` exists for a file under the user's root
+// (rel like "uploads/x.png" or "favorites/presets/<id>/x.png").
+// Returns the thumbnail path, or null if the format cannot be thumbnailed.
+async function ensureUserThumbnail(username, rel) {
+  const userRoot = path.join(USERS_ROOT, username);
+  const absPath = path.join(userRoot, rel);
+  if (!absPath.startsWith(userRoot + path.sep) || isThumbPath(absPath))
+    return null;
+  if (thumbInflight.has(absPath)) return await thumbInflight.get(absPath);
+  const job = thumbQueue
+    .catch(() => {})
+    .then(async () => {
+      const out = await generateThumbnail(absPath);
+      if (!out) return null;
+      const kind = rel.split(/[\\/]/)[0];
+      if (out.bytes) await changeUsage(username, kind, out.bytes);
+      return out.thumbPath;
+    });
+  thumbQueue = job;
+  thumbInflight.set(absPath, job);
+  try {
+    return await job;
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  } finally {
+    thumbInflight.delete(absPath);
+  }
+}
+
+// Map a requested ".../thumbs/<base>.webp" back to its source image.
+async function findThumbSource(thumbAbsPath) {
+  if (!isThumbPath(thumbAbsPath) || path.extname(thumbAbsPath) !== ".webp")
+    return null;
+  const dir = path.dirname(path.dirname(thumbAbsPath));
+  const base = path.basename(thumbAbsPath, ".webp");
+  try {
+    const entries = await fsp.readdir(dir, { withFileTypes: true });
+    const hit = entries.find(
+      (e) => e.isFile() && path.basename(e.name, path.extname(e.name)) === base,
+    );
+    return hit ? path.join(dir, hit.name) : null;
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+async function toGalleryItem(username, kind, file) {
+  const absPath = path.join(USERS_ROOT, username, kind, file.name);
+  const thumbPath = getThumbPathForImagePath(absPath);
+  // Missing thumbnails are produced on first request by the /files/ handler,
+  // so only formats known to be unsupported fall back to the original.
+  const thumbUnavailable =
+    thumbUnsupported.has(absPath) && !((await safeStatSize(thumbPath)) > 0);
+  return {
+    name: file.name,
+    kind,
+    size: file.size,
+    mtimeMs: file.mtimeMs,
+    fileUri: galleryFileUri(username, kind, file.name),
+    thumbUri: thumbUnavailable
+      ? null
+      : galleryThumbUri(username, kind, file.name),
+  };
+}
+
+function favoritesTypeDir(username, type) {
+  return path.join(USERS_ROOT, username, "favorites", type);
+}
+
+function favoritesJsonPath(username, type) {
+  return path.join(USERS_ROOT, username, "favorites", `${type}.json`);
+}
+
+// Maps the part of a /files/<username>/ URL after the username to a path
+// inside that user's dir, or null when it could escape it.
+function resolveUserFilePath(username, rel) {
+  if (!sanitizeUsername(username)) return null;
+  const parts = String(rel || "").split("/");
+  if (
+    parts.some(
+      (p) =>
+        !p || p === "." || p === ".." || p.includes("\\") || p.includes("\0"),
+    )
+  )
+    return null;
+  const userRoot = path.join(USERS_ROOT, username);
+  const abs = path.resolve(userRoot, ...parts);
+  return abs.startsWith(userRoot + path.sep) ? abs : null;
+}
+
+// Snapshot dir for one favorite; null if the id cannot be a single path segment.
+function favoriteSnapshotDir(username, type, id) {
+  const name = String(id || "");
+  if (!name || name === "." || name === ".." || /[\\/\0]/.test(name))
+    return null;
+  return path.join(favoritesTypeDir(username, type), name);
+}
+
+// Snapshot dirs under favorites/<type>/ whose id no longer appears in
+// <type>.json. With `reclaim`, they are deleted and usage is re-measured.
+async function sweepOrphanFavorites(username, { reclaim = false } = {}) {
+  const now = Date.now();
+  const orphans = [];
+  for (const type of FAVORITE_TYPES) {
+    const list = await readJson(favoritesJsonPath(username, type), []);
+    const ids = new Set(
+      (Array.isArray(list) ? list : []).map((x) => String(x?.id)),
+    );
+    let entries = [];
+    try {
+      entries = await fsp.readdir(favoritesTypeDir(username, type), {
+        withFileTypes: true,
+      });
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+    for (const e of entries) {
+      if (!e.isDirectory() || ids.has(e.name)) continue;
+      const dir = path.join(favoritesTypeDir(username, type), e.name);
+      const st = await fsp.stat(dir);
+      if (now - st.mtimeMs < FAVORITE_ORPHAN_GRACE_MS) continue;
+      orphans.push({
+        type,
+        id: e.name,
+        bytes: await statDirBytesRecursive(dir),
+      });
+      if (reclaim) await fsp.rm(dir, { recursive: true, force: true });
+    }
+  }
+  if (reclaim && orphans.length) await refreshStorageUsage(username);
+  return orphans;
+}
+
+async function sweepAllOrphanFavorites({ reclaim = false } = {}) {
+  const out = [];
+  for (const username of await listUsers()) {
+    if (!(await loadUserMeta(username))) continue;
+    for (const o of await sweepOrphanFavorites(username, { reclaim }))
+      out.push({ username, ...o });
+  }
+  return out;
+}
+
+// Rewrites every image in a favorite item (data URLs, inline_data, remote
+// URLs, /files/ references) into files under favorites/<type>/<id>/ and
+// returns the stored copy. References into that same dir are left unchanged.
+async function materializeFavoriteItem(username, type, favoriteId, item) {
+  const observe = favoriteMaterializeDuration.startTimer({ type });
+  const userRoot = path.join(USERS_ROOT, username);
+  const favDir = favoriteSnapshotDir(username, type, favoriteId);
+  const ownPrefix = `/files/${encodeURIComponent(username)}/favorites/${type}/${encodeURIComponent(favoriteId)}/`;
+  await ensureDir(favDir);
+
+  // 1) Replace data URLs across payload with stored files.
+  const dataUrlMap = new Map(); // dataUrl -> newUrl
+  const remoteUrlMap = new Map(); // http(s) url -> newUrl
+  async function materializeDataUrl(dataUrl) {
+    if (dataUrlMap.has(dataUrl)) return dataUrlMap.get(dataUrl);
+    const parsed = parseDataUrl(dataUrl);
+    if (!parsed) return dataUrl;
+    const ext = mimeToExt(parsed.mime);
+    const fileName = `${Date.now()}_${crypto.randomBytes(6).toString("hex")}.${ext}`;
+    const absPath = path.join(favDir, fileName);
+    await writeBlobEntry(username, parsed.buf, absPath);
+    await ensureUserThumbnail(username, path.relative(userRoot, absPath));
+    const fileUri = `/files/${encodeURIComponent(username)}/favorites/${type}/${encodeURIComponent(favoriteId)}/${encodeURIComponent(fileName)}`;
+    dataUrlMap.set(dataUrl, fileUri);
+    return fileUri;
+  }
+
+  async function materializeRemoteUrl(remoteUrl) {
+    if (remoteUrlMap.has(remoteUrl)) return remoteUrlMap.get(remoteUrl);
+    if (!isHttpUrl(remoteUrl)) return remoteUrl;
+    let image = null;
+    try {
+      image = await fetchRemoteImage(remoteUrl);
+    } catch (e) {
+      // Unreachable, blocked or failing URLs stay as plain links.
+      console.warn(`[favorites] skip remote image ${remoteUrl}: ${e.message}`);
+    }
+    if (!image) return remoteUrl;
+    const { buf, mime } = image;
+    const ext = mimeToExt(mime);
+    const fileName = `${Date.now()}_${crypto.randomBytes(6).toString("hex")}.${ext}`;
+    const absPath = path.join(favDir, fileName);
+    await writeBlobEntry(username, buf, absPath);
+    await ensureUserThumbnail(username, path.relative(userRoot, absPath));
+    const fileUri = `/files/${encodeURIComponent(username)}/favorites/${type}/${encodeURIComponent(favoriteId)}/${encodeURIComponent(fileName)}`;
+    remoteUrlMap.set(remoteUrl, fileUri);
+    return fileUri;
+  }
+
+  // 2) Link existing user files into favorites snapshot (uploads/generated).
+  async function snapshotFileUri(fileUri) {
+    if (typeof fileUri !== "string") return fileUri;
+    if (!fileUri.startsWith(`/files/${username}/`)) return fileUri;
+    // Files already in this favorite's snapshot dir are kept as they are.
+    if (fileUri.startsWith(ownPrefix)) return fileUri;
+    const rel = decodeURIComponent(fileUri.replace(`/files/${username}/`, ""));
+    const src = resolveUserFilePath(username, rel);
+    // Gallery files, or another favorite's snapshot files when duplicating;
+    // never the favorites lists, settings or account files.
+    const parts = rel.split("/");
+    const snapshotSource =
+      parts[0] === "uploads" ||
+      parts[0] === "generated" ||
+      (parts[0] === "favorites" &&
+        FAVORITE_TYPES.includes(parts[1]) &&
+        parts.length === 4);
+    if (!src || !snapshotSource)
+      throw Object.assign(new Error("无效的图片路径"), { statusCode: 400 });
+    const ext = path.extname(rel) || "";
+    const fileName = `${Date.now()}_${crypto.randomBytes(6).toString("hex")}${ext}`;
+    const dst = path.join(favDir, fileName);
+    await adoptIntoBlobStore(username, src);
+    await linkOrCopyFile(src, dst);
+    const srcThumb = getThumbPathForImagePath(src);
+    if ((await safeStatSize(srcThumb)) > 0)
+      await linkOrCopyFile(srcThumb, getThumbPathForImagePath(dst));
+    await ensureUserThumbnail(username, path.relative(userRoot, dst));
+    return `/files/${encodeURIComponent(username)}/favorites/${type}/${encodeURIComponent(favoriteId)}/${encodeURIComponent(fileName)}`;
+  }
+
+  // Deep clone to avoid mutating request object
+  const stored = JSON.parse(JSON.stringify(item));
+
+  // A) Convert known inline_data objects to file_data + file_uri.
+  function convertInlineDataToDataUrl(o) {
+    const inline = o?.inline_data || o?.inlineData || o?.inLineData;
+    if (!inline || !inline.data) return null;
+    const mime = inline.mime_type || inline.mimeType || "image/png";
+    const data = String(inline.data);
+    return `data:${mime};base64,${data}`;
+  }
+
+  async function traverseAndMaterialize(node) {
+    if (Array.isArray(node)) {
+      for (let i = 0; i < node.length; i++)
+        node[i] = await traverseAndMaterialize(node[i]);
+      return node;
+    }
+    if (node && typeof node === "object") {
+      // Images loaded back from the server carry both the file reference and a
+      // hydrated inline copy; the file is the source of truth, so drop the copy
+      // instead of writing a duplicate snapshot.
+      const knownUri = node.file_uri || node.fileUri;
+      if (
+        typeof knownUri === "string" &&
+        knownUri.startsWith(`/files/${username}/`)
+      ) {
+        delete node.data;
+        delete node.b64;
+      }
+
+      // Special-case packed assets/images: { mime, data } or { mime_type, data }
+      const assetMime =
+        (typeof node.mime === "string" && node.mime) ||
+        (typeof node.mime_type === "string" && node.mime_type) ||
+        null;
+      const assetData = typeof node.data === "string" ? node.data : null;
+      if (
+        assetMime &&
+        assetMime.startsWith("image/") &&
+        assetData &&
+        !node.file_uri &&
+        !node.fileUri
+      ) {
+        const fileUri = await materializeDataUrl(
+          `data:${assetMime};base64,${assetData}`,
+        );
+        const next = { ...node, file_uri: fileUri };
+        delete next.data;
+        return next;
+      }
+
+      // Special-case Gemini-style parts: { inline_data } -> { file_data }
+      const dataUrl = convertInlineDataToDataUrl(node);
+      if (dataUrl) {
+        const fileUri = await materializeDataUrl(dataUrl);
+        const mime =
+          node.inline_data?.mime_type ||
+          node.inlineData?.mime_type ||
+          node.inlineData?.mimeType ||
+          node.inLineData?.mime_type ||
+          node.inLineData?.mimeType ||
+          "image/png";
+        return { file_data: { mime_type: mime, file_uri: fileUri } };
+      }
+      for (const k of Object.keys(node))
+        node[k] = await traverseAndMaterialize(node[k]);
+      return node;
+    }
+    if (typeof node === "string") {
+      if (node.startsWith("data:image/") && node.includes(";base64,"))
+        return await materializeDataUrl(node);
+      if (node.startsWith(`/files/${username}/`))
+        return await snapshotFileUri(node);
+      if (isHttpUrl(node)) return await materializeRemoteUrl(node);
+      return node;
+    }
+    return node;
+  }
+
+  try {
+    return await traverseAndMaterialize(stored);
+  } finally {
+    observe();
+  }
+}
+
+// Deletes snapshot files (and their thumbnails) in a favorite's dir that the
+// stored item no longer references.
+async function pruneFavoriteSnapshots(username, type, favoriteId, stored) {
+  const favDir = favoriteSnapshotDir(username, type, favoriteId);
+  const ownPrefix = `/files/${encodeURIComponent(username)}/favorites/${type}/${encodeURIComponent(favoriteId)}/`;
+  const json = JSON.stringify(stored);
+  let entries = [];
+  try {
+    entries = await fsp.readdir(favDir, { withFileTypes: true });
+  } catch (e) {
+    if (e.code === "ENOENT") return;
+    throw e;
+  }
+  for (const e of entries) {
+    if (!e.isFile()) continue;
+    if (json.includes(`${ownPrefix}${encodeURIComponent(e.name)}`)) continue;
+    const absPath = path.join(favDir, e.name);
+    await releaseEntryFile(username, absPath);
+    await safeUnlink(getThumbPathForImagePath(absPath));
+  }
+}
+
+// Snapshot size is only known once images are fetched, decoded and linked,
+// so routes that materialize favorites re-measure usage afterwards and undo
+// their own writes with `rollback` when the quota was overrun.
+async function assertFavoriteSnapshotFits(username, rollback) {
+  await refreshStorageUsage(username);
+  try {
+    await assertGalleryHasSpace(username, "favorites", 0);
+  } catch (e) {
+    await rollback();
+    await refreshStorageUsage(username);
+    throw e;
+  }
+}
+
+// ---- Account export / import ----
+// Archives are gzipped ustar files laid out like the user's data dir:
+// manifest.json, meta.json (profile only), settings/api-configs.json,
+// favorites/, uploads/ and generated/. Thumbnails are left out and rebuilt
+// on demand; files sharing a blob are stored once as tar hard links.
+
+const EXPORT_FORMAT = "banana-account-export";
+const EXPORT_VERSION = 1;
+const EXPORT_DIRS = ["favorites", "uploads", "generated"];
+const EXPORT_META_FIELDS = [
+  "username",
+  "isAdmin",
+  "disabled",
+  "createdAt",
+  "updatedAt",
+  "passwordChangedAt",
+];
+const IMPORT_MAX_BYTES = 4 * 1024 * 1024 * 1024; // accounts without quota
+
+// Filesystem errors raised while unpacking or reading the staging dir that
+// only a malformed archive can cause (an entry repeated, or used both as a
+// file and as a directory).
+const MALFORMED_ARCHIVE_CODES = new Set(["EEXIST", "ENOTDIR", "EISDIR"]);
+
+function importError(message, statusCode = 400) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+async function* walkExportFiles(dirPath, rel) {
+  let entries = [];
+  try {
+    entries = await fsp.readdir(dirPath, { withFileTypes: true });
+  } catch (e) {
+    if (e.code === "ENOENT") return;
+    throw e;
+  }
+  for (const e of entries) {
+    const abs = path.join(dirPath, e.name);
+    if (e.isDirectory()) {
+      if (e.name === "thumbs") continue;
+      yield* walkExportFiles(abs, `${rel}/${e.name}`);
+      continue;
+    }
+    if (!e.isFile() || e.name.includes(".tmp.")) continue;
+    const stat = await statOrNull(abs);
+    if (stat) yield { rel: `${rel}/${e.name}`, abs, stat };
+  }
+}
+
+// Decrypted API configs. Keys are only included in a user's own export.
+async function exportApiConfigs(keyring, username, { includeKeys }) {
+  const store = await readUserApiConfigs(username);
+  const items = {};
+  for (const [apiFormat, list] of Object.entries(store.items || {})) {
+    items[apiFormat] = [];
+    for (const x of Array.isArray(list) ? list : []) {
+      let config;
+      try {
+        config = decryptForUser(keyring, username, x.enc);
+      } catch {
+        continue;
+      }
+      if (!includeKeys) {
+        delete config.apiKey;
+        delete config.vertexKeysRaw;
+      }
+      items[apiFormat].push({
+        name: x.name,
+        createdAt: x.createdAt,
+        updatedAt: x.updatedAt,
+        config,
+      });
+    }
+  }
+  return { version: 1, items };
+}
+
+async function writeAccountArchive(keyring, username, out, { includeKeys }) {
+  const tar = createTarWriter(out);
+  const meta = await loadUserMeta(username);
+  const json = (obj) => Buffer.from(JSON.stringify(obj, null, 2));
+  await tar.addBuffer(
+    "manifest.json",
+    json({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      username,
+      exportedAt: nowIso(),
+      includesApiKeys: includeKeys,
+    }),
+  );
+  const profile = {};
+  for (const k of EXPORT_META_FIELDS)
+    if (meta?.[k] !== undefined) profile[k] = meta[k];
+  await tar.addBuffer("meta.json", json(profile));
+  await tar.addBuffer(
+    "settings/api-configs.json",
+    json(await exportApiConfigs(keyring, username, { includeKeys })),
+  );
+  const archived = new Map(); // dev:ino -> first archive path
+  for (const dir of EXPORT_DIRS) {
+    const files = walkExportFiles(path.join(USERS_ROOT, username, dir), dir);
+    for await (const f of files) {
+      const key = `${f.stat.dev}:${f.stat.ino}`;
+      if (archived.has(key)) {
+        await tar.addLink(f.rel, archived.get(key), f.stat.mtimeMs);
+        continue;
+      }
+      archived.set(key, f.rel);
+      await tar.addFile(f.rel, f.abs, f.stat);
+    }
+  }
+  await tar.finish();
+}
+
+async function sendAccountExport(keyring, res, username, { includeKeys }) {
+  const day = nowIso().slice(0, 10);
+  res.writeHead(200, {
+    "content-type": "application/gzip",
+    "content-disposition": `attachment; filename="banana-${username}-${day}.tar.gz"`,
+    "cache-control": "no-store",
+  });
+  const gz = zlib.createGzip();
+  const done = pipeline(gz, res);
+  try {
+    await writeAccountArchive(keyring, username, gz, { includeKeys });
+    gz.end();
+    await done;
+  } catch (e) {
+    // Headers are already out, so a failure can only cut the download short.
+    console.error(e);
+    gz.destroy();
+    res.destroy();
+    await done.catch(() => {});
+  }
+}
+
+async function importApiConfigs(keyring, username, exported) {
+  let imported = 0;
+  const store = await readUserApiConfigs(username);
+  for (const apiFormat of ["gemini", "openai", "vertex"]) {
+    const incoming = exported?.items?.[apiFormat];
+    if (!Array.isArray(incoming)) continue;
+    if (!Array.isArray(store.items[apiFormat])) store.items[apiFormat] = [];
+    const list = store.items[apiFormat];
+    for (const x of incoming) {
+      const name = String(x?.name || "").trim();
+      if (!name || list.length >= 2) continue;
+      if (list.some((y) => String(y?.name) === name)) continue;
+      let payload;
+      try {
+        payload = apiConfigPayloadFromBody(apiFormat, x.config || {});
+      } catch {
+        continue; // exported without keys
+      }
+      const now = nowIso();
+      list.push({
+        id: crypto.randomUUID(),
+        name,
+        createdAt: x.createdAt || now,
+        updatedAt: now,
+        enc: encryptForUser(keyring, username, payload),
+      });
+      imported += 1;
+    }
+  }
+  if (imported) await writeUserApiConfigs(username, store);
+  return imported;
+}
+
+// Restores an archive from `stream` into an existing account. Only missing
+// items are added: favorites whose id is new, gallery files whose name is
+// free and API configs whose name is free (within the per-format limit).
+// Profile data in meta.json is informational and never applied. Usage is
+// checked against the quota after deduplication and before anything lands.
+async function importAccountArchive(keyring, username, stream) {
+  const userRoot = path.join(USERS_ROOT, username);
+  const staging = path.join(
+    userRoot,
+    `.import-${crypto.randomBytes(6).toString("hex")}`,
+  );
+  await ensureDir(staging);
+  const result = { favorites: 0, images: 0, apiConfigs: 0, skipped: 0 };
+  try {
+    const quotaBytes = await getQuotaBytes(username);
+    const gunzip = zlib.createGunzip();
+    pipeline(stream, gunzip).catch(() => {});
+    try {
+      await extractTar(gunzip, staging, {
+        maxBytes: quotaBytes ?? IMPORT_MAX_BYTES,
+      });
+    } catch (e) {
+      // Malformed tar headers (400) and gzip errors (Z_*) mean a bad file.
+      if (e.statusCode === 400 || String(e.code || "").startsWith("Z_"))
+        throw importError("无法解析导入文件");
+      throw e;
+    }
+    const manifest = await readJson(path.join(staging, "manifest.json"), null);
+    if (manifest?.format !== EXPORT_FORMAT || manifest.version > EXPORT_VERSION)
+      throw importError("不是有效的账户导出文件");
+
+    const moves = []; // [staged path, destination]
+    for (const kind of ["uploads", "generated"]) {
+      let names = [];
+      try {
+        names = await fsp.readdir(path.join(staging, kind));
+      } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+      }
+      for (const raw of names) {
+        const name = sanitizeGalleryFileName(raw);
+        const from = path.join(staging, kind, raw);
+        const to = name && path.join(userRoot, kind, name);
+        const st = await fsp.stat(from);
+        if (!to || !st.isFile() || (await statOrNull(to))) {
+          result.skipped += 1;
+          continue;
+        }
+        moves.push([from, to]);
+        result.images += 1;
+      }
+    }
+
+    const oldPrefix = `/files/${encodeURIComponent(String(manifest.username || ""))}/`;
+    const newPrefix = `/files/${encodeURIComponent(username)}/`;
+    const favoriteLists = new Map(); // type -> merged list
+    for (const type of FAVORITE_TYPES) {
+      const incoming = await readJson(
+        path.join(staging, "favorites", `${type}.json`),
+        [],
+      );
+      if (!Array.isArray(incoming) || !incoming.length) continue;
+      const list = await readJson(favoritesJsonPath(username, type), []);
+      const merged = Array.isArray(list) ? list : [];
+      const ids = new Set(merged.map((x) => String(x?.id)));
+      for (const item of incoming) {
+        const id = String(item?.id ?? "");
+        const favDir = favoriteSnapshotDir(username, type, id);
+        if (!item || typeof item !== "object" || !favDir || ids.has(id)) {
+          result.skipped += 1;
+          continue;
+        }
+        ids.add(id);
+        merged.push(
+          JSON.parse(JSON.stringify(item).split(oldPrefix).join(newPrefix)),
+        );
+        const from = path.join(staging, "favorites", type, id);
+        if (await statOrNull(from)) moves.push([from, favDir]);
+        result.favorites += 1;
+      }
+      favoriteLists.set(type, merged);
+    }
+
+    // Link staged files into the blob store first so content the account
+    // already has is not charged again.
+    let newBytes = 0;
+    const counted = new Set();
+    for (const [from] of moves) {
+      const st = await fsp.stat(from);
+      const files = st.isDirectory()
+        ? walkExportFiles(from, "")
+        : [{ abs: from, stat: st }];
+      for await (const f of files) {
+        const key = `${f.stat.dev}:${f.stat.ino}`;
+        if (!counted.has(key)) newBytes += f.stat.size;
+        counted.add(key);
+        newBytes -= (await adoptIntoBlobStore(username, f.abs)).reclaimedBytes;
+      }
+    }
+    const { leftBytes } = await getGalleryBytesLeft(username);
+    if (leftBytes != null && newBytes > leftBytes)
+      throw importError(
+        `图库容量不足：导入需要 ${(newBytes / 1024 ** 2).toFixed(1)}MB，剩余 ${(leftBytes / 1024 ** 2).toFixed(1)}MB`,
+        507,
+      );
+
+    for (const [from, to] of moves) {
+      await ensureDir(path.dirname(to));
+      await fsp.rm(to, { recursive: true, force: true }); // orphaned snapshot dir
+      await fsp.rename(from, to);
+    }
+    for (const [type, list] of favoriteLists)
+      await writeJsonAtomic(favoritesJsonPath(username, type), list);
+    result.apiConfigs = await importApiConfigs(
+      keyring,
+      username,
+      await readJson(path.join(staging, "settings", "api-configs.json"), null),
+    );
+  } catch (e) {
+    if (!e.statusCode && MALFORMED_ARCHIVE_CODES.has(e.code))
+      throw importError("无法解析导入文件");
+    throw e;
+  } finally {
+    await fsp.rm(staging, { recursive: true, force: true });
+    await collectOrphanBlobs(username);
+  }
+  await recomputeUsage(username);
+  return result;
+}
+
+async function getStorageSummary(username) {
+  // getGalleryBytesLeft may recompute a stale usage.json, so read it after.
+  const { quotaBytes, leftBytes } = await getGalleryBytesLeft(username);
+  const usage = await readUsage(username);
+  return {
+    uploadsBytes: usage.uploadsBytes,
+    generatedBytes: usage.generatedBytes,
+    favoritesBytes: usage.favoritesBytes,
+    usedBytes: usageTotalBytes(usage),
+    quotaBytes,
+    leftBytes,
+    updatedAt: usage.updatedAt,
+  };
+}
+
 async function main() {
   await ensureDir(USERS_ROOT);
-  const secret = await loadOrCreateSecret();
+  const keyring = await loadKeyring();
+  const oidc = createOidcFromEnv();
+  if (oidc) console.log(`[oidc] single sign-on via ${OIDC_ISSUER}`);
+  await loadAllSessions();
+  await loadAllAccessTokens();
+  // Finishes a secret rotation (and upgrades v1 blobs) before serving.
+  const { reencrypted, unreadable } = await reencryptApiConfigs(keyring);
+  if (reencrypted)
+    console.log(`[secrets] re-encrypted ${reencrypted} API config(s)`);
+  for (const { owner, name } of unreadable)
+    console.warn(
+      `[secrets] API config "${name}" of ${owner} cannot be decrypted with any configured secret`,
+    );
+  const totp = await reencryptTotpSecrets(keyring);
+  if (totp.reencrypted)
+    console.log(`[secrets] re-encrypted ${totp.reencrypted} 2FA secret(s)`);
+  for (const username of totp.unreadable)
+    console.warn(
+      `[secrets] 2FA secret of ${username} cannot be decrypted with any configured secret`,
+    );
 
-  // Optional admin bootstrap via env; if unset, the first registered user becomes admin.
+  // Optional admin bootstrap via env; if unset, a one-time setup invite is
+  // printed and whoever redeems it becomes the first admin.
   const adminUser = sanitizeUsername(process.env.BANANA_ADMIN_USER || "");
   const adminPass = String(process.env.BANANA_ADMIN_PASS || "");
   if (adminUser && adminPass.length >= 6) {
     const existing = await loadUserMeta(adminUser);
-    const salt = existing?.salt || crypto.randomBytes(16).toString("hex");
-    const hash = hashPassword(adminPass, salt);
-    await saveUserMeta(adminUser, {
-      username: adminUser,
-      salt,
-      hash,
-      isAdmin: true,
-      createdAt: existing?.createdAt || nowIso(),
-      updatedAt: nowIso(),
-    });
+    if (!existing) {
+      await createUserAccount(adminUser, adminPass, { isAdmin: true });
+    } else if (
+      !existing.isAdmin ||
+      existing.hash !== hashPassword(adminPass, existing.salt)
+    ) {
+      // Only the password and admin flag are managed here; 2FA, SSO links,
+      // quotas and account state stay as they are.
+      const meta = { ...existing, isAdmin: true, updatedAt: nowIso() };
+      if (existing.hash !== hashPassword(adminPass, existing.salt)) {
+        meta.salt = crypto.randomBytes(16).toString("hex");
+        meta.hash = hashPassword(adminPass, meta.salt);
+        meta.passwordChangedAt = nowIso();
+        delete meta.mustChangePassword;
+        delete meta.passwordUnset;
+      }
+      await revokeAllSessions(adminUser);
+      await saveUserMeta(adminUser, meta);
+    }
     console.log(`[admin] ensured admin user: ${adminUser}`);
   }
+  await ensureSetupInvite();
+
+  const sweepStorage = () =>
+    sweepAllOrphanFavorites({ reclaim: true })
+      .then(async (items) => {
+        if (items.length)
+          console.log(
+            `[favorites] reclaimed ${items.length} orphaned snapshot dir(s)`,
+          );
+        let blobs = 0;
+        for (const username of await listUsers())
+          blobs += (await collectOrphanBlobs(username)).count;
+        if (blobs) console.log(`[blobs] collected ${blobs} orphaned blob(s)`);
+      })
+      .catch((e) => console.error(e));
+  sweepStorage();
+  setInterval(sweepStorage, FAVORITE_SWEEP_INTERVAL_MS).unref();
+
+  const purgeAccounts = () =>
+    purgeDueAccounts()
+      .then((names) => {
+        if (names.length)
+          console.log(
+            `[accounts] purged deleted account(s): ${names.join(", ")}`,
+          );
+      })
+      .catch((e) => console.error(e));
+  purgeAccounts();
+  setInterval(purgeAccounts, ACCOUNT_PURGE_INTERVAL_MS).unref();
+
+  setInterval(
+    () => syncUserFilesFromDisk().catch((e) => console.error(e)),
+    USER_FILES_SYNC_INTERVAL_MS,
+  ).unref();
 
   const server = http.createServer(async (req, res) => {
+    const requestId = requestIdFor(req);
+    res.setHeader("x-request-id", requestId);
+    trackRequest(req, res, requestId);
+    setSecurityHeaders(req, res);
     try {
       const url = new URL(req.url || "/", "http://localhost");
       const pathname = decodeURIComponent(url.pathname);
 
-      // Static: app
-      if (
-        req.method === "GET" &&
-        (pathname === "/" || pathname === "/banana.html")
-      ) {
-        return await serveStaticFile(req, res, path.join(ROOT, "banana.html"));
+      // Static: app
+      const isGetOrHead = req.method === "GET" || req.method === "HEAD";
+      if (isGetOrHead && (pathname === "/" || pathname === "/banana.html")) {
+        const pagePath = path.join(ROOT, "banana.html");
+        ensureCsrfCookie(req, res);
+        await setPageSecurityHeaders(res, pagePath);
+        return await serveStaticFile(req, res, pagePath);
+      }
+      if (isGetOrHead && pathname.startsWith("/assets/")) {
+        const rel = pathname.replace(/^\/assets\//, "");
+        const filePath = path.join(ROOT, "assets", rel);
+        if (!filePath.startsWith(path.join(ROOT, "assets")))
+          return sendText(res, 400, "Bad path");
+        return await serveStaticFile(req, res, filePath);
+      }
+
+      // Protected file serving for images (cookie-based)
+      if (isGetOrHead && pathname.startsWith("/files/")) {
+        const parts = pathname.split("/").filter(Boolean); // ['files', username, ...rest]
+        const username = parts[1];
+        const rel = parts.slice(2).join("/");
+        const userRoot = path.join(USERS_ROOT, username || "");
+        // Only gallery and favorite files; never meta, sessions or settings.
+        const filePath = resolveUserFilePath(username, rel);
+        const area = filePath
+          ? path.relative(userRoot, filePath).split(path.sep)[0]
+          : "";
+        if (!USER_FILE_AREAS.includes(area))
+          return sendText(res, 400, "Bad path");
+        const auth = requireAuth(keyring, req, {
+          scope: area === "favorites" ? "favorites:read" : "gallery:read",
+        });
+        if (!auth) return sendText(res, 401, "Unauthorized");
+        if (!ensureUserOwnsPath(auth, username))
+          return sendText(res, 403, "Forbidden");
+        try {
+          if (!fs.existsSync(filePath)) {
+            const source = await findThumbSource(filePath);
+            if (source)
+              await ensureUserThumbnail(
+                username,
+                path.relative(userRoot, source),
+              );
+          }
+          const stat = await fsp.stat(filePath);
+          if (!stat.isFile()) return sendText(res, 404, "Not found");
+          const sent = await sendFile(req, res, filePath, stat, {
+            cacheControl: "private, max-age=3600",
+          });
+          filesServedBytes.inc(
+            { kind: isThumbPath(filePath) ? "thumbs" : area },
+            sent,
+          );
+          return;
+        } catch (e) {
+          if (e.code === "ENOENT") return sendText(res, 404, "Not found");
+          console.error(e);
+          return sendText(res, 500, "Internal error");
+        }
+      }
+
+      // API
+      if (pathname.startsWith("/api/")) ensureCsrfCookie(req, res);
+      if (needsCsrfCheck(req, pathname)) {
+        const reason = csrfFailure(req);
+        if (reason) {
+          csrfRejections.inc({ reason });
+          return sendJson(res, 403, {
+            error:
+              reason === "origin"
+                ? "请求来源不受信任"
+                : "CSRF 校验失败，请刷新页面后重试",
+            code: "csrf",
+          });
+        }
+      }
+
+      if (pathname === "/api/metrics" && req.method === "GET") {
+        if (!metricsAuthorized(keyring, req))
+          return sendJson(res, 403, { error: "Forbidden" });
+        const body = await metrics.render();
+        res.writeHead(200, {
+          "content-type": "text/plain; version=0.0.4; charset=utf-8",
+          "cache-control": "no-store",
+        });
+        return res.end(body);
+      }
+
+      if (pathname === "/api/csp-report" && req.method === "POST") {
+        if (rateLimited(res, cspReportRateLimiter, clientIp(req))) return;
+        const raw = await readBody(req, CSP_REPORT_MAX_BYTES);
+        for (const report of parseCspReports(raw)) {
+          cspReportsTotal.inc({ directive: report.directive });
+          console.warn(
+            `[csp] ${report.disposition || "report"} ${report.directive} blocked ${report.blocked || "(inline)"} on ${report.document}`,
+          );
+        }
+        res.writeHead(204, { "cache-control": "no-store" });
+        return res.end();
+      }
+
+      if (pathname === "/api/health" && req.method === "GET") {
+        return sendJson(res, 200, { ok: true });
+      }
+
+      if (pathname === "/api/me" && req.method === "GET") {
+        const auth = requireAuth(keyring, req, {
+          allowPasswordChange: true,
+          allowTwoFactorSetup: true,
+          scope: ANY_TOKEN_SCOPE,
+        });
+        if (!auth) return sendJson(res, 200, { user: null });
+        const meta = await loadUserMeta(auth.u);
+        if (!meta) return sendJson(res, 200, { user: null });
+        const session = sessionsByUser.get(auth.u)?.get(auth.sid);
+        return sendJson(res, 200, {
+          user: {
+            username: meta.username,
+            isAdmin: !!meta.isAdmin,
+            mustChangePassword: !!meta.mustChangePassword,
+            mustEnrollTwoFactor: !!session?.mustEnrollTwoFactor,
+            twoFactorEnabled: !!meta.totp,
+            passwordSet: !meta.passwordUnset,
+            ssoLinked: !!meta.oidc,
+            recoveryCodesLeft: meta.totp?.recoveryCodes?.length ?? 0,
+          },
+        });
+      }
+
+      if (pathname === "/api/auth/register" && req.method === "POST") {
+        if (rateLimited(res, registerRateLimiter, clientIp(req))) return;
+        const body = await readJsonBody(req);
+        const username = sanitizeUsername(body.username);
+        const password = String(body.password || "");
+        if (!username)
+          return sendJson(res, 400, {
+            error: "用户名仅允许 3-32 位字母/数字/_/-",
+          });
+        if (password.length < 6)
+          return sendJson(res, 400, { error: "密码至少 6 位" });
+        const inviteCode = normalizeInviteCode(body.inviteCode);
+        const mode = await getRegistrationMode();
+        if (mode === "closed" && !inviteCode)
+          return sendJson(res, 403, { error: "注册已关闭" });
+        if (mode === "invite" && !inviteCode)
+          return sendJson(res, 403, { error: "需要邀请码才能注册" });
+
+        let isAdmin = false;
+        const register = async (invite) => {
+          // Closed mode still honours admin invites (e.g. the setup code).
+          if (mode === "closed" && !invite?.admin) {
+            const err = new Error("注册已关闭");
+            err.statusCode = 403;
+            throw err;
+          }
+          if (await loadUserMeta(username)) {
+            const err = new Error("用户名已存在");
+            err.statusCode = 409;
+            throw err;
+          }
+          isAdmin = !!invite?.admin;
+          await createUserAccount(username, password, {
+            isAdmin,
+            inviteCode: invite?.code,
+          });
+        };
+        try {
+          if (inviteCode) await redeemInvite(inviteCode, username, register);
+          else await register(null);
+        } catch (e) {
+          if (!e.statusCode) throw e;
+          return sendJson(res, e.statusCode, { error: e.message });
+        }
+        return sendJson(res, 200, { ok: true, isAdmin });
+      }
+
+      if (pathname === "/api/auth/registration" && req.method === "GET") {
+        return sendJson(res, 200, { mode: await getRegistrationMode() });
+      }
+
+      if (pathname === "/api/auth/login" && req.method === "POST") {
+        const body = await readJsonBody(req);
+        const username = sanitizeUsername(body.username);
+        const password = String(body.password || "");
+        if (!username || !password)
+          return sendJson(res, 400, { error: "缺少用户名或密码" });
+        const ipKey = `ip:${clientIp(req)}`;
+        const userKey = `user:${username}`;
+        const wait = loginLockRemaining(loginLockKeys(req, username));
+        if (wait) return sendTooManyRequests(res, wait);
+        const meta = await loadUserMeta(username);
+        if (!meta || hashPassword(password, meta.salt) !== meta.hash) {
+          recordLoginFailure(ipKey, LOGIN_FREE_ATTEMPTS_PER_IP);
+          recordLoginFailure(userKey, LOGIN_FREE_ATTEMPTS_PER_USER);
+          await writeAudit("auth.login-failed", {
+            target: username,
+            reason: meta ? "password" : "unknown-user",
+            req,
+          });
+          return sendJson(res, 401, { error: "用户名或密码错误" });
+        }
+        if (meta.disabled) {
+          await writeAudit("auth.login-failed", {
+            target: username,
+            reason: "disabled",
+            req,
+          });
+          return sendJson(res, 403, { error: "账号已被停用，请联系管理员" });
+        }
+        // With 2FA the password only earns a pre-auth token; the session
+        // cookie is set by /api/auth/login/2fa.
+        if (meta.totp)
+          return sendJson(res, 200, {
+            twoFactor: true,
+            preAuthToken: createPreAuthToken(keyring, username),
+          });
+        return await completeLogin(keyring, req, res, username, meta);
+      }
+
+      if (pathname === "/api/auth/login/2fa" && req.method === "POST") {
+        const body = await readJsonBody(req);
+        const pre = verifyToken(keyring, body.preAuthToken);
+        if (!pre || pre.typ !== "2fa")
+          return sendJson(res, 401, { error: "验证已超时，请重新登录" });
+        const username = pre.u;
+        const ipKey = `ip:${clientIp(req)}`;
+        const userKey = `user:${username}`;
+        const wait = loginLockRemaining(loginLockKeys(req, username));
+        if (wait) return sendTooManyRequests(res, wait);
+        const meta = await loadUserMeta(username);
+        // 2FA may have been reset (or the account disabled) since the password.
+        if (!meta || meta.disabled || !meta.totp)
+          return sendJson(res, 401, { error: "验证已超时，请重新登录" });
+        const method = consumeSecondFactor(keyring, username, meta, body.code);
+        if (!method) {
+          recordLoginFailure(ipKey, LOGIN_FREE_ATTEMPTS_PER_IP);
+          recordLoginFailure(userKey, LOGIN_FREE_ATTEMPTS_PER_USER);
+          await writeAudit("auth.login-failed", {
+            target: username,
+            reason: "2fa",
+            req,
+          });
+          return sendJson(res, 401, { error: "验证码错误" });
+        }
+        await saveUserMeta(username, meta);
+        return await completeLogin(keyring, req, res, username, meta, method);
+      }
+
+      if (pathname === "/api/auth/oidc" && req.method === "GET") {
+        return sendJson(res, 200, {
+          enabled: !!oidc,
+          name: oidc ? OIDC_DISPLAY_NAME : null,
+          linkExisting: !!oidc && OIDC_LINK_EXISTING,
+        });
+      }
+
+      if (pathname === "/api/auth/oidc/login" && req.method === "GET") {
+        if (!oidc) return sendJson(res, 404, { error: "未配置单点登录" });
+        let location;
+        try {
+          location = await beginOidcLogin(oidc, req, res, {
+            returnTo: safeReturnPath(url.searchParams.get("return")),
+          });
+        } catch (e) {
+          console.error(`[oidc] ${e.message}`);
+          return sendOidcError(res, "无法连接身份提供商，请稍后再试");
+        }
+        return sendRedirect(res, location);
       }
-      if (req.method === "GET" && pathname.startsWith("/assets/")) {
-        const rel = pathname.replace(/^\/assets\//, "");
-        const filePath = path.join(ROOT, "assets", rel);
-        if (!filePath.startsWith(path.join(ROOT, "assets")))
-          return sendText(res, 400, "Bad path");
-        return await serveStaticFile(req, res, filePath);
+
+      // Linking an existing local account re-checks its password (and 2FA)
+      // first: an SSO identity bound here signs in without them.
+      if (pathname === "/api/auth/oidc/link" && req.method === "POST") {
+        if (!oidc) return sendJson(res, 404, { error: "未配置单点登录" });
+        const auth = requireAuth(keyring, req);
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        if (!OIDC_LINK_EXISTING)
+          return sendJson(res, 403, { error: "未开放绑定单点登录" });
+        if (rateLimited(res, passwordRateLimiter, auth.u)) return;
+        const body = await readJsonBody(req);
+        const meta = await loadUserMeta(auth.u);
+        if (!meta) return sendJson(res, 401, { error: "Unauthorized" });
+        if (meta.oidc)
+          return sendJson(res, 409, { error: "该账户已绑定单点登录" });
+        const passwordError = passwordCheckError(meta, body.password);
+        if (passwordError) return sendJson(res, 403, { error: passwordError });
+        if (meta.totp) {
+          if (!consumeSecondFactor(keyring, auth.u, meta, body.code))
+            return sendJson(res, 403, { error: "验证码错误" });
+          await saveUserMeta(auth.u, meta);
+        }
+        try {
+          const location = await beginOidcLogin(oidc, req, res, {
+            returnTo: safeReturnPath(body.return),
+            linkUser: auth.u,
+          });
+          return sendJson(res, 200, { url: location });
+        } catch (e) {
+          console.error(`[oidc] ${e.message}`);
+          return sendJson(res, 502, {
+            error: "无法连接身份提供商，请稍后再试",
+          });
+        }
       }
 
-      // Protected file serving for images (cookie-based)
-      if (req.method === "GET" && pathname.startsWith("/files/")) {
-        const parts = pathname.split("/").filter(Boolean); // ['files', username, ...rest]
-        const username = parts[1];
-        const rel = parts.slice(2).join("/");
-        const auth = requireAuth(secret, req);
-        if (!auth) return sendText(res, 401, "Unauthorized");
-        if (!ensureUserOwnsPath(auth, username))
-          return sendText(res, 403, "Forbidden");
-        const userRoot = path.join(USERS_ROOT, username);
-        const filePath = path.join(userRoot, rel);
-        if (!filePath.startsWith(userRoot))
-          return sendText(res, 400, "Bad path");
+      if (pathname === "/api/auth/oidc/callback" && req.method === "GET") {
+        if (!oidc) return sendJson(res, 404, { error: "未配置单点登录" });
+        const state = url.searchParams.get("state") || "";
+        const pending = takeOidcLogin(state);
+        // The cookie proves this browser started the login (no login CSRF).
+        if (!pending || parseCookies(req).banana_oidc_state !== state)
+          return sendOidcError(res, "登录已过期，请重试");
+        const idpError = url.searchParams.get("error");
+        if (idpError)
+          return sendOidcError(
+            res,
+            `身份提供商拒绝了登录：${url.searchParams.get("error_description") || idpError}`,
+          );
+        let claims;
         try {
-          const stat = await fsp.stat(filePath);
-          if (!stat.isFile()) return sendText(res, 404, "Not found");
-          const etag = `W/\"${stat.size}-${Math.floor(stat.mtimeMs)}\"`;
-          const inm = req.headers["if-none-match"];
-          if (inm && String(inm) === etag) {
-            res.writeHead(304, {
-              ETag: etag,
-              "cache-control": "private, max-age=3600",
+          claims = await oidc.completeAuthorization({
+            code: url.searchParams.get("code") || "",
+            redirectUri: pending.redirectUri,
+            verifier: pending.verifier,
+            nonce: pending.nonce,
+          });
+        } catch (e) {
+          console.warn(`[oidc] login failed: ${e.message}`);
+          await writeAudit("auth.login-failed", {
+            reason: "oidc",
+            req,
+            error: e.message,
+          });
+          return sendOidcError(res, "单点登录验证失败");
+        }
+        if (pending.linkUser) {
+          // Only the browser session that started the link may finish it.
+          const auth = requireAuth(keyring, req);
+          if (auth?.u !== pending.linkUser)
+            return sendOidcError(res, "登录已过期，请重试");
+          try {
+            await linkOidcUser(claims, auth.u);
+          } catch (e) {
+            if (!e.statusCode) throw e;
+            await writeAudit("account.sso-link-failed", {
+              actor: auth.u,
+              target: auth.u,
+              req,
+              sub: String(claims.sub),
+              error: e.message,
             });
-            return res.end();
+            return sendOidcError(res, e.message);
           }
-          res.writeHead(200, {
-            "content-type": guessContentTypeByExt(filePath),
-            "cache-control": "private, max-age=3600",
-            ETag: etag,
-            "last-modified": new Date(stat.mtimeMs).toUTCString(),
+          await writeAudit("account.sso-link", {
+            actor: auth.u,
+            target: auth.u,
+            req,
+            sub: String(claims.sub),
           });
-          return fs
-            .createReadStream(filePath)
-            .on("error", (e) => {
-              if (e.code === "ENOENT") return sendText(res, 404, "Not found");
-              console.error(e);
-              return sendText(res, 500, "Internal error");
-            })
-            .pipe(res);
+          return sendRedirect(res, pending.returnTo);
+        }
+        let account;
+        try {
+          account = await resolveOidcUser(claims);
         } catch (e) {
-          if (e.code === "ENOENT") return sendText(res, 404, "Not found");
-          console.error(e);
-          return sendText(res, 500, "Internal error");
+          if (!e.statusCode) throw e;
+          await writeAudit("auth.login-failed", {
+            reason: "oidc-account",
+            req,
+            sub: String(claims.sub),
+            error: e.message,
+          });
+          return sendOidcError(res, e.message);
+        }
+        const { username, meta } = account;
+        if (account.created)
+          await writeAudit("account.create", {
+            actor: ":oidc",
+            target: username,
+            req,
+            isAdmin: !!meta.isAdmin,
+          });
+        if (account.adminChanged) {
+          // Existing tokens still carry the old admin flag.
+          await revokeAllSessions(username);
+          await writeAudit(meta.isAdmin ? "admin.promote" : "admin.demote", {
+            actor: ":oidc",
+            target: username,
+            req,
+            group: OIDC_ADMIN_GROUP,
+          });
+        }
+        if (meta.disabled) {
+          await writeAudit("auth.login-failed", {
+            target: username,
+            reason: "disabled",
+            req,
+          });
+          return sendOidcError(res, "账号已被停用，请联系管理员");
         }
+        await signInUser(keyring, req, res, username, meta, {
+          provider: "oidc",
+        });
+        return sendRedirect(res, pending.returnTo);
       }
 
-      // API
-      if (pathname === "/api/health" && req.method === "GET") {
+      if (pathname === "/api/auth/change-password" && req.method === "POST") {
+        const auth = requireAuth(keyring, req, {
+          allowPasswordChange: true,
+          allowTwoFactorSetup: true,
+        });
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        if (rateLimited(res, passwordRateLimiter, auth.u)) return;
+        const body = await readJsonBody(req);
+        const currentPassword = String(body.currentPassword || "");
+        const newPassword = String(body.newPassword || "");
+        if (newPassword.length < 6)
+          return sendJson(res, 400, { error: "新密码至少 6 位" });
+        const meta = await loadUserMeta(auth.u);
+        if (!meta) return sendJson(res, 401, { error: "Unauthorized" });
+        const initial = !!meta.passwordUnset;
+        if (initial) {
+          // No password to confirm, so a recent SSO sign-in stands in for it.
+          const session = sessionsByUser.get(auth.u)?.get(auth.sid);
+          if (
+            !session?.sso ||
+            Date.now() - Date.parse(session.createdAt) > SSO_REAUTH_MAX_AGE_MS
+          )
+            return sendJson(res, 403, {
+              error: "请重新通过单点登录登录后再设置密码",
+            });
+        } else {
+          if (hashPassword(currentPassword, meta.salt) !== meta.hash)
+            return sendJson(res, 403, { error: "当前密码错误" });
+          if (currentPassword === newPassword)
+            return sendJson(res, 400, { error: "新密码不能与当前密码相同" });
+        }
+        await setUserPassword(auth.u, meta, newPassword);
+        // Keep this device signed in; every other session must log in again.
+        await revokeAllSessions(auth.u, auth.sid);
+        await writeAudit("auth.password-change", {
+          actor: auth.u,
+          target: auth.u,
+          req,
+          ...(initial ? { initial } : {}),
+        });
+        const session = sessionsByUser.get(auth.u)?.get(auth.sid);
+        if (session?.mustChangePassword) {
+          delete session.mustChangePassword;
+          await persistSessions(auth.u);
+        }
         return sendJson(res, 200, { ok: true });
       }
 
-      if (pathname === "/api/me" && req.method === "GET") {
-        const auth = requireAuth(secret, req);
-        if (!auth) return sendJson(res, 200, { user: null });
+      if (pathname === "/api/auth/2fa/setup" && req.method === "POST") {
+        const auth = requireAuth(keyring, req, { allowTwoFactorSetup: true });
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        if (rateLimited(res, passwordRateLimiter, auth.u)) return;
+        const body = await readJsonBody(req);
         const meta = await loadUserMeta(auth.u);
-        if (!meta) return sendJson(res, 200, { user: null });
+        if (!meta) return sendJson(res, 401, { error: "Unauthorized" });
+        const passwordError = passwordCheckError(meta, body.password);
+        if (passwordError) return sendJson(res, 403, { error: passwordError });
+        if (meta.totp) return sendJson(res, 409, { error: "两步验证已启用" });
+        const secret = generateTotpSecret();
+        meta.totpPending = {
+          enc: encryptForUser(keyring, auth.u, { secret }),
+          createdAt: nowIso(),
+        };
+        await saveUserMeta(auth.u, meta);
         return sendJson(res, 200, {
-          user: { username: meta.username, isAdmin: !!meta.isAdmin },
+          secret,
+          uri: provisioningUri(secret, auth.u, TOTP_ISSUER),
         });
       }
 
-      if (pathname === "/api/auth/register" && req.method === "POST") {
+      if (pathname === "/api/auth/2fa/enable" && req.method === "POST") {
+        const auth = requireAuth(keyring, req, { allowTwoFactorSetup: true });
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        if (rateLimited(res, passwordRateLimiter, auth.u)) return;
         const body = await readJsonBody(req);
-        const username = sanitizeUsername(body.username);
-        const password = String(body.password || "");
-        if (!username)
+        const meta = await loadUserMeta(auth.u);
+        if (!meta) return sendJson(res, 401, { error: "Unauthorized" });
+        if (meta.totp) return sendJson(res, 409, { error: "两步验证已启用" });
+        const pending = meta.totpPending;
+        if (
+          !pending ||
+          Date.now() - Date.parse(pending.createdAt) > TWO_FACTOR_SETUP_TTL_MS
+        )
+          return sendJson(res, 400, { error: "密钥已过期，请重新生成" });
+        const { secret } = decryptForUser(keyring, auth.u, pending.enc);
+        const step = verifyTotp(secret, body.code);
+        if (step === null) return sendJson(res, 400, { error: "验证码错误" });
+        meta.totp = { enc: pending.enc, enabledAt: nowIso(), lastStep: step };
+        delete meta.totpPending;
+        const recoveryCodes = issueRecoveryCodes(meta);
+        meta.updatedAt = nowIso();
+        await saveUserMeta(auth.u, meta);
+        // Other devices signed in with the password alone.
+        await revokeAllSessions(auth.u, auth.sid);
+        await syncTwoFactorEnrollment(auth.u, false);
+        await writeAudit("auth.2fa-enable", {
+          actor: auth.u,
+          target: auth.u,
+          req,
+        });
+        return sendJson(res, 200, { ok: true, recoveryCodes });
+      }
+
+      if (
+        (pathname === "/api/auth/2fa/disable" ||
+          pathname === "/api/auth/2fa/recovery-codes") &&
+        req.method === "POST"
+      ) {
+        const auth = requireAuth(keyring, req);
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        if (rateLimited(res, passwordRateLimiter, auth.u)) return;
+        const body = await readJsonBody(req);
+        const meta = await loadUserMeta(auth.u);
+        if (!meta) return sendJson(res, 401, { error: "Unauthorized" });
+        if (!meta.totp) return sendJson(res, 400, { error: "未启用两步验证" });
+        const passwordError = passwordCheckError(meta, body.password);
+        if (passwordError) return sendJson(res, 403, { error: passwordError });
+        const disable = pathname.endsWith("/disable");
+        if (disable && (await twoFactorRequiredFor(meta)))
+          return sendJson(res, 400, { error: "管理员账户必须启用两步验证" });
+        if (!consumeSecondFactor(keyring, auth.u, meta, body.code))
+          return sendJson(res, 403, { error: "验证码错误" });
+        let recoveryCodes;
+        if (disable) delete meta.totp;
+        else recoveryCodes = issueRecoveryCodes(meta);
+        meta.updatedAt = nowIso();
+        await saveUserMeta(auth.u, meta);
+        await writeAudit(
+          disable ? "auth.2fa-disable" : "auth.2fa-recovery-codes",
+          { actor: auth.u, target: auth.u, req },
+        );
+        return sendJson(res, 200, { ok: true, recoveryCodes });
+      }
+
+      if (pathname === "/api/auth/logout" && req.method === "POST") {
+        const auth = requireAuth(keyring, req, {
+          allowPasswordChange: true,
+          allowTwoFactorSetup: true,
+        });
+        if (auth) await revokeSession(auth.u, auth.sid);
+        clearAuthCookie(res);
+        return sendJson(res, 200, { ok: true });
+      }
+
+      if (pathname === "/api/auth/sessions" && req.method === "GET") {
+        const auth = requireAuth(keyring, req);
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        return sendJson(res, 200, {
+          items: listSessions(auth.u).map((s) => ({
+            id: s.id,
+            createdAt: s.createdAt,
+            lastSeenAt: s.lastSeenAt,
+            ip: s.ip,
+            userAgent: s.userAgent,
+            current: s.id === auth.sid,
+          })),
+        });
+      }
+
+      if (pathname === "/api/auth/sessions/revoke" && req.method === "POST") {
+        const auth = requireAuth(keyring, req);
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        const body = await readJsonBody(req);
+        const id = String(body.id || "").trim();
+        if (!id) return sendJson(res, 400, { error: "缺少 id" });
+        const removed = await revokeSession(auth.u, id);
+        if (!removed) return sendJson(res, 404, { error: "Not found" });
+        if (id === auth.sid) clearAuthCookie(res);
+        return sendJson(res, 200, { ok: true, current: id === auth.sid });
+      }
+
+      if (
+        pathname === "/api/auth/sessions/revoke-others" &&
+        req.method === "POST"
+      ) {
+        const auth = requireAuth(keyring, req);
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        const revoked = await revokeAllSessions(auth.u, auth.sid);
+        return sendJson(res, 200, { ok: true, revoked });
+      }
+
+      if (pathname === "/api/auth/tokens" && req.method === "GET") {
+        const auth = requireAuth(keyring, req);
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        return sendJson(res, 200, {
+          items: listAccessTokens(auth.u),
+          scopes: ACCESS_TOKEN_SCOPES,
+        });
+      }
+
+      if (pathname === "/api/auth/tokens/create" && req.method === "POST") {
+        const auth = requireAuth(keyring, req);
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        const body = await readJsonBody(req);
+        const name = String(body.name || "").trim();
+        if (!name || name.length > 64)
+          return sendJson(res, 400, { error: "名称需为 1-64 个字符" });
+        const scopes = normalizeAccessTokenScopes(body.scopes);
+        const ttlDays = Number(body.expiresInDays || 0);
+        if (
+          !Number.isInteger(ttlDays) ||
+          ttlDays < 0 ||
+          ttlDays > ACCESS_TOKEN_MAX_TTL_DAYS
+        )
           return sendJson(res, 400, {
-            error: "用户名仅允许 3-32 位字母/数字/_/-",
+            error: `有效期需为 0-${ACCESS_TOKEN_MAX_TTL_DAYS} 天（0 为永不过期）`,
           });
-        if (password.length < 6)
-          return sendJson(res, 400, { error: "密码至少 6 位" });
-        const existing = await loadUserMeta(username);
-        if (existing) return sendJson(res, 409, { error: "用户名已存在" });
+        const { record, token } = await createAccessToken(auth.u, {
+          name,
+          scopes,
+          ttlDays,
+        });
+        await writeAudit("auth.token-create", {
+          actor: auth.u,
+          target: auth.u,
+          req,
+          tokenId: record.id,
+          name,
+          scopes,
+        });
+        const { hash, ...item } = record;
+        return sendJson(res, 200, { ok: true, token, item });
+      }
 
-        const users = await listUsers();
-        const firstUserBecomesAdmin = users.length === 0;
-
-        const salt = crypto.randomBytes(16).toString("hex");
-        const hash = hashPassword(password, salt);
-        await saveUserMeta(username, {
-          username,
-          salt,
-          hash,
-          isAdmin: firstUserBecomesAdmin,
-          createdAt: nowIso(),
-          updatedAt: nowIso(),
+      if (pathname === "/api/auth/tokens/revoke" && req.method === "POST") {
+        const auth = requireAuth(keyring, req);
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        const body = await readJsonBody(req);
+        const id = String(body.id || "").trim();
+        if (!id) return sendJson(res, 400, { error: "缺少 id" });
+        const removed = await revokeAccessToken(auth.u, id);
+        if (!removed) return sendJson(res, 404, { error: "Not found" });
+        await writeAudit("auth.token-revoke", {
+          actor: auth.u,
+          target: auth.u,
+          req,
+          tokenId: id,
         });
-        await ensureDir(path.join(USERS_ROOT, username, "uploads"));
-        await ensureDir(path.join(USERS_ROOT, username, "generated"));
-        await ensureDir(path.join(USERS_ROOT, username, "favorites"));
-        await ensureDir(path.join(USERS_ROOT, username, "history"));
-        await writeUsage(username, {
-          uploadsBytes: 0,
-          generatedBytes: 0,
-          updatedAt: nowIso(),
+        return sendJson(res, 200, { ok: true });
+      }
+
+      if (pathname === "/api/account/delete" && req.method === "POST") {
+        const auth = requireAuth(keyring, req);
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        if (rateLimited(res, passwordRateLimiter, auth.u)) return;
+        const body = await readJsonBody(req);
+        if (String(body.confirm || "") !== auth.u)
+          return sendJson(res, 400, { error: "请输入用户名以确认删除" });
+        const meta = await loadUserMeta(auth.u);
+        if (!meta) return sendJson(res, 401, { error: "Unauthorized" });
+        const passwordError = passwordCheckError(meta, body.password);
+        if (passwordError) return sendJson(res, 403, { error: passwordError });
+        if (meta.isAdmin && !(await hasOtherActiveAdmin(auth.u)))
+          return sendJson(res, 400, {
+            error: "这是唯一可用的管理员账户，不能删除",
+          });
+        const purgeAt = await scheduleAccountDeletion(auth.u, meta);
+        await writeAudit("account.delete", {
+          actor: auth.u,
+          target: auth.u,
+          req,
+          purgeAt,
         });
-        return sendJson(res, 200, { ok: true, isAdmin: firstUserBecomesAdmin });
+        clearAuthCookie(res);
+        return sendJson(res, 200, { ok: true, purgeAt });
       }
 
-      if (pathname === "/api/auth/login" && req.method === "POST") {
+      // GET leaves the API keys out. POST with the current password (and a
+      // 2FA code when enabled) includes them, so a stolen session cookie
+      // alone cannot download the decrypted keys.
+      if (
+        pathname === "/api/account/export" &&
+        (req.method === "GET" || req.method === "POST")
+      ) {
+        const auth = requireAuth(keyring, req);
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        const includeKeys = req.method === "POST";
+        if (includeKeys) {
+          if (rateLimited(res, passwordRateLimiter, auth.u)) return;
+          const body = await readJsonBody(req);
+          const meta = await loadUserMeta(auth.u);
+          if (!meta) return sendJson(res, 401, { error: "Unauthorized" });
+          const passwordError = passwordCheckError(meta, body.password);
+          if (passwordError)
+            return sendJson(res, 403, { error: passwordError });
+          if (meta.totp) {
+            if (!consumeSecondFactor(keyring, auth.u, meta, body.code))
+              return sendJson(res, 403, { error: "验证码错误" });
+            await saveUserMeta(auth.u, meta);
+          }
+        }
+        await writeAudit("account.export", {
+          actor: auth.u,
+          target: auth.u,
+          req,
+          includeKeys,
+        });
+        return await sendAccountExport(keyring, res, auth.u, { includeKeys });
+      }
+
+      if (pathname === "/api/account/import" && req.method === "POST") {
+        const auth = requireAuth(keyring, req);
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        const imported = await importAccountArchive(keyring, auth.u, req);
+        await writeAudit("account.import", {
+          actor: auth.u,
+          target: auth.u,
+          req,
+          imported,
+        });
+        return sendJson(res, 200, {
+          ok: true,
+          imported,
+          usage: await getStorageSummary(auth.u),
+        });
+      }
+
+      if (pathname === "/api/storage/usage" && req.method === "GET") {
+        const auth = requireAuth(keyring, req, { scope: "gallery:read" });
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        return sendJson(res, 200, await getStorageSummary(auth.u));
+      }
+
+      if (pathname === "/api/images/list" && req.method === "GET") {
+        const auth = requireAuth(keyring, req, { scope: "gallery:read" });
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        const kind = normalizeGalleryKind(url.searchParams.get("kind"));
+        if (!kind) return sendJson(res, 400, { error: "Invalid kind" });
+        const limit = parseInt(url.searchParams.get("limit") || "60", 10);
+        const cursor = sanitizeGalleryFileName(url.searchParams.get("cursor"));
+        const page = await listUserImages(auth.u, kind, limit, cursor);
+        const items = [];
+        for (const f of page.items) {
+          items.push(await toGalleryItem(auth.u, kind, f));
+        }
+        return sendJson(res, 200, { items, nextCursor: page.nextCursor, kind });
+      }
+
+      if (pathname === "/api/images/upload" && req.method === "POST") {
+        const auth = requireAuth(keyring, req, { scope: "gallery:write" });
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        const kind = normalizeGalleryKind(url.searchParams.get("kind"));
+        if (!kind) return sendJson(res, 400, { error: "Invalid kind" });
+        const mime = (
+          String(req.headers["content-type"] || "").split(";")[0] || ""
+        )
+          .trim()
+          .toLowerCase();
+        if (!mime.startsWith("image/") || mimeToExt(mime) === "bin")
+          return sendJson(res, 415, { error: "Unsupported image type" });
+        const contentLength = getContentLength(req);
+        if (contentLength != null && contentLength > MAX_BODY_BYTES)
+          return sendJson(res, 413, { error: "Body too large" });
+
+        await assertGalleryHasSpace(auth.u, kind, contentLength || 0);
+        const { leftBytes } = await getGalleryBytesLeft(auth.u);
+        const byteLimit =
+          leftBytes == null
+            ? MAX_BODY_BYTES
+            : Math.min(leftBytes, MAX_BODY_BYTES);
+
+        const dir = path.join(USERS_ROOT, auth.u, kind);
+        await ensureDir(dir);
+        const fileName = `${Date.now()}_${crypto.randomBytes(6).toString("hex")}.${mimeToExt(mime)}`;
+        const absPath = path.join(dir, fileName);
+        const bytes = await writeRequestStreamToFile(req, absPath, byteLimit);
+        // The file is served with the type its extension implies, so the
+        // bytes must really be that image (no HTML or SVG behind image/png).
+        const sniffed = await sniffImageFile(absPath);
+        if (sniffed !== (mime === "image/jpg" ? "image/jpeg" : mime)) {
+          await safeUnlink(absPath);
+          return sendJson(res, 415, {
+            error: "Image content does not match Content-Type",
+          });
+        }
+        const { reclaimedBytes } = await adoptIntoBlobStore(auth.u, absPath);
+        await addUsage(auth.u, kind, bytes - reclaimedBytes);
+        await ensureUserThumbnail(auth.u, `${kind}/${fileName}`);
+        const item = await toGalleryItem(auth.u, kind, {
+          name: fileName,
+          size: bytes,
+          mtimeMs: Date.now(),
+        });
+        return sendJson(res, 200, {
+          ok: true,
+          item,
+          usage: await getStorageSummary(auth.u),
+        });
+      }
+
+      if (pathname === "/api/images/clear" && req.method === "POST") {
+        const auth = requireAuth(keyring, req, { scope: "gallery:write" });
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
         const body = await readJsonBody(req);
-        const username = sanitizeUsername(body.username);
-        const password = String(body.password || "");
-        if (!username || !password)
-          return sendJson(res, 400, { error: "缺少用户名或密码" });
-        const meta = await loadUserMeta(username);
-        if (!meta) return sendJson(res, 401, { error: "用户名或密码错误" });
-        const hash = hashPassword(password, meta.salt);
-        if (hash !== meta.hash)
-          return sendJson(res, 401, { error: "用户名或密码错误" });
-        const token = createToken(secret, {
-          u: username,
-          a: !!meta.isAdmin,
-          exp: Date.now() + 7 * 24 * 60 * 60 * 1000,
+        const kind = normalizeGalleryKind(body.kind);
+        if (!kind) return sendJson(res, 400, { error: "Invalid kind" });
+        await removeDirContentsRecursive(path.join(USERS_ROOT, auth.u, kind));
+        await refreshStorageUsage(auth.u);
+        return sendJson(res, 200, {
+          ok: true,
+          usage: await getStorageSummary(auth.u),
         });
-        setAuthCookie(req, res, token);
+      }
+
+      if (pathname === "/api/images/clear-all" && req.method === "POST") {
+        const auth = requireAuth(keyring, req, { scope: "gallery:write" });
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        for (const kind of ["uploads", "generated"]) {
+          await removeDirContentsRecursive(path.join(USERS_ROOT, auth.u, kind));
+        }
+        await refreshStorageUsage(auth.u);
         return sendJson(res, 200, {
           ok: true,
-          user: { username, isAdmin: !!meta.isAdmin },
+          usage: await getStorageSummary(auth.u),
         });
       }
 
-      if (pathname === "/api/auth/logout" && req.method === "POST") {
-        clearAuthCookie(res);
-        return sendJson(res, 200, { ok: true });
+      if (pathname.startsWith("/api/images/") && req.method === "DELETE") {
+        const auth = requireAuth(keyring, req, { scope: "gallery:write" });
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        const parts = pathname.split("/").filter(Boolean); // api images kind name
+        const kind = normalizeGalleryKind(parts[2]);
+        const name = sanitizeGalleryFileName(parts[3]);
+        if (!kind || !name || parts.length !== 4)
+          return sendJson(res, 400, { error: "Invalid path" });
+        const absPath = path.join(USERS_ROOT, auth.u, kind, name);
+        const removed = await releaseEntryFile(auth.u, absPath);
+        if (!removed) return sendJson(res, 404, { error: "Not found" });
+        const thumb = await releaseEntryFile(
+          auth.u,
+          getThumbPathForImagePath(absPath),
+        );
+        // Bytes still shared with other entries move to whichever dir links
+        // them now, so re-measure instead of adjusting this kind's counter.
+        if (removed.freedBytes < removed.size) await recomputeUsage(auth.u);
+        else
+          await changeUsage(
+            auth.u,
+            kind,
+            -(removed.freedBytes + (thumb?.freedBytes || 0)),
+          );
+        return sendJson(res, 200, {
+          ok: true,
+          usage: await getStorageSummary(auth.u),
+        });
       }
 
       if (
         pathname.startsWith("/api/images/") ||
         pathname.startsWith("/api/storage/")
       ) {
-        return sendJson(res, 410, { error: "Cloud image storage disabled" });
+        return sendJson(res, 404, { error: "Not found" });
       }
 
       if (pathname === "/api/favorites/add" && req.method === "POST") {
-        const auth = requireAuth(secret, req);
+        const auth = requireAuth(keyring, req, { scope: "favorites:write" });
         if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
         const body = await readJsonBody(req);
         const type = String(body.type || "").toLowerCase();
-        if (!["presets", "chats", "collections"].includes(type)) {
+        if (!FAVORITE_TYPES.includes(type)) {
           return sendJson(res, 400, { error: "Invalid type" });
         }
         const item = body.item;
         if (!item || typeof item !== "object")
           return sendJson(res, 400, { error: "Invalid item" });
-        const favoriteId = String(item.id || Date.now());
-        const favDir = path.join(
-          USERS_ROOT,
+        // The id names the snapshot dir, so it must be stored with the item
+        // or the orphan sweep would reclaim the dir, and it must be unused or
+        // two entries would share (and delete) one dir.
+        const favPath = favoritesJsonPath(auth.u, type);
+        const taken = new Set(
+          (await readJson(favPath, [])).map((x) => String(x?.id)),
+        );
+        let id = item.id;
+        if (id != null && id !== "") {
+          if (taken.has(String(id)))
+            return sendJson(res, 409, { error: "收藏已存在" });
+        } else {
+          id = Date.now();
+          while (taken.has(String(id))) id++;
+        }
+        const favoriteId = String(id);
+        const favDir = favoriteSnapshotDir(auth.u, type, favoriteId);
+        if (!favDir) return sendJson(res, 400, { error: "Invalid id" });
+        await assertGalleryHasSpace(auth.u, "favorites", 0);
+        // No entry uses this dir yet, so an overrun drops it entirely.
+        const dropDir = () => fsp.rm(favDir, { recursive: true, force: true });
+        const storedWithFiles = await materializeFavoriteItem(
           auth.u,
-          "favorites",
           type,
           favoriteId,
+          { ...item, id },
         );
-        await ensureDir(favDir);
-
-        // 1) Replace data URLs across payload with stored files.
-        const dataUrlMap = new Map(); // dataUrl -> newUrl
-        const remoteUrlMap = new Map(); // http(s) url -> newUrl
-        async function materializeDataUrl(dataUrl) {
-          if (dataUrlMap.has(dataUrl)) return dataUrlMap.get(dataUrl);
-          const parsed = parseDataUrl(dataUrl);
-          if (!parsed) return dataUrl;
-          const ext = mimeToExt(parsed.mime);
-          const fileName = `${Date.now()}_${crypto.randomBytes(6).toString("hex")}.${ext}`;
-          const absPath = path.join(favDir, fileName);
-          await fsp.writeFile(absPath, parsed.buf);
-          const fileUri = `/files/${encodeURIComponent(auth.u)}/favorites/${type}/${encodeURIComponent(favoriteId)}/${encodeURIComponent(fileName)}`;
-          dataUrlMap.set(dataUrl, fileUri);
-          return fileUri;
-        }
-
-        async function materializeRemoteUrl(remoteUrl) {
-          if (remoteUrlMap.has(remoteUrl)) return remoteUrlMap.get(remoteUrl);
-          if (!isHttpUrl(remoteUrl)) return remoteUrl;
-          const { buf, contentType } = await fetchUrlBuffer(remoteUrl);
-          const mime = (String(contentType).split(";")[0] || "")
-            .trim()
-            .toLowerCase();
-          if (!mime.startsWith("image/")) return remoteUrl;
-          const ext = mimeToExt(mime);
-          const fileName = `${Date.now()}_${crypto.randomBytes(6).toString("hex")}.${ext}`;
-          const absPath = path.join(favDir, fileName);
-          await fsp.writeFile(absPath, buf);
-          const fileUri = `/files/${encodeURIComponent(auth.u)}/favorites/${type}/${encodeURIComponent(favoriteId)}/${encodeURIComponent(fileName)}`;
-          remoteUrlMap.set(remoteUrl, fileUri);
-          return fileUri;
-        }
-
-        // 2) Copy existing user files into favorites snapshot (uploads/generated).
-        async function snapshotFileUri(fileUri) {
-          if (typeof fileUri !== "string") return fileUri;
-          if (!fileUri.startsWith(`/files/${auth.u}/`)) return fileUri;
-          const rel = decodeURIComponent(
-            fileUri.replace(`/files/${auth.u}/`, ""),
-          );
-          const src = path.join(USERS_ROOT, auth.u, rel);
-          const ext = path.extname(rel) || "";
-          const fileName = `${Date.now()}_${crypto.randomBytes(6).toString("hex")}${ext}`;
-          const dst = path.join(favDir, fileName);
-          await copyFileIfExists(src, dst);
-          return `/files/${encodeURIComponent(auth.u)}/favorites/${type}/${encodeURIComponent(favoriteId)}/${encodeURIComponent(fileName)}`;
-        }
+        await assertFavoriteSnapshotFits(auth.u, dropDir);
 
-        // Deep clone to avoid mutating request object
-        const stored = JSON.parse(JSON.stringify(item));
-
-        // A) Convert known inline_data objects to file_data + file_uri.
-        function convertInlineDataToDataUrl(o) {
-          const inline = o?.inline_data || o?.inlineData || o?.inLineData;
-          if (!inline || !inline.data) return null;
-          const mime = inline.mime_type || inline.mimeType || "image/png";
-          const data = String(inline.data);
-          return `data:${mime};base64,${data}`;
+        // Re-read: materializing may take a while (remote images).
+        const list = await readJson(favPath, []);
+        const raced = list.find((x) => String(x?.id) === favoriteId);
+        if (raced) {
+          // A concurrent add took the id; keep only that entry's files.
+          await pruneFavoriteSnapshots(auth.u, type, favoriteId, raced);
+          await refreshStorageUsage(auth.u);
+          return sendJson(res, 409, { error: "收藏已存在" });
         }
+        list.unshift(storedWithFiles);
+        await writeJsonAtomic(favPath, list);
+        return sendJson(res, 200, { ok: true, item: storedWithFiles });
+      }
 
-        async function traverseAndMaterialize(node) {
-          if (Array.isArray(node)) {
-            for (let i = 0; i < node.length; i++)
-              node[i] = await traverseAndMaterialize(node[i]);
-            return node;
-          }
-          if (node && typeof node === "object") {
-            // Special-case packed assets/images: { mime, data } or { mime_type, data }
-            const assetMime =
-              (typeof node.mime === "string" && node.mime) ||
-              (typeof node.mime_type === "string" && node.mime_type) ||
-              null;
-            const assetData = typeof node.data === "string" ? node.data : null;
-            if (
-              assetMime &&
-              assetMime.startsWith("image/") &&
-              assetData &&
-              !node.file_uri &&
-              !node.fileUri
-            ) {
-              const fileUri = await materializeDataUrl(
-                `data:${assetMime};base64,${assetData}`,
-              );
-              const next = { ...node, file_uri: fileUri };
-              delete next.data;
-              return next;
-            }
-
-            // Special-case Gemini-style parts: { inline_data } -> { file_data }
-            const dataUrl = convertInlineDataToDataUrl(node);
-            if (dataUrl) {
-              const fileUri = await materializeDataUrl(dataUrl);
-              const mime =
-                node.inline_data?.mime_type ||
-                node.inlineData?.mime_type ||
-                node.inlineData?.mimeType ||
-                node.inLineData?.mime_type ||
-                node.inLineData?.mimeType ||
-                "image/png";
-              return { file_data: { mime_type: mime, file_uri: fileUri } };
-            }
-            for (const k of Object.keys(node))
-              node[k] = await traverseAndMaterialize(node[k]);
-            return node;
-          }
-          if (typeof node === "string") {
-            if (node.startsWith("data:image/") && node.includes(";base64,"))
-              return await materializeDataUrl(node);
-            if (node.startsWith(`/files/${auth.u}/`))
-              return await snapshotFileUri(node);
-            if (isHttpUrl(node)) return await materializeRemoteUrl(node);
-            return node;
-          }
-          return node;
-        }
+      if (pathname === "/api/favorites/update" && req.method === "POST") {
+        const auth = requireAuth(keyring, req, { scope: "favorites:write" });
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        const body = await readJsonBody(req);
+        const type = String(body.type || "").toLowerCase();
+        if (!FAVORITE_TYPES.includes(type))
+          return sendJson(res, 400, { error: "Invalid type" });
+        const item = body.item;
+        if (!item || typeof item !== "object")
+          return sendJson(res, 400, { error: "Invalid item" });
+        const favPath = favoritesJsonPath(auth.u, type);
+        const list = await readJson(favPath, []);
+        const idx = list.findIndex((x) => String(x?.id) === String(body.id));
+        if (idx === -1) return sendJson(res, 404, { error: "Not found" });
+        const favoriteId = String(list[idx].id);
+        if (!favoriteSnapshotDir(auth.u, type, favoriteId))
+          return sendJson(res, 400, { error: "Invalid id" });
+        await assertGalleryHasSpace(auth.u, "favorites", 0);
+        const stored = await materializeFavoriteItem(auth.u, type, favoriteId, {
+          ...item,
+          id: list[idx].id,
+        });
+        // New snapshot files get fresh names, so pruning back to the current
+        // entry removes exactly what this update added.
+        await assertFavoriteSnapshotFits(auth.u, () =>
+          pruneFavoriteSnapshots(auth.u, type, favoriteId, list[idx]),
+        );
+        // Re-read: materializing may take a while (remote images).
+        const latest = await readJson(favPath, []);
+        const at = latest.findIndex((x) => String(x?.id) === favoriteId);
+        if (at === -1) return sendJson(res, 404, { error: "Not found" });
+        latest[at] = stored;
+        await writeJsonAtomic(favPath, latest);
+        await pruneFavoriteSnapshots(auth.u, type, favoriteId, stored);
+        await refreshStorageUsage(auth.u);
+        return sendJson(res, 200, { ok: true, item: stored });
+      }
 
-        const storedWithFiles = await traverseAndMaterialize(stored);
+      if (pathname === "/api/favorites/rename" && req.method === "POST") {
+        const auth = requireAuth(keyring, req, { scope: "favorites:write" });
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        const body = await readJsonBody(req);
+        const type = String(body.type || "").toLowerCase();
+        if (!FAVORITE_TYPES.includes(type))
+          return sendJson(res, 400, { error: "Invalid type" });
+        const name = String(body.name || "").trim();
+        if (!name || name.length > 200)
+          return sendJson(res, 400, { error: "名称无效" });
+        const favPath = favoritesJsonPath(auth.u, type);
+        const list = await readJson(favPath, []);
+        const item = list.find((x) => String(x?.id) === String(body.id));
+        if (!item) return sendJson(res, 404, { error: "Not found" });
+        item.name = name;
+        await writeJsonAtomic(favPath, list);
+        return sendJson(res, 200, { ok: true, item });
+      }
 
-        const favPath = path.join(
-          USERS_ROOT,
+      if (pathname === "/api/favorites/reorder" && req.method === "POST") {
+        const auth = requireAuth(keyring, req, { scope: "favorites:write" });
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        const body = await readJsonBody(req);
+        const type = String(body.type || "").toLowerCase();
+        if (!FAVORITE_TYPES.includes(type))
+          return sendJson(res, 400, { error: "Invalid type" });
+        if (!Array.isArray(body.ids))
+          return sendJson(res, 400, { error: "Invalid ids" });
+        const favPath = favoritesJsonPath(auth.u, type);
+        const list = await readJson(favPath, []);
+        const rank = new Map(body.ids.map((id, i) => [String(id), i]));
+        // Items missing from `ids` (e.g. added elsewhere meanwhile) keep their
+        // relative order after the listed ones.
+        const next = list
+          .map((x, i) => ({ x, i, r: rank.get(String(x?.id)) }))
+          .sort((a, b) => (a.r ?? Infinity) - (b.r ?? Infinity) || a.i - b.i)
+          .map((e) => e.x);
+        await writeJsonAtomic(favPath, next);
+        return sendJson(res, 200, {
+          ok: true,
+          ids: next.map((x) => x?.id),
+        });
+      }
+
+      if (pathname === "/api/favorites/duplicate" && req.method === "POST") {
+        const auth = requireAuth(keyring, req, { scope: "favorites:write" });
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        const body = await readJsonBody(req);
+        const type = String(body.type || "").toLowerCase();
+        if (!FAVORITE_TYPES.includes(type))
+          return sendJson(res, 400, { error: "Invalid type" });
+        const favPath = favoritesJsonPath(auth.u, type);
+        const list = await readJson(favPath, []);
+        const source = list.find((x) => String(x?.id) === String(body.id));
+        if (!source) return sendJson(res, 404, { error: "Not found" });
+        const taken = new Set(list.map((x) => String(x?.id)));
+        let newId = Date.now();
+        while (taken.has(String(newId))) newId++;
+        const copy = JSON.parse(JSON.stringify(source));
+        copy.id = typeof source.id === "number" ? newId : String(newId);
+        copy.name =
+          String(body.name || "").trim() || `${source.name || ""} (副本)`;
+        // Snapshots belong to the source dir, so they are copied into the new
+        // one; without hard links those are full copies and count as such.
+        await assertGalleryHasSpace(auth.u, "favorites", 0);
+        const stored = await materializeFavoriteItem(
           auth.u,
-          "favorites",
-          `${type}.json`,
+          type,
+          String(copy.id),
+          copy,
         );
-        const list = await readJson(favPath, []);
-        list.unshift(storedWithFiles);
-        await writeJsonAtomic(favPath, list);
-        return sendJson(res, 200, { ok: true, item: storedWithFiles });
+        await assertFavoriteSnapshotFits(auth.u, () =>
+          fsp.rm(favoriteSnapshotDir(auth.u, type, String(copy.id)), {
+            recursive: true,
+            force: true,
+          }),
+        );
+        const latest = await readJson(favPath, []);
+        const at = latest.findIndex((x) => String(x?.id) === String(source.id));
+        latest.splice(at === -1 ? 0 : at + 1, 0, stored);
+        await writeJsonAtomic(favPath, latest);
+        await refreshStorageUsage(auth.u);
+        return sendJson(res, 200, { ok: true, item: stored });
       }
 
       if (pathname.startsWith("/api/favorites/") && req.method === "GET") {
-        const auth = requireAuth(secret, req);
+        const auth = requireAuth(keyring, req, { scope: "favorites:read" });
         if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
         const type = pathname.replace("/api/favorites/", "").toLowerCase();
-        if (!["presets", "chats", "collections"].includes(type))
+        if (!FAVORITE_TYPES.includes(type))
           return sendJson(res, 400, { error: "Invalid type" });
         const favPath = path.join(
           USERS_ROOT,
@@ -1103,12 +5282,12 @@ async function main() {
       }
 
       if (pathname.startsWith("/api/favorites/") && req.method === "DELETE") {
-        const auth = requireAuth(secret, req);
+        const auth = requireAuth(keyring, req, { scope: "favorites:write" });
         if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
         const parts = pathname.split("/").filter(Boolean); // api favorites type id
         const type = parts[2];
         const id = parts[3];
-        if (!["presets", "chats", "collections"].includes(type))
+        if (!FAVORITE_TYPES.includes(type))
           return sendJson(res, 400, { error: "Invalid type" });
         const favPath = path.join(
           USERS_ROOT,
@@ -1119,11 +5298,24 @@ async function main() {
         const list = await readJson(favPath, []);
         const next = list.filter((x) => String(x?.id) !== String(id));
         await writeJsonAtomic(favPath, next);
+        const favDir = favoriteSnapshotDir(auth.u, type, id);
+        if (favDir && next.length !== list.length) {
+          await fsp.rm(favDir, { recursive: true, force: true });
+          await refreshStorageUsage(auth.u);
+        }
+        if (next.length !== list.length)
+          await writeAudit("favorite.delete", {
+            actor: auth.u,
+            target: auth.u,
+            req,
+            type,
+            id: String(id),
+          });
         return sendJson(res, 200, { ok: true });
       }
 
       if (pathname === "/api/api-configs/list" && req.method === "GET") {
-        const auth = requireAuth(secret, req);
+        const auth = requireAuth(keyring, req, { scope: "api-configs:read" });
         if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
         const apiFormat = normalizeApiFormat(url.searchParams.get("apiFormat"));
         const store = await readUserApiConfigs(auth.u);
@@ -1143,7 +5335,7 @@ async function main() {
       }
 
       if (pathname === "/api/api-configs/save" && req.method === "POST") {
-        const auth = requireAuth(secret, req);
+        const auth = requireAuth(keyring, req, { scope: "api-configs:write" });
         if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
         const body = await readJsonBody(req);
         const apiFormat = normalizeApiFormat(body.apiFormat);
@@ -1153,20 +5345,7 @@ async function main() {
         if (!name) return sendJson(res, 400, { error: "缺少名称" });
         if (!config) return sendJson(res, 400, { error: "缺少配置" });
 
-        const payload = {
-          apiFormat,
-          baseUrl: String(config.baseUrl || config.url || "").trim(),
-          apiVersion: String(config.apiVersion || "").trim(),
-          apiKey: String(config.apiKey || "").trim(),
-          modelId: String(config.modelId || "").trim(),
-          vertexLocation: String(config.vertexLocation || "").trim(),
-          vertexKeysRaw: String(config.vertexKeysRaw || "").trim(),
-        };
-
-        if (!payload.baseUrl)
-          return sendJson(res, 400, { error: "缺少 Base URL" });
-        if (apiFormat !== "vertex" && !payload.apiKey)
-          return sendJson(res, 400, { error: "缺少 API Key" });
+        const payload = apiConfigPayloadFromBody(apiFormat, config);
 
         const store = await readUserApiConfigs(auth.u);
         if (!store.items) store.items = { gemini: [], openai: [], vertex: [] };
@@ -1177,11 +5356,19 @@ async function main() {
         const list = store.items[apiFormat];
         const now = nowIso();
         const existing = list.find((x) => String(x?.name) === name);
-        const enc = encryptForUser(secret, auth.u, payload);
+        const enc = encryptForUser(keyring, auth.u, payload);
         if (existing) {
           existing.updatedAt = now;
           existing.enc = enc;
           await writeUserApiConfigs(auth.u, store);
+          await writeAudit("api-config.save", {
+            actor: auth.u,
+            target: auth.u,
+            req,
+            apiFormat,
+            id: existing.id,
+            name,
+          });
           return sendJson(res, 200, {
             ok: true,
             item: {
@@ -1209,6 +5396,14 @@ async function main() {
         };
         list.unshift(item);
         await writeUserApiConfigs(auth.u, store);
+        await writeAudit("api-config.save", {
+          actor: auth.u,
+          target: auth.u,
+          req,
+          apiFormat,
+          id: item.id,
+          name,
+        });
         return sendJson(res, 200, {
           ok: true,
           item: {
@@ -1221,7 +5416,7 @@ async function main() {
       }
 
       if (pathname === "/api/api-configs/load" && req.method === "POST") {
-        const auth = requireAuth(secret, req);
+        const auth = requireAuth(keyring, req, { scope: "api-configs:read" });
         if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
         const body = await readJsonBody(req);
         const apiFormat = normalizeApiFormat(body.apiFormat);
@@ -1233,12 +5428,20 @@ async function main() {
           : [];
         const found = list.find((x) => String(x?.id) === id);
         if (!found) return sendJson(res, 404, { error: "Not found" });
-        const config = decryptForUser(secret, auth.u, found.enc);
+        const config = decryptForUser(keyring, auth.u, found.enc);
+        await writeAudit("api-config.load", {
+          actor: auth.u,
+          target: auth.u,
+          req,
+          apiFormat,
+          id,
+          name: found.name,
+        });
         return sendJson(res, 200, { ok: true, config });
       }
 
       if (pathname === "/api/api-configs/delete" && req.method === "POST") {
-        const auth = requireAuth(secret, req);
+        const auth = requireAuth(keyring, req, { scope: "api-configs:write" });
         if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
         const body = await readJsonBody(req);
         const apiFormat = normalizeApiFormat(body.apiFormat);
@@ -1248,33 +5451,496 @@ async function main() {
         const list = Array.isArray(store.items?.[apiFormat])
           ? store.items[apiFormat]
           : [];
+        const found = list.find((x) => String(x?.id) === id);
         store.items[apiFormat] = list.filter((x) => String(x?.id) !== id);
         await writeUserApiConfigs(auth.u, store);
+        if (found)
+          await writeAudit("api-config.delete", {
+            actor: auth.u,
+            target: auth.u,
+            req,
+            apiFormat,
+            id,
+            name: found.name,
+          });
+        return sendJson(res, 200, { ok: true });
+      }
+
+      if (pathname === "/api/generate" && req.method === "POST") {
+        const auth = requireAuth(keyring, req, { scope: "generate" });
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        const body = await readJsonBody(req);
+        const apiFormat = normalizeApiFormat(body.apiFormat);
+        const configId = String(body.configId || "").trim();
+        const payload =
+          body.payload && typeof body.payload === "object"
+            ? body.payload
+            : null;
+        if (!configId) return sendJson(res, 400, { error: "缺少 configId" });
+        if (!payload) return sendJson(res, 400, { error: "缺少请求内容" });
+        const shared = body.scope === "shared";
+        const store = shared
+          ? await readSharedApiConfigs()
+          : await readUserApiConfigs(auth.u);
+        const list = Array.isArray(store.items?.[apiFormat])
+          ? store.items[apiFormat]
+          : [];
+        const found = list.find((x) => String(x?.id) === configId);
+        if (!found) return sendJson(res, 404, { error: "配置不存在" });
+        const config = decryptForUser(
+          keyring,
+          shared ? SHARED_API_CONFIG_OWNER : auth.u,
+          found.enc,
+        );
+        const upstream = buildUpstreamRequest(
+          found.id,
+          { ...config, apiFormat },
+          body.modelId,
+          payload,
+        );
+        // Admin-published shared configs may point at internal gateways;
+        // users' own configs may only reach public hosts.
+        return await proxyGenerateRequest(req, res, upstream, {
+          publicOnly: !shared,
+        });
+      }
+
+      if (pathname === "/api/shared-api-configs/list" && req.method === "GET") {
+        const auth = requireAuth(keyring, req, { scope: "api-configs:read" });
+        if (!auth) return sendJson(res, 401, { error: "Unauthorized" });
+        const apiFormat = normalizeApiFormat(url.searchParams.get("apiFormat"));
+        const store = await readSharedApiConfigs();
+        return sendJson(res, 200, {
+          items: store.items[apiFormat].map(publicSharedApiConfig),
+          apiFormat,
+        });
+      }
+
+      if (
+        pathname === "/api/admin/shared-api-configs/save" &&
+        req.method === "POST"
+      ) {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        const body = await readJsonBody(req);
+        const apiFormat = normalizeApiFormat(body.apiFormat);
+        const name = String(body.name || "").trim();
+        const config =
+          body.config && typeof body.config === "object" ? body.config : null;
+        if (!name) return sendJson(res, 400, { error: "缺少名称" });
+        if (!config) return sendJson(res, 400, { error: "缺少配置" });
+        const payload = apiConfigPayloadFromBody(apiFormat, config);
+
+        const store = await readSharedApiConfigs();
+        const list = store.items[apiFormat];
+        const now = nowIso();
+        const enc = encryptForUser(keyring, SHARED_API_CONFIG_OWNER, payload);
+        let item = list.find((x) => String(x?.name) === name);
+        if (item) {
+          item.updatedAt = now;
+          item.updatedBy = auth.u;
+          item.modelId = payload.modelId;
+          item.enc = enc;
+        } else {
+          item = {
+            id: crypto.randomUUID(),
+            name,
+            modelId: payload.modelId,
+            createdAt: now,
+            updatedAt: now,
+            createdBy: auth.u,
+            updatedBy: auth.u,
+            enc,
+          };
+          list.unshift(item);
+        }
+        await writeSharedApiConfigs(store);
+        await writeAudit("shared-api-config.save", {
+          actor: auth.u,
+          req,
+          apiFormat,
+          id: item.id,
+          name,
+        });
+        return sendJson(res, 200, {
+          ok: true,
+          item: publicSharedApiConfig(item),
+        });
+      }
+
+      if (
+        pathname === "/api/admin/shared-api-configs/load" &&
+        req.method === "POST"
+      ) {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        const body = await readJsonBody(req);
+        const apiFormat = normalizeApiFormat(body.apiFormat);
+        const id = String(body.id || "").trim();
+        if (!id) return sendJson(res, 400, { error: "缺少 id" });
+        const store = await readSharedApiConfigs();
+        const found = store.items[apiFormat].find((x) => String(x?.id) === id);
+        if (!found) return sendJson(res, 404, { error: "Not found" });
+        const config = decryptForUser(
+          keyring,
+          SHARED_API_CONFIG_OWNER,
+          found.enc,
+        );
+        await writeAudit("shared-api-config.load", {
+          actor: auth.u,
+          req,
+          apiFormat,
+          id,
+          name: found.name,
+        });
+        return sendJson(res, 200, { ok: true, config });
+      }
+
+      if (
+        pathname === "/api/admin/shared-api-configs/delete" &&
+        req.method === "POST"
+      ) {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        const body = await readJsonBody(req);
+        const apiFormat = normalizeApiFormat(body.apiFormat);
+        const id = String(body.id || "").trim();
+        if (!id) return sendJson(res, 400, { error: "缺少 id" });
+        const store = await readSharedApiConfigs();
+        const found = store.items[apiFormat].find((x) => String(x?.id) === id);
+        store.items[apiFormat] = store.items[apiFormat].filter(
+          (x) => String(x?.id) !== id,
+        );
+        await writeSharedApiConfigs(store);
+        if (found)
+          await writeAudit("shared-api-config.delete", {
+            actor: auth.u,
+            req,
+            apiFormat,
+            id,
+            name: found.name,
+          });
         return sendJson(res, 200, { ok: true });
       }
 
       // 已移除“未收藏聊天记录云端同步”相关 API（history/*）。
 
+      if (pathname === "/api/admin/audit" && req.method === "GET") {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        const q = url.searchParams;
+        // Empty bounds stay NaN, which queryAudit treats as open-ended.
+        const since = q.get("since") ? Date.parse(q.get("since")) : NaN;
+        const until = q.get("until") ? Date.parse(q.get("until")) : NaN;
+        if (q.get("since") && !Number.isFinite(since))
+          return sendJson(res, 400, { error: "since 无效" });
+        if (q.get("until") && !Number.isFinite(until))
+          return sendJson(res, 400, { error: "until 无效" });
+        const limit = Math.min(
+          AUDIT_QUERY_MAX,
+          Math.max(1, Math.floor(Number(q.get("limit")) || 100)),
+        );
+        const offset = Math.max(0, Math.floor(Number(q.get("offset")) || 0));
+        const result = await queryAudit({
+          action: String(q.get("action") || "").trim(),
+          actor: String(q.get("actor") || "").trim(),
+          target: String(q.get("target") || "").trim(),
+          ip: String(q.get("ip") || "").trim(),
+          since,
+          until,
+          offset,
+          limit,
+        });
+        return sendJson(res, 200, { ...result, offset, limit });
+      }
+
       if (pathname === "/api/admin/users" && req.method === "GET") {
-        const auth = requireAuth(secret, req);
+        const auth = requireAuth(keyring, req);
         if (!auth || auth.a !== true)
           return sendJson(res, 403, { error: "Forbidden" });
+        const recompute = url.searchParams.get("recompute") === "1";
         const users = await listUsers();
         const out = [];
         for (const u of users) {
           const meta = await loadUserMeta(u);
           if (!meta) continue;
+          const usage = recompute
+            ? await recomputeUsage(u)
+            : await readUsage(u);
+          const sessions = listSessions(u);
+          const customQuotaBytes = await readCustomQuotaBytes(u);
           out.push({
             username: u,
             isAdmin: !!meta.isAdmin,
+            disabled: !!meta.disabled,
+            twoFactorEnabled: !!meta.totp,
+            pendingDeletion: meta.pendingDeletion || null,
             createdAt: meta.createdAt,
+            uploadsBytes: usage.uploadsBytes,
+            generatedBytes: usage.generatedBytes,
+            favoritesBytes: usage.favoritesBytes,
+            usedBytes: usageTotalBytes(usage),
+            quotaBytes: meta.isAdmin
+              ? null
+              : (customQuotaBytes ?? DEFAULT_GALLERY_QUOTA_BYTES),
+            customQuotaBytes,
+            sessionCount: sessions.length,
+            lastSeenAt: sessions[0]?.lastSeenAt || null,
+          });
+        }
+        return sendJson(res, 200, {
+          items: out,
+          defaultQuotaBytes: DEFAULT_GALLERY_QUOTA_BYTES,
+        });
+      }
+
+      if (
+        pathname === "/api/admin/favorites/orphans" &&
+        (req.method === "GET" || req.method === "POST")
+      ) {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        // GET reports, POST reclaims.
+        const reclaim = req.method === "POST";
+        const items = await sweepAllOrphanFavorites({ reclaim });
+        if (reclaim && items.length)
+          await writeAudit("admin.favorites-reclaim", {
+            actor: auth.u,
+            req,
+            count: items.length,
+            bytes: items.reduce((sum, o) => sum + o.bytes, 0),
+          });
+        return sendJson(res, 200, {
+          items,
+          totalBytes: items.reduce((sum, o) => sum + o.bytes, 0),
+          reclaimed: reclaim,
+        });
+      }
+
+      if (pathname === "/api/admin/remote-fetch" && req.method === "GET") {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        return sendJson(res, 200, {
+          allowHosts: await readRemoteFetchAllowlist(),
+        });
+      }
+
+      if (pathname === "/api/admin/remote-fetch" && req.method === "POST") {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        const body = await readJsonBody(req);
+        const raw = Array.isArray(body.allowHosts) ? body.allowHosts : [];
+        const allowHosts = [];
+        for (const rule of raw) {
+          if (!String(rule || "").trim()) continue;
+          const r = normalizeAllowHost(rule);
+          if (!r) return sendJson(res, 400, { error: `无效的主机：${rule}` });
+          if (!allowHosts.includes(r)) allowHosts.push(r);
+        }
+        await writeJsonAtomic(remoteFetchSettingsPath(), {
+          allowHosts,
+          updatedBy: auth.u,
+          updatedAt: nowIso(),
+        });
+        await writeAudit("admin.remote-fetch", {
+          actor: auth.u,
+          req,
+          allowHosts,
+        });
+        return sendJson(res, 200, { ok: true, allowHosts });
+      }
+
+      if (pathname === "/api/admin/registration" && req.method === "GET") {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        const now = Date.now();
+        const invites = (await readInvites())
+          .filter((i) => !(i.admin && i.createdBy === ":setup"))
+          .map((i) => ({ ...i, status: inviteStatus(i, now) }))
+          .reverse();
+        return sendJson(res, 200, {
+          mode: await getRegistrationMode(),
+          invites,
+        });
+      }
+
+      if (pathname === "/api/admin/registration" && req.method === "POST") {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        const body = await readJsonBody(req);
+        const mode = String(body.mode || "");
+        if (!REGISTRATION_MODES.includes(mode))
+          return sendJson(res, 400, { error: "mode 无效" });
+        await setRegistrationMode(mode, auth.u);
+        await writeAudit("admin.registration", { actor: auth.u, req, mode });
+        return sendJson(res, 200, { ok: true, mode });
+      }
+
+      if (pathname === "/api/admin/security" && req.method === "GET") {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        return sendJson(res, 200, await readSecuritySettings());
+      }
+
+      if (pathname === "/api/admin/security" && req.method === "POST") {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        const body = await readJsonBody(req);
+        const requireAdminTwoFactor = body.requireAdminTwoFactor === true;
+        // Otherwise the admin turning it on would lock themselves out.
+        if (requireAdminTwoFactor && !(await loadUserMeta(auth.u))?.totp)
+          return sendJson(res, 400, {
+            error: "请先为自己的账户启用两步验证",
+          });
+        await writeJsonAtomic(securitySettingsPath(), {
+          requireAdminTwoFactor,
+          updatedBy: auth.u,
+          updatedAt: nowIso(),
+        });
+        for (const username of await listUsers()) {
+          const meta = await loadUserMeta(username);
+          if (meta?.isAdmin)
+            await syncTwoFactorEnrollment(
+              username,
+              await twoFactorEnrollmentRequired(meta),
+            );
+        }
+        await writeAudit("admin.security", {
+          actor: auth.u,
+          req,
+          requireAdminTwoFactor,
+        });
+        return sendJson(res, 200, { ok: true, requireAdminTwoFactor });
+      }
+
+      if (pathname === "/api/admin/invites/create" && req.method === "POST") {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        const body = await readJsonBody(req);
+        const maxUses = Math.floor(Number(body.maxUses ?? 1));
+        if (!Number.isFinite(maxUses) || maxUses < 0)
+          return sendJson(res, 400, { error: "maxUses 无效" });
+        const days = Number(body.expiresInDays || 0);
+        if (!Number.isFinite(days) || days < 0)
+          return sendJson(res, 400, { error: "expiresInDays 无效" });
+        const invite = await createInvite({
+          createdBy: auth.u,
+          maxUses,
+          expiresAt: days
+            ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()
+            : null,
+          note: String(body.note || "").slice(0, 200),
+        });
+        await writeAudit("admin.invite-create", {
+          actor: auth.u,
+          req,
+          code: invite.code,
+          maxUses: invite.maxUses,
+          expiresAt: invite.expiresAt,
+        });
+        return sendJson(res, 200, { ok: true, invite });
+      }
+
+      if (pathname === "/api/admin/invites/revoke" && req.method === "POST") {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        const body = await readJsonBody(req);
+        const code = normalizeInviteCode(body.code);
+        const ok = await revokeInvite(code);
+        if (!ok) return sendJson(res, 404, { error: "Not found" });
+        await writeAudit("admin.invite-revoke", { actor: auth.u, req, code });
+        return sendJson(res, 200, { ok: true });
+      }
+
+      // Per-user admin actions: /api/admin/<action>/<username>
+      const adminUserAction =
+        req.method === "POST"
+          ? /^\/api\/admin\/(demote|disable|enable|quota)\/([^/]+)$/.exec(
+              pathname,
+            )
+          : null;
+      if (adminUserAction) {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        const [, action, rawName] = adminUserAction;
+        const username = sanitizeUsername(rawName);
+        if (!username) return sendJson(res, 400, { error: "Invalid username" });
+        const meta = await loadUserMeta(username);
+        if (!meta) return sendJson(res, 404, { error: "User not found" });
+        if (action === "quota") {
+          const body = await readJsonBody(req);
+          const bytes =
+            body.galleryBytes == null ? 0 : Number(body.galleryBytes);
+          if (!Number.isFinite(bytes) || bytes < 0)
+            return sendJson(res, 400, { error: "galleryBytes 无效" });
+          await setCustomQuotaBytes(username, Math.floor(bytes));
+          await writeAudit("admin.quota", {
+            actor: auth.u,
+            target: username,
+            req,
+            galleryBytes: Math.floor(bytes) || null,
+          });
+          return sendJson(res, 200, {
+            ok: true,
+            quotaBytes: await getQuotaBytes(username),
           });
         }
-        return sendJson(res, 200, { items: out });
+        if (username === auth.u)
+          return sendJson(res, 400, { error: "不能对自己执行此操作" });
+        if (action === "demote") meta.isAdmin = false;
+        if (action === "disable") meta.disabled = true;
+        if (action === "enable") delete meta.disabled;
+        meta.updatedAt = nowIso();
+        await saveUserMeta(username, meta);
+        // Demoted/disabled users must not keep using tokens issued earlier.
+        if (action !== "enable") await revokeAllSessions(username);
+        if (action === "disable") unloadAccessTokens(username);
+        if (action === "enable") await loadAccessTokens(username);
+        await writeAudit(`admin.${action}`, {
+          actor: auth.u,
+          target: username,
+          req,
+        });
+        return sendJson(res, 200, { ok: true });
+      }
+
+      if (pathname.startsWith("/api/admin/users/") && req.method === "DELETE") {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        const username = sanitizeUsername(
+          pathname.replace("/api/admin/users/", ""),
+        );
+        if (!username) return sendJson(res, 400, { error: "Invalid username" });
+        if (username === auth.u)
+          return sendJson(res, 400, { error: "不能删除自己" });
+        if (!(await loadUserMeta(username)))
+          return sendJson(res, 404, { error: "User not found" });
+        await deleteUserAccount(username);
+        await writeAudit("account.delete", {
+          actor: auth.u,
+          target: username,
+          req,
+        });
+        return sendJson(res, 200, { ok: true });
       }
 
       if (pathname.startsWith("/api/admin/promote/") && req.method === "POST") {
-        const auth = requireAuth(secret, req);
+        const auth = requireAuth(keyring, req);
         if (!auth || auth.a !== true)
           return sendJson(res, 403, { error: "Forbidden" });
         const username = sanitizeUsername(
@@ -1286,13 +5952,145 @@ async function main() {
         meta.isAdmin = true;
         meta.updatedAt = nowIso();
         await saveUserMeta(username, meta);
+        // Tokens carry the admin flag; force a fresh login to pick it up.
+        await revokeAllSessions(username);
+        await writeAudit("admin.promote", {
+          actor: auth.u,
+          target: username,
+          req,
+        });
+        return sendJson(res, 200, { ok: true });
+      }
+
+      if (
+        pathname.startsWith("/api/admin/reset-password/") &&
+        req.method === "POST"
+      ) {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        const username = sanitizeUsername(
+          pathname.replace("/api/admin/reset-password/", ""),
+        );
+        if (!username) return sendJson(res, 400, { error: "Invalid username" });
+        if (username === auth.u)
+          return sendJson(res, 400, {
+            error: "请使用修改密码功能修改自己的密码",
+          });
+        const meta = await loadUserMeta(username);
+        if (!meta) return sendJson(res, 404, { error: "User not found" });
+        const tempPassword = generateTempPassword();
+        await setUserPassword(username, meta, tempPassword, {
+          temporary: true,
+        });
+        await revokeAllSessions(username);
+        await writeAudit("admin.reset-password", {
+          actor: auth.u,
+          target: username,
+          req,
+        });
+        return sendJson(res, 200, { ok: true, tempPassword });
+      }
+
+      if (
+        pathname.startsWith("/api/admin/reset-2fa/") &&
+        req.method === "POST"
+      ) {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        const username = sanitizeUsername(
+          pathname.replace("/api/admin/reset-2fa/", ""),
+        );
+        if (!username) return sendJson(res, 400, { error: "Invalid username" });
+        if (username === auth.u)
+          return sendJson(res, 400, {
+            error: "请在账户设置中管理自己的两步验证",
+          });
+        const meta = await loadUserMeta(username);
+        if (!meta) return sendJson(res, 404, { error: "User not found" });
+        if (!meta.totp && !meta.totpPending)
+          return sendJson(res, 400, { error: "该用户未启用两步验证" });
+        delete meta.totp;
+        delete meta.totpPending;
+        meta.updatedAt = nowIso();
+        await saveUserMeta(username, meta);
+        await revokeAllSessions(username);
+        await writeAudit("admin.reset-2fa", {
+          actor: auth.u,
+          target: username,
+          req,
+        });
         return sendJson(res, 200, { ok: true });
       }
 
+      if (
+        pathname.startsWith("/api/admin/revoke-sessions/") &&
+        req.method === "POST"
+      ) {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        const username = sanitizeUsername(
+          pathname.replace("/api/admin/revoke-sessions/", ""),
+        );
+        if (!username) return sendJson(res, 400, { error: "Invalid username" });
+        if (!(await loadUserMeta(username)))
+          return sendJson(res, 404, { error: "User not found" });
+        const revoked = await revokeAllSessions(username);
+        await writeAudit("admin.revoke-sessions", {
+          actor: auth.u,
+          target: username,
+          req,
+          revoked,
+        });
+        return sendJson(res, 200, { ok: true, revoked });
+      }
+
+      const adminArchiveMatch = /^\/api\/admin\/(export|import)\/([^/]+)$/.exec(
+        pathname,
+      );
+      if (
+        adminArchiveMatch &&
+        req.method === (adminArchiveMatch[1] === "export" ? "GET" : "POST")
+      ) {
+        const auth = requireAuth(keyring, req);
+        if (!auth || auth.a !== true)
+          return sendJson(res, 403, { error: "Forbidden" });
+        const username = sanitizeUsername(adminArchiveMatch[2]);
+        if (!username) return sendJson(res, 400, { error: "Invalid username" });
+        if (!(await loadUserMeta(username)))
+          return sendJson(res, 404, { error: "User not found" });
+        // API keys stay with their owner: admin exports leave them out.
+        if (adminArchiveMatch[1] === "export") {
+          await writeAudit("admin.export", {
+            actor: auth.u,
+            target: username,
+            req,
+          });
+          return await sendAccountExport(keyring, res, username, {
+            includeKeys: false,
+          });
+        }
+        const imported = await importAccountArchive(keyring, username, req);
+        await writeAudit("admin.import", {
+          actor: auth.u,
+          target: username,
+          req,
+          imported,
+        });
+        return sendJson(res, 200, {
+          ok: true,
+          imported,
+          usage: await getStorageSummary(username),
+        });
+      }
+
+      unmatchedRequests.add(req);
       return sendText(res, 404, "Not found");
     } catch (e) {
       const status = e.statusCode || 500;
-      console.error(e);
+      console.error(`[${requestId}]`, e);
       if (req.url && String(req.url).startsWith("/api/")) {
         return sendJson(res, status, { error: e.message || "Internal error" });
       }
@@ -1307,7 +6105,43 @@ async function main() {
   });
 }
 
-main().catch((e) => {
-  console.error(e);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+// Used by the offline admin CLI (server/cli.js).
+module.exports = {
+  USERS_ROOT,
+  FAVORITE_TYPES,
+  SHARED_API_CONFIG_OWNER,
+  blobsDir,
+  createUserAccount,
+  decryptForUser,
+  deleteUserAccount,
+  ensureDir,
+  generateTempPassword,
+  getQuotaBytes,
+  hashFile,
+  listUsers,
+  loadAllSessions,
+  loadKeyring,
+  loadUserMeta,
+  measureUsage,
+  previousSecretsPath,
+  readUsage,
+  recomputeUsage,
+  reencryptApiConfigs,
+  reencryptTotpSecrets,
+  revokeAllSessions,
+  sanitizeUsername,
+  saveUserMeta,
+  secretFilePath,
+  setCustomQuotaBytes,
+  setUserPassword,
+  sharedApiConfigsPath,
+  usageTotalBytes,
+  writeAudit,
+};
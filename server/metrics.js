@@ -0,0 +1,145 @@
+// Zero-dependency metrics registry rendering the Prometheus text format
+// (version 0.0.4). Supports counters, gauges and histograms with labels.
+// Gauges may take a `collect` callback that refreshes them on every scrape.
+
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60,
+];
+
+function escapeLabelValue(v) {
+  return String(v)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra = "") {
+  const parts = names.map((n, i) => `${n}="${escapeLabelValue(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatNumber(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return Number.isNaN(v) ? "NaN" : String(v);
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function define(type, name, help, labelNames, extra = {}) {
+    const series = new Map(); // JSON of label values -> state
+    const metric = { type, name, help, labelNames, series, ...extra };
+    metrics.push(metric);
+    const valuesOf = (labels = {}) =>
+      labelNames.map((n) => (labels[n] == null ? "" : String(labels[n])));
+    return { metric, series, valuesOf };
+  }
+
+  function counter(name, help, labelNames = []) {
+    const { series, valuesOf } = define("counter", name, help, labelNames);
+    return {
+      inc(labels, value = 1) {
+        if (!(value > 0)) return;
+        const values = valuesOf(labels);
+        const key = JSON.stringify(values);
+        const s = series.get(key) || { values, value: 0 };
+        s.value += value;
+        series.set(key, s);
+      },
+    };
+  }
+
+  function gauge(name, help, labelNames = [], collect = null) {
+    const { metric, series, valuesOf } = define(
+      "gauge",
+      name,
+      help,
+      labelNames,
+    );
+    const g = {
+      set(labels, value) {
+        const values = valuesOf(labels);
+        series.set(JSON.stringify(values), { values, value });
+      },
+      reset() {
+        series.clear();
+      },
+    };
+    if (collect) metric.collect = () => collect(g);
+    return g;
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const sorted = [...buckets].sort((a, b) => a - b);
+    const { series, valuesOf } = define("histogram", name, help, labelNames, {
+      buckets: sorted,
+    });
+    const h = {
+      observe(labels, value) {
+        const values = valuesOf(labels);
+        const key = JSON.stringify(values);
+        let s = series.get(key);
+        if (!s) {
+          s = { values, counts: sorted.map(() => 0), sum: 0, count: 0 };
+          series.set(key, s);
+        }
+        sorted.forEach((b, i) => {
+          if (value <= b) s.counts[i] += 1;
+        });
+        s.sum += value;
+        s.count += 1;
+      },
+      // Returns a function that records the seconds elapsed since the call.
+      startTimer(labels) {
+        const started = process.hrtime.bigint();
+        return (extraLabels) =>
+          h.observe(
+            { ...labels, ...extraLabels },
+            Number(process.hrtime.bigint() - started) / 1e9,
+          );
+      },
+    };
+    return h;
+  }
+
+  async function render() {
+    const lines = [];
+    for (const m of metrics) {
+      if (m.collect) await m.collect();
+      lines.push(`# HELP ${m.name} ${m.help}`);
+      lines.push(`# TYPE ${m.name} ${m.type}`);
+      for (const s of m.series.values()) {
+        if (m.type !== "histogram") {
+          lines.push(
+            `${m.name}${formatLabels(m.labelNames, s.values)} ${formatNumber(s.value)}`,
+          );
+          continue;
+        }
+        m.buckets.forEach((b, i) => {
+          lines.push(
+            `${m.name}_bucket${formatLabels(m.labelNames, s.values, `le="${formatNumber(b)}"`)} ${s.counts[i]}`,
+          );
+        });
+        lines.push(
+          `${m.name}_bucket${formatLabels(m.labelNames, s.values, 'le="+Inf"')} ${s.count}`,
+        );
+        lines.push(
+          `${m.name}_sum${formatLabels(m.labelNames, s.values)} ${formatNumber(s.sum)}`,
+        );
+        lines.push(
+          `${m.name}_count${formatLabels(m.labelNames, s.values)} ${s.count}`,
+        );
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createRegistry,
+};
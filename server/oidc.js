@@ -0,0 +1,216 @@
+// Zero-dependency OpenID Connect relying party: discovery, the authorization
+// code flow with PKCE (S256) and ID token verification against the
+// provider's JWKS. Uses the global fetch of Node 18+.
+
+const crypto = require("crypto");
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+// Unknown key ids trigger a JWKS refetch (key rotation), at most this often.
+const JWKS_REFETCH_MIN_MS = 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+// Asymmetric JWS algorithms only; "none" and HS* are never accepted.
+const JWS_ALGORITHMS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  PS256: { hash: "sha256", pss: true },
+  PS384: { hash: "sha384", pss: true },
+  PS512: { hash: "sha512", pss: true },
+  ES256: { hash: "sha256", ec: true },
+  ES384: { hash: "sha384", ec: true },
+  ES512: { hash: "sha512", ec: true },
+  EdDSA: { hash: null },
+};
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+function createPkcePair() {
+  const verifier = randomToken(32);
+  const challenge = crypto
+    .createHash("sha256")
+    .update(verifier)
+    .digest("base64url");
+  return { verifier, challenge };
+}
+
+async function fetchJson(url, options = {}) {
+  const r = await fetch(url, {
+    ...options,
+    headers: { accept: "application/json", ...(options.headers || {}) },
+    signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+  });
+  const text = await r.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(`${url} returned a non-JSON response (${r.status})`);
+  }
+  if (!r.ok)
+    throw new Error(
+      `${url} returned ${r.status}${data?.error ? `: ${data.error_description || data.error}` : ""}`,
+    );
+  return data;
+}
+
+function decodeJwt(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) throw new Error("Malformed ID token");
+  const [headerB64, payloadB64, signatureB64] = parts;
+  try {
+    return {
+      header: JSON.parse(Buffer.from(headerB64, "base64url").toString("utf8")),
+      payload: JSON.parse(
+        Buffer.from(payloadB64, "base64url").toString("utf8"),
+      ),
+      signingInput: Buffer.from(`${headerB64}.${payloadB64}`),
+      signature: Buffer.from(signatureB64, "base64url"),
+    };
+  } catch {
+    throw new Error("Malformed ID token");
+  }
+}
+
+function verifySignature(alg, key, data, signature) {
+  const spec = JWS_ALGORITHMS[alg];
+  const options = { key };
+  if (spec.pss) {
+    options.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+    options.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+  }
+  if (spec.ec) options.dsaEncoding = "ieee-p1363";
+  return crypto.verify(spec.hash, data, options, signature);
+}
+
+function createOidcClient({
+  issuer,
+  clientId,
+  clientSecret = "",
+  scopes = "openid profile email",
+}) {
+  let discovery = null; // { config, fetchedAt }
+  let jwks = null; // { keys, fetchedAt }
+
+  async function getConfig() {
+    if (discovery && Date.now() - discovery.fetchedAt < DISCOVERY_TTL_MS)
+      return discovery.config;
+    const config = await fetchJson(
+      `${issuer.replace(/\/+$/, "")}/.well-known/openid-configuration`,
+    );
+    if (config.issuer !== issuer)
+      throw new Error(`Discovery document names issuer ${config.issuer}`);
+    for (const k of ["authorization_endpoint", "token_endpoint", "jwks_uri"])
+      if (!config[k]) throw new Error(`Discovery document has no ${k}`);
+    discovery = { config, fetchedAt: Date.now() };
+    return config;
+  }
+
+  async function getSigningKey(kid, alg) {
+    const find = () =>
+      jwks?.keys.find(
+        (k) =>
+          (!kid || k.kid === kid) &&
+          (!k.use || k.use === "sig") &&
+          (!k.alg || k.alg === alg),
+      );
+    let jwk = find();
+    if (!jwk && (!jwks || Date.now() - jwks.fetchedAt > JWKS_REFETCH_MIN_MS)) {
+      const data = await fetchJson((await getConfig()).jwks_uri);
+      jwks = {
+        keys: Array.isArray(data?.keys) ? data.keys : [],
+        fetchedAt: Date.now(),
+      };
+      jwk = find();
+    }
+    if (!jwk) throw new Error(`No signing key ${kid || ""} for ${alg}`);
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  }
+
+  async function authorizationUrl({ redirectUri, state, nonce, challenge }) {
+    const url = new URL((await getConfig()).authorization_endpoint);
+    const params = {
+      response_type: "code",
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: scopes,
+      state,
+      nonce,
+      code_challenge: challenge,
+      code_challenge_method: "S256",
+    };
+    for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+    return url.toString();
+  }
+
+  async function verifyIdToken(idToken, nonce) {
+    const { header, payload, signingInput, signature } = decodeJwt(idToken);
+    if (!JWS_ALGORITHMS[header.alg])
+      throw new Error(`Unsupported ID token algorithm ${header.alg}`);
+    const key = await getSigningKey(header.kid, header.alg);
+    if (!verifySignature(header.alg, key, signingInput, signature))
+      throw new Error("ID token signature is invalid");
+    const now = Math.floor(Date.now() / 1000);
+    const aud = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (payload.iss !== issuer) throw new Error("ID token issuer mismatch");
+    if (!aud.includes(clientId)) throw new Error("ID token audience mismatch");
+    if (aud.length > 1 && payload.azp !== clientId)
+      throw new Error("ID token authorized party mismatch");
+    if (!(Number(payload.exp) > now - CLOCK_SKEW_SECONDS))
+      throw new Error("ID token has expired");
+    if (Number(payload.iat) > now + CLOCK_SKEW_SECONDS)
+      throw new Error("ID token is issued in the future");
+    if (payload.nonce !== nonce) throw new Error("ID token nonce mismatch");
+    if (!payload.sub) throw new Error("ID token has no subject");
+    return payload;
+  }
+
+  // Redeems the authorization code and returns the verified ID token claims,
+  // merged with the userinfo response when the provider has one (some only
+  // put groups or usernames there).
+  async function completeAuthorization({ code, redirectUri, verifier, nonce }) {
+    const config = await getConfig();
+    const form = new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: verifier,
+    });
+    const headers = { "content-type": "application/x-www-form-urlencoded" };
+    const methods = config.token_endpoint_auth_methods_supported || [
+      "client_secret_basic",
+    ];
+    if (clientSecret && methods.includes("client_secret_basic")) {
+      const creds = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+      headers.authorization = `Basic ${Buffer.from(creds).toString("base64")}`;
+    } else {
+      form.set("client_id", clientId);
+      if (clientSecret) form.set("client_secret", clientSecret);
+    }
+    const tokens = await fetchJson(config.token_endpoint, {
+      method: "POST",
+      headers,
+      body: form.toString(),
+    });
+    if (!tokens.id_token) throw new Error("Token response has no id_token");
+    const claims = await verifyIdToken(tokens.id_token, nonce);
+    if (!config.userinfo_endpoint || !tokens.access_token) return claims;
+    const userinfo = await fetchJson(config.userinfo_endpoint, {
+      headers: { authorization: `Bearer ${tokens.access_token}` },
+    });
+    if (userinfo.sub !== claims.sub)
+      throw new Error("Userinfo subject does not match the ID token");
+    return { ...userinfo, ...claims };
+  }
+
+  return { authorizationUrl, completeAuthorization };
+}
+
+module.exports = {
+  createOidcClient,
+  createPkcePair,
+  randomToken,
+};
@@ -0,0 +1,232 @@
+// Zero-dependency ustar reader/writer for account export and import.
+//
+// Only what the archives produced here need is supported: regular files,
+// directories and hard links (so files shared through the blob store are
+// stored once). Other entry types are skipped on extraction. Names longer
+// than 100 bytes are split into the ustar prefix field (up to 255 in total).
+const fs = require("node:fs");
+const fsp = require("node:fs/promises");
+const path = require("node:path");
+const { once } = require("node:events");
+
+const BLOCK = 512;
+
+function tarError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) return { name, prefix: "" };
+  for (let i = name.indexOf("/"); i !== -1; i = name.indexOf("/", i + 1)) {
+    const prefix = name.slice(0, i);
+    const rest = name.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100)
+      return { name: rest, prefix };
+  }
+  return null;
+}
+
+function writeOctal(buf, value, offset, length) {
+  buf.write(
+    value.toString(8).padStart(length - 1, "0"),
+    offset,
+    length - 1,
+    "ascii",
+  );
+  buf[offset + length - 1] = 0;
+}
+
+function encodeHeader({
+  name,
+  size = 0,
+  mtimeMs = Date.now(),
+  type = "0",
+  linkname = "",
+}) {
+  const split = splitName(name);
+  if (!split || Buffer.byteLength(linkname) > 100)
+    throw tarError(`Name too long for tar: ${name}`, 500);
+  const buf = Buffer.alloc(BLOCK);
+  buf.write(split.name, 0, 100, "utf8");
+  writeOctal(buf, type === "5" ? 0o755 : 0o644, 100, 8);
+  writeOctal(buf, 0, 108, 8);
+  writeOctal(buf, 0, 116, 8);
+  writeOctal(buf, size, 124, 12);
+  writeOctal(buf, Math.floor(mtimeMs / 1000), 136, 12);
+  buf.write(type, 156, 1, "ascii");
+  buf.write(linkname, 157, 100, "utf8");
+  buf.write("ustar\0", 257, 6, "ascii");
+  buf.write("00", 263, 2, "ascii");
+  buf.write(split.prefix, 345, 155, "utf8");
+  buf.fill(0x20, 148, 156);
+  let sum = 0;
+  for (const b of buf) sum += b;
+  buf.write(sum.toString(8).padStart(6, "0"), 148, 6, "ascii");
+  buf[154] = 0;
+  buf[155] = 0x20;
+  return buf;
+}
+
+function readString(buf, offset, length) {
+  const end = buf.indexOf(0, offset);
+  return buf
+    .subarray(
+      offset,
+      end === -1 || end > offset + length ? offset + length : end,
+    )
+    .toString("utf8");
+}
+
+function readOctal(buf, offset, length) {
+  const s = readString(buf, offset, length).trim();
+  if (!s) return 0;
+  if (!/^[0-7]+$/.test(s)) throw tarError("Invalid tar header");
+  return parseInt(s, 8);
+}
+
+function decodeHeader(buf) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i++) sum += i >= 148 && i < 156 ? 0x20 : buf[i];
+  if (readOctal(buf, 148, 8) !== sum) throw tarError("Invalid tar checksum");
+  const name = readString(buf, 0, 100);
+  const prefix =
+    readString(buf, 257, 6) === "ustar" ? readString(buf, 345, 155) : "";
+  return {
+    name: prefix ? `${prefix}/${name}` : name,
+    size: readOctal(buf, 124, 12),
+    mtimeMs: readOctal(buf, 136, 12) * 1000,
+    type: String.fromCharCode(buf[156] || 0x30),
+    linkname: readString(buf, 157, 100),
+  };
+}
+
+// Relative, forward-slash path without "..", "." or empty segments.
+function safeEntryPath(name) {
+  const trimmed = String(name || "").replace(/\/+$/, "");
+  if (!trimmed || trimmed.startsWith("/") || trimmed.includes("\\"))
+    return null;
+  const parts = trimmed.split("/");
+  if (parts.some((p) => !p || p === "." || p === "..")) return null;
+  return parts.join("/");
+}
+
+// Streams a tar archive into `out`, honouring backpressure. Call finish()
+// once after the last entry; it does not end `out`.
+function createTarWriter(out) {
+  async function write(chunk) {
+    if (!out.write(chunk)) await once(out, "drain");
+  }
+  async function pad(size) {
+    const rest = size % BLOCK;
+    if (rest) await write(Buffer.alloc(BLOCK - rest));
+  }
+  return {
+    async addBuffer(name, buf, mtimeMs) {
+      await write(encodeHeader({ name, size: buf.length, mtimeMs }));
+      await write(buf);
+      await pad(buf.length);
+    },
+    // Writes exactly `stat.size` bytes even if the file changes meanwhile.
+    async addFile(name, absPath, stat) {
+      await write(
+        encodeHeader({ name, size: stat.size, mtimeMs: stat.mtimeMs }),
+      );
+      let written = 0;
+      if (stat.size > 0) {
+        const rs = fs.createReadStream(absPath, { end: stat.size - 1 });
+        for await (const chunk of rs) {
+          await write(chunk);
+          written += chunk.length;
+        }
+      }
+      if (written < stat.size) await write(Buffer.alloc(stat.size - written));
+      await pad(stat.size);
+    },
+    async addLink(name, target, mtimeMs) {
+      await write(encodeHeader({ name, type: "1", linkname: target, mtimeMs }));
+    },
+    async finish() {
+      await write(Buffer.alloc(BLOCK * 2));
+    },
+  };
+}
+
+// Extracts a tar stream into `destDir` (which must exist and be empty).
+// Unsafe paths are rejected; regular file bytes are capped by `maxBytes`
+// (507 when exceeded). Returns the relative paths of extracted files.
+async function extractTar(stream, destDir, { maxBytes = Infinity } = {}) {
+  const files = [];
+  const extracted = new Set();
+  let buf = Buffer.alloc(0);
+  let entry = null; // { fh, remaining, pad }
+  let total = 0;
+  let ended = false;
+
+  async function openEntry(header) {
+    const rel = safeEntryPath(header.name);
+    const skip = { fh: null, remaining: header.size, pad: 0 };
+    skip.pad = (BLOCK - (header.size % BLOCK)) % BLOCK;
+    if (header.type === "5" || !rel) return skip;
+    const abs = path.join(destDir, rel);
+    if (header.type === "1") {
+      const target = safeEntryPath(header.linkname);
+      if (!target || !extracted.has(target)) return skip;
+      await fsp.mkdir(path.dirname(abs), { recursive: true });
+      await fsp.link(path.join(destDir, target), abs);
+      extracted.add(rel);
+      files.push(rel);
+      return skip;
+    }
+    if (header.type !== "0") return skip;
+    total += header.size;
+    if (total > maxBytes) throw tarError("图库容量不足", 507);
+    await fsp.mkdir(path.dirname(abs), { recursive: true });
+    const fh = await fsp.open(abs, "wx");
+    extracted.add(rel);
+    files.push(rel);
+    return { ...skip, fh };
+  }
+
+  try {
+    for await (const chunk of stream) {
+      if (ended) continue;
+      buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+      for (;;) {
+        if (entry) {
+          if (entry.remaining > 0) {
+            if (!buf.length) break;
+            const part = buf.subarray(0, Math.min(buf.length, entry.remaining));
+            buf = buf.subarray(part.length);
+            entry.remaining -= part.length;
+            if (entry.fh) await entry.fh.write(part);
+            continue;
+          }
+          if (buf.length < entry.pad) break;
+          buf = buf.subarray(entry.pad);
+          if (entry.fh) await entry.fh.close();
+          entry = null;
+          continue;
+        }
+        if (buf.length < BLOCK) break;
+        const block = buf.subarray(0, BLOCK);
+        buf = buf.subarray(BLOCK);
+        if (block.every((b) => b === 0)) {
+          ended = true;
+          break;
+        }
+        entry = await openEntry(decodeHeader(block));
+      }
+    }
+    if (entry || !ended) throw tarError("Truncated tar archive");
+  } finally {
+    if (entry?.fh) await entry.fh.close().catch(() => {});
+  }
+  return files;
+}
+
+module.exports = {
+  createTarWriter,
+  extractTar,
+};
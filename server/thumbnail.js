@@ -0,0 +1,910 @@
+// Zero-dependency thumbnail pipeline: decode -> box downscale -> lossless WebP.
+//
+// Supported sources:
+// - PNG (all colour types / bit depths, non-interlaced)
+// - JPEG (baseline + progressive, Huffman coded). Only the DC coefficient of
+//   each 8x8 block is decoded, which yields the image at 1/8 scale without an
+//   IDCT. That is plenty for thumbnails and keeps large photos cheap.
+// - WebP that already fits the thumbnail box is reused as-is.
+// Anything else returns null and callers fall back to the original image.
+//
+// The codec is plain synchronous JS: a large photo takes over a second. The
+// server calls createThumbnailInWorker(), which runs createThumbnail() in a
+// worker thread (this file is also the worker's entry point) so decoding
+// never blocks request handling.
+const zlib = require("node:zlib");
+const {
+  Worker,
+  isMainThread,
+  parentPort,
+  workerData,
+} = require("node:worker_threads");
+
+const DEFAULT_THUMB_MAX_SIZE = 256;
+// These caps bound how long one thumbnail keeps the worker busy and how much
+// memory the RGBA buffer takes (16M px is 64MB). The per-byte cap rejects small files that inflate to huge images;
+// anything that compresses that well is cheap to serve as its own preview.
+const MAX_SOURCE_PIXELS = 16 * 1024 * 1024;
+const MAX_PIXELS_PER_SOURCE_BYTE = 64;
+
+function tooManyPixels(width, height, byteLength) {
+  const pixels = width * height;
+  return (
+    !pixels ||
+    pixels > MAX_SOURCE_PIXELS ||
+    pixels > byteLength * MAX_PIXELS_PER_SOURCE_BYTE
+  );
+}
+
+function sniffImageType(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 12) return null;
+  if (
+    buf[0] === 0x89 &&
+    buf[1] === 0x50 &&
+    buf[2] === 0x4e &&
+    buf[3] === 0x47 &&
+    buf[4] === 0x0d &&
+    buf[5] === 0x0a &&
+    buf[6] === 0x1a &&
+    buf[7] === 0x0a
+  )
+    return "image/png";
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff)
+    return "image/jpeg";
+  if (
+    buf.toString("latin1", 0, 4) === "RIFF" &&
+    buf.toString("latin1", 8, 12) === "WEBP"
+  )
+    return "image/webp";
+  const gif = buf.toString("latin1", 0, 6);
+  if (gif === "GIF87a" || gif === "GIF89a") return "image/gif";
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// PNG
+
+function decodePng(buf) {
+  let pos = 8;
+  let width = 0;
+  let height = 0;
+  let bitDepth = 0;
+  let colorType = 0;
+  let interlace = 0;
+  let palette = null;
+  let trns = null;
+  const idat = [];
+  while (pos + 8 <= buf.length) {
+    const len = buf.readUInt32BE(pos);
+    const type = buf.toString("latin1", pos + 4, pos + 8);
+    const data = buf.subarray(pos + 8, pos + 8 + len);
+    pos += 12 + len;
+    if (type === "IHDR") {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      bitDepth = data[8];
+      colorType = data[9];
+      interlace = data[12];
+    } else if (type === "PLTE") {
+      palette = data;
+    } else if (type === "tRNS") {
+      trns = data;
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+  if (tooManyPixels(width, height, buf.length)) return null;
+  if (interlace !== 0) return null;
+
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels) return null;
+  if (colorType === 3 && !palette) return null;
+  const bitsPerPixel = channels * bitDepth;
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const raw = zlib.inflateSync(Buffer.concat(idat), {
+    maxOutputLength: (stride + 1) * height,
+  });
+  if (raw.length < (stride + 1) * height) return null;
+
+  const rows = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const dst = y * stride;
+    const prev = dst - stride;
+    for (let i = 0; i < stride; i++) {
+      const x = raw[src + i];
+      const a = i >= bpp ? rows[dst + i - bpp] : 0;
+      const b = y > 0 ? rows[prev + i] : 0;
+      const c = y > 0 && i >= bpp ? rows[prev + i - bpp] : 0;
+      let v = x;
+      if (filter === 1) v = x + a;
+      else if (filter === 2) v = x + b;
+      else if (filter === 3) v = x + ((a + b) >> 1);
+      else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        v = x + (pa <= pb && pa <= pc ? a : pb <= pc ? b : c);
+      }
+      rows[dst + i] = v & 0xff;
+    }
+  }
+
+  // Read one channel sample (0..255) at sample index `idx` of row `y`.
+  const maxSample = (1 << bitDepth) - 1;
+  function sample(y, idx) {
+    const row = y * stride;
+    if (bitDepth === 8) return rows[row + idx];
+    if (bitDepth === 16) return rows[row + idx * 2];
+    const bitPos = idx * bitDepth;
+    const byte = rows[row + (bitPos >> 3)];
+    const shift = 8 - bitDepth - (bitPos & 7);
+    return (byte >> shift) & maxSample;
+  }
+  function sample16(y, idx) {
+    return bitDepth === 16 ? rows.readUInt16BE(y * stride + idx * 2) : -1;
+  }
+
+  const rgba = new Uint8Array(width * height * 4);
+  const scale = colorType === 3 ? 1 : bitDepth < 8 ? 255 / maxSample : 1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      let r;
+      let g;
+      let b;
+      let a = 255;
+      if (colorType === 0) {
+        const raw0 = sample(y, x);
+        r = g = b = Math.round(raw0 * scale);
+        if (trns && trns.length >= 2) {
+          const key = trns.readUInt16BE(0);
+          const v = bitDepth === 16 ? sample16(y, x) : raw0;
+          if (v === key) a = 0;
+        }
+      } else if (colorType === 2) {
+        r = sample(y, x * 3);
+        g = sample(y, x * 3 + 1);
+        b = sample(y, x * 3 + 2);
+        if (trns && trns.length >= 6) {
+          const same =
+            bitDepth === 16
+              ? sample16(y, x * 3) === trns.readUInt16BE(0) &&
+                sample16(y, x * 3 + 1) === trns.readUInt16BE(2) &&
+                sample16(y, x * 3 + 2) === trns.readUInt16BE(4)
+              : r === trns.readUInt16BE(0) &&
+                g === trns.readUInt16BE(2) &&
+                b === trns.readUInt16BE(4);
+          if (same) a = 0;
+        }
+      } else if (colorType === 3) {
+        const idx = sample(y, x);
+        r = palette[idx * 3] || 0;
+        g = palette[idx * 3 + 1] || 0;
+        b = palette[idx * 3 + 2] || 0;
+        if (trns && idx < trns.length) a = trns[idx];
+      } else if (colorType === 4) {
+        r = g = b = sample(y, x * 2);
+        a = sample(y, x * 2 + 1);
+      } else {
+        r = sample(y, x * 4);
+        g = sample(y, x * 4 + 1);
+        b = sample(y, x * 4 + 2);
+        a = sample(y, x * 4 + 3);
+      }
+      rgba[o] = r;
+      rgba[o + 1] = g;
+      rgba[o + 2] = b;
+      rgba[o + 3] = a;
+    }
+  }
+  return { width, height, data: rgba };
+}
+
+// ---------------------------------------------------------------------------
+// JPEG (DC-only)
+
+function buildJpegHuffman(counts, symbols) {
+  const maxcode = new Int32Array(18).fill(-1);
+  const valptr = new Int32Array(17);
+  const mincode = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let len = 1; len <= 16; len++) {
+    valptr[len] = k;
+    mincode[len] = code;
+    code += counts[len - 1];
+    k += counts[len - 1];
+    maxcode[len] = counts[len - 1] ? code - 1 : -1;
+    code <<= 1;
+  }
+  maxcode[17] = 0x7fffffff;
+  return { maxcode, valptr, mincode, symbols };
+}
+
+function decodeJpegDc(buf) {
+  const qt = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let progressive = false;
+  let restartInterval = 0;
+  let adobeTransform = -1;
+  let pos = 2;
+
+  function skipEntropyData(p) {
+    while (p + 1 < buf.length) {
+      if (buf[p] === 0xff) {
+        const m = buf[p + 1];
+        if (m !== 0 && !(m >= 0xd0 && m <= 0xd7)) return p;
+      }
+      p++;
+    }
+    return buf.length;
+  }
+
+  function decodeScan(start, comps, ss, ah, al) {
+    let p = start;
+    let bitBuf = 0;
+    let bitCnt = 0;
+    function readBit() {
+      if (bitCnt === 0) {
+        if (p >= buf.length) return 0;
+        const byte = buf[p];
+        if (byte === 0xff) {
+          const next = buf[p + 1];
+          if (next === 0) p += 2;
+          else return 0; // hit a marker: feed zeros
+        } else {
+          p++;
+        }
+        bitBuf = byte;
+        bitCnt = 8;
+      }
+      bitCnt--;
+      return (bitBuf >> bitCnt) & 1;
+    }
+    function receive(n) {
+      let v = 0;
+      for (let i = 0; i < n; i++) v = (v << 1) | readBit();
+      return v;
+    }
+    function extend(v, n) {
+      return n && v < 1 << (n - 1) ? v + (-1 << n) + 1 : v;
+    }
+    function decodeHuff(t) {
+      let code = 0;
+      for (let len = 1; len <= 16; len++) {
+        code = (code << 1) | readBit();
+        if (code <= t.maxcode[len])
+          return t.symbols[t.valptr[len] + code - t.mincode[len]];
+      }
+      throw new Error("Bad Huffman code");
+    }
+
+    function decodeBlock(c, blockIdx) {
+      if (ss === 0 && ah === 0) {
+        const t = c.dc;
+        const s = decodeHuff(t);
+        const diff = s ? extend(receive(s), s) : 0;
+        c.pred += diff;
+        c.coeffs[blockIdx] = progressive ? c.pred * (1 << al) : c.pred;
+      } else if (ss === 0) {
+        if (readBit()) c.coeffs[blockIdx] |= 1 << al;
+      }
+      if (!progressive) {
+        // Skip AC coefficients of a baseline block.
+        let k = 1;
+        while (k < 64) {
+          const rs = decodeHuff(c.ac);
+          const s = rs & 15;
+          const r = rs >> 4;
+          if (s === 0) {
+            if (r < 15) break;
+            k += 16;
+            continue;
+          }
+          k += r;
+          receive(s);
+          k++;
+        }
+      }
+    }
+
+    const single = comps.length === 1;
+    const total = single
+      ? comps[0].blocksPerLine * comps[0].blocksPerColumn
+      : frame.mcusX * frame.mcusY;
+    for (let n = 0; n < total; n++) {
+      if (restartInterval && n > 0 && n % restartInterval === 0) {
+        bitCnt = 0;
+        while (
+          p + 1 < buf.length &&
+          !(buf[p] === 0xff && buf[p + 1] >= 0xd0 && buf[p + 1] <= 0xd7)
+        )
+          p++;
+        p += 2;
+        for (const c of comps) c.pred = 0;
+      }
+      if (single) {
+        const c = comps[0];
+        const by = Math.floor(n / c.blocksPerLine);
+        const bx = n % c.blocksPerLine;
+        decodeBlock(c, by * c.blocksPerLineMcu + bx);
+        continue;
+      }
+      const mcuY = Math.floor(n / frame.mcusX);
+      const mcuX = n % frame.mcusX;
+      for (const c of comps) {
+        for (let v = 0; v < c.v; v++) {
+          for (let h = 0; h < c.h; h++) {
+            const by = mcuY * c.v + v;
+            const bx = mcuX * c.h + h;
+            decodeBlock(c, by * c.blocksPerLineMcu + bx);
+          }
+        }
+      }
+    }
+    return skipEntropyData(p);
+  }
+
+  while (pos + 4 <= buf.length) {
+    if (buf[pos] !== 0xff) {
+      pos++;
+      continue;
+    }
+    const marker = buf[pos + 1];
+    if (marker === 0xff) {
+      pos++;
+      continue;
+    }
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7)) {
+      pos += 2;
+      continue;
+    }
+    if (marker === 0xd9) break;
+    const len = buf.readUInt16BE(pos + 2);
+    const seg = buf.subarray(pos + 4, pos + 2 + len);
+    pos += 2 + len;
+
+    if (marker === 0xdb) {
+      let i = 0;
+      while (i < seg.length) {
+        const pq = seg[i] >> 4;
+        const tq = seg[i] & 15;
+        qt[tq] = pq ? seg.readUInt16BE(i + 1) : seg[i + 1];
+        i += 1 + (pq ? 128 : 64);
+      }
+    } else if (marker === 0xc4) {
+      let i = 0;
+      while (i < seg.length) {
+        const tc = seg[i] >> 4;
+        const th = seg[i] & 15;
+        const counts = seg.subarray(i + 1, i + 17);
+        let n = 0;
+        for (const c of counts) n += c;
+        const symbols = seg.subarray(i + 17, i + 17 + n);
+        (tc === 0 ? dcTables : acTables)[th] = buildJpegHuffman(
+          counts,
+          symbols,
+        );
+        i += 17 + n;
+      }
+    } else if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+      progressive = marker === 0xc2;
+      const height = seg.readUInt16BE(1);
+      const width = seg.readUInt16BE(3);
+      const n = seg[5];
+      if (tooManyPixels(width, height, buf.length)) return null;
+      const components = [];
+      for (let i = 0; i < n; i++) {
+        components.push({
+          id: seg[6 + i * 3],
+          h: seg[7 + i * 3] >> 4,
+          v: seg[7 + i * 3] & 15,
+          tq: seg[8 + i * 3],
+        });
+      }
+      const hMax = Math.max(...components.map((c) => c.h));
+      const vMax = Math.max(...components.map((c) => c.v));
+      const mcusX = Math.ceil(width / (8 * hMax));
+      const mcusY = Math.ceil(height / (8 * vMax));
+      for (const c of components) {
+        c.blocksPerLine = Math.ceil(Math.ceil((width * c.h) / hMax) / 8);
+        c.blocksPerColumn = Math.ceil(Math.ceil((height * c.v) / vMax) / 8);
+        c.blocksPerLineMcu = mcusX * c.h;
+        c.coeffs = new Int32Array(mcusX * c.h * mcusY * c.v);
+        c.pred = 0;
+      }
+      frame = { width, height, components, hMax, vMax, mcusX, mcusY };
+    } else if (
+      marker >= 0xc3 &&
+      marker <= 0xcf &&
+      marker !== 0xc4 &&
+      marker !== 0xc8 &&
+      marker !== 0xcc
+    ) {
+      return null; // lossless / arithmetic coding
+    } else if (marker === 0xdd) {
+      restartInterval = seg.readUInt16BE(0);
+    } else if (marker === 0xee) {
+      if (seg.toString("latin1", 0, 5) === "Adobe") adobeTransform = seg[11];
+    } else if (marker === 0xda) {
+      if (!frame) return null;
+      const n = seg[0];
+      const comps = [];
+      for (let i = 0; i < n; i++) {
+        const c = frame.components.find((x) => x.id === seg[1 + i * 2]);
+        if (!c) return null;
+        c.dc = dcTables[seg[2 + i * 2] >> 4];
+        c.ac = acTables[seg[2 + i * 2] & 15];
+        c.pred = 0;
+        comps.push(c);
+      }
+      const ss = seg[1 + n * 2];
+      const ah = seg[3 + n * 2] >> 4;
+      const al = seg[3 + n * 2] & 15;
+      if (progressive && ss !== 0) {
+        pos = skipEntropyData(pos);
+        continue;
+      }
+      if (comps.some((c) => !c.dc || (!progressive && !c.ac))) return null;
+      pos = decodeScan(pos, comps, ss, ah, al);
+    }
+  }
+  if (!frame) return null;
+
+  const { components, hMax, vMax } = frame;
+  if (components.length !== 1 && components.length !== 3) return null;
+  const width = Math.ceil(frame.width / 8);
+  const height = Math.ceil(frame.height / 8);
+  const planes = components.map((c) => {
+    const q0 = qt[c.tq] || 1;
+    const plane = new Uint8ClampedArray(width * height);
+    for (let y = 0; y < height; y++) {
+      const by = Math.min(c.blocksPerColumn - 1, Math.floor((y * c.v) / vMax));
+      for (let x = 0; x < width; x++) {
+        const bx = Math.min(c.blocksPerLine - 1, Math.floor((x * c.h) / hMax));
+        plane[y * width + x] =
+          (c.coeffs[by * c.blocksPerLineMcu + bx] * q0) / 8 + 128;
+      }
+    }
+    return plane;
+  });
+
+  const rgba = new Uint8Array(width * height * 4);
+  const isRgb = components.length === 3 && adobeTransform === 0;
+  for (let i = 0; i < width * height; i++) {
+    let r;
+    let g;
+    let b;
+    if (components.length === 1) {
+      r = g = b = planes[0][i];
+    } else if (isRgb) {
+      r = planes[0][i];
+      g = planes[1][i];
+      b = planes[2][i];
+    } else {
+      const Y = planes[0][i];
+      const cb = planes[1][i] - 128;
+      const cr = planes[2][i] - 128;
+      r = Y + 1.402 * cr;
+      g = Y - 0.344136 * cb - 0.714136 * cr;
+      b = Y + 1.772 * cb;
+    }
+    rgba[i * 4] = Math.max(0, Math.min(255, Math.round(r)));
+    rgba[i * 4 + 1] = Math.max(0, Math.min(255, Math.round(g)));
+    rgba[i * 4 + 2] = Math.max(0, Math.min(255, Math.round(b)));
+    rgba[i * 4 + 3] = 255;
+  }
+  return { width, height, data: rgba };
+}
+
+// ---------------------------------------------------------------------------
+// WebP
+
+function readWebpSize(buf) {
+  if (buf.length < 30) return null;
+  const chunk = buf.toString("latin1", 12, 16);
+  if (chunk === "VP8X") {
+    return {
+      width: 1 + buf.readUIntLE(24, 3),
+      height: 1 + buf.readUIntLE(27, 3),
+    };
+  }
+  if (chunk === "VP8L") {
+    const bits = buf.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8 ") {
+    return {
+      width: buf.readUInt16LE(26) & 0x3fff,
+      height: buf.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  return null;
+}
+
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.acc = 0;
+    this.n = 0;
+  }
+
+  put(value, nbits) {
+    for (let i = 0; i < nbits; i++) {
+      this.acc |= ((value >>> i) & 1) << this.n;
+      if (++this.n === 8) {
+        this.bytes.push(this.acc);
+        this.acc = 0;
+        this.n = 0;
+      }
+    }
+  }
+
+  finish() {
+    if (this.n) this.bytes.push(this.acc);
+    return Buffer.from(this.bytes);
+  }
+}
+
+// Huffman code lengths limited to `maxLen`. Flattens the histogram until the
+// tree fits, which keeps the code complete (VP8L decoders reject partial trees).
+function huffmanLengths(counts, maxLen) {
+  const lengths = new Uint8Array(counts.length);
+  const used = [];
+  for (let i = 0; i < counts.length; i++) if (counts[i] > 0) used.push(i);
+  if (used.length === 1) lengths[used[0]] = 1;
+  if (used.length <= 1) return lengths;
+  for (let minCount = 1; ; minCount *= 2) {
+    let nodes = used.map((s) => ({
+      w: Math.max(counts[s], minCount),
+      syms: [s],
+    }));
+    lengths.fill(0);
+    while (nodes.length > 1) {
+      nodes.sort((a, b) => a.w - b.w);
+      const [a, b] = nodes.splice(0, 2);
+      for (const s of a.syms) lengths[s]++;
+      for (const s of b.syms) lengths[s]++;
+      nodes.push({ w: a.w + b.w, syms: a.syms.concat(b.syms) });
+    }
+    let max = 0;
+    for (const l of lengths) if (l > max) max = l;
+    if (max <= maxLen) return lengths;
+  }
+}
+
+// Canonical codes, bit-reversed for the LSB-first VP8L bit writer.
+function canonicalCodes(lengths) {
+  const maxLen = Math.max(0, ...lengths);
+  const blCount = new Array(maxLen + 1).fill(0);
+  for (const l of lengths) if (l) blCount[l]++;
+  const next = new Array(maxLen + 1).fill(0);
+  let code = 0;
+  for (let bits = 1; bits <= maxLen; bits++) {
+    code = (code + blCount[bits - 1]) << 1;
+    next[bits] = code;
+  }
+  const codes = new Array(lengths.length).fill(0);
+  for (let i = 0; i < lengths.length; i++) {
+    const l = lengths[i];
+    if (!l) continue;
+    let c = next[l]++;
+    let rev = 0;
+    for (let j = 0; j < l; j++) {
+      rev = (rev << 1) | (c & 1);
+      c >>= 1;
+    }
+    codes[i] = rev;
+  }
+  return codes;
+}
+
+const CODE_LENGTH_ORDER = [
+  17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+];
+
+// Writes a prefix code and returns { codes, lengths } for emitting symbols.
+// A code with a single used symbol is read as 0 bits by decoders.
+function writePrefixCode(bw, counts) {
+  const used = [];
+  for (let i = 0; i < counts.length; i++) if (counts[i] > 0) used.push(i);
+  if (used.length <= 1) {
+    const sym = used.length ? used[0] : 0;
+    bw.put(1, 1); // simple code
+    bw.put(0, 1); // one symbol
+    if (sym < 2) {
+      bw.put(0, 1);
+      bw.put(sym, 1);
+    } else {
+      bw.put(1, 1);
+      bw.put(sym, 8);
+    }
+    return { codes: null, lengths: null };
+  }
+
+  const lengths = huffmanLengths(counts, 15);
+  const clCounts = new Array(19).fill(0);
+  for (const l of lengths) clCounts[l]++;
+  const clLengths = huffmanLengths(clCounts, 7);
+  const clCodes = canonicalCodes(clLengths);
+  const clSingle = clCounts.filter((c) => c > 0).length === 1;
+
+  let numCl = 19;
+  while (numCl > 4 && clLengths[CODE_LENGTH_ORDER[numCl - 1]] === 0) numCl--;
+  bw.put(0, 1); // normal code
+  bw.put(numCl - 4, 4);
+  for (let i = 0; i < numCl; i++) bw.put(clLengths[CODE_LENGTH_ORDER[i]], 3);
+  bw.put(0, 1); // max_symbol = alphabet size
+  if (!clSingle) {
+    for (const l of lengths) bw.put(clCodes[l], clLengths[l]);
+  }
+  return { codes: canonicalCodes(lengths), lengths };
+}
+
+function writeSymbol(bw, code, sym) {
+  if (code.codes) bw.put(code.codes[sym], code.lengths[sym]);
+}
+
+const PREDICTOR_BLOCK_BITS = 9; // one 512px block => 1x1 predictor image
+const PREDICTOR_MODE_AVERAGE_LT = 7;
+
+function encodeWebpLossless(width, height, rgba) {
+  const n = width * height;
+  let hasAlpha = false;
+  // Subtract-green transform, then predictor residuals (decoders undo them
+  // in reverse order of appearance in the bitstream).
+  const sg = new Uint8Array(n * 4);
+  for (let i = 0; i < n; i++) {
+    const o = i * 4;
+    const g = rgba[o + 1];
+    sg[o] = (rgba[o] - g) & 0xff;
+    sg[o + 1] = g;
+    sg[o + 2] = (rgba[o + 2] - g) & 0xff;
+    sg[o + 3] = rgba[o + 3];
+    if (rgba[o + 3] !== 255) hasAlpha = true;
+  }
+  const res = new Uint8Array(n * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      for (let ch = 0; ch < 4; ch++) {
+        let pred;
+        if (x === 0 && y === 0) pred = ch === 3 ? 255 : 0;
+        else if (y === 0) pred = sg[o - 4 + ch];
+        else if (x === 0) pred = sg[o - width * 4 + ch];
+        else pred = (sg[o - 4 + ch] + sg[o - width * 4 + ch]) >> 1;
+        res[o + ch] = (sg[o + ch] - pred) & 0xff;
+      }
+    }
+  }
+
+  const bw = new BitWriter();
+  bw.put(0x2f, 8);
+  bw.put(width - 1, 14);
+  bw.put(height - 1, 14);
+  bw.put(hasAlpha ? 1 : 0, 1);
+  bw.put(0, 3);
+
+  bw.put(1, 1);
+  bw.put(2, 2); // SUBTRACT_GREEN
+  bw.put(1, 1);
+  bw.put(0, 2); // PREDICTOR
+  bw.put(PREDICTOR_BLOCK_BITS - 2, 3);
+  // Predictor sub-image: every block uses the same mode, so each channel is a
+  // single-symbol code and the pixels themselves cost zero bits.
+  bw.put(0, 1); // no color cache
+  for (const sym of [PREDICTOR_MODE_AVERAGE_LT, 0, 0, 0, 0]) {
+    const counts = new Array(sym + 1).fill(0);
+    counts[sym] = 1;
+    writePrefixCode(bw, counts);
+  }
+  bw.put(0, 1); // no more transforms
+
+  const green = new Array(256 + 24).fill(0);
+  const red = new Array(256).fill(0);
+  const blue = new Array(256).fill(0);
+  const alpha = new Array(256).fill(0);
+  for (let i = 0; i < n; i++) {
+    red[res[i * 4]]++;
+    green[res[i * 4 + 1]]++;
+    blue[res[i * 4 + 2]]++;
+    alpha[res[i * 4 + 3]]++;
+  }
+  bw.put(0, 1); // no color cache
+  bw.put(0, 1); // no meta prefix codes
+  const gCode = writePrefixCode(bw, green);
+  const rCode = writePrefixCode(bw, red);
+  const bCode = writePrefixCode(bw, blue);
+  const aCode = writePrefixCode(bw, alpha);
+  writePrefixCode(bw, new Array(40).fill(0)); // distance codes (unused)
+  for (let i = 0; i < n; i++) {
+    writeSymbol(bw, gCode, res[i * 4 + 1]);
+    writeSymbol(bw, rCode, res[i * 4]);
+    writeSymbol(bw, bCode, res[i * 4 + 2]);
+    writeSymbol(bw, aCode, res[i * 4 + 3]);
+  }
+
+  const vp8l = bw.finish();
+  const pad = vp8l.length & 1;
+  const out = Buffer.alloc(20 + vp8l.length + pad);
+  out.write("RIFF", 0, "latin1");
+  out.writeUInt32LE(12 + vp8l.length + pad, 4);
+  out.write("WEBP", 8, "latin1");
+  out.write("VP8L", 12, "latin1");
+  out.writeUInt32LE(vp8l.length, 16);
+  vp8l.copy(out, 20);
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+
+function fitWithin(width, height, maxSize) {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+// Area-average downscale with alpha weighting.
+function resizeRgba(img, width, height) {
+  if (img.width === width && img.height === height) return img;
+  const out = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor((y * img.height) / height);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * img.height) / height));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor((x * img.width) / width);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * img.width) / width));
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      let count = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const o = (sy * img.width + sx) * 4;
+          const sa = img.data[o + 3];
+          r += img.data[o] * sa;
+          g += img.data[o + 1] * sa;
+          b += img.data[o + 2] * sa;
+          a += sa;
+          count++;
+        }
+      }
+      const o = (y * width + x) * 4;
+      if (a > 0) {
+        out[o] = Math.round(r / a);
+        out[o + 1] = Math.round(g / a);
+        out[o + 2] = Math.round(b / a);
+      }
+      out[o + 3] = Math.round(a / count);
+    }
+  }
+  return { width, height, data: out };
+}
+
+function decodeImage(buf) {
+  const type = sniffImageType(buf);
+  if (type === "image/png") return decodePng(buf);
+  if (type === "image/jpeg") return decodeJpegDc(buf);
+  return null;
+}
+
+/**
+ * Build a WebP thumbnail for an encoded image.
+ * Returns null when the source format is not supported.
+ */
+function createThumbnail(buf, maxSize = DEFAULT_THUMB_MAX_SIZE) {
+  const type = sniffImageType(buf);
+  if (type === "image/webp") {
+    const size = readWebpSize(buf);
+    if (size && size.width <= maxSize && size.height <= maxSize) return buf;
+    return null;
+  }
+  let img;
+  try {
+    img = decodeImage(buf);
+  } catch {
+    return null;
+  }
+  if (!img) return null;
+  const target = fitWithin(img.width, img.height, maxSize);
+  const small = resizeRgba(img, target.width, target.height);
+  return encodeWebpLossless(small.width, small.height, small.data);
+}
+
+// A job that runs longer than this is treated as stuck: the worker is
+// terminated and the job reports "no thumbnail".
+const WORKER_JOB_TIMEOUT_MS = 60 * 1000;
+
+let thumbWorker = null;
+let nextJobId = 1;
+const workerJobs = new Map(); // id -> { resolve, reject, timer }
+
+function failWorkerJobs(err) {
+  for (const job of workerJobs.values()) {
+    clearTimeout(job.timer);
+    job.reject(err);
+  }
+  workerJobs.clear();
+}
+
+function getThumbWorker() {
+  if (thumbWorker) return thumbWorker;
+  const worker = new Worker(__filename, { workerData: { thumbWorker: true } });
+  worker.unref();
+  worker.on("message", ({ id, thumb }) => {
+    const job = workerJobs.get(id);
+    if (!job) return;
+    workerJobs.delete(id);
+    clearTimeout(job.timer);
+    job.resolve(
+      thumb ? Buffer.from(thumb.buffer, thumb.byteOffset, thumb.length) : null,
+    );
+  });
+  worker.on("error", (err) => {
+    if (thumbWorker === worker) thumbWorker = null;
+    failWorkerJobs(err);
+  });
+  worker.on("exit", () => {
+    if (thumbWorker === worker) thumbWorker = null;
+    failWorkerJobs(new Error("Thumbnail worker exited"));
+  });
+  thumbWorker = worker;
+  return worker;
+}
+
+/**
+ * createThumbnail() in a worker thread. Resolves to the WebP buffer or null,
+ * including when the job times out.
+ */
+function createThumbnailInWorker(buf, maxSize = DEFAULT_THUMB_MAX_SIZE) {
+  const worker = getThumbWorker();
+  const id = nextJobId++;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      workerJobs.delete(id);
+      resolve(null);
+      worker.terminate();
+    }, WORKER_JOB_TIMEOUT_MS);
+    timer.unref();
+    workerJobs.set(id, { resolve, reject, timer });
+    // Only keep the process alive while a job is pending.
+    worker.ref();
+    worker.postMessage({ id, buf, maxSize });
+  }).finally(() => {
+    if (!workerJobs.size && thumbWorker === worker) worker.unref();
+  });
+}
+
+if (!isMainThread && workerData?.thumbWorker) {
+  parentPort.on("message", ({ id, buf, maxSize }) => {
+    let thumb = null;
+    try {
+      thumb = createThumbnail(
+        Buffer.from(buf.buffer, buf.byteOffset, buf.length),
+        maxSize,
+      );
+    } catch {
+      thumb = null;
+    }
+    parentPort.postMessage({ id, thumb });
+  });
+}
+
+module.exports = {
+  DEFAULT_THUMB_MAX_SIZE,
+  MAX_SOURCE_PIXELS,
+  sniffImageType,
+  createThumbnail,
+  createThumbnailInWorker,
+};
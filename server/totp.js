@@ -0,0 +1,101 @@
+// Zero-dependency TOTP (RFC 6238) as used by authenticator apps: HMAC-SHA1,
+// 6 digits, 30-second steps, secrets exchanged in RFC 4648 base32.
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str || "")
+    .toUpperCase()
+    .replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx < 0) throw new Error("Invalid base32");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// 160-bit secret, the size RFC 4226 recommends for HMAC-SHA1.
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const mac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(msg)
+    .digest();
+  const offset = mac[mac.length - 1] & 15;
+  const code = (mac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+// Returns the matching time step (so callers can refuse replays) or null.
+// `window` steps either side absorb clock drift.
+function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  const given = Buffer.from(String(code || "").replace(/\s/g, ""));
+  if (given.length !== DIGITS) return null;
+  const step = currentStep(now);
+  for (let i = -window; i <= window; i++) {
+    const expected = Buffer.from(hotp(secret, step + i));
+    if (crypto.timingSafeEqual(given, expected)) return step + i;
+  }
+  return null;
+}
+
+// otpauth:// URI understood by Google Authenticator, 1Password, etc.
+function provisioningUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Decode,
+  base32Encode,
+  currentStep,
+  generateSecret,
+  hotp,
+  provisioningUri,
+  verifyTotp,
+};
@@ -0,0 +1,242 @@
+/* eslint-disable no-console */
+// Minimal OpenID Connect provider for tests and local SSO development:
+// discovery, JWKS, an authorize endpoint that approves immediately, a token
+// endpoint that checks the client, redirect URI and PKCE verifier like a
+// real provider, and userinfo.
+//
+// Standalone (see README「单点登录（OIDC）」):
+//
+//   node test/mock-idp.js          # http://127.0.0.1:3997, client "banana"
+//
+// MOCK_IDP_PORT, MOCK_IDP_CLIENT_ID, MOCK_IDP_CLIENT_SECRET, MOCK_IDP_USER and
+// MOCK_IDP_GROUPS (comma-separated) change the defaults.
+//
+// Tests set `idp.claims` for the next logins and `idp.tamper` to make the
+// provider misbehave: { nonce: true } returns a wrong nonce, { signature:
+// true } signs with a key that is not in the JWKS, { alg: "none" } returns an
+// unsigned token.
+
+const http = require("node:http");
+const crypto = require("node:crypto");
+
+const KEY_ID = "mock-1";
+
+function base64urlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function signJwt(payload, privateKey, { alg = "RS256" } = {}) {
+  const header = base64urlJson({ alg, kid: KEY_ID, typ: "JWT" });
+  const body = base64urlJson(payload);
+  if (alg === "none") return `${header}.${body}.`;
+  const signature = crypto
+    .sign("sha256", Buffer.from(`${header}.${body}`), privateKey)
+    .toString("base64url");
+  return `${header}.${body}.${signature}`;
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(new URLSearchParams(body)));
+    req.on("error", reject);
+  });
+}
+
+// Client credentials from client_secret_basic or the form body.
+function clientCredentials(req, form) {
+  const m = /^Basic (.+)$/.exec(String(req.headers.authorization || ""));
+  if (!m)
+    return { id: form.get("client_id"), secret: form.get("client_secret") };
+  const [id, secret] = Buffer.from(m[1], "base64").toString("utf8").split(":");
+  return {
+    id: decodeURIComponent(id),
+    secret: decodeURIComponent(secret || ""),
+  };
+}
+
+/**
+ * Start the provider. Resolves to { issuer, close(), claims, tamper }.
+ * `claims` and `tamper` are read on every token request, so tests can change
+ * them between logins.
+ */
+function startMockIdp({
+  port = 0,
+  host = "127.0.0.1",
+  clientId = "banana",
+  clientSecret = "",
+  claims = { preferred_username: "sso-user", sub: "mock-sso-user" },
+} = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const rogueKey = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  }).privateKey;
+  const jwk = {
+    ...publicKey.export({ format: "jwk" }),
+    kid: KEY_ID,
+    alg: "RS256",
+    use: "sig",
+  };
+  const codes = new Map(); // code -> { challenge, nonce, redirectUri, createdAt }
+  const accessTokens = new Map(); // token -> claims
+  const idp = { issuer: "", claims, tamper: {}, close: null };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, idp.issuer);
+    const json = (status, body) => {
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === "/.well-known/openid-configuration")
+      return json(200, {
+        issuer: idp.issuer,
+        authorization_endpoint: `${idp.issuer}/authorize`,
+        token_endpoint: `${idp.issuer}/token`,
+        jwks_uri: `${idp.issuer}/jwks`,
+        userinfo_endpoint: `${idp.issuer}/userinfo`,
+        response_types_supported: ["code"],
+        code_challenge_methods_supported: ["S256"],
+        token_endpoint_auth_methods_supported: clientSecret
+          ? ["client_secret_basic", "client_secret_post"]
+          : ["none"],
+        id_token_signing_alg_values_supported: ["RS256"],
+      });
+
+    if (url.pathname === "/jwks") return json(200, { keys: [jwk] });
+
+    if (url.pathname === "/authorize") {
+      const q = url.searchParams;
+      const redirectUri = q.get("redirect_uri") || "";
+      if (q.get("client_id") !== clientId)
+        return json(400, { error: "unauthorized_client" });
+      if (q.get("response_type") !== "code")
+        return json(400, { error: "unsupported_response_type" });
+      if (q.get("code_challenge_method") !== "S256" || !q.get("code_challenge"))
+        return json(400, {
+          error: "invalid_request",
+          error_description: "PKCE S256 required",
+        });
+      const code = crypto.randomBytes(16).toString("hex");
+      codes.set(code, {
+        challenge: q.get("code_challenge"),
+        nonce: q.get("nonce"),
+        redirectUri,
+        createdAt: Date.now(),
+      });
+      const back = new URL(redirectUri);
+      back.searchParams.set("code", code);
+      back.searchParams.set("state", q.get("state") || "");
+      res.writeHead(302, { location: back.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === "/token" && req.method === "POST") {
+      const form = await readForm(req);
+      const client = clientCredentials(req, form);
+      if (
+        client.id !== clientId ||
+        (clientSecret && client.secret !== clientSecret)
+      )
+        return json(401, { error: "invalid_client" });
+      const grant = codes.get(form.get("code"));
+      codes.delete(form.get("code")); // single use
+      if (
+        form.get("grant_type") !== "authorization_code" ||
+        !grant ||
+        Date.now() - grant.createdAt > 60 * 1000
+      )
+        return json(400, { error: "invalid_grant" });
+      if (form.get("redirect_uri") !== grant.redirectUri)
+        return json(400, {
+          error: "invalid_grant",
+          error_description: "redirect_uri mismatch",
+        });
+      const challenge = crypto
+        .createHash("sha256")
+        .update(form.get("code_verifier") || "")
+        .digest("base64url");
+      if (challenge !== grant.challenge)
+        return json(400, {
+          error: "invalid_grant",
+          error_description: "PKCE verification failed",
+        });
+
+      const now = Math.floor(Date.now() / 1000);
+      const tamper = idp.tamper || {};
+      const payload = {
+        iss: idp.issuer,
+        aud: clientId,
+        iat: now,
+        exp: now + 300,
+        nonce: tamper.nonce ? "not-the-nonce" : grant.nonce,
+        ...idp.claims,
+      };
+      const idToken = signJwt(
+        payload,
+        tamper.signature ? rogueKey : privateKey,
+        {
+          alg: tamper.alg || "RS256",
+        },
+      );
+      const accessToken = crypto.randomBytes(16).toString("hex");
+      accessTokens.set(accessToken, { ...idp.claims });
+      return json(200, {
+        access_token: accessToken,
+        token_type: "Bearer",
+        expires_in: 300,
+        id_token: idToken,
+      });
+    }
+
+    if (url.pathname === "/userinfo") {
+      const token = String(req.headers.authorization || "").replace(
+        /^Bearer /,
+        "",
+      );
+      const info = accessTokens.get(token);
+      if (!info) return json(401, { error: "invalid_token" });
+      return json(200, info);
+    }
+
+    return json(404, { error: "not_found" });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      idp.issuer = `http://${host}:${server.address().port}`;
+      idp.close = () => new Promise((done) => server.close(() => done()));
+      resolve(idp);
+    });
+  });
+}
+
+if (require.main === module) {
+  const user = process.env.MOCK_IDP_USER || "sso-user";
+  const groups = String(process.env.MOCK_IDP_GROUPS || "")
+    .split(",")
+    .map((g) => g.trim())
+    .filter(Boolean);
+  const clientId = process.env.MOCK_IDP_CLIENT_ID || "banana";
+  const clientSecret = process.env.MOCK_IDP_CLIENT_SECRET || "";
+  startMockIdp({
+    port: parseInt(process.env.MOCK_IDP_PORT || "3997", 10),
+    clientId,
+    clientSecret,
+    claims: { sub: `mock-${user}`, preferred_username: user, groups },
+  }).then((idp) => {
+    console.log(`mock OIDC provider on ${idp.issuer} (user "${user}")`);
+    console.log("start banana with:");
+    console.log(`  BANANA_OIDC_ISSUER=${idp.issuer}`);
+    console.log(`  BANANA_OIDC_CLIENT_ID=${clientId}`);
+    if (clientSecret)
+      console.log(`  BANANA_OIDC_CLIENT_SECRET=${clientSecret}`);
+  });
+}
+
+module.exports = { startMockIdp };
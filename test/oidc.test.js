@@ -0,0 +1,386 @@
+// Single sign-on against test/mock-idp.js: the relying party in
+// server/oidc.js (PKCE, nonce, ID token signature) and the server's
+// /api/auth/oidc routes (state bound to the browser, single use).
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("node:child_process");
+const fs = require("node:fs");
+const net = require("node:net");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  createOidcClient,
+  createPkcePair,
+  randomToken,
+} = require("../server/oidc");
+const { startMockIdp } = require("./mock-idp");
+
+const CLIENT_ID = "banana";
+const CLIENT_SECRET = "mock-secret";
+const USER_CLAIMS = {
+  sub: "mock-carol",
+  preferred_username: "carol",
+  groups: ["staff"],
+};
+
+// Follows the provider's authorize redirect and returns what the callback
+// would receive.
+async function authorize(client, redirectUri) {
+  const state = randomToken();
+  const nonce = randomToken();
+  const { verifier, challenge } = createPkcePair();
+  const url = await client.authorizationUrl({
+    redirectUri,
+    state,
+    nonce,
+    challenge,
+  });
+  const r = await fetch(url, { redirect: "manual" });
+  assert.equal(r.status, 302);
+  const back = new URL(r.headers.get("location"));
+  return { url: new URL(url), back, state, nonce, verifier, challenge };
+}
+
+describe("OIDC client", () => {
+  const redirectUri = "http://127.0.0.1/api/auth/oidc/callback";
+  let idp;
+  let client;
+
+  before(async () => {
+    idp = await startMockIdp({
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+      claims: USER_CLAIMS,
+    });
+    client = createOidcClient({
+      issuer: idp.issuer,
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+    });
+  });
+
+  after(() => idp.close());
+
+  test("sends state, nonce and an S256 challenge", async () => {
+    const { url, back, state, nonce, challenge } = await authorize(
+      client,
+      redirectUri,
+    );
+    assert.equal(url.searchParams.get("state"), state);
+    assert.equal(url.searchParams.get("nonce"), nonce);
+    assert.equal(url.searchParams.get("code_challenge"), challenge);
+    assert.equal(url.searchParams.get("code_challenge_method"), "S256");
+    assert.equal(back.searchParams.get("state"), state);
+  });
+
+  test("returns verified claims merged with userinfo", async () => {
+    idp.tamper = {};
+    const { back, nonce, verifier } = await authorize(client, redirectUri);
+    const claims = await client.completeAuthorization({
+      code: back.searchParams.get("code"),
+      redirectUri,
+      verifier,
+      nonce,
+    });
+    assert.equal(claims.sub, USER_CLAIMS.sub);
+    assert.equal(claims.preferred_username, "carol");
+    assert.deepEqual(claims.groups, ["staff"]);
+    assert.equal(claims.iss, idp.issuer);
+  });
+
+  test("fails when the PKCE verifier does not match", async () => {
+    idp.tamper = {};
+    const { back, nonce } = await authorize(client, redirectUri);
+    await assert.rejects(
+      client.completeAuthorization({
+        code: back.searchParams.get("code"),
+        redirectUri,
+        verifier: createPkcePair().verifier,
+        nonce,
+      }),
+      /PKCE verification failed/,
+    );
+  });
+
+  test("rejects an ID token with another nonce", async () => {
+    idp.tamper = { nonce: true };
+    const { back, nonce, verifier } = await authorize(client, redirectUri);
+    await assert.rejects(
+      client.completeAuthorization({
+        code: back.searchParams.get("code"),
+        redirectUri,
+        verifier,
+        nonce,
+      }),
+      /nonce mismatch/,
+    );
+  });
+
+  test("rejects an ID token signed with a key outside the JWKS", async () => {
+    idp.tamper = { signature: true };
+    const { back, nonce, verifier } = await authorize(client, redirectUri);
+    await assert.rejects(
+      client.completeAuthorization({
+        code: back.searchParams.get("code"),
+        redirectUri,
+        verifier,
+        nonce,
+      }),
+      /signature is invalid/,
+    );
+  });
+
+  test("rejects an unsigned ID token", async () => {
+    idp.tamper = { alg: "none" };
+    const { back, nonce, verifier } = await authorize(client, redirectUri);
+    await assert.rejects(
+      client.completeAuthorization({
+        code: back.searchParams.get("code"),
+        redirectUri,
+        verifier,
+        nonce,
+      }),
+      /Unsupported ID token algorithm none/,
+    );
+  });
+});
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+function cookiesFrom(response) {
+  return response.headers
+    .getSetCookie()
+    .map((c) => c.split(";")[0])
+    .filter((c) => !c.endsWith("="));
+}
+
+describe("OIDC login routes", () => {
+  let idp;
+  let server;
+  let base;
+  let dataDir;
+
+  before(async () => {
+    idp = await startMockIdp({
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+      claims: USER_CLAIMS,
+    });
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "banana-oidc-"));
+    const port = await freePort();
+    base = `http://127.0.0.1:${port}`;
+    server = spawn(
+      process.execPath,
+      [path.join(__dirname, "..", "server", "index.js")],
+      {
+        env: {
+          ...process.env,
+          PORT: String(port),
+          NODE_ENV: "test",
+          BANANA_DATA_DIR: dataDir,
+          BANANA_SECRET: "oidc-test-secret",
+          BANANA_ACCESS_LOG: "off",
+          BANANA_OIDC_ISSUER: idp.issuer,
+          BANANA_OIDC_CLIENT_ID: CLIENT_ID,
+          BANANA_OIDC_CLIENT_SECRET: CLIENT_SECRET,
+          BANANA_OIDC_REDIRECT_URI: `${base}/api/auth/oidc/callback`,
+          BANANA_OIDC_LINK_EXISTING: "true",
+          BANANA_ADMIN_USER: "dave",
+          BANANA_ADMIN_PASS: "dave-pass",
+        },
+        stdio: "ignore",
+      },
+    );
+    for (let i = 0; ; i++) {
+      try {
+        if ((await fetch(`${base}/api/health`)).ok) break;
+      } catch {
+        // not listening yet
+      }
+      if (i >= 100) throw new Error("server did not start");
+      await new Promise((r) => setTimeout(r, 100));
+    }
+  });
+
+  after(async () => {
+    server?.kill();
+    await idp?.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  // Starts a login in a fresh "browser" and returns the callback URL the
+  // provider sent it to, plus that browser's cookies.
+  async function startLogin() {
+    const r = await fetch(`${base}/api/auth/oidc/login?return=/`, {
+      redirect: "manual",
+    });
+    assert.equal(r.status, 302);
+    const cookie = cookiesFrom(r).join("; ");
+    assert.match(cookie, /banana_oidc_state=/);
+    const idpRes = await fetch(r.headers.get("location"), {
+      redirect: "manual",
+    });
+    assert.equal(idpRes.status, 302);
+    return { callback: new URL(idpRes.headers.get("location")), cookie };
+  }
+
+  async function finishLogin(callback, cookie) {
+    const r = await fetch(callback, {
+      redirect: "manual",
+      headers: cookie ? { cookie } : {},
+    });
+    assert.equal(r.status, 302);
+    const location = new URL(r.headers.get("location"), base);
+    return {
+      error: location.searchParams.get("sso_error"),
+      cookies: cookiesFrom(r),
+    };
+  }
+
+  test("signs the user in and opens a session", async () => {
+    idp.tamper = {};
+    const { callback, cookie } = await startLogin();
+    const done = await finishLogin(callback, cookie);
+    assert.equal(done.error, null);
+    const session = done.cookies.find((c) => c.startsWith("banana_token="));
+    assert.ok(session, "expected a session cookie");
+    const me = await (
+      await fetch(`${base}/api/me`, { headers: { cookie: session } })
+    ).json();
+    assert.equal(me.user.username, "carol");
+
+    // The state is single use.
+    const replay = await finishLogin(callback, cookie);
+    assert.equal(replay.error, "登录已过期，请重试");
+  });
+
+  test("lets an account created by SSO set its first password", async () => {
+    idp.tamper = {};
+    const { callback, cookie } = await startLogin();
+    const done = await finishLogin(callback, cookie);
+    const csrf = randomToken(32);
+    const headers = {
+      cookie: [...done.cookies, `banana_csrf=${csrf}`].join("; "),
+      "content-type": "application/json",
+      "x-csrf-token": csrf,
+    };
+    const post = (pathname, body) =>
+      fetch(`${base}${pathname}`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(body),
+      });
+    const me = async () =>
+      (await (await fetch(`${base}/api/me`, { headers })).json()).user;
+    assert.equal((await me()).passwordSet, false);
+
+    const refused = await post("/api/auth/2fa/setup", { password: "" });
+    assert.equal(refused.status, 403);
+    assert.match((await refused.json()).error, /尚未设置密码/);
+
+    const set = await post("/api/auth/change-password", {
+      newPassword: "carol-pass",
+    });
+    assert.equal(set.status, 200);
+    assert.equal((await me()).passwordSet, true);
+    const setup = await post("/api/auth/2fa/setup", {
+      password: "carol-pass",
+    });
+    assert.equal(setup.status, 200);
+  });
+
+  test("binds an existing local account only through a signed-in link", async () => {
+    idp.tamper = {};
+    idp.claims = { sub: "mock-dave", preferred_username: "dave" };
+    try {
+      const { callback, cookie } = await startLogin();
+      const refused = await finishLogin(callback, cookie);
+      assert.match(refused.error, /本地账户/);
+      assert.ok(!refused.cookies.some((c) => c.startsWith("banana_token=")));
+
+      const csrf = randomToken(32);
+      const jar = [`banana_csrf=${csrf}`];
+      const post = async (pathname, body) => {
+        const r = await fetch(`${base}${pathname}`, {
+          method: "POST",
+          headers: {
+            cookie: jar.join("; "),
+            "content-type": "application/json",
+            "x-csrf-token": csrf,
+          },
+          body: JSON.stringify(body),
+        });
+        jar.push(...cookiesFrom(r));
+        return r;
+      };
+      const login = await post("/api/auth/login", {
+        username: "dave",
+        password: "dave-pass",
+      });
+      assert.equal(login.status, 200);
+      const wrong = await post("/api/auth/oidc/link", { password: "nope" });
+      assert.equal(wrong.status, 403);
+      const link = await post("/api/auth/oidc/link", {
+        password: "dave-pass",
+        return: "/",
+      });
+      assert.equal(link.status, 200);
+      const idpRes = await fetch((await link.json()).url, {
+        redirect: "manual",
+      });
+      const linked = await finishLogin(
+        new URL(idpRes.headers.get("location")),
+        jar.join("; "),
+      );
+      assert.equal(linked.error, null);
+
+      const again = await startLogin();
+      const done = await finishLogin(again.callback, again.cookie);
+      assert.equal(done.error, null);
+      assert.ok(done.cookies.some((c) => c.startsWith("banana_token=")));
+    } finally {
+      idp.claims = USER_CLAIMS;
+    }
+  });
+
+  test("rejects a callback from a browser that did not start the login", async () => {
+    idp.tamper = {};
+    const { callback } = await startLogin();
+    const done = await finishLogin(callback, null);
+    assert.equal(done.error, "登录已过期，请重试");
+    assert.ok(!done.cookies.some((c) => c.startsWith("banana_token=")));
+  });
+
+  test("rejects a state the server never issued", async () => {
+    idp.tamper = {};
+    const { callback } = await startLogin();
+    const forged = randomToken();
+    callback.searchParams.set("state", forged);
+    const done = await finishLogin(callback, `banana_oidc_state=${forged}`);
+    assert.equal(done.error, "登录已过期，请重试");
+  });
+
+  test("rejects an ID token with another nonce", async () => {
+    idp.tamper = { nonce: true };
+    const { callback, cookie } = await startLogin();
+    const done = await finishLogin(callback, cookie);
+    assert.equal(done.error, "单点登录验证失败");
+    assert.ok(!done.cookies.some((c) => c.startsWith("banana_token=")));
+  });
+
+  test("rejects an ID token with a bad signature", async () => {
+    idp.tamper = { signature: true };
+    const { callback, cookie } = await startLogin();
+    const done = await finishLogin(callback, cookie);
+    assert.equal(done.error, "单点登录验证失败");
+  });
+});
@@ -0,0 +1,338 @@
+// Round-trips images through server/thumbnail.js and decodes the resulting
+// WebP with a small VP8L reader written from the spec, so an encoder bug
+// shows up as a pixel mismatch rather than a broken <img> in the gallery.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("node:zlib");
+const {
+  DEFAULT_THUMB_MAX_SIZE,
+  MAX_SOURCE_PIXELS,
+  sniffImageType,
+  createThumbnail,
+  createThumbnailInWorker,
+} = require("../server/thumbnail");
+
+// ---------------------------------------------------------------------------
+// Fixtures
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, "latin1");
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+// 8-bit RGBA PNG; every row uses filter type 0.
+function encodePng(width, height, rgba) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  const raw = Buffer.alloc(height * (1 + width * 4));
+  for (let y = 0; y < height; y++) {
+    const row = y * (1 + width * 4);
+    Buffer.from(rgba.buffer, y * width * 4, width * 4).copy(raw, row + 1);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// Image whose `block`x`block` tiles are uniform, so an exact box downscale
+// by `block` has a known result.
+function tiledImage(tilesX, tilesY, block) {
+  const width = tilesX * block;
+  const height = tilesY * block;
+  const tile = (tx, ty) => [
+    (tx * 37) & 0xff,
+    (ty * 59) & 0xff,
+    (tx * 11 + ty * 23) & 0xff,
+    (tx + ty) % 3 === 0 ? 128 : 255,
+  ];
+  const full = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      full.set(
+        tile(Math.floor(x / block), Math.floor(y / block)),
+        (y * width + x) * 4,
+      );
+    }
+  }
+  const small = new Uint8Array(tilesX * tilesY * 4);
+  for (let ty = 0; ty < tilesY; ty++) {
+    for (let tx = 0; tx < tilesX; tx++)
+      small.set(tile(tx, ty), (ty * tilesX + tx) * 4);
+  }
+  return { width, height, full, small };
+}
+
+// ---------------------------------------------------------------------------
+// Minimal VP8L decoder: prefix codes, subtract-green and predictor
+// transforms. Backward references and the color cache throw.
+
+class BitReader {
+  constructor(buf) {
+    this.buf = buf;
+    this.pos = 0;
+  }
+
+  read(n) {
+    let v = 0;
+    for (let i = 0; i < n; i++) {
+      const byte = this.buf[this.pos >> 3];
+      if (byte === undefined) throw new Error("VP8L: out of data");
+      v |= ((byte >> (this.pos & 7)) & 1) << i;
+      this.pos++;
+    }
+    return v >>> 0;
+  }
+}
+
+function buildCode(lengths) {
+  const used = [];
+  for (let s = 0; s < lengths.length; s++) if (lengths[s]) used.push(s);
+  if (used.length === 0) throw new Error("VP8L: empty prefix code");
+  if (used.length === 1) return { single: used[0] };
+  const maxLen = Math.max(...lengths);
+  const blCount = new Array(maxLen + 1).fill(0);
+  for (const l of lengths) if (l) blCount[l]++;
+  const next = new Array(maxLen + 2).fill(0);
+  let code = 0;
+  let kraft = 0;
+  for (let bits = 1; bits <= maxLen; bits++) {
+    code = (code + blCount[bits - 1]) << 1;
+    next[bits] = code;
+    kraft += blCount[bits] / 2 ** bits;
+  }
+  if (kraft !== 1) throw new Error("VP8L: incomplete prefix code");
+  const table = new Map();
+  for (const s of used) table.set(`${lengths[s]}:${next[lengths[s]]++}`, s);
+  return { table, maxLen };
+}
+
+function readSymbol(br, code) {
+  if (code.single !== undefined) return code.single;
+  let c = 0;
+  for (let len = 1; len <= code.maxLen; len++) {
+    c = (c << 1) | br.read(1);
+    const s = code.table.get(`${len}:${c}`);
+    if (s !== undefined) return s;
+  }
+  throw new Error("VP8L: bad prefix code");
+}
+
+const CODE_LENGTH_ORDER = [
+  17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+];
+
+function readPrefixCode(br, alphabetSize) {
+  const lengths = new Array(alphabetSize).fill(0);
+  if (br.read(1)) {
+    const numSymbols = br.read(1) + 1;
+    lengths[br.read(br.read(1) ? 8 : 1)] = 1;
+    if (numSymbols === 2) lengths[br.read(8)] = 1;
+    return buildCode(lengths);
+  }
+  const clLengths = new Array(19).fill(0);
+  const numCl = br.read(4) + 4;
+  for (let i = 0; i < numCl; i++) clLengths[CODE_LENGTH_ORDER[i]] = br.read(3);
+  const clCode = buildCode(clLengths);
+  let maxSymbol = alphabetSize;
+  if (br.read(1)) maxSymbol = 2 + br.read(2 + 2 * br.read(3));
+  let prev = 8;
+  for (let s = 0; s < alphabetSize && maxSymbol-- > 0;) {
+    const l = readSymbol(br, clCode);
+    if (l < 16) {
+      lengths[s++] = l;
+      if (l) prev = l;
+      continue;
+    }
+    const [extra, base, value] = {
+      16: [2, 3, prev],
+      17: [3, 3, 0],
+      18: [7, 11, 0],
+    }[l];
+    for (let r = br.read(extra) + base; r > 0; r--) lengths[s++] = value;
+  }
+  return buildCode(lengths);
+}
+
+// Returns ARGB pixels as [a, r, g, b] arrays.
+function readEntropyImage(br, width, height, isLevel0) {
+  if (br.read(1)) throw new Error("VP8L: color cache not supported");
+  if (isLevel0 && br.read(1)) throw new Error("VP8L: meta codes not supported");
+  const green = readPrefixCode(br, 256 + 24);
+  const red = readPrefixCode(br, 256);
+  const blue = readPrefixCode(br, 256);
+  const alpha = readPrefixCode(br, 256);
+  readPrefixCode(br, 40);
+  const pixels = [];
+  for (let i = 0; i < width * height; i++) {
+    const g = readSymbol(br, green);
+    if (g >= 256) throw new Error("VP8L: backward references not supported");
+    const r = readSymbol(br, red);
+    const b = readSymbol(br, blue);
+    pixels.push([readSymbol(br, alpha), r, g, b]);
+  }
+  return pixels;
+}
+
+function decodeWebpLossless(buf) {
+  assert.equal(buf.toString("latin1", 0, 4), "RIFF");
+  assert.equal(buf.readUInt32LE(4), buf.length - 8);
+  assert.equal(buf.toString("latin1", 8, 16), "WEBPVP8L");
+  const br = new BitReader(buf.subarray(20, 20 + buf.readUInt32LE(16)));
+  assert.equal(br.read(8), 0x2f);
+  const width = br.read(14) + 1;
+  const height = br.read(14) + 1;
+  br.read(1);
+  assert.equal(br.read(3), 0);
+
+  const transforms = [];
+  while (br.read(1)) {
+    const type = br.read(2);
+    if (type === 2) {
+      transforms.push({ type });
+    } else if (type === 0) {
+      const bits = br.read(3) + 2;
+      const bw = Math.ceil(width / (1 << bits));
+      const bh = Math.ceil(height / (1 << bits));
+      transforms.push({
+        type,
+        bits,
+        bw,
+        modes: readEntropyImage(br, bw, bh, false),
+      });
+    } else {
+      throw new Error(`VP8L: transform ${type} not supported`);
+    }
+  }
+  const px = readEntropyImage(br, width, height, true);
+
+  for (const t of transforms.reverse()) {
+    if (t.type === 2) {
+      for (const p of px) {
+        p[1] = (p[1] + p[2]) & 0xff;
+        p[3] = (p[3] + p[2]) & 0xff;
+      }
+      continue;
+    }
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        let pred;
+        if (x === 0 && y === 0) pred = [255, 0, 0, 0];
+        else if (y === 0) pred = px[i - 1];
+        else if (x === 0) pred = px[i - width];
+        else {
+          const mode = t.modes[(y >> t.bits) * t.bw + (x >> t.bits)][2];
+          if (mode !== 7)
+            throw new Error(`VP8L: predictor ${mode} not supported`);
+          pred = px[i - 1].map((v, c) => (v + px[i - width][c]) >> 1);
+        }
+        px[i] = px[i].map((v, c) => (v + pred[c]) & 0xff);
+      }
+    }
+  }
+
+  const rgba = new Uint8Array(width * height * 4);
+  px.forEach(([a, r, g, b], i) => rgba.set([r, g, b, a], i * 4));
+  return { width, height, rgba };
+}
+
+// ---------------------------------------------------------------------------
+
+test("PNG round-trips through a lossless WebP thumbnail", () => {
+  // 512x384 halves to 256x192, and halving 8px tiles gives 4px tiles.
+  const src = tiledImage(64, 48, 8);
+  const want = tiledImage(64, 48, 4);
+  const thumb = createThumbnail(encodePng(src.width, src.height, src.full));
+  assert.ok(thumb, "expected a thumbnail");
+  assert.equal(sniffImageType(thumb), "image/webp");
+  const out = decodeWebpLossless(thumb);
+  assert.equal(out.width, want.width);
+  assert.equal(out.height, want.height);
+  assert.deepEqual(out.rgba, want.full);
+});
+
+test("images already inside the thumbnail box keep their pixels", () => {
+  const img = tiledImage(40, 30, 1);
+  const out = decodeWebpLossless(
+    createThumbnail(encodePng(img.width, img.height, img.full)),
+  );
+  assert.equal(out.width, 40);
+  assert.equal(out.height, 30);
+  assert.deepEqual(out.rgba, img.small);
+});
+
+test("large sources are scaled to fit the default box", () => {
+  const img = tiledImage(300, 150, 2);
+  const out = decodeWebpLossless(
+    createThumbnail(encodePng(img.width, img.height, img.full)),
+  );
+  assert.equal(out.width, DEFAULT_THUMB_MAX_SIZE);
+  assert.equal(out.height, DEFAULT_THUMB_MAX_SIZE / 2);
+});
+
+test("small WebP sources are reused as-is", () => {
+  const img = tiledImage(8, 8, 1);
+  const webp = createThumbnail(encodePng(img.width, img.height, img.full));
+  assert.equal(createThumbnail(webp), webp);
+});
+
+test("oversized or implausibly compressed sources are refused", () => {
+  const side = Math.ceil(Math.sqrt(MAX_SOURCE_PIXELS)) + 1;
+  const hugeHeader = encodePng(1, 1, new Uint8Array(4));
+  hugeHeader.writeUInt32BE(side, 16);
+  hugeHeader.writeUInt32BE(side, 20);
+  assert.equal(createThumbnail(hugeHeader), null);
+
+  // 2048x2048 of a single colour deflates to a few KB.
+  const flat = encodePng(2048, 2048, new Uint8Array(2048 * 2048 * 4).fill(255));
+  assert.equal(createThumbnail(flat), null);
+});
+
+test("the worker produces the same thumbnail without blocking", async () => {
+  const src = tiledImage(64, 48, 8);
+  const png = encodePng(src.width, src.height, src.full);
+  let ticks = 0;
+  const timer = setInterval(() => ticks++, 1);
+  const [thumb, garbage] = await Promise.all([
+    createThumbnailInWorker(png),
+    createThumbnailInWorker(Buffer.from("not an image at all")),
+  ]);
+  clearInterval(timer);
+  assert.deepEqual(thumb, createThumbnail(png));
+  assert.equal(garbage, null);
+  assert.ok(ticks > 0, "event loop should keep running during the decode");
+});
+
+test("sniffImageType recognises formats by magic bytes", () => {
+  const img = tiledImage(2, 2, 1);
+  assert.equal(sniffImageType(encodePng(2, 2, img.full)), "image/png");
+  assert.equal(
+    sniffImageType(Buffer.from("ffd8ffe000104a4649460001", "hex")),
+    "image/jpeg",
+  );
+  assert.equal(sniffImageType(Buffer.from("GIF89a\0\0\0\0\0\0")), "image/gif");
+  assert.equal(sniffImageType(Buffer.from("<svg xmlns='x'/>")), null);
+  assert.equal(sniffImageType(Buffer.from("short")), null);
+});